@@ -2,20 +2,12 @@
 (() => {
   const root = document.getElementById('app');
 
-  // Клиент Supabase: берём значения из index.html
-  const supabase = window.supabase.createClient(
-    window.SUPABASE_URL,
-    window.SUPABASE_ANON_KEY
-  );
-
   async function main() {
-    // Читаем все поездки из таблицы 'trips'
-    const { data: trips, error } = await supabase
-      .from('trips')
-      .select('*')
-      .order('id', { ascending: true });
-
-    if (error) {
+    // Читаем все поездки из источника, выбранного в config.js
+    let trips;
+    try {
+      trips = await window.createDataClient(window.APP_CONFIG).listTrips();
+    } catch (error) {
       root.innerHTML = `<div class="error">Ошибка: ${error.message}</div>`;
       console.error(error);
       return;
@@ -30,9 +22,9 @@
     trips.forEach(t => {
       const li = document.createElement('li');
       const a = document.createElement('a');
-a.href = `./trip.html?id=${t.id}`;
-a.textContent = `${t.title || 'Без названия'} — ${t.location || ''}`;
-li.appendChild(a);
+      a.href = `./trip.html?id=${encodeURIComponent(t.id)}`;
+      a.textContent = `${t.name || 'Без названия'} — ${t.location || ''}`;
+      li.appendChild(a);
 
       list.appendChild(li);
     });
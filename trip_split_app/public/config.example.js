@@ -0,0 +1,19 @@
+// trip_split_app/public/config.example.js
+// Образец настроек страниц.  Скопируйте его в config.js (он не хранится в
+// git) и заполните.  Если config.js нет, server.js собирает его из
+// переменных окружения TRIP_BACKEND, API_BASE, SUPABASE_URL,
+// SUPABASE_ANON_KEY и CURRENCY.
+//
+// Данные страницы получают через data-client.js, который выбирает
+// источник по полю backend:
+//   'rest'     — API из server.js (/api/trips); apiBase — адрес сервера,
+//                пустая строка — тот же сайт, с которого открыта страница;
+//   'supabase' — проект Supabase; нужны supabaseUrl и supabaseAnonKey.
+window.APP_CONFIG = {
+  backend: 'rest',
+  apiBase: '',
+  supabaseUrl: '',
+  supabaseAnonKey: '',
+  // Валюта сумм, для которых источник её не указывает
+  currency: 'RUB'
+};
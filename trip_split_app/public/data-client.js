@@ -0,0 +1,149 @@
+// trip_split_app/public/data-client.js
+// Единый доступ к данным для страниц.  Адаптер выбирается настройкой
+// backend из config.js (образец — config.example.js): локальный REST API
+// (server.js) или Supabase.  Без config.js используется REST API.
+// Оба адаптера возвращают данные в одном виде:
+//
+//   поездка: { id, name, location, start_date, end_date }
+//   трата:   { id, date, description, amount, currency }
+//
+// Суммы — числа в основных единицах валюты (рубли, а не копейки).
+// В Supabase название поездки хранится в колонке title, в REST API — в
+// поле name; страницы видят только name.  Ошибки источника приходят как
+// исключения с понятным сообщением.
+(() => {
+  const SUPABASE_SCRIPT = 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2';
+
+  function toTrip(row) {
+    return {
+      id: row.id,
+      name: row.name || row.title || '',
+      location: row.location || '',
+      start_date: row.start_date || null,
+      end_date: row.end_date || null
+    };
+  }
+
+  function toExpense(row, currency) {
+    return {
+      id: row.id,
+      date: row.date || null,
+      description: row.description || '',
+      amount: Number(row.amount) || 0,
+      currency: row.currency || currency
+    };
+  }
+
+  function byDate(a, b) {
+    return String(a.date || '').localeCompare(String(b.date || ''));
+  }
+
+  /**
+   * Адаптер локального REST API.  Траты приходят вместе с поездкой.
+   */
+  function createRestAdapter(config) {
+    const base = (config.apiBase || '').replace(/\/$/, '');
+
+    async function request(path) {
+      const res = await fetch(base + path, { headers: { Accept: 'application/json' } });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(body.error || res.statusText);
+      }
+      return body;
+    }
+
+    return {
+      async listTrips() {
+        const data = await request('/api/trips');
+        return data.trips.map(toTrip);
+      },
+      async getTrip(id) {
+        const trip = await request(`/api/trips/${encodeURIComponent(id)}`);
+        const currency = trip.base_currency || config.currency;
+        return Object.assign(toTrip(trip), {
+          expenses: (trip.expenses || []).map(e => toExpense(e, currency)).sort(byDate)
+        });
+      }
+    };
+  }
+
+  /**
+   * Подключает библиотеку Supabase только тогда, когда она нужна, чтобы
+   * страницы с REST API работали без доступа к CDN.
+   */
+  function loadSupabaseLibrary() {
+    if (window.supabase) return Promise.resolve(window.supabase);
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SUPABASE_SCRIPT;
+      script.onload = () => resolve(window.supabase);
+      script.onerror = () => reject(new Error('Не удалось загрузить библиотеку Supabase'));
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Адаптер Supabase: таблицы trips и expenses.
+   */
+  function createSupabaseAdapter(config) {
+    if (!config.supabaseUrl || !config.supabaseAnonKey) {
+      throw new Error('Источник данных supabase выбран, но supabaseUrl и supabaseAnonKey не заданы: '
+        + 'скопируйте config.example.js в config.js и заполните их или задайте SUPABASE_URL '
+        + 'и SUPABASE_ANON_KEY для server.js');
+    }
+    let clientPromise = null;
+
+    function getClient() {
+      if (!clientPromise) {
+        clientPromise = loadSupabaseLibrary()
+          .then(lib => lib.createClient(config.supabaseUrl, config.supabaseAnonKey));
+      }
+      return clientPromise;
+    }
+
+    // Supabase возвращает { data, error }; превращаем ошибку в исключение
+    async function query(build) {
+      const { data, error } = await build(await getClient());
+      if (error) throw new Error(error.message);
+      return data;
+    }
+
+    return {
+      async listTrips() {
+        const rows = await query(client => client.from('trips').select('*').order('id', { ascending: true }));
+        return (rows || []).map(toTrip);
+      },
+      async getTrip(id) {
+        const row = await query(client => client.from('trips').select('*').eq('id', id).single());
+        const expenses = await query(client => client
+          .from('expenses')
+          .select('*')
+          .eq('trip_id', id)
+          .order('date', { ascending: true }));
+        return Object.assign(toTrip(row), {
+          expenses: (expenses || []).map(e => toExpense(e, config.currency))
+        });
+      }
+    };
+  }
+
+  const ADAPTERS = {
+    rest: createRestAdapter,
+    supabase: createSupabaseAdapter
+  };
+
+  /**
+   * Создаёт клиент данных по настройкам из config.js.
+   */
+  function createDataClient(config) {
+    const settings = Object.assign({ backend: 'rest', currency: 'RUB' }, config);
+    const create = ADAPTERS[settings.backend];
+    if (!create) {
+      throw new Error(`Неизвестный источник данных «${settings.backend}», ожидается rest или supabase`);
+    }
+    return create(settings);
+  }
+
+  window.createDataClient = createDataClient;
+})();
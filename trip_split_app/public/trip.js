@@ -1,15 +1,8 @@
-<script>
-// trip.js
+// trip_split_app/public/trip.js
 (() => {
   const titleEl = document.getElementById('trip-title');
   const root = document.getElementById('app');
 
-  // Клиент Supabase: берём значения, которые ты уже вставил в trip.html
-  const supabase = window.supabase.createClient(
-    window.SUPABASE_URL,
-    window.SUPABASE_ANON_KEY
-  );
-
   async function main() {
     const id = new URLSearchParams(location.search).get('id');
     if (!id) {
@@ -17,20 +10,17 @@
       return;
     }
 
-    // 1) Грузим саму поездку
-    const { data: trip, error: tripErr } = await supabase
-      .from('trips')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (tripErr) {
+    // Поездка вместе с тратами из источника, выбранного в config.js
+    let trip;
+    try {
+      trip = await window.createDataClient(window.APP_CONFIG).getTrip(id);
+    } catch (tripErr) {
       root.innerHTML = `<div class="error">Ошибка: ${tripErr.message}</div>`;
       console.error(tripErr);
       return;
     }
 
-    titleEl.textContent = trip.title || 'Без названия';
+    titleEl.textContent = trip.name || 'Без названия';
     root.innerHTML = `
       <div class="trip-meta">
         <p><b>Город:</b> ${trip.location || '—'}</p>
@@ -40,20 +30,8 @@
       <ul id="exp-list"></ul>
     `;
 
-    // 2) Грузим траты по этой поездке (если есть таблица expenses)
-    const { data: expenses, error: expErr } = await supabase
-      .from('expenses')
-      .select('*')
-      .eq('trip_id', id)
-      .order('date', { ascending: true });
-
     const list = document.getElementById('exp-list');
-
-    if (expErr) {
-      list.innerHTML = `<li class="error">Ошибка: ${expErr.message}</li>`;
-      console.error(expErr);
-      return;
-    }
+    const expenses = trip.expenses;
 
     if (!expenses || expenses.length === 0) {
       list.innerHTML = '<li>Пока нет трат.</li>';
@@ -62,7 +40,7 @@
 
     expenses.forEach(e => {
       const li = document.createElement('li');
-      li.textContent = `${fmt(e.date)} — ${e.description || 'Без описания'}: ${formatMoney(e.amount)}`;
+      li.textContent = `${fmt(e.date)} — ${e.description || 'Без описания'}: ${formatMoney(e.amount, e.currency)}`;
       list.appendChild(li);
     });
   }
@@ -74,12 +52,11 @@
     return date.toISOString().slice(0,10);
   }
 
-  function formatMoney(x) {
+  function formatMoney(x, currency) {
     if (x == null) return '0';
     const n = Number(x);
-    return new Intl.NumberFormat('ru-RU', { style: 'currency', currency: 'RUB', maximumFractionDigits: 0 }).format(n);
+    return new Intl.NumberFormat('ru-RU', { style: 'currency', currency: currency || 'RUB', maximumFractionDigits: 0 }).format(n);
   }
 
   main();
 })();
-</script>
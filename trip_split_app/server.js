@@ -200,21 +200,64 @@ function sendJson(res, status, obj) {
 }
 
 /**
- * Serve static files from the public directory.  If the file does not
- * exist, returns false to allow further handling.
+ * Build public/config.js from the environment, for when the file itself
+ * is missing.  It is kept out of git because it holds the Supabase keys;
+ * public/config.example.js shows the same settings.
+ */
+function configFromEnv() {
+  const config = {
+    backend: process.env.TRIP_BACKEND || 'rest',
+    apiBase: process.env.API_BASE || '',
+    supabaseUrl: process.env.SUPABASE_URL || '',
+    supabaseAnonKey: process.env.SUPABASE_ANON_KEY || '',
+    currency: process.env.CURRENCY || 'RUB'
+  };
+  return `window.APP_CONFIG = ${JSON.stringify(config, null, 2)};\n`;
+}
+
+/**
+ * Serve static files from the public directory.  The pages link to each
+ * other and to their assets with relative paths, so the directory is
+ * served from the site root just like on static hosting; the older
+ * /public/ prefix keeps working, and old /trip/<id> links are redirected
+ * to trip.html?id=<id>.  If the file does not exist, returns false to
+ * allow further handling.
  */
 function serveStatic(req, res) {
-  let urlPath = req.url;
+  let urlPath = req.url.split('?')[0];
+  const tripLink = /^\/trip\/([^/]+)\/?$/.exec(urlPath);
+  if (tripLink) {
+    let id;
+    try {
+      id = decodeURIComponent(tripLink[1]);
+    } catch (err) {
+      return false;
+    }
+    res.writeHead(301, { Location: `/trip.html?id=${encodeURIComponent(id)}` });
+    res.end();
+    return true;
+  }
   if (urlPath === '/') {
-    urlPath = '/public/index.html';
-  } else if (urlPath.startsWith('/trip')) {
-    // Serve the same HTML for trip detail pages so the frontend can
-    // hydrate based on the URL parameter
-    urlPath = '/public/index.html';
-  } else if (!urlPath.startsWith('/public/')) {
+    urlPath = '/index.html';
+  } else if (urlPath.startsWith('/public/')) {
+    urlPath = urlPath.slice('/public'.length);
+  }
+  const publicDir = path.join(__dirname, 'public');
+  let filePath;
+  try {
+    filePath = path.join(publicDir, path.normalize(decodeURIComponent(urlPath)));
+  } catch (err) {
     return false;
   }
-  const filePath = path.join(__dirname, urlPath);
+  // Never serve anything outside the public directory
+  if (!filePath.startsWith(publicDir + path.sep)) {
+    return false;
+  }
+  if (filePath === path.join(publicDir, 'config.js') && !fs.existsSync(filePath)) {
+    res.writeHead(200, { 'Content-Type': 'application/javascript' });
+    res.end(configFromEnv());
+    return true;
+  }
   if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
     return false;
   }
@@ -0,0 +1,120 @@
+// Receipt photos and PDFs attached to expenses.  Files live on local
+// disk, one directory per trip:
+//
+//   <dir>/<trip id>/<attachment id>            the uploaded file
+//   <dir>/<trip id>/<attachment id>.thumb.jpg  its thumbnail, for images
+//
+// The directory is next to the data file unless ATTACHMENTS_DIR says otherwise, see
+// storage/index.js.  What kind of file an upload is comes from its first
+// bytes, not from the name or the type the browser claims.  Thumbnails
+// need the optional sharp package; without it images are simply shown
+// without one.
+
+const fs = require('fs');
+const path = require('path');
+
+// Largest file accepted, and most files one expense may have
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+
+// Longest side of a thumbnail in pixels
+const THUMBNAIL_SIZE = 240;
+
+// Accepted types and how to recognise them by their first bytes
+const ATTACHMENT_TYPES = [
+  { content_type: 'image/jpeg', image: true, matches: data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  { content_type: 'image/png', image: true, matches: data => data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { content_type: 'image/webp', image: true, matches: data => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP' },
+  { content_type: 'application/pdf', image: false, matches: data => data.slice(0, 5).toString('latin1') === '%PDF-' }
+];
+
+let sharp;
+
+/**
+ * Load sharp on first use.  Returns null when it is not installed.
+ */
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (err) {
+      console.warn('Thumbnails are off: install the sharp package to make them');
+      sharp = null;
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Find which accepted type a file is, or null when it is none of them.
+ */
+function detectAttachmentType(data) {
+  return ATTACHMENT_TYPES.find(type => type.matches(data)) || null;
+}
+
+/**
+ * Make a JPEG thumbnail of an image, turned upright by its EXIF
+ * orientation.  Resolves with null when sharp is missing or cannot read
+ * the image.
+ */
+async function createThumbnail(data) {
+  const library = loadSharp();
+  if (!library) return null;
+  try {
+    return await library(data)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Create the store of attachment files under `dir`.
+ */
+function createAttachmentStore(dir) {
+  const fileOf = (tripId, attachmentId, thumbnail = false) =>
+    path.join(dir, tripId, thumbnail ? `${attachmentId}.thumb.jpg` : attachmentId);
+
+  return {
+    /**
+     * Write an uploaded file and, when given, its thumbnail.
+     */
+    save(tripId, attachmentId, data, thumbnail = null) {
+      fs.mkdirSync(path.join(dir, tripId), { recursive: true });
+      fs.writeFileSync(fileOf(tripId, attachmentId), data);
+      if (thumbnail) fs.writeFileSync(fileOf(tripId, attachmentId, true), thumbnail);
+    },
+
+    /**
+     * Read a file or its thumbnail, or null when it is not on disk.
+     */
+    read(tripId, attachmentId, thumbnail = false) {
+      try {
+        return fs.readFileSync(fileOf(tripId, attachmentId, thumbnail));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    /**
+     * Delete a file together with its thumbnail.
+     */
+    remove(tripId, attachmentId) {
+      fs.rmSync(fileOf(tripId, attachmentId), { force: true });
+      fs.rmSync(fileOf(tripId, attachmentId, true), { force: true });
+    }
+  };
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  ATTACHMENT_TYPES,
+  detectAttachmentType,
+  createThumbnail,
+  createAttachmentStore
+};
@@ -0,0 +1,104 @@
+// Helpers for user accounts: password hashing, access tokens, cookies
+// and trip roles.  Passwords are hashed with scrypt and a random salt per
+// user.  Session and share link tokens are random and only their SHA‑256
+// hash is stored, so a leaked data file cannot be used to get in.
+
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Roles a user can have in a trip, from the least to the most powerful.
+// Viewers can only read, editors can change the trip and its records and
+// owners can also manage members and delete the trip.
+const TRIP_ROLES = ['viewer', 'editor', 'owner'];
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * Hash a password for storage.  The result holds the algorithm, the salt
+ * and the hash separated by dollar signs.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword().  The
+ * comparison takes the same time wherever the first difference is.
+ */
+async function verifyPassword(password, stored) {
+  const [algorithm, saltHex, keyHex] = String(stored || '').split('$');
+  if (algorithm !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scrypt(password, Buffer.from(saltHex, 'hex'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Create a new random token for a session cookie or a share link.
+ */
+function createToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a token into the value it is stored under.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parse a Cookie request header into an object of names and values.
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // Ignore cookies that are not ours and not URI encoded
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value.  `options` may contain maxAge in
+ * seconds, sameSite and secure; cookies are always HttpOnly and valid for
+ * the whole site.
+ */
+function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly'];
+  if (options.maxAge !== undefined) parts.push(`Max-Age=${options.maxAge}`);
+  parts.push(`SameSite=${options.sameSite || 'Lax'}`);
+  if (options.secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Check whether `role` allows what `required` allows.
+ */
+function hasTripRole(role, required) {
+  return TRIP_ROLES.indexOf(role) >= TRIP_ROLES.indexOf(required) && TRIP_ROLES.includes(role);
+}
+
+module.exports = {
+  TRIP_ROLES,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  hashToken,
+  parseCookies,
+  serializeCookie,
+  hasTripRole
+};
@@ -0,0 +1,90 @@
+// Minimal CSV reader and writer following RFC 4180.  Fields containing
+// separators, quotes or line breaks are quoted and embedded quotes are
+// doubled.
+
+// Characters that make a spreadsheet read a text cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format a single field.  null and undefined become empty fields.  Text
+ * that a spreadsheet would run as a formula gets a leading apostrophe;
+ * numbers are written as they are, so negative amounts stay numbers.
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Turn an array of rows (arrays of fields) into CSV text.  A UTF‑8 byte
+ * order mark is prepended so that spreadsheet applications detect the
+ * encoding of Cyrillic names correctly.
+ */
+function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Guess the delimiter of CSV text from its first line.  Spreadsheet
+ * exports in many locales use semicolons because the comma is the decimal
+ * separator there.
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const count = ch => firstLine.split(ch).length - 1;
+  if (count('\t') > count(',') && count('\t') > count(';')) return '\t';
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).  Handles
+ * quoted fields with embedded separators, quotes and line breaks, CRLF
+ * and LF line endings and a leading byte order mark.  The delimiter is
+ * detected automatically unless given.
+ */
+function parseCsv(text, delimiter) {
+  const input = text.replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,310 @@
+// Parsers for CSV exports of other expense splitting apps.  Each parser
+// turns the rows of an export into a format neutral description of the
+// people involved and their expenses and transfers, with amounts in major
+// units exactly as they appear in the file.  The server then maps the
+// people onto participants and stores the entries in a new trip.
+
+const { parseCsv } = require('./csv');
+
+const IMPORT_FORMATS = ['splitwise', 'tricount'];
+
+// Keyword patterns used to map foreign category names onto ours
+const CATEGORY_PATTERNS = [
+  ['food', /food|dining|restaurant|groceries|drink|liquor|coffee|bar|еда|продукт|ресторан|кафе/i],
+  ['lodging', /hotel|lodging|accommodation|rent|hostel|airbnb|жиль|отел|гостиниц/i],
+  ['transport', /transport|taxi|car|bus|train|plane|flight|fuel|gas|parking|bicycle|транспорт|такси|бензин/i],
+  ['activities', /entertainment|activit|movie|music|sport|game|tour|museum|развлеч|экскурс/i],
+  ['shopping', /shopping|clothing|gift|household|electronics|покупк|подар/i]
+];
+
+/**
+ * Map a category name from another app onto one of the default
+ * categories.  Unknown names fall back to 'other'.
+ */
+function mapCategory(name) {
+  const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(name || ''));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Parse an amount as written in an export.  Accepts both decimal points
+ * and decimal commas and ignores thousands separators and spaces.  Without
+ * a dot, commas each followed by exactly three digits are thousands
+ * separators, so "1,234" is 1234 while "12,34" is 12.34.  Empty cells
+ * count as zero; anything unreadable gives NaN.
+ */
+function parseAmount(value) {
+  let str = String(value || '').replace(/[\s ']/g, '');
+  if (!str) return 0;
+  const lastComma = str.lastIndexOf(',');
+  const lastDot = str.lastIndexOf('.');
+  if (/^[-+]?\d{1,3}(,\d{3})+$/.test(str)) {
+    str = str.replace(/,/g, '');
+  } else if (lastComma > lastDot) {
+    str = str.replace(/\./g, '').replace(',', '.');
+  } else {
+    str = str.replace(/,/g, '');
+  }
+  return /^[-+]?\d*\.?\d+$/.test(str) ? parseFloat(str) : NaN;
+}
+
+/**
+ * Convert a date as written in an export into YYYY‑MM‑DD.  Understands
+ * ISO dates (optionally followed by a time) and day‑first dates with dots
+ * or slashes.  Returns null for anything else.
+ */
+function parseDate(value) {
+  const str = String(value || '').trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})/.exec(str);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = /^(\d{1,2})[./](\d{1,2})[./](\d{4})/.exec(str);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+}
+
+/**
+ * Find the index of a header column by any of its possible names,
+ * ignoring case and surrounding spaces.  Returns -1 when missing.
+ */
+function findColumn(header, names) {
+  return header.findIndex(cell => names.includes(cell.trim().toLowerCase()));
+}
+
+/**
+ * Check whether a row consists of empty cells only.
+ */
+function isBlankRow(row) {
+  return row.every(cell => !cell.trim());
+}
+
+/**
+ * Parse a Splitwise export.  After the Date, Description, Category, Cost
+ * and Currency columns there is one column per person holding how much
+ * that person lent (positive) or borrowed (negative) on each row, so the
+ * values of a row sum to zero.  Expenses are rebuilt with the single
+ * person who lent money as the payer; rows in the "Payment" category are
+ * settle‑ups and become transfers.  The final "Total balance" row is
+ * returned separately so that the import can be checked against it.
+ */
+function parseSplitwise(rows) {
+  const header = rows[0] || [];
+  const dateCol = findColumn(header, ['date']);
+  const descriptionCol = findColumn(header, ['description']);
+  const categoryCol = findColumn(header, ['category']);
+  const costCol = findColumn(header, ['cost']);
+  const currencyCol = findColumn(header, ['currency']);
+  if ([dateCol, descriptionCol, costCol, currencyCol].includes(-1)) {
+    return { error: 'Not a Splitwise export: expected Date, Description, Cost and Currency columns' };
+  }
+  const personCols = [];
+  for (let col = currencyCol + 1; col < header.length; col++) {
+    if (header[col].trim()) personCols.push(col);
+  }
+  if (!personCols.length) {
+    return { error: 'Not a Splitwise export: no person columns after Currency' };
+  }
+  const people = personCols.map(col => header[col].trim());
+  const entries = [];
+  const skipped = [];
+  let reportedBalances = null;
+  rows.slice(1).forEach((row, idx) => {
+    const line = idx + 2;
+    if (isBlankRow(row)) return;
+    const cell = col => (row[col] || '').trim();
+    const description = cell(descriptionCol);
+    const currency = cell(currencyCol);
+    const values = personCols.map(col => parseAmount(cell(col)));
+    if (description.toLowerCase() === 'total balance') {
+      reportedBalances = { currency, balances: people.map((name, i) => ({ name, amount: values[i] || 0 })) };
+      return;
+    }
+    const cost = parseAmount(cell(costCol));
+    if (isNaN(cost) || cost <= 0) {
+      skipped.push({ line, reason: 'Invalid cost' });
+      return;
+    }
+    const badIndex = values.findIndex(value => isNaN(value));
+    if (badIndex !== -1) {
+      skipped.push({ line, reason: `Invalid amount for ${people[badIndex]}` });
+      return;
+    }
+    if (Math.abs(values.reduce((sum, value) => sum + value, 0)) > 0.005 * values.length) {
+      skipped.push({ line, reason: 'Person amounts do not add up to zero' });
+      return;
+    }
+    const lenders = people.filter((name, i) => values[i] > 0.005);
+    const borrowers = people.filter((name, i) => values[i] < -0.005);
+    const date = parseDate(cell(dateCol));
+    if (cell(categoryCol).toLowerCase() === 'payment') {
+      if (lenders.length !== 1 || borrowers.length !== 1) {
+        skipped.push({ line, reason: 'Payment must be between exactly two people' });
+        return;
+      }
+      entries.push({ line, kind: 'transfer', date, description, currency, amount: cost, from: lenders[0], to: borrowers[0] });
+      return;
+    }
+    if (lenders.length === 0) {
+      skipped.push({ line, reason: 'Nobody lent money on this row, so the payer is unknown' });
+      return;
+    }
+    if (lenders.length > 1) {
+      skipped.push({ line, reason: 'Expenses with several payers are not supported' });
+      return;
+    }
+    const payer = lenders[0];
+    const shares = {};
+    people.forEach((name, i) => {
+      // The payer's own share is whatever part of the cost they did not lend
+      const share = name === payer ? cost - values[i] : -values[i];
+      if (share > 0.005) shares[name] = share;
+    });
+    if (cost - values[people.indexOf(payer)] < -0.005) {
+      skipped.push({ line, reason: 'Lent amount is larger than the cost' });
+      return;
+    }
+    entries.push({
+      line,
+      kind: 'expense',
+      date,
+      description,
+      category: mapCategory(cell(categoryCol)),
+      currency,
+      amount: cost,
+      payer,
+      shares
+    });
+  });
+  return { people, entries, skipped, reported_balances: reportedBalances, default_currency: null };
+}
+
+/**
+ * Parse a Tricount export.  Every row names the person in "Paid by" and
+ * has one "Paid for <name>" column per person with their part of the
+ * amount.  Rows whose transaction type is a money transfer become
+ * transfers to the single person they were paid for.  When the export
+ * carries an "Amount in default currency" column, rows in other
+ * currencies keep the rate Tricount converted them with.
+ */
+function parseTricount(rows) {
+  const header = rows[0] || [];
+  const titleCol = findColumn(header, ['title', 'description']);
+  const amountCol = findColumn(header, ['amount']);
+  const currencyCol = findColumn(header, ['currency']);
+  const defaultAmountCol = findColumn(header, ['amount in default currency']);
+  const dateCol = findColumn(header, ['date & time', 'date']);
+  const typeCol = findColumn(header, ['transaction type', 'type']);
+  const categoryCol = findColumn(header, ['category']);
+  const paidByCol = findColumn(header, ['paid by']);
+  const forCols = [];
+  header.forEach((cell, col) => {
+    const m = /^paid for (.+)$/i.exec(cell.trim());
+    if (m) forCols.push({ col, name: m[1].trim() });
+  });
+  if (amountCol === -1 || paidByCol === -1 || !forCols.length) {
+    return { error: 'Not a Tricount export: expected Amount, Paid by and Paid for columns' };
+  }
+  const people = forCols.map(item => item.name);
+  const entries = [];
+  const skipped = [];
+  // Count currencies of rows that were not converted to find the default
+  const unconverted = {};
+  rows.slice(1).forEach((row, idx) => {
+    const line = idx + 2;
+    if (isBlankRow(row)) return;
+    const cell = col => (col === -1 ? '' : (row[col] || '').trim());
+    // Tricount writes expenses as negative amounts in some versions
+    const amount = Math.abs(parseAmount(cell(amountCol)));
+    const currency = cell(currencyCol);
+    const type = cell(typeCol).toLowerCase();
+    const payer = cell(paidByCol);
+    if (isNaN(amount) || amount <= 0) {
+      skipped.push({ line, reason: 'Invalid amount' });
+      return;
+    }
+    if (!payer) {
+      skipped.push({ line, reason: 'Missing Paid by' });
+      return;
+    }
+    if (type.includes('income')) {
+      skipped.push({ line, reason: 'Income entries are not supported' });
+      return;
+    }
+    const values = forCols.map(item => Math.abs(parseAmount(cell(item.col))));
+    const badIndex = values.findIndex(value => isNaN(value));
+    if (badIndex !== -1) {
+      skipped.push({ line, reason: `Invalid amount for ${people[badIndex]}` });
+      return;
+    }
+    if (!people.includes(payer)) people.push(payer);
+    const entry = { line, date: parseDate(cell(dateCol)), description: cell(titleCol), currency, amount };
+    const defaultAmount = Math.abs(parseAmount(cell(defaultAmountCol)));
+    if (defaultAmount > 0 && currency) {
+      if (Math.abs(defaultAmount - amount) < 0.005) {
+        unconverted[currency] = (unconverted[currency] || 0) + 1;
+      } else {
+        entry.exchange_rate = defaultAmount / amount;
+      }
+    }
+    const beneficiaries = forCols.filter((item, i) => values[i] > 0.005);
+    if (type.includes('transfer')) {
+      if (beneficiaries.length !== 1) {
+        skipped.push({ line, reason: 'Money transfer must be paid for exactly one person' });
+        return;
+      }
+      entries.push(Object.assign(entry, { kind: 'transfer', from: payer, to: beneficiaries[0].name }));
+      return;
+    }
+    if (!beneficiaries.length) {
+      skipped.push({ line, reason: 'Nobody shares this expense' });
+      return;
+    }
+    const shares = {};
+    forCols.forEach((item, i) => {
+      if (values[i] > 0.005) shares[item.name] = (shares[item.name] || 0) + values[i];
+    });
+    entries.push(Object.assign(entry, {
+      kind: 'expense',
+      category: mapCategory(cell(categoryCol)),
+      payer,
+      shares
+    }));
+  });
+  const defaultCurrency = Object.keys(unconverted)
+    .sort((a, b) => unconverted[b] - unconverted[a])[0] || null;
+  return { people, entries, skipped, reported_balances: null, default_currency: defaultCurrency };
+}
+
+/**
+ * Guess the format of an export from its header row.
+ */
+function detectFormat(header) {
+  if (findColumn(header, ['paid by']) !== -1) return 'tricount';
+  if (findColumn(header, ['cost']) !== -1) return 'splitwise';
+  return null;
+}
+
+/**
+ * Parse the text of an export.  `format` is one of IMPORT_FORMATS or
+ * empty to detect it from the header.  Returns an object with either an
+ * `error` message or the parsed `people`, `entries` and `skipped` rows
+ * (with 1‑based line numbers), the balances the export itself reports if
+ * any, and the export's default currency when it can be told.
+ */
+function parseImport(text, format) {
+  const rows = parseCsv(String(text || ''));
+  if (rows.length < 2) {
+    return { error: 'The file has no rows to import' };
+  }
+  const resolvedFormat = format || detectFormat(rows[0]);
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    return { error: format ? 'Invalid format' : 'Could not recognise the file format' };
+  }
+  const result = resolvedFormat === 'splitwise' ? parseSplitwise(rows) : parseTricount(rows);
+  if (!result.error) result.format = resolvedFormat;
+  return result;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseImport
+};
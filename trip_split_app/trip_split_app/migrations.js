@@ -0,0 +1,133 @@
+// Schema migrations for the JSON data file.  The server runs them
+// automatically when it reads the file; they can also be applied by hand:
+//
+//   node migrations.js [path/to/data.json]
+//
+// The command keeps a copy of the original file next to it with a .bak
+// suffix.
+
+const fs = require('fs');
+const path = require('path');
+const { toMinorUnits, allocateMinorUnits } = require('./money');
+
+// Data files without a schema_version field are treated as version 1
+const CURRENT_SCHEMA_VERSION = 5;
+
+// Currency of entries created before multi‑currency support
+const LEGACY_CURRENCY = 'RUB';
+
+/**
+ * Version 2: store every amount as integer minor units instead of a
+ * floating point number of major units.  Expense shares are re‑allocated
+ * from the rounded total so that they keep summing to it exactly.
+ */
+function migrateToMinorUnits(data) {
+  data.trips.forEach(trip => {
+    const base = trip.base_currency || LEGACY_CURRENCY;
+    (trip.expenses || []).forEach(exp => {
+      const currency = exp.currency || base;
+      exp.amount = toMinorUnits(exp.amount, currency);
+      if (Array.isArray(exp.shares) && exp.shares.length) {
+        const parts = allocateMinorUnits(exp.amount, exp.shares.map(share => share.amount));
+        exp.shares.forEach((share, idx) => {
+          share.amount = parts[idx];
+        });
+      }
+    });
+    (trip.transfers || []).forEach(tr => {
+      tr.amount = toMinorUnits(tr.amount, tr.currency || base);
+    });
+  });
+}
+
+/**
+ * Version 3: record how each expense was split.  Shares that match an
+ * equal split over the same participants become an 'equal' definition;
+ * anything else is kept as an 'exact' split of the stored amounts.
+ */
+function addSplitDefinitions(data) {
+  data.trips.forEach(trip => {
+    const order = (trip.participants || []).map(p => p.id);
+    (trip.expenses || []).forEach(exp => {
+      if (exp.split) return;
+      const shares = (exp.shares || []).filter(share => share.amount > 0);
+      shares.sort((a, b) => order.indexOf(a.participant_id) - order.indexOf(b.participant_id));
+      const ids = shares.map(share => share.participant_id);
+      const equalParts = allocateMinorUnits(exp.amount, ids.map(() => 1));
+      if (ids.length && shares.every((share, idx) => share.amount === equalParts[idx])) {
+        exp.split = { mode: 'equal', participant_ids: ids };
+      } else {
+        const values = {};
+        shares.forEach(share => {
+          values[share.participant_id] = (values[share.participant_id] || 0) + share.amount;
+        });
+        exp.split = { mode: 'exact', values: values };
+      }
+    });
+  });
+}
+
+/**
+ * Version 4: give every trip a version number, which is increased on
+ * each change and lets clients detect concurrent edits.
+ */
+function addTripVersions(data) {
+  data.trips.forEach(trip => {
+    if (!trip.version) trip.version = 1;
+  });
+}
+
+/**
+ * Version 5: user accounts.  Adds the lists of users and login sessions
+ * and an empty member list to every trip.  Trips without members go to
+ * the account with the email OWNER_EMAIL when it registers or logs in.
+ */
+function addAccounts(data) {
+  if (!data.users) data.users = [];
+  if (!data.sessions) data.sessions = [];
+  data.trips.forEach(trip => {
+    if (!trip.members) trip.members = [];
+  });
+}
+
+// Migration functions keyed by the schema version they produce
+const MIGRATIONS = {
+  2: migrateToMinorUnits,
+  3: addSplitDefinitions,
+  4: addTripVersions,
+  5: addAccounts
+};
+
+/**
+ * Bring a data object up to the current schema version in place.
+ * Returns true when anything was changed and the data should be saved.
+ */
+function migrateData(data) {
+  let version = data.schema_version || 1;
+  if (version >= CURRENT_SCHEMA_VERSION) return false;
+  while (version < CURRENT_SCHEMA_VERSION) {
+    version++;
+    MIGRATIONS[version](data);
+  }
+  data.schema_version = version;
+  return true;
+}
+
+if (require.main === module) {
+  const file = path.resolve(process.argv[2] || path.join(__dirname, 'data.json'));
+  const raw = fs.readFileSync(file, 'utf8');
+  const data = JSON.parse(raw);
+  const from = data.schema_version || 1;
+  if (migrateData(data)) {
+    fs.writeFileSync(`${file}.bak`, raw);
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    console.log(`Migrated ${file} from schema version ${from} to ${data.schema_version}`);
+  } else {
+    console.log(`${file} is already at schema version ${from}`);
+  }
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  migrateData
+};
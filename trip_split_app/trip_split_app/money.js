@@ -0,0 +1,59 @@
+// Helpers for money arithmetic.  All amounts handled by the server are
+// integers in the minor unit of their currency (kopecks, cents), so sums
+// are exact and never accumulate floating point drift.
+
+/**
+ * Return the number of minor unit digits for a currency, e.g. 2 for RUB
+ * and USD or 0 for JPY.  Relies on the ICU data bundled with Node.
+ */
+function getMinorDigits(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Convert an amount in major units (as typed by a person) into integer
+ * minor units of the given currency.
+ */
+function toMinorUnits(value, currency) {
+  return Math.round(value * 10 ** getMinorDigits(currency));
+}
+
+/**
+ * Parse a value that must already be an integer amount of minor units.
+ * Returns NaN for anything else, including fractional numbers.
+ */
+function parseMinorUnits(value) {
+  const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Split a non‑negative integer amount into integer parts proportional to
+ * the given weights.  Every part first receives the whole minor units of
+ * its exact share.  The leftover units are then handed out one at a time
+ * to the parts with the largest fractional remainder; ties go to the part
+ * that comes first, so an equal split always gives the extra kopeck to
+ * the participants listed first.  The parts always sum to `total`.
+ */
+function allocateMinorUnits(total, weights) {
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  if (weightSum <= 0) return weights.map(() => 0);
+  const exact = weights.map(w => total * w / weightSum);
+  const parts = exact.map(value => Math.floor(value));
+  let leftover = total - parts.reduce((sum, part) => sum + part, 0);
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (let k = 0; leftover > 0; k++, leftover--) {
+    parts[order[k % order.length].index] += 1;
+  }
+  return parts;
+}
+
+module.exports = {
+  getMinorDigits,
+  toMinorUnits,
+  parseMinorUnits,
+  allocateMinorUnits
+};
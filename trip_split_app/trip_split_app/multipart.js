@@ -0,0 +1,93 @@
+// Minimal reader of multipart/form-data request bodies (RFC 7578), enough
+// for file uploads from a browser form or fetch() with FormData.  The
+// whole body is parsed from one buffer, so callers must cap its size
+// before reading it.
+
+/**
+ * Read the boundary from a Content-Type header, or null when the header
+ * is not multipart/form-data.
+ */
+function getBoundary(contentType) {
+  const match = /^multipart\/form-data\s*;.*\bboundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType || '');
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Parse the headers of one part into an object with lower-cased names.
+ */
+function parsePartHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * Read a parameter such as name="file" from a Content-Disposition header.
+ * filename*=UTF-8''... wins over a plain filename.
+ */
+function dispositionParam(disposition, param) {
+  const extended = new RegExp(`\\b${param}\\*=UTF-8''([^;]+)`, 'i').exec(disposition);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1]);
+    } catch (err) {
+      // Fall back to the plain parameter
+    }
+  }
+  const plain = new RegExp(`\\b${param}="((?:[^"\\\\]|\\\\.)*)"|\\b${param}=([^;\\s]+)`, 'i').exec(disposition);
+  if (!plain) return null;
+  return plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2];
+}
+
+/**
+ * Parse a multipart/form-data body.  Returns { fields, files }: text
+ * fields by name, and files as { field, filename, content_type, data }
+ * with the raw bytes in `data`.  Browsers send file names in UTF‑8.
+ * Throws when the body is not valid multipart/form-data.
+ */
+function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+  if (!boundary) throw new Error('Expected a multipart/form-data body');
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+  let start = body.indexOf(delimiter);
+  if (start === -1) throw new Error('Multipart body has no parts');
+  for (;;) {
+    const afterDelimiter = start + delimiter.length;
+    // The last delimiter is followed by two dashes
+    if (body.slice(afterDelimiter, afterDelimiter + 2).toString() === '--') break;
+    const headersStart = afterDelimiter + 2;
+    const headersEnd = body.indexOf('\r\n\r\n', headersStart);
+    if (headersEnd === -1) throw new Error('Malformed multipart part headers');
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headersEnd + 4);
+    if (next === -1) throw new Error('Multipart body ends before its closing boundary');
+    const headers = parsePartHeaders(body.slice(headersStart, headersEnd).toString('utf8'));
+    const data = body.slice(headersEnd + 4, next);
+    const disposition = headers['content-disposition'] || '';
+    const name = dispositionParam(disposition, 'name');
+    const filename = dispositionParam(disposition, 'filename');
+    if (name !== null) {
+      if (filename !== null) {
+        files.push({
+          field: name,
+          filename,
+          content_type: headers['content-type'] || 'application/octet-stream',
+          data
+        });
+      } else {
+        fields[name] = data.toString('utf8');
+      }
+    }
+    start = next + 2;
+  }
+  return { fields, files };
+}
+
+module.exports = {
+  getBoundary,
+  parseMultipart
+};
@@ -0,0 +1,198 @@
+// A small stand‑in for the REST interface of a Supabase project, enough
+// to try the sync (sync.js) without a real project.  Tables live in
+// memory, or in a JSON file when one is given, and are created on first
+// use.  Like the trigger in supabase-schema.sql, every row written gets a
+// fresh `updated_at`.  It understands select with eq, neq, in, is, gt,
+// gte, lt and lte filters and order, inserts and upserts through POST,
+// PATCH and DELETE, which is what sync.js and the Supabase pages use.
+//
+//   node postgrest-stub.js [port] [path/to/tables.json]
+//
+// and then start the server with SUPABASE_URL=http://localhost:<port>
+// and any SUPABASE_KEY, or the key given to the stub as STUB_KEY.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const OPERATORS = {
+  eq: (value, operand) => String(value) === operand,
+  neq: (value, operand) => String(value) !== operand,
+  gt: (value, operand) => compare(value, operand) > 0,
+  gte: (value, operand) => compare(value, operand) >= 0,
+  lt: (value, operand) => compare(value, operand) < 0,
+  lte: (value, operand) => compare(value, operand) <= 0,
+  in: (value, operand) => operand.replace(/^\(|\)$/g, '').split(',')
+    .map(item => item.replace(/^"|"$/g, ''))
+    .includes(String(value)),
+  is: (value, operand) => (operand === 'null' ? value === null || value === undefined : String(value) === operand)
+};
+
+// Query parameters that are not filters
+const RESERVED_PARAMS = ['select', 'order', 'on_conflict', 'limit', 'offset'];
+
+function compare(value, operand) {
+  if (value === null || value === undefined) return -1;
+  if (typeof value === 'number') return value - Number(operand);
+  return String(value).localeCompare(operand);
+}
+
+/**
+ * Create the request handler of a stand‑in keeping its tables in `file`,
+ * or only in memory when no file is given.  With `key` set, requests must
+ * send it as their apikey.
+ */
+function createPostgrestStub(file, key) {
+  let tables = {};
+  if (file && fs.existsSync(file)) {
+    tables = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  let lastStamp = 0;
+
+  // Every write gets a later timestamp than the one before, even within
+  // the same millisecond
+  function nextStamp() {
+    lastStamp = Math.max(Date.now(), lastStamp + 1);
+    return new Date(lastStamp).toISOString();
+  }
+
+  function persist() {
+    if (file) fs.writeFileSync(file, JSON.stringify(tables, null, 2));
+  }
+
+  function send(res, status, body) {
+    if (body === undefined) {
+      res.writeHead(status);
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function parseFilters(params) {
+    const filters = [];
+    for (const [column, value] of params) {
+      if (RESERVED_PARAMS.includes(column)) continue;
+      const dot = value.indexOf('.');
+      const operator = OPERATORS[value.slice(0, dot)];
+      if (dot === -1 || !operator) {
+        return { error: `Unsupported filter ${column}=${value}` };
+      }
+      const operand = value.slice(dot + 1);
+      filters.push(row => operator(row[column], operand));
+    }
+    return { filters };
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk.toString();
+      });
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : null);
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+    if (!match) {
+      send(res, 404, { message: 'Not found' });
+      return;
+    }
+    if (key && req.headers.apikey !== key) {
+      send(res, 401, { message: 'Invalid API key' });
+      return;
+    }
+    const name = match[1];
+    const rows = tables[name] || [];
+    const prefer = req.headers.prefer || '';
+    const representation = prefer.includes('return=representation');
+    const { filters, error } = parseFilters(url.searchParams);
+    if (error) {
+      send(res, 400, { message: error });
+      return;
+    }
+    const matches = row => filters.every(filter => filter(row));
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      send(res, 400, { message: 'Invalid JSON' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      let result = rows.filter(matches);
+      const order = url.searchParams.get('order');
+      if (order) {
+        const [column, direction] = order.split('.');
+        result = result.slice().sort((a, b) => compare(a[column], b[column] === undefined ? '' : String(b[column])));
+        if (direction === 'desc') result.reverse();
+      }
+      send(res, 200, result);
+      return;
+    }
+    if (req.method === 'POST') {
+      const incoming = Array.isArray(body) ? body : [body];
+      const upsert = prefer.includes('resolution=merge-duplicates');
+      for (const row of incoming) {
+        if (!row || row.id === undefined || row.id === null) {
+          send(res, 400, { message: 'null value in column "id" violates not-null constraint' });
+          return;
+        }
+        if (!upsert && rows.some(existing => String(existing.id) === String(row.id))) {
+          send(res, 409, { code: '23505', message: `duplicate key value violates unique constraint "${name}_pkey"` });
+          return;
+        }
+      }
+      const written = incoming.map(row => {
+        const existing = rows.find(item => String(item.id) === String(row.id));
+        if (existing) {
+          return Object.assign(existing, row, { updated_at: nextStamp() });
+        }
+        const created = Object.assign({}, row, { updated_at: nextStamp() });
+        rows.push(created);
+        return created;
+      });
+      tables[name] = rows;
+      persist();
+      send(res, 201, representation ? written : undefined);
+      return;
+    }
+    if (req.method === 'PATCH') {
+      const updated = rows.filter(matches).map(row => Object.assign(row, body, { updated_at: nextStamp() }));
+      persist();
+      send(res, representation ? 200 : 204, representation ? updated : undefined);
+      return;
+    }
+    if (req.method === 'DELETE') {
+      const removed = rows.filter(matches);
+      tables[name] = rows.filter(row => !matches(row));
+      persist();
+      send(res, representation ? 200 : 204, representation ? removed : undefined);
+      return;
+    }
+    send(res, 405, { message: 'Method not allowed' });
+  };
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 54321;
+  const file = process.argv[3] ? path.resolve(process.argv[3]) : null;
+  http.createServer(createPostgrestStub(file, process.env.STUB_KEY || null)).listen(port, () => {
+    console.log(`PostgREST stand-in listening on http://localhost:${port}${file ? `, tables in ${file}` : ''}`);
+  });
+}
+
+module.exports = {
+  createPostgrestStub
+};
@@ -7,53 +7,304 @@
   const state = {
     trips: [],
     currentTrip: null,
+    // Сводка расходов текущей поездки по категориям и участникам
+    currentStats: null,
     lastExpenseDate: null,
+    // Способ расчёта взаиморасчётов: минимум переводов или жадный
+    settlementStrategy: 'optimal',
+    // Кто рассчитывается: каждый участник или семья целиком
+    settleBy: 'individual',
+    // История изменений текущей поездки, новые записи первыми
+    currentActivity: [],
+    // Вошедший пользователь или null
+    user: null,
+    // Токен ссылки, по которой открыта поездка (?token=), или null
+    shareToken: null,
+    // Ссылки для доступа к текущей поездке (видны только владельцам)
+    currentShareLinks: [],
+    // Только что созданная ссылка: её адрес показывается один раз
+    newShareLink: null,
+    // Изменения текущей поездки, которые ждут связи (см. outbox.js)
+    pendingEntries: [],
   };
 
   const appEl = document.getElementById('app');
 
+  // Названия встроенных категорий расходов
+  const CATEGORY_LABELS = {
+    food: 'Еда',
+    lodging: 'Жильё',
+    transport: 'Транспорт',
+    activities: 'Развлечения',
+    shopping: 'Покупки',
+    other: 'Другое',
+  };
+
+  // Режимы дележа расхода, которые понимает сервер, с подписями и
+  // подсказками для формы
+  const SPLIT_MODES = {
+    equal: { label: 'Поровну', hint: 'Отметьте, между кем делить поровну:' },
+    percent: { label: 'В процентах', hint: 'Укажите процент для каждого участника (в сумме 100):' },
+    weights: { label: 'По весам', hint: 'Укажите вес каждого участника, например 2 для взрослого и 1 для ребёнка:' },
+    units: { label: 'По единицам', hint: 'Укажите количество ночей, порций и т. п. для каждого участника:' },
+    exact: { label: 'Точные суммы', hint: 'Укажите сумму для каждого участника:' },
+    items: { label: 'По чеку', hint: 'Добавьте позиции чека и отметьте, кто что заказывал. Налог, чаевые и сервисный сбор делятся пропорционально заказанному.' },
+  };
+
+  // Самый большой файл, который примет сервер (см. attachments.js)
+  const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+  // Как повторяется расход: по дням или по ночам (день выезда не считается)
+  const SERIES_FREQUENCIES = {
+    daily: 'Каждый день',
+    nightly: 'Каждую ночь',
+  };
+
+  // Роли участников доступа к поездке
+  const ROLE_LABELS = {
+    owner: 'Владелец',
+    editor: 'Редактор',
+    viewer: 'Только просмотр',
+  };
+
+  // Виды ссылок для доступа без аккаунта
+  const SHARE_LINK_LABELS = {
+    invite: 'Приглашение',
+    readonly: 'Только просмотр',
+  };
+
+  // Записи, которые можно добавить без связи: вид записи в очереди и
+  // список поездки, в котором она видна до отправки
+  const OFFLINE_KINDS = {
+    participant: 'participants',
+    expense: 'expenses',
+    transfer: 'transfers',
+  };
+
+  // Кэш ответов API в service worker (sw.js); при выходе он очищается
+  const API_CACHE = 'trip-split-api';
+
   /**
    * Утилита для отправки запросов на сервер.  Автоматически
-   * сериализует тело и добавляет заголовок Content‑Type: application/json.
+   * сериализует тело и добавляет заголовок Content‑Type: application/json;
+   * FormData (загрузка файлов) уходит как есть.
+   * Изменения открытой поездки отправляются с заголовком If-Match — версией
+   * поездки, которую видит пользователь.  Если кто‑то успел изменить
+   * поездку раньше, сервер отвечает 409 с её текущим состоянием: новые
+   * расходы, переводы и участников можно просто отправить ещё раз, а
+   * правки и удаления не повторяются — страница обновляется, и
+   * пользователь решает сам.  Если сессия закончилась (401), показывается
+   * форма входа.  Поездка, открытая по ссылке, запрашивается с её токеном.
+   * Если сервер недоступен, ошибка помечена полем offline.
    */
-  async function apiRequest(method, url, body) {
+  async function apiRequest(method, url, body, isRetry) {
     const opts = {
       method,
       headers: {
         'Content-Type': 'application/json'
       },
     };
-    if (body !== undefined) {
+    if (body instanceof FormData) {
+      // Границу частей в Content-Type выставит сам браузер
+      delete opts.headers['Content-Type'];
+      opts.body = body;
+    } else if (body !== undefined) {
       opts.body = JSON.stringify(body);
     }
-    const res = await fetch(url, opts);
+    if (state.shareToken && url.startsWith('/api/trips/')) {
+      opts.headers['X-Share-Token'] = state.shareToken;
+    }
+    const trip = state.currentTrip;
+    const isTripChange = method !== 'GET' && trip && url.startsWith(`/api/trips/${trip.id}/`);
+    if (isTripChange) {
+      opts.headers['If-Match'] = `"${trip.version}"`;
+    }
+    let res;
+    try {
+      res = await fetch(url, opts);
+    } catch (err) {
+      throw offlineError();
+    }
     if (!res.ok) {
       const errorBody = await res.json().catch(() => ({}));
-      throw new Error(errorBody.error || res.statusText);
+      if (res.status === 401 && !url.startsWith('/api/auth/')) {
+        state.user = null;
+        renderUserBar();
+        renderAuth();
+      }
+      if (isTripChange && res.status === 409 && errorBody.trip) {
+        state.currentTrip = errorBody.trip;
+        if (method === 'POST' && !isRetry) {
+          return apiRequest(method, url, body, true);
+        }
+        await loadTrip(trip.id);
+        const conflict = new Error('Пока вы вносили правки, поездку изменил кто‑то другой. Данные обновлены — проверьте их и повторите действие.');
+        conflict.status = res.status;
+        throw conflict;
+      }
+      const error = new Error(errorBody.error || res.statusText);
+      error.status = res.status;
+      throw error;
+    }
+    // Запоминаем новую версию, чтобы следующий запрос не считался устаревшим
+    const etag = res.headers.get('ETag');
+    if (isTripChange && etag && state.currentTrip && state.currentTrip.id === trip.id) {
+      state.currentTrip.version = Number(etag.replace(/"/g, ''));
     }
     return res.json();
   }
 
+  function offlineError() {
+    const error = new Error('Нет связи с сервером');
+    error.offline = true;
+    return error;
+  }
+
+  /**
+   * Добавляет участника, расход или перевод и обновляет поездку.  Если
+   * сервер недоступен, изменение ставится в очередь и уйдёт, когда связь
+   * вернётся; до тех пор запись видна с пометкой «ожидает отправки».
+   * Возвращает ответ сервера или null, если запись ушла в очередь.
+   */
+  async function addTripRecord(trip, kind, body) {
+    const url = `/api/trips/${trip.id}/${OFFLINE_KINDS[kind]}`;
+    try {
+      const saved = await apiRequest('POST', url, body);
+      await loadTrip(trip.id);
+      return saved;
+    } catch (err) {
+      if (!err.offline) throw err;
+    }
+    await window.outbox.add({
+      trip_id: trip.id,
+      kind,
+      url,
+      body,
+      temp_id: window.outbox.createTempId(kind),
+      share_token: state.shareToken,
+    });
+    await showPendingEntries(trip.id);
+    return null;
+  }
+
+  /**
+   * Перечитывает очередь открытой поездки и перерисовывает её без
+   * обращения к серверу.
+   */
+  async function showPendingEntries(tripId) {
+    state.pendingEntries = await window.outbox.list(tripId);
+    if (state.currentTrip && state.currentTrip.id === tripId) renderTrip();
+  }
+
+  /**
+   * Отправляет очередь изменений по порядку.  Ответ сервера даёт записи
+   * постоянный id, и он подставляется вместо временного в записи,
+   * которые ещё ждут.  Без связи, с истёкшей сессией или при сбое
+   * сервера отправка прерывается до следующей попытки; запись, которую
+   * сервер отклонил, остаётся в очереди с причиной и больше не
+   * отправляется сама — её можно только удалить.
+   */
+  let replayingOutbox = false;
+  async function replayOutbox() {
+    if (replayingOutbox) return;
+    replayingOutbox = true;
+    const touchedTrips = new Set();
+    try {
+      for (;;) {
+        const entry = (await window.outbox.list()).find(item => !item.error);
+        if (!entry) break;
+        let created;
+        try {
+          created = await sendQueuedEntry(entry);
+        } catch (err) {
+          if (err.offline || err.status === 401 || err.status >= 500) break;
+          entry.error = err.message;
+          await window.outbox.update(entry);
+          touchedTrips.add(entry.trip_id);
+          continue;
+        }
+        await window.outbox.remove(entry.id);
+        await window.outbox.replaceId(entry.temp_id, created.id);
+        touchedTrips.add(entry.trip_id);
+      }
+    } finally {
+      replayingOutbox = false;
+    }
+    const trip = state.currentTrip;
+    if (trip && touchedTrips.has(trip.id)) await loadTrip(trip.id);
+  }
+
+  // Запись очереди уходит без If-Match: новые записи не затирают чужих
+  // правок, а версия, которую видел пользователь, давно могла устареть
+  async function sendQueuedEntry(entry) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (entry.share_token) headers['X-Share-Token'] = entry.share_token;
+    let res;
+    try {
+      res = await fetch(entry.url, { method: 'POST', headers, body: JSON.stringify(entry.body) });
+    } catch (err) {
+      throw offlineError();
+    }
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const error = new Error(body.error || res.statusText);
+      error.status = res.status;
+      throw error;
+    }
+    return body;
+  }
+
   /**
    * Инициализация приложения.  В зависимости от текущего пути
-   * загружает список поездок или конкретную поездку.
+   * загружает список поездок или конкретную поездку.  Service worker
+   * делает приложение доступным без связи, а когда связь возвращается,
+   * уходит очередь изменений.
    */
   function init() {
     window.addEventListener('popstate', () => {
       loadPage();
     });
-    loadPage();
+    window.addEventListener('online', () => {
+      replayOutbox();
+    });
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/sw.js').catch(err => {
+        console.warn('Service worker не зарегистрирован:', err);
+      });
+    }
+    loadPage().then(() => replayOutbox());
   }
 
   /**
    * Загружает страницу в зависимости от URL.  Если путь выглядит как
-   * /trip/<id>, загружает конкретную поездку.  Иначе показывает список
-   * поездок.
+   * /trip/<id>, загружает конкретную поездку, /trip/<id>/expenses — её
+   * журнал расходов.  Иначе показывает список поездок.  Без входа вместо страницы показывается форма входа —
+   * кроме поездки, открытой по ссылке с токеном.
    */
-  function loadPage() {
+  async function loadPage() {
     const parts = window.location.pathname.split('/').filter(Boolean);
-    if (parts[0] === 'trip' && parts[1]) {
-      loadTrip(parts[1]);
+    const tripId = parts[0] === 'trip' && parts[1] ? parts[1] : null;
+    state.shareToken = new URLSearchParams(window.location.search).get('token');
+    state.newShareLink = null;
+    if (!state.user) {
+      try {
+        state.user = (await apiRequest('GET', '/api/auth/me')).user;
+      } catch (err) {
+        if (err.status !== 401) {
+          renderError(err.message);
+          return;
+        }
+        if (!tripId || !state.shareToken) {
+          renderAuth();
+          return;
+        }
+      }
+      renderUserBar();
+    }
+    if (tripId && parts[2] === 'expenses') {
+      loadLedger(tripId);
+    } else if (tripId) {
+      loadTrip(tripId);
     } else {
       loadTrips();
     }
@@ -68,6 +319,99 @@
     loadPage();
   }
 
+  /**
+   * Показывает формы входа и регистрации.  После входа загружается
+   * страница, которую пользователь открывал.
+   */
+  function renderAuth() {
+    const container = document.createElement('div');
+    container.className = 'cards-row';
+    container.innerHTML = `
+      <div class="card">
+        <h2>Вход</h2>
+        <form id="login-form">
+          <label>Email
+            <input type="email" name="email" required autocomplete="username">
+          </label>
+          <label>Пароль
+            <input type="password" name="password" required autocomplete="current-password">
+          </label>
+          <button type="submit" class="btn">Войти</button>
+        </form>
+      </div>
+      <div class="card">
+        <h2>Регистрация</h2>
+        <form id="register-form">
+          <label>Имя
+            <input type="text" name="name" maxlength="60" placeholder="Как вас показывать другим">
+          </label>
+          <label>Email
+            <input type="email" name="email" required autocomplete="username">
+          </label>
+          <label>Пароль
+            <input type="password" name="password" required minlength="8" autocomplete="new-password" placeholder="Не короче 8 символов">
+          </label>
+          <button type="submit" class="btn">Зарегистрироваться</button>
+        </form>
+      </div>
+    `;
+    appEl.innerHTML = '';
+    appEl.appendChild(container);
+    const submit = (formId, url) => {
+      const form = container.querySelector(formId);
+      form.addEventListener('submit', async ev => {
+        ev.preventDefault();
+        const fd = new FormData(form);
+        try {
+          const result = await apiRequest('POST', url, {
+            name: fd.get('name') || undefined,
+            email: fd.get('email').trim(),
+            password: fd.get('password')
+          });
+          state.user = result.user;
+          renderUserBar();
+          loadPage();
+        } catch (err) {
+          alert('Не удалось войти: ' + err.message);
+        }
+      });
+    };
+    submit('#login-form', '/api/auth/login');
+    submit('#register-form', '/api/auth/register');
+  }
+
+  /**
+   * Показывает в шапке имя вошедшего пользователя и кнопку выхода.
+   */
+  function renderUserBar() {
+    const bar = document.getElementById('user-bar');
+    if (!state.user) {
+      bar.innerHTML = '';
+      return;
+    }
+    bar.innerHTML = `
+      <span>${escapeHtml(state.user.name)}</span>
+      <button type="button" class="btn btn-secondary">Выйти</button>
+    `;
+    bar.querySelector('button').addEventListener('click', async () => {
+      // Очередь и сохранённые ответы принадлежат этому пользователю
+      const pending = await window.outbox.list();
+      if (pending.length && !confirm(`Не отправлено изменений: ${pending.length}. Выйти и удалить их?`)) return;
+      try {
+        await apiRequest('POST', '/api/auth/logout');
+      } catch (err) {
+        // Сессия уже могла закончиться — выходим в любом случае
+      }
+      await window.outbox.clear();
+      if (window.caches) await caches.delete(API_CACHE);
+      state.user = null;
+      state.currentTrip = null;
+      history.pushState({}, '', '/');
+      renderUserBar();
+      renderAuth();
+    });
+  }
+
   /**
    * Загрузка списка поездок с сервера и отображение их в виде карточек.
    */
@@ -77,7 +421,8 @@
       state.trips = data.trips;
       renderTripList();
     } catch (err) {
-      renderError(err.message);
+      // При 401 уже показана форма входа
+      if (err.status !== 401) renderError(err.message);
     }
   }
 
@@ -100,10 +445,14 @@
         <label>Локация
           <input type="text" name="location" placeholder="Страна или город">
         </label>
+        <label>Основная валюта
+          <input type="text" name="base_currency" value="RUB" maxlength="3" pattern="[A-Za-z]{3}" placeholder="RUB">
+        </label>
         <button type="submit" class="btn">Создать</button>
       </form>
     `;
     container.appendChild(createCard);
+    container.appendChild(renderImportCard());
     // Список существующих поездок
     if (state.trips.length > 0) {
       state.trips.forEach(trip => {
@@ -115,6 +464,7 @@
           <h2>${escapeHtml(trip.name)}</h2>
           <p><strong>Локация:</strong> ${trip.location ? escapeHtml(trip.location) : '—'}</p>
           <p><strong>Даты:</strong> ${start} – ${end}</p>
+          <p><strong>Ваша роль:</strong> ${escapeHtml(ROLE_LABELS[trip.role] || trip.role)}</p>
           <button class="btn" data-trip-id="${trip.id}">Открыть</button>
         `;
         container.appendChild(card);
@@ -134,10 +484,12 @@
       const formData = new FormData(form);
       const name = formData.get('name').trim();
       const location = formData.get('location').trim();
+      const baseCurrency = formData.get('base_currency').trim().toUpperCase();
       try {
         const result = await apiRequest('POST', '/api/trips', {
           name,
-          location: location || ''
+          location: location || '',
+          base_currency: baseCurrency || undefined
         });
         // После создания сразу переходим к поездке
         navigateTo(`/trip/${result.id}`);
@@ -155,14 +507,153 @@
     });
   }
 
+  /**
+   * Карточка импорта поездки из CSV‑выгрузки Splitwise или Tricount.
+   * Сначала сервер строит предпросмотр (dry run): как имена из файла
+   * сопоставлены участникам, какие строки пропущены и почему, и какие
+   * получатся балансы.  Имена можно поправить, объединив двух людей в
+   * одного участника, и только потом импортировать.
+   */
+  function renderImportCard() {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.innerHTML = `
+      <h2>Импорт из Splitwise или Tricount</h2>
+      <form id="import-form">
+        <label>Файл CSV
+          <input type="file" name="file" accept=".csv,text/csv" required>
+        </label>
+        <label>Формат
+          <select name="format">
+            <option value="">Определить автоматически</option>
+            <option value="splitwise">Splitwise</option>
+            <option value="tricount">Tricount</option>
+          </select>
+        </label>
+        <label>Название поездки
+          <input type="text" name="name" placeholder="По умолчанию «Imported trip»">
+        </label>
+        <label>Основная валюта
+          <input type="text" name="base_currency" maxlength="3" pattern="[A-Za-z]{3}" placeholder="Как в файле">
+        </label>
+        <button type="submit" class="btn">Предпросмотр</button>
+      </form>
+      <div id="import-preview"></div>
+    `;
+    const form = card.querySelector('#import-form');
+    const previewEl = card.querySelector('#import-preview');
+    // Сопоставление имён из файла участникам поездки
+    let nameMap = {};
+    async function sendImport(dryRun) {
+      const formData = new FormData(form);
+      const file = formData.get('file');
+      if (!file || !file.size) {
+        alert('Выберите файл');
+        return null;
+      }
+      return apiRequest('POST', '/api/trips/import', {
+        csv: await file.text(),
+        format: formData.get('format') || undefined,
+        name: formData.get('name').trim() || undefined,
+        base_currency: formData.get('base_currency').trim().toUpperCase() || undefined,
+        name_map: nameMap,
+        dry_run: dryRun
+      });
+    }
+    function renderPreview(preview) {
+      const currency = preview.base_currency;
+      const reported = {};
+      if (preview.reported_balances) {
+        preview.reported_balances.balances.forEach(item => {
+          reported[item.source] = item.amount;
+        });
+      }
+      previewEl.innerHTML = `
+        <h3>Предпросмотр</h3>
+        <p>Формат: ${escapeHtml(preview.format)}, основная валюта: ${escapeHtml(currency)}.
+          Расходов: ${preview.expense_count} на ${formatCurrency(preview.total_spent, currency)}, переводов: ${preview.transfer_count}.</p>
+        <h3>Участники</h3>
+        <p class="import-hint">Одинаковое имя у нескольких строк объединит их в одного участника.</p>
+        <table>
+          <thead><tr><th>В файле</th><th>Участник</th>${preview.reported_balances ? `<th>Баланс в файле</th>` : ''}</tr></thead>
+          <tbody>
+            ${preview.participants.map((item, idx) => `<tr>
+              <td>${escapeHtml(item.source)}</td>
+              <td><input type="text" data-source-index="${idx}" value="${escapeHtml(item.name)}"></td>
+              ${preview.reported_balances ? `<td>${formatCurrency(reported[item.source] || 0, preview.reported_balances.currency)}</td>` : ''}
+            </tr>`).join('')}
+          </tbody>
+        </table>
+        <h3>Балансы после импорта</h3>
+        <div class="balances">
+          ${preview.balances.map(item => {
+            const cls = item.amount > 0 ? 'balance-positive' : item.amount < 0 ? 'balance-negative' : 'balance-zero';
+            return `<div class="balance-item ${cls}">${escapeHtml(item.name)}: ${formatCurrency(item.amount, currency)}</div>`;
+          }).join('')}
+        </div>
+        ${preview.skipped.length ? `
+          <h3>Пропущенные строки (${preview.skipped.length})</h3>
+          <ul class="import-skipped">
+            ${preview.skipped.map(item => `<li>Строка ${item.line}: ${escapeHtml(item.reason)}</li>`).join('')}
+          </ul>
+        ` : '<p>Все строки будут импортированы.</p>'}
+        <div class="row-actions">
+          <button type="button" class="btn btn-secondary" id="import-refresh">Обновить предпросмотр</button>
+          <button type="button" class="btn" id="import-confirm">Импортировать</button>
+        </div>
+      `;
+      previewEl.querySelectorAll('input[data-source-index]').forEach(input => {
+        input.addEventListener('input', () => {
+          const source = preview.participants[Number(input.getAttribute('data-source-index'))].source;
+          nameMap[source] = input.value.trim();
+        });
+      });
+      previewEl.querySelector('#import-refresh').addEventListener('click', showPreview);
+      previewEl.querySelector('#import-confirm').addEventListener('click', async () => {
+        try {
+          const result = await sendImport(false);
+          if (result) navigateTo(`/trip/${result.trip_id}`);
+        } catch (err) {
+          alert('Ошибка при импорте: ' + err.message);
+        }
+      });
+    }
+    async function showPreview() {
+      try {
+        const result = await sendImport(true);
+        if (result) renderPreview(result.preview);
+      } catch (err) {
+        previewEl.innerHTML = '';
+        alert('Ошибка при разборе файла: ' + err.message);
+      }
+    }
+    form.addEventListener('submit', ev => {
+      ev.preventDefault();
+      // Новый файл — сопоставление имён начинается заново
+      nameMap = {};
+      showPreview();
+    });
+    return card;
+  }
+
   /**
    * Загрузка информации о конкретной поездке с сервера.  После
    * загрузки сохраняет в состоянии и вызывает рендер.
    */
   async function loadTrip(tripId) {
     try {
-      const trip = await apiRequest('GET', `/api/trips/${tripId}`);
+      const [trip, stats, activity] = await Promise.all([
+        apiRequest('GET', `/api/trips/${tripId}?settlement=${state.settlementStrategy}&settle_by=${state.settleBy}`),
+        apiRequest('GET', `/api/trips/${tripId}/stats`),
+        apiRequest('GET', `/api/trips/${tripId}/activity`)
+      ]);
       state.currentTrip = trip;
+      state.currentStats = stats;
+      state.currentActivity = activity.activity;
+      state.pendingEntries = await window.outbox.list(tripId);
+      state.currentShareLinks = trip.my_role === 'owner'
+        ? (await apiRequest('GET', `/api/trips/${tripId}/share-links`)).share_links
+        : [];
       // Определяем последнюю дату расхода для автоподстановки
       let lastDate = null;
       if (trip.expenses && trip.expenses.length > 0) {
@@ -181,26 +672,225 @@
       state.lastExpenseDate = lastDate || new Date().toISOString().substr(0, 10);
       renderTrip();
     } catch (err) {
-      renderError(err.message);
+      if (err.status !== 401) renderError(err.message);
+    }
+  }
+
+  // Поля фильтра журнала расходов; они же параметры адреса страницы и
+  // запроса GET /api/trips/:id/expenses
+  const LEDGER_FILTERS = ['q', 'payer_id', 'participant_id', 'category', 'from', 'to', 'min_amount', 'max_amount'];
+
+  // Столбцы журнала, по которым можно сортировать
+  const LEDGER_COLUMNS = [
+    { sort: 'date', label: 'Дата' },
+    { sort: 'payer', label: 'Плательщик' },
+    { sort: 'description', label: 'Описание' },
+    { sort: 'category', label: 'Категория' },
+    { sort: 'amount', label: 'Сумма' },
+    { sort: 'currency', label: 'Валюта' },
+  ];
+
+  /**
+   * Загружает журнал расходов поездки: поиск, фильтры, сортировка и
+   * страница берутся из адреса, так что на журнал с фильтром можно дать
+   * ссылку.  Поездка нужна для имён участников и списка категорий.
+   */
+  async function loadLedger(tripId) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('token');
+    // Очередь изменений и фоновые обновления перерисовывают страницу
+    // поездки; журнал обновляется только своими запросами
+    state.currentTrip = null;
+    try {
+      const [trip, result] = await Promise.all([
+        apiRequest('GET', `/api/trips/${tripId}`),
+        apiRequest('GET', `/api/trips/${tripId}/expenses?${params}`)
+      ]);
+      renderLedger(trip, params, result);
+    } catch (err) {
+      if (err.status !== 401) renderError(err.message);
     }
   }
 
+  /**
+   * Отрисовка журнала расходов: форма фильтра, итоги по всем подходящим
+   * расходам, таблица с сортировкой по щелчку на заголовок и страницы.
+   * Суммы фильтра вводятся в основной валюте поездки.
+   */
+  function renderLedger(trip, params, result) {
+    const currency = result.currency;
+    const tokenParam = state.shareToken ? { token: state.shareToken } : {};
+    // Переход с изменёнными параметрами; страница сбрасывается на первую,
+    // если не задана явно
+    const openWith = changes => {
+      const next = new URLSearchParams(params);
+      if (!('page' in changes)) next.delete('page');
+      Object.entries(Object.assign({}, changes, tokenParam)).forEach(([key, value]) => {
+        if (value === null || value === '') {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      const query = next.toString();
+      navigateTo(`/trip/${trip.id}/expenses${query ? `?${query}` : ''}`);
+    };
+    const amountValue = name => (params.get(name) ? fromMinorUnits(Number(params.get(name)), currency) : '');
+    const nameOf = id => {
+      const participant = trip.participants.find(p => p.id === id);
+      return participant ? participant.name : id;
+    };
+    const participantOptions = selected => trip.participants
+      .map(p => `<option value="${p.id}" ${p.id === selected ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+      .join('');
+    const container = document.createElement('div');
+    container.className = `trip-detail role-${trip.my_role}`;
+    const totals = result.totals;
+    container.innerHTML = `
+      <button type="button" class="btn btn-secondary" data-back>← К поездке</button>
+      <div class="card">
+        <h2>Расходы: ${escapeHtml(trip.name)}</h2>
+        <form id="ledger-filter" class="ledger-filter">
+          <label>Поиск
+            <input type="search" name="q" value="${escapeHtml(params.get('q') || '')}" placeholder="В описании">
+          </label>
+          <label>Плательщик
+            <select name="payer_id"><option value="">Все</option>${participantOptions(params.get('payer_id'))}</select>
+          </label>
+          <label>Участник
+            <select name="participant_id"><option value="">Все</option>${participantOptions(params.get('participant_id'))}</select>
+          </label>
+          <label>Категория
+            <select name="category">
+              <option value="">Все</option>
+              ${trip.categories.map(category => `<option value="${escapeHtml(category)}" ${category === params.get('category') ? 'selected' : ''}>${escapeHtml(categoryLabel(category))}</option>`).join('')}
+            </select>
+          </label>
+          <label>С
+            <input type="date" name="from" value="${escapeHtml(params.get('from') || '')}">
+          </label>
+          <label>По
+            <input type="date" name="to" value="${escapeHtml(params.get('to') || '')}">
+          </label>
+          <label>Сумма от, ${escapeHtml(currency)}
+            <input type="number" name="min_amount" step="0.01" min="0" value="${amountValue('min_amount')}">
+          </label>
+          <label>до
+            <input type="number" name="max_amount" step="0.01" min="0" value="${amountValue('max_amount')}">
+          </label>
+          <button type="submit" class="btn">Найти</button>
+          <button type="button" class="btn btn-secondary" data-reset-filter>Сбросить</button>
+        </form>
+        <p class="ledger-totals">
+          Найдено расходов: ${totals.count}, на ${formatCurrency(totals.amount, currency)}${totals.participant_share !== undefined
+            ? `; доля участника ${escapeHtml(nameOf(params.get('participant_id')))} — ${formatCurrency(totals.participant_share, currency)}` : ''}.
+        </p>
+        ${result.expenses.length ? `
+          <table class="ledger-table">
+            <thead>
+              <tr>
+                ${LEDGER_COLUMNS.map(column => {
+                  const active = result.sort === column.sort;
+                  const arrow = active ? (result.order === 'asc' ? ' ▲' : ' ▼') : '';
+                  return `<th class="sortable" data-sort="${column.sort}">${column.label}${arrow}</th>`;
+                }).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${result.expenses.map(exp => `
+                <tr>
+                  <td>${exp.date ? formatDate(exp.date) : '—'}</td>
+                  <td>${escapeHtml(nameOf(exp.payer_id))}</td>
+                  <td>${exp.series_id ? '<span class="series-mark" title="Повторяющийся расход">↻</span> ' : ''}${escapeHtml(exp.description)}${presenceWarning(exp, trip)}${renderAttachments(exp, trip, false)}</td>
+                  <td>${escapeHtml(categoryLabel(exp.category || 'other'))}</td>
+                  <td>${formatEntryAmount(exp, trip)}</td>
+                  <td>${escapeHtml(exp.currency || trip.base_currency)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p>Подходящих расходов нет.</p>'}
+        ${result.pages > 1 ? `
+          <div class="ledger-pages">
+            <button type="button" class="btn btn-secondary" data-page="${result.page - 1}" ${result.page <= 1 ? 'disabled' : ''}>←</button>
+            <span>Страница ${result.page} из ${result.pages}</span>
+            <button type="button" class="btn btn-secondary" data-page="${result.page + 1}" ${result.page >= result.pages ? 'disabled' : ''}>→</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+    appEl.innerHTML = '';
+    appEl.appendChild(container);
+    container.querySelector('[data-back]').addEventListener('click', () => {
+      const token = state.shareToken ? `?token=${encodeURIComponent(state.shareToken)}` : '';
+      navigateTo(`/trip/${trip.id}${token}`);
+    });
+    const form = container.querySelector('#ledger-filter');
+    form.addEventListener('submit', ev => {
+      ev.preventDefault();
+      const fd = new FormData(form);
+      const changes = {};
+      LEDGER_FILTERS.forEach(name => {
+        const value = (fd.get(name) || '').trim();
+        changes[name] = value && (name === 'min_amount' || name === 'max_amount')
+          ? toMinorUnits(parseFloat(value), currency)
+          : value;
+      });
+      openWith(changes);
+    });
+    // Выбор в списках применяется сразу
+    form.querySelectorAll('select, input[type="date"]').forEach(field => {
+      field.addEventListener('change', () => form.requestSubmit());
+    });
+    container.querySelector('[data-reset-filter]').addEventListener('click', () => {
+      const changes = {};
+      LEDGER_FILTERS.forEach(name => {
+        changes[name] = null;
+      });
+      openWith(changes);
+    });
+    // Повторный щелчок по тому же столбцу меняет направление
+    container.querySelectorAll('th[data-sort]').forEach(th => {
+      th.addEventListener('click', () => {
+        const sort = th.getAttribute('data-sort');
+        const order = result.sort === sort && result.order === 'asc' ? 'desc' : 'asc';
+        openWith({ sort, order });
+      });
+    });
+    container.querySelectorAll('[data-page]').forEach(btn => {
+      btn.addEventListener('click', () => openWith({ page: btn.getAttribute('data-page') }));
+    });
+  }
+
   /**
    * Отрисовка страницы конкретной поездки.  Создаёт секции: информация
-   * о поездке, участники, балансы и диаграмма, расходы, переводы и
-   * матрица задолженностей.
+   * о поездке, участники, доступ, балансы и диаграмма, расходы, переводы
+   * и матрица задолженностей.  Элементы с классом edit-only скрыты от
+   * тех, кто может только смотреть, owner-only — от всех, кроме
+   * владельцев.  По ссылке‑приглашению видны только элементы с классом
+   * invite-allowed: добавить себя в участники и внести расход.  Права
+   * всё равно проверяет сервер.  Записи из очереди изменений показаны
+   * вместе с остальными и помечены как ожидающие отправки.
    */
   function renderTrip() {
-    const trip = state.currentTrip;
-    if (!trip) return;
+    if (!state.currentTrip) return;
+    const trip = withPendingRecords(state.currentTrip, state.pendingEntries);
+    // Идентификаторы записей, которые сейчас редактируются в формах
+    let editingExpenseId = null;
+    let editingSeriesId = null;
+    let editingTransferId = null;
+    const canEdit = trip.my_role === 'owner' || trip.my_role === 'editor';
+    const isMember = Boolean(ROLE_LABELS[trip.my_role]);
+    // Выгрузки открываются обычными ссылками, поэтому токен идёт в адресе
+    const tokenQuery = state.shareToken ? `?token=${encodeURIComponent(state.shareToken)}` : '';
     const container = document.createElement('div');
-    container.className = 'trip-detail';
+    container.className = `trip-detail role-${trip.my_role}`;
     // Кнопка назад
     const backBtn = document.createElement('button');
     backBtn.className = 'btn btn-secondary';
     backBtn.textContent = '← Назад к списку';
     backBtn.addEventListener('click', () => navigateTo('/'));
-    container.appendChild(backBtn);
+    if (state.user) container.appendChild(backBtn);
     // Информация о поездке
     const infoCard = document.createElement('div');
     infoCard.className = 'card';
@@ -208,25 +898,76 @@
       <h2>${escapeHtml(trip.name)}</h2>
       <p><strong>Локация:</strong> ${trip.location ? escapeHtml(trip.location) : '—'}</p>
       <p><strong>Даты:</strong> ${trip.start_date ? formatDate(trip.start_date) : '—'} – ${trip.end_date ? formatDate(trip.end_date) : '—'}</p>
+      <p><strong>Основная валюта:</strong> ${escapeHtml(trip.base_currency)}</p>
+      <div class="export-links">
+        <a class="btn btn-secondary" href="/api/trips/${trip.id}/export.xlsx${tokenQuery}" download>Выгрузить в Excel</a>
+        <a class="btn btn-secondary" href="/api/trips/${trip.id}/export.csv${tokenQuery}" download>Выгрузить в CSV</a>
+      </div>
     `;
     container.appendChild(infoCard);
+    if (state.pendingEntries.length) {
+      container.appendChild(renderOutboxCard(trip, state.pendingEntries));
+    }
+    // Валюты и курсы обмена
+    const ratesCard = document.createElement('div');
+    ratesCard.className = 'card';
+    const rateEntries = Object.entries(trip.exchange_rates || {});
+    ratesCard.innerHTML = `
+      <h2>Валюты и курсы</h2>
+      <p>Курс — сколько ${escapeHtml(trip.base_currency)} стоит одна единица валюты.</p>
+      <form id="rates-form" class="edit-only">
+        <label>Основная валюта
+          <input type="text" name="base_currency" value="${escapeHtml(trip.base_currency)}" maxlength="3" pattern="[A-Za-z]{3}" required>
+        </label>
+        ${rateEntries.map(([code, rate]) => `
+          <label>${escapeHtml(code)}
+            <input type="number" name="rate_${escapeHtml(code)}" value="${rate}" step="any" min="0" placeholder="Удалить">
+          </label>
+        `).join('')}
+        <label>Новая валюта
+          <input type="text" name="new_currency" maxlength="3" pattern="[A-Za-z]{3}" placeholder="USD">
+        </label>
+        <label>Курс
+          <input type="number" name="new_rate" step="any" min="0" placeholder="0.00">
+        </label>
+        <button type="submit" class="btn">Сохранить курсы</button>
+      </form>
+    `;
+    container.appendChild(ratesCard);
     // Секция участников
     const participantsCard = document.createElement('div');
     participantsCard.className = 'card';
     const participantsHtml = trip.participants
-      .map(p => `<li>${escapeHtml(p.name)}</li>`)
+      .map(p => (p.pending ? `<li class="pending">${escapeHtml(p.name)} ${formatPresence(p)} ${pendingLabel(p)}</li>` : `<li>${escapeHtml(p.name)} ${formatPresence(p)}
+        <span class="row-actions edit-only">
+          <button type="button" class="btn-icon" data-rename-participant="${p.id}" title="Переименовать">✎</button>
+          <button type="button" class="btn-icon" data-participant-dates="${p.id}" title="Даты приезда и отъезда">📅</button>
+          <button type="button" class="btn-icon" data-delete-participant="${p.id}" title="Удалить">✕</button>
+        </span>
+      </li>`))
       .join('');
     participantsCard.innerHTML = `
       <h2>Участники</h2>
       <ul>${participantsHtml || '<li>Пока участников нет.</li>'}</ul>
-      <form id="add-participant-form">
+      <form id="add-participant-form" class="edit-only invite-allowed">
         <label>Имя
           <input type="text" name="name" required placeholder="Имя участника">
         </label>
+        <label>Приезд (необязательно)
+          <input type="date" name="arrival_date">
+        </label>
+        <label>Отъезд (необязательно)
+          <input type="date" name="departure_date">
+        </label>
         <button type="submit" class="btn">Добавить</button>
       </form>
     `;
     container.appendChild(participantsCard);
+    container.appendChild(renderHouseholdsCard(trip));
+    if (isMember) {
+      container.appendChild(renderMembersCard(trip));
+      container.appendChild(renderShareLinksCard(trip));
+    }
     // Балансы и диаграмма
     const balancesCard = document.createElement('div');
     balancesCard.className = 'card';
@@ -235,23 +976,42 @@
     const balancesDiv = document.createElement('div');
     balancesDiv.className = 'balances';
     const net = trip.net_balances || {};
-    const maxAbs = Math.max(...Object.values(net).map(v => Math.abs(v)), 0.01);
+    const maxAbs = Math.max(...Object.values(net).map(v => Math.abs(v)), 1);
     Object.entries(net).forEach(([pid, value]) => {
       const participant = trip.participants.find(p => p.id === pid);
       const div = document.createElement('div');
       div.className = 'balance-item ';
-      if (value > 0.01) {
+      if (value > 0) {
         div.classList.add('balance-positive');
-      } else if (value < -0.01) {
+      } else if (value < 0) {
         div.classList.add('balance-negative');
       } else {
         div.classList.add('balance-zero');
       }
-      const formatted = formatCurrency(value);
+      const formatted = formatCurrency(value, trip.base_currency);
       div.textContent = `${participant ? participant.name : pid}: ${formatted}`;
+      // По щелчку — выписка: из чего сложился баланс
+      div.classList.add('clickable');
+      div.title = 'Показать, из чего сложился баланс';
+      div.setAttribute('data-statement', pid);
       balancesDiv.appendChild(div);
     });
     balancesCard.appendChild(balancesDiv);
+    // Итоги по семьям: сумма балансов их участников
+    const householdBalances = trip.household_balances || {};
+    if ((trip.households || []).length) {
+      const householdsDiv = document.createElement('div');
+      householdsDiv.className = 'balances household-balances';
+      householdsDiv.innerHTML = '<h3>По семьям</h3>';
+      trip.households.forEach(household => {
+        const value = householdBalances[household.id] || 0;
+        const div = document.createElement('div');
+        div.className = `balance-item ${value > 0 ? 'balance-positive' : value < 0 ? 'balance-negative' : 'balance-zero'}`;
+        div.textContent = `${household.name}: ${formatCurrency(value, trip.base_currency)}`;
+        householdsDiv.appendChild(div);
+      });
+      balancesCard.appendChild(householdsDiv);
+    }
     // Диаграмма
     const chartDiv = document.createElement('div');
     chartDiv.className = 'bar-chart';
@@ -266,9 +1026,9 @@
       barInner.className = 'bar-inner';
       const height = Math.abs(value) / maxAbs * 100;
       barInner.style.height = `${height}%`;
-      if (value > 0.01) {
+      if (value > 0) {
         barInner.style.backgroundColor = 'var(--color-success)';
-      } else if (value < -0.01) {
+      } else if (value < 0) {
         barInner.style.backgroundColor = 'var(--color-danger)';
       } else {
         barInner.style.backgroundColor = 'var(--color-secondary)';
@@ -277,11 +1037,26 @@
       chartDiv.appendChild(barContainer);
     });
     balancesCard.appendChild(chartDiv);
-    container.appendChild(balancesCard);
+    // Разбивка расходов по категориям рядом с балансами
+    const statsCard = renderStatsCard(trip, state.currentStats);
+    const balancesRow = document.createElement('div');
+    balancesRow.className = 'cards-row';
+    balancesRow.appendChild(balancesCard);
+    balancesRow.appendChild(statsCard);
+    container.appendChild(balancesRow);
+    if (trip.budget_status || canEdit) {
+      container.appendChild(renderBudgetCard(trip));
+    }
     // Последние 5 расходов
     const expensesCard = document.createElement('div');
     expensesCard.className = 'card';
-    expensesCard.innerHTML = `<h2>Последние расходы</h2>`;
+    expensesCard.innerHTML = `
+      <h2>Последние расходы</h2>
+      <button type="button" class="btn btn-secondary" data-open-ledger>Все расходы →</button>
+    `;
+    expensesCard.querySelector('[data-open-ledger]').addEventListener('click', () => {
+      navigateTo(`/trip/${trip.id}/expenses${tokenQuery}`);
+    });
     const expenses = (trip.expenses || []).slice().sort((a,b) => (a.date > b.date ? -1 : 1));
     const lastFive = expenses.slice(0, 5);
     if (lastFive.length > 0) {
@@ -292,29 +1067,127 @@
             <th>Дата</th>
             <th>Плательщик</th>
             <th>Описание</th>
+            <th>Категория</th>
             <th>Сумма</th>
+            <th class="edit-only"></th>
           </tr>
         </thead>
         <tbody>
           ${lastFive.map(exp => {
             const payer = trip.participants.find(p => p.id === exp.payer_id);
-            return `<tr>
+            return `<tr class="${exp.pending ? 'pending' : ''}">
               <td>${exp.date ? formatDate(exp.date) : '—'}</td>
               <td>${payer ? escapeHtml(payer.name) : exp.payer_id}</td>
-              <td>${escapeHtml(exp.description)}</td>
-              <td>${formatCurrency(exp.amount)}</td>
+              <td>${exp.series_id ? '<span class="series-mark" title="Повторяющийся расход">↻</span> ' : ''}${escapeHtml(exp.description)}${presenceWarning(exp, trip)}${renderAttachments(exp, trip, true)}</td>
+              <td>${escapeHtml(categoryLabel(exp.category || 'other'))}</td>
+              <td>${formatEntryAmount(exp, trip)}</td>
+              <td class="row-actions edit-only">
+                ${exp.pending ? pendingLabel(exp) : `
+                  <button type="button" class="btn-icon" data-attach-expense="${exp.id}" title="Приложить чек (JPEG, PNG, WebP или PDF до 10 МБ)">📎</button>
+                  <button type="button" class="btn-icon" data-edit-expense="${exp.id}" title="Изменить">✎</button>
+                  <button type="button" class="btn-icon" data-delete-expense="${exp.id}" title="Удалить">✕</button>
+                `}
+              </td>
             </tr>`;
           }).join('')}
         </tbody>
       `;
       expensesCard.appendChild(table);
+      // Один скрытый выбор файла на все строки
+      const attachInput = document.createElement('input');
+      attachInput.type = 'file';
+      attachInput.accept = 'image/jpeg,image/png,image/webp,application/pdf';
+      attachInput.hidden = true;
+      expensesCard.appendChild(attachInput);
     } else {
       expensesCard.innerHTML += '<p>Расходов пока нет.</p>';
     }
     container.appendChild(expensesCard);
+    // Повторяющиеся расходы: сервер раскладывает их на расходы по дням
+    const series = trip.series || [];
+    if (series.length > 0) {
+      const seriesCard = document.createElement('div');
+      seriesCard.className = 'card';
+      seriesCard.innerHTML = `
+        <h2>Повторяющиеся расходы</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>Описание</th>
+              <th>Плательщик</th>
+              <th>Повтор</th>
+              <th>Период</th>
+              <th>За раз</th>
+              <th>Раз</th>
+              <th class="edit-only"></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${series.map(item => {
+              const payer = trip.participants.find(p => p.id === item.payer_id);
+              const count = trip.expenses.filter(exp => exp.series_id === item.id).length;
+              return `<tr>
+                <td>${escapeHtml(item.description)}</td>
+                <td>${payer ? escapeHtml(payer.name) : item.payer_id}</td>
+                <td>${SERIES_FREQUENCIES[item.frequency]}</td>
+                <td>${formatDate(item.start_date)} – ${formatDate(item.end_date)}</td>
+                <td>${formatCurrency(item.amount, item.currency || trip.base_currency)}</td>
+                <td>${count}</td>
+                <td class="row-actions edit-only">
+                  <button type="button" class="btn-icon" data-edit-series="${item.id}" title="Изменить">✎</button>
+                  <button type="button" class="btn-icon" data-delete-series="${item.id}" title="Удалить">✕</button>
+                </td>
+              </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      `;
+      container.appendChild(seriesCard);
+    }
+    // Список переводов
+    const transfersCard = document.createElement('div');
+    transfersCard.className = 'card';
+    transfersCard.innerHTML = `<h2>Переводы</h2>`;
+    const transfers = (trip.transfers || []).slice().sort((a, b) => (a.date > b.date ? -1 : 1));
+    if (transfers.length > 0) {
+      const table = document.createElement('table');
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th>Дата</th>
+            <th>От</th>
+            <th>Кому</th>
+            <th>Сумма</th>
+            <th class="edit-only"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${transfers.map(tr => {
+            const from = trip.participants.find(p => p.id === tr.from_id);
+            const to = trip.participants.find(p => p.id === tr.to_id);
+            return `<tr class="${tr.pending ? 'pending' : ''}">
+              <td>${tr.date ? formatDate(tr.date) : '—'}</td>
+              <td>${from ? escapeHtml(from.name) : tr.from_id}</td>
+              <td>${to ? escapeHtml(to.name) : tr.to_id}</td>
+              <td>${formatEntryAmount(tr, trip)}</td>
+              <td class="row-actions edit-only">
+                ${tr.pending ? pendingLabel(tr) : `
+                  <button type="button" class="btn-icon" data-edit-transfer="${tr.id}" title="Изменить">✎</button>
+                  <button type="button" class="btn-icon" data-delete-transfer="${tr.id}" title="Удалить">✕</button>
+                `}
+              </td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      `;
+      transfersCard.appendChild(table);
+    } else {
+      transfersCard.innerHTML += '<p>Переводов пока нет.</p>';
+    }
+    container.appendChild(transfersCard);
     // Форма добавления расхода
     const addExpenseCard = document.createElement('div');
-    addExpenseCard.className = 'card';
+    addExpenseCard.className = 'card edit-only invite-allowed';
     addExpenseCard.innerHTML = `
       <h2>Добавить расход</h2>
       <form id="add-expense-form">
@@ -326,33 +1199,70 @@
         <label>Сумма
           <input type="number" name="amount" required step="0.01" min="0" placeholder="0.00">
         </label>
+        <label>Валюта
+          <select name="currency">${currencyOptions(trip)}</select>
+        </label>
+        <label>Курс (необязательно)
+          <input type="number" name="exchange_rate" step="any" min="0" placeholder="По таблице">
+        </label>
         <label>Описание
           <input type="text" name="description" required placeholder="За что?">
         </label>
+        <label>Категория
+          <select name="category">
+            ${trip.categories.map(c => `<option value="${escapeHtml(c)}" ${c === 'other' ? 'selected' : ''}>${escapeHtml(categoryLabel(c))}</option>`).join('')}
+          </select>
+        </label>
+        <button type="button" class="btn btn-secondary edit-only" data-add-category title="Добавить свою категорию">+ Категория</button>
         <label>Дата
           <input type="date" name="date" value="${state.lastExpenseDate}">
         </label>
+        <label class="edit-only" data-repeat>Повторять
+          <select name="repeat">
+            <option value="">Нет</option>
+            ${Object.entries(SERIES_FREQUENCIES).map(([frequency, label]) => `<option value="${frequency}">${label}</option>`).join('')}
+          </select>
+        </label>
+        <label class="edit-only" data-repeat-until style="display:none;"><span>По</span>
+          <input type="date" name="repeat_until">
+        </label>
         <label>Тип дележа
-          <select name="split_type">
-            <option value="equal">Поровну</option>
-            <option value="custom">Свои доли</option>
+          <select name="split_mode">
+            ${Object.entries(SPLIT_MODES).map(([mode, info]) => `<option value="${mode}">${info.label}</option>`).join('')}
           </select>
         </label>
-        <div id="custom-shares" style="display:none;width:100%;">
-          <p>Укажите долю для каждого участника:</p>
+        <div id="split-values" class="split-values">
+          <p class="split-hint"></p>
           ${trip.participants.map(p => {
-            return `<label style="flex:1 1 120px;">${escapeHtml(p.name)}
-              <input type="number" name="share_${p.id}" step="0.01" min="0" placeholder="0.00">
+            return `<label class="split-participant">
+              <span><input type="checkbox" name="include_${p.id}" checked> ${escapeHtml(p.name)}</span>
+              <input type="number" name="value_${p.id}" step="any" min="0" placeholder="0">
             </label>`;
           }).join('')}
         </div>
+        <div id="receipt-editor" class="receipt-editor" style="display:none;">
+          <div class="receipt-items"></div>
+          <button type="button" class="btn btn-secondary" data-add-item>Добавить позицию</button>
+          <div class="receipt-extras">
+            <label>Налог
+              <input type="number" name="tax" step="0.01" min="0" placeholder="0.00">
+            </label>
+            <label>Чаевые
+              <input type="number" name="tip" step="0.01" min="0" placeholder="0.00">
+            </label>
+            <label>Сервисный сбор
+              <input type="number" name="service_charge" step="0.01" min="0" placeholder="0.00">
+            </label>
+          </div>
+        </div>
         <button type="submit" class="btn">Добавить расход</button>
+        <button type="button" class="btn btn-secondary" data-cancel-edit style="display:none;">Отмена</button>
       </form>
     `;
     container.appendChild(addExpenseCard);
     // Форма добавления перевода
     const addTransferCard = document.createElement('div');
-    addTransferCard.className = 'card';
+    addTransferCard.className = 'card edit-only';
     addTransferCard.innerHTML = `
       <h2>Добавить перевод</h2>
       <form id="add-transfer-form">
@@ -369,21 +1279,49 @@
         <label>Сумма
           <input type="number" name="amount" required step="0.01" min="0" placeholder="0.00">
         </label>
+        <label>Валюта
+          <select name="currency">${currencyOptions(trip)}</select>
+        </label>
         <label>Дата
           <input type="date" name="date" value="${state.lastExpenseDate}">
         </label>
         <button type="submit" class="btn">Добавить перевод</button>
+        <button type="button" class="btn btn-secondary" data-cancel-edit style="display:none;">Отмена</button>
       </form>
     `;
     container.appendChild(addTransferCard);
     // Матрица задолженностей
     const matrixCard = document.createElement('div');
     matrixCard.className = 'card';
-    matrixCard.innerHTML = '<h2>Матрица задолженностей</h2>';
+    const settlement = trip.settlement || { strategy: 'greedy', transfer_counts: {} };
+    const households = trip.households || [];
+    const counts = settlement.transfer_counts;
+    matrixCard.innerHTML = `
+      <h2>Матрица задолженностей</h2>
+      <form id="settlement-form">
+        <label>Способ расчёта
+          <select name="settlement">
+            <option value="optimal" ${settlement.requested === 'optimal' ? 'selected' : ''}>Минимум переводов</option>
+            <option value="greedy" ${settlement.requested === 'greedy' ? 'selected' : ''}>Жадный</option>
+          </select>
+        </label>
+        <label ${households.length ? '' : 'style="display:none;"'}>Рассчитываются
+          <select name="settle_by">
+            <option value="individual" ${settlement.unit !== 'household' ? 'selected' : ''}>Участники по отдельности</option>
+            <option value="household" ${settlement.unit === 'household' ? 'selected' : ''}>Семьи вместе</option>
+          </select>
+        </label>
+      </form>
+      <p class="settlement-info">
+        Переводов: минимум — ${counts.optimal === null ? 'слишком большая группа' : counts.optimal},
+        жадный — ${counts.greedy}.
+        ${settlement.requested !== settlement.strategy ? 'Для такой группы используется жадный расчёт.' : ''}
+      </p>
+    `;
     const matrixDiv = document.createElement('div');
     matrixDiv.className = 'matrix-table';
     const matrix = trip.debt_matrix || {};
-    const participants = trip.participants;
+    const participants = settlementParties(trip);
     let matrixTable = '<table><thead><tr><th>\u2192/\u2193</th>';
     participants.forEach(col => {
       matrixTable += `<th>${escapeHtml(col.name)}</th>`;
@@ -396,7 +1334,7 @@
           matrixTable += '<td>—</td>';
         } else {
           const amount = (matrix[row.id] && matrix[row.id][col.id]) || 0;
-          const formatted = amount > 0 ? formatCurrency(amount) : '';
+          const formatted = amount > 0 ? formatCurrency(amount, trip.base_currency) : '';
           const clickable = amount > 0 ? 'clickable' : '';
           matrixTable += `<td class="${clickable}" data-from="${row.id}" data-to="${col.id}" data-amount="${amount}">${formatted}</td>`;
         }
@@ -407,15 +1345,20 @@
     matrixDiv.innerHTML = matrixTable;
     matrixCard.appendChild(matrixDiv);
     container.appendChild(matrixCard);
+    container.appendChild(renderActivityCard(trip, state.currentActivity));
     // Модальное окно для перевода (скрыто по умолчанию)
     const modal = document.createElement('div');
     modal.className = 'modal';
     modal.innerHTML = `
-      <div class="modal-content">
-        <h3>Добавить перевод</h3>
-        <form id="modal-transfer-form">
-          <input type="hidden" name="from_id">
-          <input type="hidden" name="to_id">
+      <div class="modal-content modal-wide">
+        <h3 class="edit-only">Добавить перевод</h3>
+        <form id="modal-transfer-form" class="edit-only">
+          <label>От
+            <select name="from_id" required></select>
+          </label>
+          <label>Кому
+            <select name="to_id" required></select>
+          </label>
           <label>Сумма
             <input type="number" name="amount" required step="0.01" min="0" placeholder="0.00">
           </label>
@@ -423,11 +1366,65 @@
             <input type="date" name="date" value="${state.lastExpenseDate}">
           </label>
           <button type="submit" class="btn">Добавить перевод</button>
-          <button type="button" class="btn btn-secondary" id="modal-cancel">Отмена</button>
         </form>
+        <details class="debt-explanation">
+          <summary>Откуда эта сумма</summary>
+          <div data-explanation></div>
+        </details>
+        <button type="button" class="btn btn-secondary" id="modal-cancel">Закрыть</button>
       </div>
     `;
     container.appendChild(modal);
+    // Модальное окно для передачи расходов удаляемого участника
+    const reassignModal = document.createElement('div');
+    reassignModal.className = 'modal';
+    reassignModal.innerHTML = `
+      <div class="modal-content">
+        <h3>Удаление участника</h3>
+        <p>Участник указан в расходах или переводах. Кому их передать?</p>
+        <form id="reassign-form">
+          <input type="hidden" name="participant_id">
+          <label>Передать
+            <select name="reassign_to" required></select>
+          </label>
+          <button type="submit" class="btn btn-danger">Удалить</button>
+          <button type="button" class="btn btn-secondary" data-cancel-reassign>Отмена</button>
+        </form>
+      </div>
+    `;
+    container.appendChild(reassignModal);
+    // Модальное окно для дат приезда и отъезда участника
+    const presenceModal = document.createElement('div');
+    presenceModal.className = 'modal';
+    presenceModal.innerHTML = `
+      <div class="modal-content">
+        <h3>Даты участника</h3>
+        <p>Расходы, поделённые поровну, достанутся только тем, кто в эти дни был в поездке. Пустое поле — без ограничения.</p>
+        <form id="presence-form">
+          <input type="hidden" name="participant_id">
+          <label>Приезд
+            <input type="date" name="arrival_date">
+          </label>
+          <label>Отъезд
+            <input type="date" name="departure_date">
+          </label>
+          <button type="submit" class="btn">Сохранить</button>
+          <button type="button" class="btn btn-secondary" data-cancel-presence>Отмена</button>
+        </form>
+      </div>
+    `;
+    container.appendChild(presenceModal);
+    // Модальное окно с выпиской участника
+    const statementModal = document.createElement('div');
+    statementModal.className = 'modal';
+    statementModal.innerHTML = `
+      <div class="modal-content modal-wide">
+        <h3></h3>
+        <div data-statement-body></div>
+        <button type="button" class="btn btn-secondary" data-close-statement>Закрыть</button>
+      </div>
+    `;
+    container.appendChild(statementModal);
     // Вставляем контейнер
     appEl.innerHTML = '';
     appEl.appendChild(container);
@@ -440,57 +1437,227 @@
       const name = fd.get('name').trim();
       if (!name) return;
       try {
-        await apiRequest('POST', `/api/trips/${trip.id}/participants`, { name });
-        await loadTrip(trip.id);
+        await addTripRecord(trip, 'participant', {
+          name,
+          arrival_date: fd.get('arrival_date') || undefined,
+          departure_date: fd.get('departure_date') || undefined,
+        });
       } catch (err) {
         alert('Ошибка при добавлении участника: ' + err.message);
       }
     });
-    // Настройка смены типа дележа
-    const splitSelect = container.querySelector('select[name="split_type"]');
-    const customSharesDiv = container.querySelector('#custom-shares');
-    splitSelect.addEventListener('change', () => {
-      if (splitSelect.value === 'custom') {
-        customSharesDiv.style.display = '';
-      } else {
-        customSharesDiv.style.display = 'none';
+    // Сохранение основной валюты и таблицы курсов
+    const ratesForm = container.querySelector('#rates-form');
+    ratesForm.addEventListener('submit', async ev => {
+      ev.preventDefault();
+      const fd = new FormData(ratesForm);
+      const rates = {};
+      rateEntries.forEach(([code]) => {
+        const value = parseFloat(fd.get(`rate_${code}`));
+        // Пустое поле означает удаление валюты из таблицы
+        if (!isNaN(value) && value > 0) rates[code] = value;
+      });
+      const newCurrency = fd.get('new_currency').trim().toUpperCase();
+      const newRate = parseFloat(fd.get('new_rate'));
+      if (newCurrency && !isNaN(newRate) && newRate > 0) {
+        rates[newCurrency] = newRate;
+      }
+      try {
+        await apiRequest('PUT', `/api/trips/${trip.id}/rates`, {
+          base_currency: fd.get('base_currency').trim().toUpperCase(),
+          rates
+        });
+        await loadTrip(trip.id);
+      } catch (err) {
+        alert('Ошибка при сохранении курсов: ' + err.message);
       }
     });
-    // Добавление расхода
-    const addExpenseForm = container.querySelector('#add-expense-form');
-    addExpenseForm.addEventListener('submit', async ev => {
-      ev.preventDefault();
-      const fd = new FormData(addExpenseForm);
-      const payer_id = fd.get('payer_id');
-      const amount = parseFloat(fd.get('amount'));
-      const description = fd.get('description').trim();
-      const date = fd.get('date') || null;
-      const splitType = fd.get('split_type');
+    // Настройка смены типа дележа: при делении поровну выбираются
+    // участники, в остальных режимах для каждого вводится значение
+    const splitSelect = container.querySelector('select[name="split_mode"]');
+    const splitValuesDiv = container.querySelector('#split-values');
+    const receiptEditor = container.querySelector('#receipt-editor');
+    const receiptItemsEl = receiptEditor.querySelector('.receipt-items');
+    function updateSplitInputs() {
+      const isEqual = splitSelect.value === 'equal';
+      const isReceipt = splitSelect.value === 'items';
+      const amountInput = splitSelect.form.elements['amount'];
+      splitValuesDiv.querySelector('.split-hint').textContent = SPLIT_MODES[splitSelect.value].hint;
+      // Для чека сумма считается автоматически из позиций
+      receiptEditor.style.display = isReceipt ? '' : 'none';
+      amountInput.readOnly = isReceipt;
+      amountInput.required = !isReceipt;
+      splitValuesDiv.querySelectorAll('.split-participant').forEach(el => {
+        el.style.display = isReceipt ? 'none' : '';
+      });
+      if (isReceipt && !receiptItemsEl.children.length) {
+        addReceiptItem();
+      }
+      updateReceiptTotal();
+      splitValuesDiv.querySelectorAll('input[type="checkbox"]').forEach(el => {
+        el.style.display = isEqual ? '' : 'none';
+      });
+      splitValuesDiv.querySelectorAll('input[type="number"]').forEach(el => {
+        el.style.display = isEqual ? 'none' : '';
+      });
+    }
+    // Редактор чека: одна строка на позицию с отметками участников
+    function addReceiptItem(item) {
+      const currency = splitSelect.form.elements['currency'].value;
+      const row = document.createElement('div');
+      row.className = 'receipt-item';
+      row.innerHTML = `
+        <input type="text" data-field="description" placeholder="Позиция" value="${item ? escapeHtml(item.description) : ''}">
+        <input type="number" data-field="amount" step="0.01" min="0" placeholder="0.00" value="${item ? fromMinorUnits(item.amount, currency) : ''}">
+        <span class="receipt-participants">
+          ${trip.participants.map(p => `<label>
+            <input type="checkbox" value="${p.id}" ${!item || item.participant_ids.includes(p.id) ? 'checked' : ''}> ${escapeHtml(p.name)}
+          </label>`).join('')}
+        </span>
+        <button type="button" class="btn-icon" data-remove-item title="Удалить позицию">✕</button>
+      `;
+      row.querySelector('[data-remove-item]').addEventListener('click', () => {
+        row.remove();
+        updateReceiptTotal();
+      });
+      receiptItemsEl.appendChild(row);
+    }
+    // Собирает чек из редактора в формате сервера
+    function readReceipt(currency) {
+      const els = splitSelect.form.elements;
+      const toMinor = value => toMinorUnits(parseFloat(value) || 0, currency);
+      const items = Array.from(receiptItemsEl.querySelectorAll('.receipt-item'))
+        .map(row => ({
+          description: row.querySelector('[data-field="description"]').value.trim(),
+          amount: toMinor(row.querySelector('[data-field="amount"]').value),
+          participant_ids: Array.from(row.querySelectorAll('input[type="checkbox"]:checked')).map(el => el.value)
+        }))
+        .filter(item => item.amount > 0);
+      return {
+        mode: 'items',
+        items,
+        tax: toMinor(els['tax'].value),
+        tip: toMinor(els['tip'].value),
+        service_charge: toMinor(els['service_charge'].value)
+      };
+    }
+    function updateReceiptTotal() {
+      if (splitSelect.value !== 'items') return;
+      const currency = splitSelect.form.elements['currency'].value;
+      const receipt = readReceipt(currency);
+      const total = receipt.items.reduce((sum, item) => sum + item.amount, 0) +
+        receipt.tax + receipt.tip + receipt.service_charge;
+      splitSelect.form.elements['amount'].value = fromMinorUnits(total, currency);
+    }
+    receiptEditor.querySelector('[data-add-item]').addEventListener('click', () => addReceiptItem());
+    receiptEditor.addEventListener('input', updateReceiptTotal);
+    splitSelect.addEventListener('change', updateSplitInputs);
+    updateSplitInputs();
+    // Новый расход по умолчанию делится между теми, кто в этот день в поездке
+    const expenseDateInput = splitSelect.form.elements['date'];
+    function checkPresentParticipants() {
+      if (editingExpenseId || editingSeriesId) return;
+      trip.participants.forEach(p => {
+        const checkbox = splitSelect.form.elements[`include_${p.id}`];
+        if (checkbox) checkbox.checked = isPresentOn(p, expenseDateInput.value);
+      });
+    }
+    expenseDateInput.addEventListener('change', checkPresentParticipants);
+    checkPresentParticipants();
+    // Поле «По» нужно только повторяющемуся расходу; для ночей это день выезда
+    const repeatSelect = splitSelect.form.elements['repeat'];
+    const repeatUntilLabel = splitSelect.form.querySelector('[data-repeat-until]');
+    function updateRepeatInputs() {
+      repeatUntilLabel.style.display = repeatSelect.value ? '' : 'none';
+      repeatUntilLabel.querySelector('span').textContent = repeatSelect.value === 'nightly' ? 'Выезд' : 'По';
+    }
+    repeatSelect.addEventListener('change', updateRepeatInputs);
+    // Собирает описание дележа из формы в формате сервера
+    function readSplit(fd, currency) {
+      const mode = fd.get('split_mode');
+      if (mode === 'items') {
+        return readReceipt(currency);
+      }
+      if (mode === 'equal') {
+        const ids = trip.participants.filter(p => fd.get(`include_${p.id}`)).map(p => p.id);
+        // Если отмечены ровно те, кто в этот день в поездке, список не
+        // передаём: тогда при смене даты сервер заново учтёт, кто на месте
+        const present = trip.participants.filter(p => isPresentOn(p, fd.get('date'))).map(p => p.id);
+        const everyonePresent = ids.length === present.length && ids.every(id => present.includes(id));
+        return everyonePresent ? { mode } : { mode, participant_ids: ids };
+      }
+      const values = {};
+      trip.participants.forEach(p => {
+        const value = parseFloat(fd.get(`value_${p.id}`));
+        if (isNaN(value) || value <= 0) return;
+        values[p.id] = mode === 'exact' ? toMinorUnits(value, currency) : value;
+      });
+      return { mode, values };
+    }
+    // Добавление расхода
+    const addExpenseForm = container.querySelector('#add-expense-form');
+    addExpenseForm.addEventListener('submit', async ev => {
+      ev.preventDefault();
+      const fd = new FormData(addExpenseForm);
+      const payer_id = fd.get('payer_id');
+      const currency = fd.get('currency');
+      // Для чека сервер сам считает сумму по позициям
+      const amount = toMinorUnits(parseFloat(fd.get('amount')) || 0, currency);
+      const description = fd.get('description').trim();
+      const date = fd.get('date') || null;
+      const exchangeRate = parseFloat(fd.get('exchange_rate'));
       const body = {
         payer_id,
         amount,
+        currency,
+        exchange_rate: isNaN(exchangeRate) ? undefined : exchangeRate,
         description,
+        category: fd.get('category'),
         date: date || undefined,
+        split: readSplit(fd, currency),
       };
-      if (splitType === 'custom') {
-        const shares = [];
-        let total = 0;
-        trip.participants.forEach(p => {
-          const shareField = fd.get(`share_${p.id}`);
-          const shareVal = shareField ? parseFloat(shareField) : 0;
-          if (isNaN(shareVal)) return;
-          if (shareVal > 0) {
-            shares.push({ participant_id: p.id, amount: shareVal });
-            total += shareVal;
-          }
-        });
-        body.shares = shares;
+      const frequency = fd.get('repeat');
+      if (frequency || editingSeriesId) {
+        // Дата расхода — первый день (или ночь заезда) повторяющегося
+        if (!date || !fd.get('repeat_until')) {
+          alert('Укажите первый и последний день повтора');
+          return;
+        }
+        Object.assign(body, { frequency, start_date: date, end_date: fd.get('repeat_until'), date: undefined });
+      }
+      try {
+        let saved;
+        if (editingSeriesId) {
+          saved = await apiRequest('PATCH', `/api/trips/${trip.id}/series/${editingSeriesId}`, body);
+          await loadTrip(trip.id);
+        } else if (editingExpenseId) {
+          const editing = trip.expenses.find(exp => exp.id === editingExpenseId);
+          if (editing.series_id && !confirm('Расход входит в повторяющийся. После изменения он перестанет меняться вместе с остальными днями. Продолжить?')) return;
+          saved = await apiRequest('PATCH', `/api/trips/${trip.id}/expenses/${editingExpenseId}`, body);
+          await loadTrip(trip.id);
+        } else if (frequency) {
+          // Без связи повторяющийся расход не добавить: дни раскладывает сервер
+          saved = await apiRequest('POST', `/api/trips/${trip.id}/series`, body);
+          await loadTrip(trip.id);
+        } else {
+          saved = await addTripRecord(trip, 'expense', body);
+        }
+        if (saved && saved.budget_warnings) {
+          alert(describeBudgetWarnings(saved.budget_warnings, trip));
+        }
+      } catch (err) {
+        alert('Ошибка при сохранении расхода: ' + err.message);
       }
+    });
+    // Добавление своей категории расходов
+    addExpenseForm.querySelector('[data-add-category]').addEventListener('click', async () => {
+      const name = prompt('Название новой категории');
+      if (!name || !name.trim()) return;
       try {
-        await apiRequest('POST', `/api/trips/${trip.id}/expenses`, body);
+        await apiRequest('POST', `/api/trips/${trip.id}/categories`, { name: name.trim() });
         await loadTrip(trip.id);
       } catch (err) {
-        alert('Ошибка при добавлении расхода: ' + err.message);
+        alert('Ошибка при добавлении категории: ' + err.message);
       }
     });
     // Добавление перевода
@@ -500,26 +1667,308 @@
       const fd = new FormData(addTransferForm);
       const from_id = fd.get('from_id');
       const to_id = fd.get('to_id');
-      const amount = parseFloat(fd.get('amount'));
+      const currency = fd.get('currency');
+      const amount = toMinorUnits(parseFloat(fd.get('amount')), currency);
       const date = fd.get('date') || null;
       if (from_id === to_id) {
         alert('Нельзя переводить средства самому себе');
         return;
       }
+      const body = { from_id, to_id, amount, currency, date: date || undefined };
+      try {
+        if (editingTransferId) {
+          await apiRequest('PATCH', `/api/trips/${trip.id}/transfers/${editingTransferId}`, body);
+          await loadTrip(trip.id);
+        } else {
+          await addTripRecord(trip, 'transfer', body);
+        }
+      } catch (err) {
+        alert('Ошибка при сохранении перевода: ' + err.message);
+      }
+    });
+    // Редактирование и удаление участников
+    container.querySelectorAll('[data-rename-participant]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const participant = trip.participants.find(p => p.id === btn.getAttribute('data-rename-participant'));
+        const name = prompt('Новое имя участника', participant.name);
+        if (!name || !name.trim() || name.trim() === participant.name) return;
+        try {
+          await apiRequest('PATCH', `/api/trips/${trip.id}/participants/${participant.id}`, { name: name.trim() });
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Ошибка при переименовании участника: ' + err.message);
+        }
+      });
+    });
+    container.querySelectorAll('[data-delete-participant]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const participant = trip.participants.find(p => p.id === btn.getAttribute('data-delete-participant'));
+        if (!confirm(`Удалить участника «${participant.name}»?`)) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/participants/${participant.id}`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          if (err.status === 409) {
+            openReassignModal(participant);
+          } else {
+            alert('Ошибка при удалении участника: ' + err.message);
+          }
+        }
+      });
+    });
+    const reassignForm = reassignModal.querySelector('#reassign-form');
+    reassignModal.querySelector('[data-cancel-reassign]').addEventListener('click', () => {
+      reassignModal.classList.remove('active');
+    });
+    reassignForm.addEventListener('submit', async ev => {
+      ev.preventDefault();
+      const fd = new FormData(reassignForm);
+      const participantId = fd.get('participant_id');
+      const reassignTo = encodeURIComponent(fd.get('reassign_to'));
+      try {
+        await apiRequest('DELETE', `/api/trips/${trip.id}/participants/${participantId}?reassign_to=${reassignTo}`);
+        reassignModal.classList.remove('active');
+        await loadTrip(trip.id);
+      } catch (err) {
+        alert('Ошибка при удалении участника: ' + err.message);
+      }
+    });
+    // Выписка участника
+    container.querySelectorAll('[data-statement]').forEach(item => {
+      item.addEventListener('click', async () => {
+        const participant = trip.participants.find(p => p.id === item.getAttribute('data-statement'));
+        try {
+          const statement = await apiRequest('GET', `/api/trips/${trip.id}/participants/${participant.id}/statement`);
+          statementModal.querySelector('h3').textContent = `Выписка: ${participant.name}`;
+          statementModal.querySelector('[data-statement-body]').innerHTML = renderStatement(statement, trip);
+          statementModal.classList.add('active');
+        } catch (err) {
+          alert('Не удалось загрузить выписку: ' + err.message);
+        }
+      });
+    });
+    statementModal.querySelector('[data-close-statement]').addEventListener('click', () => {
+      statementModal.classList.remove('active');
+    });
+    // Даты приезда и отъезда участника
+    const presenceForm = presenceModal.querySelector('#presence-form');
+    container.querySelectorAll('[data-participant-dates]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const participant = trip.participants.find(p => p.id === btn.getAttribute('data-participant-dates'));
+        presenceForm.elements['participant_id'].value = participant.id;
+        presenceForm.elements['arrival_date'].value = participant.arrival_date || '';
+        presenceForm.elements['departure_date'].value = participant.departure_date || '';
+        presenceModal.classList.add('active');
+      });
+    });
+    presenceModal.querySelector('[data-cancel-presence]').addEventListener('click', () => {
+      presenceModal.classList.remove('active');
+    });
+    presenceForm.addEventListener('submit', async ev => {
+      ev.preventDefault();
+      const fd = new FormData(presenceForm);
       try {
-        await apiRequest('POST', `/api/trips/${trip.id}/transfers`, { from_id, to_id, amount, date: date || undefined });
+        const participant = await apiRequest('PATCH', `/api/trips/${trip.id}/participants/${fd.get('participant_id')}`, {
+          arrival_date: fd.get('arrival_date') || null,
+          departure_date: fd.get('departure_date') || null,
+        });
+        presenceModal.classList.remove('active');
         await loadTrip(trip.id);
+        if (participant.warnings) {
+          alert(`${participant.name} участвует в расходах вне этих дат (отмечены ⚠). Проверьте, как они поделены.`);
+        }
       } catch (err) {
-        alert('Ошибка при добавлении перевода: ' + err.message);
+        alert('Ошибка при сохранении дат: ' + err.message);
       }
     });
+    function openReassignModal(participant) {
+      reassignForm.elements['participant_id'].value = participant.id;
+      reassignForm.elements['reassign_to'].innerHTML = trip.participants
+        .filter(p => p.id !== participant.id)
+        .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`)
+        .join('');
+      reassignModal.classList.add('active');
+    }
+    // Редактирование и удаление расходов
+    container.querySelectorAll('[data-edit-expense]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const expense = trip.expenses.find(e => e.id === btn.getAttribute('data-edit-expense'));
+        startEditExpense(expense);
+      });
+    });
+    // Чеки к расходам: загрузка через скрытый выбор файла и удаление
+    const attachInput = expensesCard.querySelector('input[type="file"]');
+    let attachExpenseId = null;
+    container.querySelectorAll('[data-attach-expense]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        attachExpenseId = btn.getAttribute('data-attach-expense');
+        attachInput.value = '';
+        attachInput.click();
+      });
+    });
+    if (attachInput) {
+      attachInput.addEventListener('change', async () => {
+        const file = attachInput.files[0];
+        if (!file || !attachExpenseId) return;
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+          alert('Файл больше 10 МБ. Уменьшите фото или сохраните PDF с меньшим разрешением.');
+          return;
+        }
+        const body = new FormData();
+        body.append('file', file);
+        try {
+          await apiRequest('POST', `/api/trips/${trip.id}/expenses/${attachExpenseId}/attachments`, body);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Не удалось приложить файл: ' + err.message);
+        }
+      });
+    }
+    container.querySelectorAll('[data-delete-attachment]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Удалить файл? Вернуть его будет нельзя.')) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/expenses/${btn.getAttribute('data-delete-attachment')}`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Ошибка при удалении файла: ' + err.message);
+        }
+      });
+    });
+    container.querySelectorAll('[data-delete-expense]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Удалить расход?')) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/expenses/${btn.getAttribute('data-delete-expense')}`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Ошибка при удалении расхода: ' + err.message);
+        }
+      });
+    });
+    addExpenseForm.querySelector('[data-cancel-edit]').addEventListener('click', () => renderTrip());
+    function startEditExpense(expense) {
+      editingExpenseId = expense.id;
+      const els = addExpenseForm.elements;
+      els['payer_id'].value = expense.payer_id;
+      els['amount'].value = fromMinorUnits(expense.amount, expense.currency || trip.base_currency);
+      els['currency'].value = expense.currency || trip.base_currency;
+      els['exchange_rate'].value = expense.exchange_rate || '';
+      els['description'].value = expense.description;
+      els['category'].value = expense.category || 'other';
+      els['date'].value = expense.date || '';
+      // Восстанавливаем исходное описание дележа, а не итоговые доли
+      const currency = expense.currency || trip.base_currency;
+      const split = expense.split || {
+        mode: 'exact',
+        values: Object.fromEntries((expense.shares || []).map(sh => [sh.participant_id, sh.amount]))
+      };
+      splitSelect.value = split.mode;
+      receiptItemsEl.innerHTML = '';
+      if (split.mode === 'items') {
+        split.items.forEach(item => addReceiptItem(item));
+        els['tax'].value = split.tax ? fromMinorUnits(split.tax, currency) : '';
+        els['tip'].value = split.tip ? fromMinorUnits(split.tip, currency) : '';
+        els['service_charge'].value = split.service_charge ? fromMinorUnits(split.service_charge, currency) : '';
+      }
+      trip.participants.forEach(p => {
+        const included = split.participant_ids
+          ? split.participant_ids.includes(p.id)
+          : (expense.shares || []).some(sh => sh.participant_id === p.id);
+        els[`include_${p.id}`].checked = split.mode === 'equal' ? included : true;
+        const value = split.values ? split.values[p.id] : undefined;
+        els[`value_${p.id}`].value = value === undefined ? '' : (split.mode === 'exact' ? fromMinorUnits(value, currency) : value);
+      });
+      updateSplitInputs();
+      // Отдельный расход нельзя превратить в повторяющийся
+      repeatSelect.value = '';
+      updateRepeatInputs();
+      addExpenseForm.querySelector('[data-repeat]').style.display = 'none';
+      addExpenseCard.querySelector('h2').textContent = 'Изменить расход';
+      addExpenseForm.querySelector('button[type="submit"]').textContent = 'Сохранить';
+      addExpenseForm.querySelector('[data-cancel-edit]').style.display = '';
+      addExpenseCard.scrollIntoView({ behavior: 'smooth' });
+    }
+    // Редактирование и удаление повторяющихся расходов
+    container.querySelectorAll('[data-edit-series]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const item = trip.series.find(s => s.id === btn.getAttribute('data-edit-series'));
+        startEditSeries(item);
+      });
+    });
+    container.querySelectorAll('[data-delete-series]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Удалить повторяющийся расход вместе со всеми его днями?')) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/series/${btn.getAttribute('data-delete-series')}`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Ошибка при удалении расхода: ' + err.message);
+        }
+      });
+    });
+    // Повторяющийся расход правится в той же форме; изменения получат все
+    // его дни, кроме изменённых по отдельности
+    function startEditSeries(item) {
+      startEditExpense(Object.assign({}, item, { date: item.start_date }));
+      editingExpenseId = null;
+      editingSeriesId = item.id;
+      addExpenseForm.querySelector('[data-repeat]').style.display = '';
+      repeatSelect.value = item.frequency;
+      addExpenseForm.elements['repeat_until'].value = item.end_date;
+      updateRepeatInputs();
+      addExpenseCard.querySelector('h2').textContent = 'Изменить повторяющийся расход';
+    }
+    // Редактирование и удаление переводов
+    container.querySelectorAll('[data-edit-transfer]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const transfer = trip.transfers.find(t => t.id === btn.getAttribute('data-edit-transfer'));
+        startEditTransfer(transfer);
+      });
+    });
+    container.querySelectorAll('[data-delete-transfer]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Удалить перевод?')) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/transfers/${btn.getAttribute('data-delete-transfer')}`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Ошибка при удалении перевода: ' + err.message);
+        }
+      });
+    });
+    addTransferForm.querySelector('[data-cancel-edit]').addEventListener('click', () => renderTrip());
+    function startEditTransfer(transfer) {
+      editingTransferId = transfer.id;
+      const els = addTransferForm.elements;
+      els['from_id'].value = transfer.from_id;
+      els['to_id'].value = transfer.to_id;
+      els['amount'].value = fromMinorUnits(transfer.amount, transfer.currency || trip.base_currency);
+      els['currency'].value = transfer.currency || trip.base_currency;
+      els['date'].value = transfer.date || '';
+      addTransferCard.querySelector('h2').textContent = 'Изменить перевод';
+      addTransferForm.querySelector('button[type="submit"]').textContent = 'Сохранить';
+      addTransferForm.querySelector('[data-cancel-edit]').style.display = '';
+      addTransferCard.scrollIntoView({ behavior: 'smooth' });
+    }
+    // Смена способа расчёта
+    const settlementSelect = container.querySelector('#settlement-form select[name="settlement"]');
+    settlementSelect.addEventListener('change', () => {
+      state.settlementStrategy = settlementSelect.value;
+      loadTrip(trip.id);
+    });
+    const settleBySelect = container.querySelector('#settlement-form select[name="settle_by"]');
+    settleBySelect.addEventListener('change', () => {
+      state.settleBy = settleBySelect.value;
+      loadTrip(trip.id);
+    });
     // Обработчики кликов по матрице
     const matrixCells = container.querySelectorAll('.matrix-table td.clickable');
     matrixCells.forEach(cell => {
       cell.addEventListener('click', () => {
         const from = cell.getAttribute('data-from');
         const to = cell.getAttribute('data-to');
-        const amount = parseFloat(cell.getAttribute('data-amount')) || 0;
+        const amount = parseInt(cell.getAttribute('data-amount'), 10) || 0;
         openModal(from, to, amount);
       });
     });
@@ -533,27 +1982,58 @@
       const fd = new FormData(modalForm);
       const from_id = fd.get('from_id');
       const to_id = fd.get('to_id');
-      const amount = parseFloat(fd.get('amount'));
+      const amount = toMinorUnits(parseFloat(fd.get('amount')), trip.base_currency);
       const date = fd.get('date') || null;
       if (from_id === to_id) {
         alert('Нельзя переводить средства самому себе');
         return;
       }
       try {
-        await apiRequest('POST', `/api/trips/${trip.id}/transfers`, { from_id, to_id, amount, date: date || undefined });
+        await addTripRecord(trip, 'transfer', { from_id, to_id, amount, date: date || undefined });
         closeModal();
-        await loadTrip(trip.id);
       } catch (err) {
         alert('Ошибка при добавлении перевода: ' + err.message);
       }
     });
+    // Разбор суммы загружается, когда его раскрывают
+    const explanationEl = modalEl.querySelector('.debt-explanation');
+    let explainedPair = null;
+    explanationEl.addEventListener('toggle', async () => {
+      if (!explanationEl.open || !explainedPair || explanationEl.dataset.loaded === explainedPair.join('/')) return;
+      const pair = explainedPair;
+      const target = explanationEl.querySelector('[data-explanation]');
+      target.innerHTML = '<p>Загрузка…</p>';
+      const params = new URLSearchParams({ settlement: state.settlementStrategy, settle_by: state.settleBy });
+      try {
+        const explanation = await apiRequest('GET', `/api/trips/${trip.id}/debts/${pair[0]}/${pair[1]}?${params}`);
+        if (pair !== explainedPair) return;
+        target.innerHTML = renderDebtExplanation(explanation, trip);
+        explanationEl.dataset.loaded = pair.join('/');
+      } catch (err) {
+        target.innerHTML = `<p>Не удалось загрузить разбор: ${escapeHtml(err.message)}</p>`;
+      }
+    });
     // Функции для модального окна
     function openModal(fromId, toId, amount) {
       modalEl.classList.add('active');
-      // Заполнить скрытые поля и сумму
-      modalForm.elements['from_id'].value = fromId;
-      modalForm.elements['to_id'].value = toId;
-      modalForm.elements['amount'].value = amount.toFixed(2);
+      explainedPair = [fromId, toId];
+      delete explanationEl.dataset.loaded;
+      explanationEl.querySelector('[data-explanation]').innerHTML = '';
+      // Тем, кто не может добавить перевод, сразу показываем разбор
+      explanationEl.open = false;
+      if (!canEdit) explanationEl.open = true;
+      // Ячейка матрицы — это стороны расчёта; у семьи переводит или
+      // получает деньги кто‑то один из её участников
+      const parties = settlementParties(trip);
+      ['from_id', 'to_id'].forEach((field, idx) => {
+        const party = parties.find(item => item.id === (idx === 0 ? fromId : toId));
+        const select = modalForm.elements[field];
+        select.innerHTML = party.participant_ids
+          .map(id => `<option value="${id}">${escapeHtml(trip.participants.find(p => p.id === id).name)}</option>`)
+          .join('');
+        select.closest('label').style.display = party.participant_ids.length > 1 ? '' : 'none';
+      });
+      modalForm.elements['amount'].value = fromMinorUnits(amount, trip.base_currency);
       modalForm.elements['date'].value = state.lastExpenseDate;
     }
     function closeModal() {
@@ -561,6 +2041,852 @@
     }
   }
 
+  /**
+   * Строит разметку разбора ячейки матрицы долгов: сколько стороны
+   * должны друг другу по общим расходам и уже перевели, сколько из их
+   * балансов приходится на остальных и как сопоставление балансов дало
+   * итоговую сумму.
+   */
+  function renderDebtExplanation(explanation, trip) {
+    const currency = explanation.currency;
+    const parties = settlementParties(trip);
+    const partyName = id => {
+      const party = parties.find(item => item.id === id);
+      return party ? party.name : id;
+    };
+    const nameOf = id => {
+      const participant = trip.participants.find(p => p.id === id);
+      return participant ? participant.name : id;
+    };
+    const money = value => formatCurrency(value, currency);
+    const from = escapeHtml(partyName(explanation.from));
+    const to = escapeHtml(partyName(explanation.to));
+    const gross = explanation.gross;
+    const expenseRows = explanation.expenses.map(item => `
+      <tr>
+        <td>${item.date ? formatDate(item.date) : '—'}</td>
+        <td>${escapeHtml(item.description)}</td>
+        <td>${escapeHtml(nameOf(item.payer_id))}</td>
+        <td>${item.owed_by === 'from' ? `${from} → ${to}` : `${to} → ${from}`}</td>
+        <td>${money(item.amount)}</td>
+      </tr>
+    `).join('');
+    const transferRows = explanation.transfers.map(item => `
+      <li>${item.date ? formatDate(item.date) + ': ' : ''}${escapeHtml(nameOf(item.from_id))} → ${escapeHtml(nameOf(item.to_id))}, ${money(item.amount)}</li>
+    `).join('');
+    const direct = explanation.direct_balance;
+    const settlement = explanation.settlement;
+    const matchRows = settlement.matches.map(match => {
+      const current = match.debtor === explanation.from && match.creditor === explanation.to;
+      return `
+        <li class="${current ? 'debt-match-current' : ''}">
+          ${escapeHtml(partyName(match.debtor))} → ${escapeHtml(partyName(match.creditor))}: ${money(match.amount)}
+          <span class="activity-meta">осталось долга ${money(match.debtor_left)}, к получению ${money(match.creditor_left)}</span>
+        </li>
+      `;
+    }).join('');
+    return `
+      <h4>1. Общие расходы</h4>
+      ${expenseRows ? `
+        <div class="statement-table">
+          <table>
+            <thead><tr><th>Дата</th><th>Расход</th><th>Платил(а)</th><th>Кто кому</th><th>Доля</th></tr></thead>
+            <tbody>${expenseRows}</tbody>
+          </table>
+        </div>
+      ` : '<p>Общих расходов у них нет.</p>'}
+      <p>${from} → ${to}: ${money(gross.from_owes)}; ${to} → ${from}: ${money(gross.to_owes)}.</p>
+      ${transferRows ? `<p>Уже переведено:</p><ul>${transferRows}</ul>` : ''}
+      <p><strong>${direct > 0 ? `Если бы в поездке были только они, ${from} ${settlement.unit === 'household' ? 'должны' : 'должен(а)'} ${to} ${money(direct)}.`
+        : direct < 0 ? `Если бы в поездке были только они, ${to} ${settlement.unit === 'household' ? 'должны' : 'должен(а)'} ${from} ${money(-direct)}.`
+        : 'Между собой они в расчёте.'}</strong></p>
+      <h4>2. Взаимозачёт со всеми остальными</h4>
+      <p>
+        Баланс ${from}: ${money(explanation.net_balances.from)}, из них с остальными — ${money(explanation.via_others.from)}.<br>
+        Баланс ${to}: ${money(explanation.net_balances.to)}, из них с остальными — ${money(explanation.via_others.to)}.
+      </p>
+      <h4>3. Кто кому переводит</h4>
+      <p class="activity-meta">
+        ${settlement.strategy === 'optimal'
+          ? 'Участники разбиты на группы, балансы которых в сумме дают ноль; внутри группы должники по убыванию долга гасят долги получателей, тоже по убыванию.'
+          : 'Должники по убыванию долга гасят долги получателей, тоже по убыванию.'}
+      </p>
+      <ol class="debt-matches">${matchRows}</ol>
+      <p><strong>Итого ${from} → ${to}: ${money(settlement.amount)}</strong></p>
+    `;
+  }
+
+  /**
+   * Строит разметку выписки участника: итоги «заплатил / потребил /
+   * перевёл / получил» и таблица операций по датам с нарастающим
+   * балансом.  Последняя строка совпадает с балансом в карточке.
+   */
+  function renderStatement(statement, trip) {
+    const currency = statement.currency;
+    const nameOf = id => {
+      const participant = trip.participants.find(p => p.id === id);
+      return participant ? participant.name : id;
+    };
+    const describeLine = line => {
+      switch (line.kind) {
+        case 'paid':
+          return `Заплатил(а): ${escapeHtml(line.description)}`;
+        case 'consumed':
+          return `Доля в «${escapeHtml(line.description)}» (платил(а) ${escapeHtml(nameOf(line.payer_id))})`;
+        case 'sent':
+          return `Перевод → ${escapeHtml(nameOf(line.counterparty_id))}`;
+        case 'received':
+          return `Перевод ← ${escapeHtml(nameOf(line.counterparty_id))}`;
+        default:
+          return escapeHtml(line.description);
+      }
+    };
+    if (!statement.lines.length) {
+      return '<p>У участника пока нет ни расходов, ни переводов.</p>';
+    }
+    return `
+      <p class="statement-totals">
+        Заплатил(а) ${formatCurrency(statement.totals.paid, currency)},
+        потребил(а) ${formatCurrency(statement.totals.consumed, currency)},
+        перевёл(а) ${formatCurrency(statement.totals.sent, currency)},
+        получил(а) ${formatCurrency(statement.totals.received, currency)}
+      </p>
+      <div class="statement-table">
+        <table>
+          <thead>
+            <tr><th>Дата</th><th>Операция</th><th>Сумма</th><th>Баланс</th></tr>
+          </thead>
+          <tbody>
+            ${statement.lines.map(line => `
+              <tr>
+                <td>${line.date ? formatDate(line.date) : '—'}</td>
+                <td>${describeLine(line)}</td>
+                <td class="${line.amount >= 0 ? 'amount-positive' : 'amount-negative'}">${line.amount > 0 ? '+' : ''}${formatCurrency(line.amount, currency)}</td>
+                <td>${formatCurrency(line.balance, currency)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <p class="statement-totals"><strong>Итого: ${formatCurrency(statement.balance, currency)}</strong></p>
+    `;
+  }
+
+  /**
+   * Возвращает стороны расчёта в порядке участников: при расчёте по
+   * семьям каждая семья — одна сторона с id семьи, остальные участники
+   * рассчитываются сами.  Сторона: { id, name, participant_ids }.
+   */
+  function settlementParties(trip) {
+    const byHousehold = trip.settlement && trip.settlement.unit === 'household';
+    const parties = [];
+    trip.participants.filter(p => !p.pending).forEach(p => {
+      const household = byHousehold ? (trip.households || []).find(h => h.participant_ids.includes(p.id)) : null;
+      if (!household) {
+        parties.push({ id: p.id, name: p.name, participant_ids: [p.id] });
+      } else if (!parties.some(party => party.id === household.id)) {
+        parties.push({ id: household.id, name: household.name, participant_ids: household.participant_ids });
+      }
+    });
+    return parties;
+  }
+
+  /**
+   * Строит карточку с разбивкой расходов по категориям: горизонтальные
+   * полосы с суммами и таблица «категория × участник» с потреблением.
+   */
+  function renderStatsCard(trip, stats) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.innerHTML = '<h2>Расходы по категориям</h2>';
+    const used = Object.entries(stats.by_category).filter(([, amount]) => amount > 0);
+    if (!used.length) {
+      card.innerHTML += '<p>Расходов пока нет.</p>';
+      return card;
+    }
+    used.sort((a, b) => b[1] - a[1]);
+    const max = used[0][1];
+    const chart = document.createElement('div');
+    chart.className = 'category-chart';
+    chart.innerHTML = used.map(([category, amount]) => `
+      <div class="category-row">
+        <span class="category-name">${escapeHtml(categoryLabel(category))}</span>
+        <div class="category-bar"><div class="category-bar-inner" style="width:${amount / max * 100}%"></div></div>
+        <span class="category-amount">${formatCurrency(amount, stats.currency)}</span>
+      </div>
+    `).join('');
+    card.appendChild(chart);
+    const table = document.createElement('table');
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Категория</th>
+          ${trip.participants.map(p => `<th>${escapeHtml(p.name)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${used.map(([category]) => `<tr>
+          <td>${escapeHtml(categoryLabel(category))}</td>
+          ${trip.participants.map(p => {
+            const amount = stats.by_category_participant[category][p.id] || 0;
+            return `<td>${amount ? formatCurrency(amount, stats.currency) : '—'}</td>`;
+          }).join('')}
+        </tr>`).join('')}
+        <tr>
+          <th>Всего</th>
+          ${trip.participants.map(p => `<th>${formatCurrency(stats.by_participant[p.id] || 0, stats.currency)}</th>`).join('')}
+        </tr>
+      </tbody>
+    `;
+    card.appendChild(table);
+    return card;
+  }
+
+  /**
+   * Строит карточку «Бюджет»: полосы расхода общего бюджета, бюджетов
+   * категорий и участников, дневной лимит и прогноз до конца поездки.
+   * Редакторы задают бюджет в форме под полосами; пустое поле означает,
+   * что бюджета нет.
+   */
+  function renderBudgetCard(trip) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const status = trip.budget_status;
+    const budget = trip.budget || { total: null, by_category: {}, by_participant: {} };
+    const currency = trip.base_currency;
+    const participantName = id => {
+      const participant = trip.participants.find(p => p.id === id);
+      return participant ? participant.name : id;
+    };
+    const budgetRow = (label, line) => `
+      <div class="category-row budget-${line.status}">
+        <span class="category-name">${escapeHtml(label)}</span>
+        <div class="category-bar"><div class="category-bar-inner" style="width:${Math.min(line.percent, 100)}%"></div></div>
+        <span class="category-amount">${formatCurrency(line.spent, currency)} из ${formatCurrency(line.budget, currency)}</span>
+      </div>
+      <p class="budget-details">
+        ${line.remaining >= 0 ? `Осталось ${formatCurrency(line.remaining, currency)}` : `Перерасход ${formatCurrency(-line.remaining, currency)}`}
+        ${line.daily_allowance !== undefined ? ` · ${formatCurrency(line.daily_allowance, currency)} в день` : ''}
+        ${line.projected_overrun ? ` · <span class="budget-projection">к концу поездки не хватит ${formatCurrency(line.projected_overrun, currency)}</span>` : ''}
+      </p>
+    `;
+    let rows = '';
+    if (status) {
+      if (status.total) rows += budgetRow('Вся поездка', status.total);
+      Object.entries(status.by_category).forEach(([category, line]) => {
+        rows += budgetRow(categoryLabel(category), line);
+      });
+      Object.entries(status.by_participant).forEach(([pid, line]) => {
+        rows += budgetRow(participantName(pid), line);
+      });
+    }
+    const amountInput = (name, value) =>
+      `<input type="number" name="${name}" step="0.01" min="0" placeholder="нет" value="${value ? fromMinorUnits(value, currency) : ''}">`;
+    card.innerHTML = `
+      <h2>Бюджет</h2>
+      ${status ? `
+        <p class="activity-meta">${status.days ? `Дней в поездке: ${status.days}, прошло: ${status.days_elapsed}.` : 'Дневной лимит появится, когда у поездки будут даты.'}</p>
+        <div class="category-chart">${rows}</div>
+      ` : '<p>Бюджет не задан.</p>'}
+      <details class="edit-only">
+        <summary>${status ? 'Изменить бюджет' : 'Задать бюджет'}</summary>
+        <form id="budget-form">
+          <label>Вся поездка, ${escapeHtml(currency)}
+            ${amountInput('total', budget.total)}
+          </label>
+          <h3>По категориям</h3>
+          ${trip.categories.map((category, idx) => `
+            <label>${escapeHtml(categoryLabel(category))}
+              ${amountInput(`category_${idx}`, budget.by_category[category])}
+            </label>
+          `).join('')}
+          <h3>По участникам</h3>
+          ${trip.participants.filter(p => !p.pending).map(p => `
+            <label>${escapeHtml(p.name)}
+              ${amountInput(`participant_${p.id}`, budget.by_participant[p.id])}
+            </label>
+          `).join('')}
+          <button type="submit" class="btn">Сохранить бюджет</button>
+        </form>
+      </details>
+    `;
+    const form = card.querySelector('#budget-form');
+    form.addEventListener('submit', async ev => {
+      ev.preventDefault();
+      const fd = new FormData(form);
+      const readAmount = name => {
+        const value = parseFloat(fd.get(name));
+        return isNaN(value) || value <= 0 ? null : toMinorUnits(value, currency);
+      };
+      const body = { total: readAmount('total'), by_category: {}, by_participant: {} };
+      // Поля категорий пронумерованы: в имени поля не может оказаться
+      // произвольный текст названия категории
+      trip.categories.forEach((category, idx) => {
+        body.by_category[category] = readAmount(`category_${idx}`);
+      });
+      trip.participants.filter(p => !p.pending).forEach(p => {
+        body.by_participant[p.id] = readAmount(`participant_${p.id}`);
+      });
+      try {
+        await apiRequest('PUT', `/api/trips/${trip.id}/budget`, body);
+        await loadTrip(trip.id);
+      } catch (err) {
+        alert('Ошибка при сохранении бюджета: ' + err.message);
+      }
+    });
+    return card;
+  }
+
+  /**
+   * Возвращает текст предупреждения о бюджетах, порог которых перешёл
+   * только что сохранённый расход (ответ сервера в budget_warnings).
+   */
+  function describeBudgetWarnings(warnings, trip) {
+    const lines = warnings.map(warning => {
+      let subject = 'Бюджет поездки';
+      if (warning.scope === 'category') {
+        subject = `Бюджет категории «${categoryLabel(warning.key)}»`;
+      } else if (warning.scope === 'participant') {
+        const participant = trip.participants.find(p => p.id === warning.key);
+        subject = `Бюджет участника ${participant ? participant.name : warning.key}`;
+      }
+      const spent = `${formatCurrency(warning.spent, trip.base_currency)} из ${formatCurrency(warning.budget, trip.base_currency)}`;
+      return warning.threshold >= 1
+        ? `${subject} превышен: ${spent}`
+        : `${subject} израсходован на ${Math.round(warning.threshold * 100)}%: ${spent}`;
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Строит карточку «Семьи»: участники, которые платят из общего
+   * кошелька и рассчитываются с остальными как одно целое.  Семью можно
+   * создать, переименовать, изменить её состав и распустить.
+   */
+  function renderHouseholdsCard(trip) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const households = trip.households || [];
+    const nameOf = id => {
+      const participant = trip.participants.find(p => p.id === id);
+      return participant ? participant.name : id;
+    };
+    // Семья, которая сейчас редактируется в форме
+    let editingHouseholdId = null;
+    card.innerHTML = `
+      <h2>Семьи</h2>
+      ${households.length ? `<ul class="household-list">
+        ${households.map(h => `
+          <li>
+            <strong>${escapeHtml(h.name)}</strong>: ${h.participant_ids.map(id => escapeHtml(nameOf(id))).join(', ')}
+            <span class="row-actions edit-only">
+              <button type="button" class="btn-icon" data-edit-household="${h.id}" title="Изменить">✎</button>
+              <button type="button" class="btn-icon" data-delete-household="${h.id}" title="Распустить">✕</button>
+            </span>
+          </li>
+        `).join('')}
+      </ul>` : '<p>Семей нет: каждый рассчитывается сам за себя.</p>'}
+      <form id="household-form" class="edit-only">
+        <label>Название
+          <input type="text" name="name" required placeholder="Например, Ивановы">
+        </label>
+        <div class="split-values">
+          ${trip.participants.filter(p => !p.pending).map(p => `
+            <label class="split-participant">
+              <span><input type="checkbox" name="member_${p.id}"> ${escapeHtml(p.name)}</span>
+            </label>
+          `).join('')}
+        </div>
+        <button type="submit" class="btn">Создать семью</button>
+        <button type="button" class="btn btn-secondary" data-cancel-household style="display:none;">Отмена</button>
+      </form>
+    `;
+    const form = card.querySelector('#household-form');
+    form.addEventListener('submit', async ev => {
+      ev.preventDefault();
+      const fd = new FormData(form);
+      const body = {
+        name: fd.get('name').trim(),
+        participant_ids: trip.participants.filter(p => fd.get(`member_${p.id}`)).map(p => p.id),
+      };
+      try {
+        if (editingHouseholdId) {
+          await apiRequest('PATCH', `/api/trips/${trip.id}/households/${editingHouseholdId}`, body);
+        } else {
+          await apiRequest('POST', `/api/trips/${trip.id}/households`, body);
+        }
+        await loadTrip(trip.id);
+      } catch (err) {
+        alert('Ошибка при сохранении семьи: ' + err.message);
+      }
+    });
+    card.querySelectorAll('[data-edit-household]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const household = households.find(h => h.id === btn.getAttribute('data-edit-household'));
+        editingHouseholdId = household.id;
+        form.elements['name'].value = household.name;
+        trip.participants.filter(p => !p.pending).forEach(p => {
+          form.elements[`member_${p.id}`].checked = household.participant_ids.includes(p.id);
+        });
+        form.querySelector('button[type="submit"]').textContent = 'Сохранить';
+        form.querySelector('[data-cancel-household]').style.display = '';
+      });
+    });
+    form.querySelector('[data-cancel-household]').addEventListener('click', () => renderTrip());
+    card.querySelectorAll('[data-delete-household]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const household = households.find(h => h.id === btn.getAttribute('data-delete-household'));
+        if (!confirm(`Распустить семью «${household.name}»? Участники останутся в поездке.`)) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/households/${household.id}`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Ошибка при удалении семьи: ' + err.message);
+        }
+      });
+    });
+    return card;
+  }
+
+  /**
+   * Строит карточку «Доступ»: у кого из пользователей есть доступ к
+   * поездке и с какой ролью.  Владельцы приглашают по email, меняют роли
+   * и закрывают доступ; редакторы связывают пользователей с участниками
+   * поездки, чтобы было видно, кто есть кто в расчётах.
+   */
+  function renderMembersCard(trip) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const members = trip.members || [];
+    card.innerHTML = `
+      <h2>Доступ</h2>
+      <ul class="member-list">
+        ${members.map(m => `
+          <li class="member-item" data-member="${m.user_id}">
+            <div>
+              <strong>${escapeHtml(m.name || '—')}</strong>
+              <span class="activity-meta">${escapeHtml(m.email || '')}</span>
+            </div>
+            <label class="edit-only">Участник
+              <select data-member-participant>
+                <option value="">— не связан —</option>
+                ${trip.participants.filter(p => !p.pending).map(p => `<option value="${p.id}" ${p.id === m.participant_id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+              </select>
+            </label>
+            <span class="owner-only">
+              <select data-member-role>
+                ${Object.entries(ROLE_LABELS).map(([role, label]) => `<option value="${role}" ${role === m.role ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+              <button type="button" class="btn-icon" data-remove-member title="Закрыть доступ">✕</button>
+            </span>
+            <span class="member-role">${escapeHtml(ROLE_LABELS[m.role] || m.role)}</span>
+          </li>
+        `).join('')}
+      </ul>
+      <form id="add-member-form" class="owner-only">
+        <label>Email пользователя
+          <input type="email" name="email" required placeholder="friend@example.com">
+        </label>
+        <label>Роль
+          <select name="role">
+            ${Object.entries(ROLE_LABELS).map(([role, label]) => `<option value="${role}" ${role === 'editor' ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </label>
+        <button type="submit" class="btn">Открыть доступ</button>
+      </form>
+      ${trip.my_role !== 'owner' ? '<button type="button" class="btn btn-secondary" data-leave-trip>Покинуть поездку</button>' : ''}
+    `;
+    const change = async (action, method, url, body) => {
+      try {
+        await apiRequest(method, url, body);
+        await loadTrip(trip.id);
+      } catch (err) {
+        alert(`Не удалось ${action}: ${err.message}`);
+      }
+    };
+    card.querySelectorAll('[data-member]').forEach(item => {
+      const userId = item.getAttribute('data-member');
+      const member = members.find(m => m.user_id === userId);
+      item.querySelector('[data-member-role]').addEventListener('change', ev => {
+        change('изменить роль', 'PATCH', `/api/trips/${trip.id}/members/${userId}`, { role: ev.target.value });
+      });
+      item.querySelector('[data-remove-member]').addEventListener('click', () => {
+        if (!confirm(`Закрыть доступ для ${member.name}?`)) return;
+        change('закрыть доступ', 'DELETE', `/api/trips/${trip.id}/members/${userId}`);
+      });
+      item.querySelector('[data-member-participant]').addEventListener('change', async ev => {
+        const participantId = ev.target.value;
+        try {
+          // Пользователь связан не больше чем с одним участником, поэтому
+          // старая связь снимается первой
+          if (member.participant_id) {
+            await apiRequest('PATCH', `/api/trips/${trip.id}/participants/${member.participant_id}`, { user_id: null });
+          }
+          if (participantId) {
+            await apiRequest('PATCH', `/api/trips/${trip.id}/participants/${participantId}`, { user_id: userId });
+          }
+        } catch (err) {
+          alert('Не удалось связать участника: ' + err.message);
+        }
+        loadTrip(trip.id);
+      });
+    });
+    const addForm = card.querySelector('#add-member-form');
+    addForm.addEventListener('submit', ev => {
+      ev.preventDefault();
+      const fd = new FormData(addForm);
+      change('открыть доступ', 'POST', `/api/trips/${trip.id}/members`, {
+        email: fd.get('email').trim(),
+        role: fd.get('role')
+      });
+    });
+    const leaveBtn = card.querySelector('[data-leave-trip]');
+    if (leaveBtn) {
+      leaveBtn.addEventListener('click', async () => {
+        if (!confirm('Покинуть поездку? Вернуться можно будет только по приглашению владельца.')) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/members/${state.user.id}`);
+          state.currentTrip = null;
+          navigateTo('/');
+        } catch (err) {
+          alert('Не удалось покинуть поездку: ' + err.message);
+        }
+      });
+    }
+    return card;
+  }
+
+  /**
+   * Строит карточку «Ссылки для доступа» (только для владельцев).  По
+   * ссылке поездку можно открыть без аккаунта: приглашение позволяет
+   * добавить себя в участники и вносить расходы, ссылка для просмотра
+   * показывает только балансы и расчёты.  Сервер хранит лишь хэш токена,
+   * поэтому адрес ссылки виден один раз — сразу после создания.
+   */
+  function renderShareLinksCard(trip) {
+    const card = document.createElement('div');
+    card.className = 'card owner-only';
+    const linkStatus = link => {
+      if (link.revoked_at) return 'отозвана';
+      if (!link.active) return 'срок истёк';
+      return link.expires_at ? `действует до ${formatDateTime(link.expires_at)}` : 'бессрочная';
+    };
+    const created = state.newShareLink && state.newShareLink.tripId === trip.id ? state.newShareLink : null;
+    card.innerHTML = `
+      <h2>Ссылки для доступа</h2>
+      <p>Ссылку можно отправить в общий чат: открыть поездку по ней можно без аккаунта.</p>
+      ${created ? `
+        <div class="share-link-result">
+          <label>Новая ссылка «${SHARE_LINK_LABELS[created.role]}» — скопируйте её сейчас, позже адрес не показать
+            <input type="text" readonly value="${escapeHtml(created.url)}">
+          </label>
+          <button type="button" class="btn btn-secondary" data-copy-link>Скопировать</button>
+        </div>
+      ` : ''}
+      <ul class="member-list">
+        ${state.currentShareLinks.slice().reverse().map(link => `
+          <li class="member-item${link.active ? '' : ' activity-undone'}">
+            <div>
+              <strong>${SHARE_LINK_LABELS[link.role]}</strong>
+              <span class="activity-meta">создана ${formatDateTime(link.created_at)} · ${linkStatus(link)}</span>
+            </div>
+            ${link.active ? `<button type="button" class="btn btn-secondary" data-revoke-link="${link.id}">Отозвать</button>` : ''}
+          </li>
+        `).join('') || '<li>Ссылок пока нет.</li>'}
+      </ul>
+      <form id="share-link-form">
+        <label>Вид ссылки
+          <select name="role">
+            ${Object.entries(SHARE_LINK_LABELS).map(([role, label]) => `<option value="${role}">${label}</option>`).join('')}
+          </select>
+        </label>
+        <label>Срок действия, дней
+          <input type="number" name="expires_in_days" min="1" max="365" step="1" placeholder="Бессрочно">
+        </label>
+        <button type="submit" class="btn">Создать ссылку</button>
+      </form>
+    `;
+    const copyBtn = card.querySelector('[data-copy-link]');
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => {
+        const input = card.querySelector('.share-link-result input');
+        input.select();
+        navigator.clipboard.writeText(input.value).catch(() => document.execCommand('copy'));
+      });
+    }
+    card.querySelectorAll('[data-revoke-link]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Отозвать ссылку? Открыть поездку по ней больше не получится.')) return;
+        try {
+          await apiRequest('DELETE', `/api/trips/${trip.id}/share-links/${btn.getAttribute('data-revoke-link')}`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Не удалось отозвать ссылку: ' + err.message);
+        }
+      });
+    });
+    const form = card.querySelector('#share-link-form');
+    form.addEventListener('submit', async ev => {
+      ev.preventDefault();
+      const fd = new FormData(form);
+      const days = fd.get('expires_in_days');
+      try {
+        const link = await apiRequest('POST', `/api/trips/${trip.id}/share-links`, {
+          role: fd.get('role'),
+          expires_in_days: days ? Number(days) : null
+        });
+        await loadTrip(trip.id);
+        state.newShareLink = { tripId: trip.id, role: link.role, url: window.location.origin + link.url };
+        renderTrip();
+      } catch (err) {
+        alert('Не удалось создать ссылку: ' + err.message);
+      }
+    });
+    return card;
+  }
+
+  /**
+   * Возвращает копию поездки, в которой к участникам, расходам и
+   * переводам добавлены записи из очереди — под временными id и с
+   * пометкой pending.  Балансы и статистика учтут их после отправки.
+   */
+  function withPendingRecords(trip, entries) {
+    if (!entries.length) return trip;
+    const copy = Object.assign({}, trip);
+    Object.values(OFFLINE_KINDS).forEach(collection => {
+      copy[collection] = (trip[collection] || []).slice();
+    });
+    entries.forEach(entry => {
+      copy[OFFLINE_KINDS[entry.kind]].push(Object.assign({}, entry.body, {
+        id: entry.temp_id,
+        pending: true,
+        pending_error: entry.error,
+      }));
+    });
+    return copy;
+  }
+
+  // Пометка записи из очереди: ждёт связи или отклонена сервером
+  function pendingLabel(record) {
+    return record.pending_error
+      ? `<span class="pending-label pending-failed" title="${escapeHtml(record.pending_error)}">не принято сервером</span>`
+      : '<span class="pending-label">ожидает отправки</span>';
+  }
+
+  /**
+   * Строит карточку очереди: изменения поездки, сделанные без связи.
+   * Они уходят сами, когда связь возвращается, или по кнопке.  Запись,
+   * которую сервер не принял, показывается с причиной; её можно удалить.
+   */
+  function renderOutboxCard(trip, entries) {
+    const KIND_LABELS = { participant: 'Участник', expense: 'Расход', transfer: 'Перевод' };
+    const nameOf = id => {
+      const participant = trip.participants.find(p => p.id === id);
+      return participant ? participant.name : id;
+    };
+    const describe = entry => {
+      const body = entry.body;
+      if (entry.kind === 'participant') return body.name;
+      const amount = formatCurrency(body.amount, body.currency || trip.base_currency);
+      if (entry.kind === 'expense') return `${body.description}, ${amount}`;
+      return `${nameOf(body.from_id)} → ${nameOf(body.to_id)}, ${amount}`;
+    };
+    const card = document.createElement('div');
+    card.className = 'card outbox-card';
+    card.innerHTML = `
+      <h2>Ждут отправки</h2>
+      <p>Эти изменения сделаны без связи и уйдут на сервер, когда она появится. Балансы их пока не учитывают.</p>
+      <ul class="outbox-list">
+        ${entries.map(entry => `
+          <li class="outbox-item">
+            <div>
+              <strong>${KIND_LABELS[entry.kind]}:</strong> ${escapeHtml(describe(entry))}
+              ${entry.error ? `<span class="activity-meta pending-failed">Сервер не принял: ${escapeHtml(entry.error)}</span>` : ''}
+            </div>
+            <button type="button" class="btn-icon" data-discard-entry="${entry.id}" title="Удалить из очереди">✕</button>
+          </li>
+        `).join('')}
+      </ul>
+      <button type="button" class="btn btn-secondary" data-replay-outbox>Отправить сейчас</button>
+    `;
+    card.querySelector('[data-replay-outbox]').addEventListener('click', async () => {
+      await replayOutbox();
+      await showPendingEntries(trip.id);
+      if (state.pendingEntries.some(entry => !entry.error)) {
+        alert('Связи с сервером пока нет — изменения уйдут позже.');
+      }
+    });
+    card.querySelectorAll('[data-discard-entry]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Удалить это изменение? Оно не попадёт на сервер.')) return;
+        await window.outbox.remove(Number(btn.getAttribute('data-discard-entry')));
+        await showPendingEntries(trip.id);
+      });
+    });
+    return card;
+  }
+
+  /**
+   * Строит карточку «История»: кто, когда и что изменил в поездке.  Запись
+   * можно отменить, если более поздние изменения от неё не зависят —
+   * это проверяет сервер.
+   */
+  function renderActivityCard(trip, activity) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.innerHTML = `
+      <h2>История</h2>
+    `;
+    if (!activity.length) {
+      card.innerHTML += '<p>Изменений пока нет.</p>';
+    } else {
+      const byId = {};
+      activity.forEach(entry => {
+        byId[entry.id] = entry;
+      });
+      const list = document.createElement('ul');
+      list.className = 'activity-list';
+      list.innerHTML = activity.map(entry => `
+        <li class="activity-item${entry.undone_by ? ' activity-undone' : ''}">
+          <div>
+            <span class="activity-meta">${formatDateTime(entry.at)} · ${escapeHtml(entry.actor || (entry.share_link_id ? 'По ссылке' : 'Без имени'))}</span>
+            <span>${escapeHtml(describeActivityEntry(entry, trip, byId))}</span>
+          </div>
+          ${entry.can_undo ? `<button type="button" class="btn btn-secondary btn-icon edit-only" data-undo-activity="${entry.id}" title="Отменить">↶</button>` : ''}
+        </li>
+      `).join('');
+      card.appendChild(list);
+    }
+    card.querySelectorAll('[data-undo-activity]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Отменить это изменение?')) return;
+        try {
+          await apiRequest('POST', `/api/trips/${trip.id}/activity/${btn.getAttribute('data-undo-activity')}/undo`);
+          await loadTrip(trip.id);
+        } catch (err) {
+          alert('Не удалось отменить изменение: ' + err.message);
+        }
+      });
+    });
+    return card;
+  }
+
+  /**
+   * Возвращает разметку файлов, приложенных к расходу: миниатюры фото и
+   * значки PDF, открывающиеся в новой вкладке.  Файлы отдаёт сервер
+   * только тем, у кого есть доступ к поездке, поэтому к адресу поездки по
+   * ссылке добавляется её токен.  С canDelete у файлов есть кнопка
+   * удаления для редакторов.
+   */
+  function renderAttachments(exp, trip, canDelete) {
+    if (!exp.attachments || !exp.attachments.length) return '';
+    const token = state.shareToken ? `?token=${encodeURIComponent(state.shareToken)}` : '';
+    return `
+      <div class="attachments">
+        ${exp.attachments.map(attachment => {
+          const url = `/api/trips/${trip.id}/expenses/${exp.id}/attachments/${attachment.id}`;
+          const preview = attachment.thumbnail
+            ? `<img src="${url}/thumbnail${token}" alt="${escapeHtml(attachment.name)}" loading="lazy">`
+            : `<span class="attachment-icon">${attachment.content_type === 'application/pdf' ? '📄' : '🖼'}</span>`;
+          return `
+            <span class="attachment">
+              <a href="${url}${token}" target="_blank" rel="noopener" title="${escapeHtml(attachment.name)}">${preview}</a>
+              ${canDelete ? `<button type="button" class="btn-icon edit-only" data-delete-attachment="${exp.id}/attachments/${attachment.id}" title="Удалить файл">✕</button>` : ''}
+            </span>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Возвращает описание записи истории по‑русски, например «Добавлен
+   * расход «Ужин» на 1 200,00 ₽».  Имена участников берутся из снимков
+   * записи или из текущего состава поездки.
+   */
+  function describeActivityEntry(entry, trip, byId) {
+    if (entry.action === 'undo') {
+      const original = byId[entry.undo_of];
+      return original ? `Отменено: ${describeActivityEntry(original, trip, byId)}` : 'Отмена изменения';
+    }
+    const snapshot = entry.after || entry.before || {};
+    const participantName = id => {
+      const participant = trip.participants.find(p => p.id === id);
+      return participant ? participant.name : 'удалённый участник';
+    };
+    const memberName = userId => {
+      const member = (trip.members || []).find(m => m.user_id === userId);
+      return member && member.name ? member.name : 'бывшего участника';
+    };
+    const verbs = {
+      create: ['Добавлен', 'Добавлена'],
+      update: ['Изменён', 'Изменена'],
+      delete: ['Удалён', 'Удалена'],
+    };
+    const [masculine, feminine] = verbs[entry.action] || ['Изменён', 'Изменена'];
+    switch (entry.entity) {
+      case 'trip':
+        return entry.action === 'import'
+          ? `Поездка импортирована из ${snapshot.format}: расходов ${snapshot.expense_count}, переводов ${snapshot.transfer_count}`
+          : 'Поездка создана';
+      case 'participant':
+        if (entry.action === 'update' && (entry.before.arrival_date !== entry.after.arrival_date ||
+            entry.before.departure_date !== entry.after.departure_date)) {
+          const presence = presenceText(entry.after);
+          return `Изменены даты участника ${entry.after.name}: ${presence || 'без ограничений'}`;
+        }
+        if (entry.action === 'update' && entry.before.name === entry.after.name) {
+          return entry.after.user_id
+            ? `Участник ${entry.after.name} связан с аккаунтом ${memberName(entry.after.user_id)}`
+            : `Участник ${entry.after.name} отвязан от аккаунта`;
+        }
+        if (entry.action === 'update') {
+          return `Участник ${entry.before.name} переименован в ${entry.after.name}`;
+        }
+        return `${masculine} участник ${snapshot.name}`;
+      case 'expense':
+        return `${masculine} расход «${snapshot.description}» на ${formatCurrency(snapshot.amount, snapshot.currency || trip.base_currency)}`;
+      case 'series':
+        return `${masculine} повторяющийся расход «${snapshot.description}» на ${formatCurrency(snapshot.amount, snapshot.currency || trip.base_currency)} (${SERIES_FREQUENCIES[snapshot.frequency].toLowerCase()}, ${formatDate(snapshot.start_date)} – ${formatDate(snapshot.end_date)})`;
+      case 'transfer':
+        return `${masculine} перевод ${participantName(snapshot.from_id)} → ${participantName(snapshot.to_id)} на ${formatCurrency(snapshot.amount, snapshot.currency || trip.base_currency)}`;
+      case 'category':
+        return `${feminine} категория ${snapshot.name}`;
+      case 'budget':
+        return entry.after ? 'Изменён бюджет поездки' : 'Бюджет поездки удалён';
+      case 'household':
+        return `${feminine} семья «${snapshot.name}»: ${snapshot.participant_ids.map(participantName).join(', ')}`;
+      case 'rates':
+        return `Изменены курсы валют (основная валюта ${snapshot.base_currency})`;
+      case 'member':
+        if (entry.action === 'create') {
+          return `Открыт доступ для ${memberName(entry.entity_id)}: ${ROLE_LABELS[snapshot.role]}`;
+        }
+        if (entry.action === 'update') {
+          return `Роль ${memberName(entry.entity_id)} изменена на «${ROLE_LABELS[snapshot.role]}»`;
+        }
+        return `Закрыт доступ для ${memberName(entry.entity_id)}`;
+      case 'attachment': {
+        const expense = trip.expenses.find(exp => exp.id === snapshot.expense_id);
+        return `${masculine} файл «${snapshot.name}»${expense ? ` к расходу «${expense.description}»` : ''}`;
+      }
+      case 'share_link':
+        return entry.action === 'create'
+          ? `Создана ссылка «${SHARE_LINK_LABELS[snapshot.role]}»`
+          : `Отозвана ссылка «${SHARE_LINK_LABELS[snapshot.role]}»`;
+      default:
+        return `${masculine} ${entry.entity}`;
+    }
+  }
+
+  /**
+   * Возвращает русское название встроенной категории.  Свои категории
+   * поездки показываются как есть.
+   */
+  function categoryLabel(category) {
+    return CATEGORY_LABELS[category] || category;
+  }
+
   /**
    * Отображает сообщение об ошибке на странице.
    */
@@ -581,11 +2907,114 @@
   }
 
   /**
-   * Форматирует число как денежную сумму в рублях с двумя знаками после
-   * запятой.
+   * Был ли участник в поездке в этот день.  Даты приезда и отъезда
+   * необязательны и входят в период; без даты участник считается на месте.
+   */
+  function isPresentOn(participant, date) {
+    if (!date) return true;
+    if (participant.arrival_date && date < participant.arrival_date) return false;
+    if (participant.departure_date && date > participant.departure_date) return false;
+    return true;
+  }
+
+  /**
+   * Возвращает даты приезда и отъезда участника текстом, например
+   * «с 02.05.2026 по 06.05.2026», или пустую строку.
+   */
+  function presenceText(participant) {
+    const from = participant.arrival_date ? `с ${formatDate(participant.arrival_date)}` : '';
+    const to = participant.departure_date ? `по ${formatDate(participant.departure_date)}` : '';
+    return [from, to].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Возвращает HTML с датами участника для списка участников.
+   */
+  function formatPresence(participant) {
+    const text = presenceText(participant);
+    return text ? `<span class="presence">(${text})</span>` : '';
+  }
+
+  /**
+   * Возвращает значок ⚠ для расхода, в который включены участники,
+   * которых в этот день не было в поездке (сервер присылает их в
+   * expense.warnings), или пустую строку.
+   */
+  function presenceWarning(expense, trip) {
+    if (!expense.warnings || !expense.warnings.length) return '';
+    const names = expense.warnings.map(warning => {
+      const participant = trip.participants.find(p => p.id === warning.participant_id);
+      return participant ? participant.name : warning.participant_id;
+    });
+    const title = `${names.join(', ')}: не в поездке ${formatDate(expense.date)}, но участвует в расходе`;
+    return ` <span class="presence-warning" title="${escapeHtml(title)}">⚠</span>`;
+  }
+
+  /**
+   * Форматирует момент времени в формате ISO как ДД.ММ.ГГГГ ЧЧ:ММ по
+   * местному времени.
+   */
+  function formatDateTime(isoStr) {
+    return new Date(isoStr).toLocaleString('ru-RU', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  }
+
+  /**
+   * Форматирует сумму в минимальных единицах (копейках, центах) как
+   * денежную сумму в указанной валюте (по умолчанию в рублях).
+   */
+  function formatCurrency(value, currency) {
+    const code = currency || 'RUB';
+    return new Intl.NumberFormat('ru-RU', { style: 'currency', currency: code }).format(fromMinorUnits(value, code));
+  }
+
+  /**
+   * Возвращает количество знаков после запятой у валюты: 2 для рубля и
+   * доллара, 0 для иены.
+   */
+  function getMinorDigits(currency) {
+    return new Intl.NumberFormat('ru-RU', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  }
+
+  /**
+   * Переводит введённую пользователем сумму в целые минимальные единицы
+   * валюты — именно в них сервер хранит и принимает все суммы.
+   */
+  function toMinorUnits(value, currency) {
+    return Math.round(value * 10 ** getMinorDigits(currency));
+  }
+
+  /**
+   * Переводит сумму из минимальных единиц обратно в обычную запись.
+   */
+  function fromMinorUnits(value, currency) {
+    return value / 10 ** getMinorDigits(currency);
+  }
+
+  /**
+   * Форматирует сумму расхода или перевода.  Если запись сделана не в
+   * основной валюте поездки, рядом показывается пересчитанная сумма.
+   */
+  function formatEntryAmount(entry, trip) {
+    const currency = entry.currency || trip.base_currency;
+    const original = formatCurrency(entry.amount, currency);
+    // Пересчёт ещё не отправленной записи сделает сервер
+    if (currency === trip.base_currency || entry.pending) return original;
+    return `${original}<br><small>≈ ${formatCurrency(entry.base_amount, trip.base_currency)}</small>`;
+  }
+
+  /**
+   * Возвращает HTML со списком валют поездки для элемента select:
+   * основная валюта и все валюты из таблицы курсов.
    */
-  function formatCurrency(value) {
-    return new Intl.NumberFormat('ru-RU', { style: 'currency', currency: 'RUB', minimumFractionDigits: 2 }).format(value);
+  function currencyOptions(trip) {
+    const codes = [trip.base_currency].concat(Object.keys(trip.exchange_rates || {}));
+    return codes.map(code => `<option value="${escapeHtml(code)}">${escapeHtml(code)}</option>`).join('');
   }
 
   /**
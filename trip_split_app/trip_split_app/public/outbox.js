@@ -0,0 +1,113 @@
+// Очередь изменений, сделанных без связи с сервером (outbox).  Новые
+// участники, расходы и переводы, которые не удалось отправить, хранятся
+// в IndexedDB и переживают перезагрузку страницы.  Запись очереди:
+//
+//   { id, trip_id, kind, url, body, temp_id, share_token, created_at, error }
+//
+// kind — 'participant', 'expense' или 'transfer'; temp_id — временный id,
+// под которым запись видна в интерфейсе до отправки.  Тела более поздних
+// записей могут ссылаться на временные id (расход, оплаченный участником,
+// добавленным без связи); после отправки replaceId() заменяет их на id,
+// выданный сервером.  error — причина, по которой сервер отказался
+// принять запись; такие записи больше не отправляются сами.
+(() => {
+  const DB_NAME = 'trip-split';
+  const DB_VERSION = 1;
+  const STORE = 'outbox';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('trip_id', 'trip_id');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Выполняет действие в транзакции и ждёт её завершения.  Результат —
+  // значение последнего запроса, который вернула функция.
+  async function withStore(mode, action) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      let request = null;
+      try {
+        request = action(tx.objectStore(STORE));
+      } catch (err) {
+        tx.abort();
+        reject(err);
+        return;
+      }
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Создаёт временный id вида tmp_p_… для записи, ещё не принятой
+   * сервером.
+   */
+  function createTempId(kind) {
+    return `tmp_${kind.charAt(0)}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  window.outbox = {
+    createTempId,
+
+    /**
+     * Кладёт изменение в очередь и возвращает его id в очереди.
+     */
+    add(entry) {
+      const record = Object.assign({ created_at: new Date().toISOString(), error: null }, entry);
+      return withStore('readwrite', store => store.add(record));
+    },
+
+    /**
+     * Все записи очереди в порядке добавления, либо только записи одной
+     * поездки.
+     */
+    async list(tripId) {
+      const entries = await withStore('readonly', store => (tripId
+        ? store.index('trip_id').getAll(tripId)
+        : store.getAll()));
+      return entries.sort((a, b) => a.id - b.id);
+    },
+
+    update(entry) {
+      return withStore('readwrite', store => store.put(entry));
+    },
+
+    remove(id) {
+      return withStore('readwrite', store => store.delete(id));
+    },
+
+    clear() {
+      return withStore('readwrite', store => store.clear());
+    },
+
+    /**
+     * Заменяет временный id на выданный сервером во всех записях,
+     * которые ещё ждут отправки.
+     */
+    async replaceId(tempId, serverId) {
+      const entries = await this.list();
+      const changed = entries.filter(entry => JSON.stringify(entry.body).includes(tempId));
+      if (!changed.length) return;
+      await withStore('readwrite', store => {
+        changed.forEach(entry => {
+          entry.body = JSON.parse(JSON.stringify(entry.body).split(tempId).join(serverId));
+          store.put(entry);
+        });
+      });
+    }
+  };
+})();
@@ -0,0 +1,95 @@
+// Service worker: приложение открывается и без связи с сервером.
+// Оболочка (страница, скрипты, стили) берётся из кэша и обновляется в
+// фоне.  Ответы API на GET‑запросы идут из сети, а их последняя копия
+// сохраняется, так что без связи видны последние открытые поездки.
+// Изменения без связи сюда не попадают: их копит очередь outbox.js.
+// Регистрируется из корня сайта (/sw.js), чтобы управлять и /trip/<id>.
+
+const SHELL_CACHE = 'trip-split-shell-v1';
+const API_CACHE = 'trip-split-api';
+
+const SHELL_FILES = [
+  '/',
+  '/public/index.html',
+  '/public/app.js',
+  '/public/outbox.js',
+  '/public/style.css',
+  '/public/img/travel_bg.png',
+  '/public/icon.svg',
+  '/manifest.webmanifest'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE)
+    .then(cache => cache.addAll(SHELL_FILES))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  // Оболочки прежних версий больше не нужны
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Сначала сеть; без связи — сохранённая копия ответа
+async function networkFirst(request) {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Сразу из кэша, а копия в кэше обновляется из сети
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  if (cached) return cached;
+  return (await update) || Response.error();
+}
+
+// Страницы открываются из сети, чтобы сервер мог ответить своей
+// страницей ошибки (например, для отозванной ссылки); без связи все
+// адреса приложения получают index.html, как и от serveStatic в server.js
+async function openPage(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return (await caches.match('/')) || Response.error();
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) {
+    // Выгрузки скачиваются файлом и в кэше не нужны; приложенные файлы
+    // тоже (без связи видны только их миниатюры)
+    if (url.pathname.includes('/export.')) return;
+    if (url.pathname.includes('/attachments/') && !url.pathname.endsWith('/thumbnail')) return;
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(openPage(request));
+    return;
+  }
+  if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -1,45 +1,126 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { getMinorDigits, toMinorUnits, parseMinorUnits, allocateMinorUnits } = require('./money');
+const { createStorage, getAttachmentsDir } = require('./storage');
+const { toCsv } = require('./csv');
+const { parseImport } = require('./importers');
+const { buildXlsx } = require('./xlsx');
+const { parseMultipart } = require('./multipart');
+const {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  detectAttachmentType,
+  createThumbnail,
+  createAttachmentStore
+} = require('./attachments');
+const { createPostgrestClient, createSyncEngine } = require('./sync');
+const {
+  TRIP_ROLES,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  hashToken,
+  parseCookies,
+  serializeCookie,
+  hasTripRole
+} = require('./auth');
 
-// Path to persistent data store.  We use a JSON file to keep things simple
-const DATA_FILE = path.join(__dirname, 'data.json');
+// Persistent data store, chosen through the STORAGE environment variable
+const storage = createStorage();
+const attachmentStore = createAttachmentStore(getAttachmentsDir());
 
 /**
- * Read the current data from disk.  If the file does not exist yet, an
- * initial structure is returned and written to disk.  This function
- * synchronously reads the file to simplify server logic.  Because the
- * application is single‑user (friends on a single instance), the amount of
- * concurrent writes will be minimal and synchronous IO is acceptable.
+ * Generate a simple unique identifier based off the current timestamp and a
+ * random component.  IDs are prefixed to indicate their type.
+ *
+ * @param {string} prefix A short prefix like 'trip', 'p', 'e', 't'
  */
-function readData() {
-  try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    // Initialise empty structure if file missing or unreadable
-    const initial = { trips: [] };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(initial, null, 2));
-    return initial;
-  }
+function generateId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
 }
 
+// Base currency assumed for trips created before multi‑currency support
+const DEFAULT_CURRENCY = 'RUB';
+
 /**
- * Write the provided data back to disk.  Uses pretty formatting to
- * simplify debugging.
+ * Return the base currency of a trip.  All balances and settlement
+ * amounts are expressed in this currency.
  */
-function writeData(data) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+function getBaseCurrency(trip) {
+  return trip.base_currency || DEFAULT_CURRENCY;
 }
 
 /**
- * Generate a simple unique identifier based off the current timestamp and a
- * random component.  IDs are prefixed to indicate their type.
- *
- * @param {string} prefix A short prefix like 'trip', 'p', 'e', 't'
+ * Normalise a user supplied currency code to upper case ISO 4217 form.
+ * Returns null if the value does not look like a currency code.
  */
-function generateId(prefix) {
-  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+function normalizeCurrency(code) {
+  if (typeof code !== 'string') return null;
+  const upper = code.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(upper) ? upper : null;
+}
+
+/**
+ * Look up the rate that converts one unit of `currency` into the trip's
+ * base currency.  A fixed rate stored on an individual entry takes
+ * precedence over the trip's rate table.  Returns null when no rate is
+ * known for the currency.
+ */
+function getExchangeRate(trip, currency, fixedRate) {
+  if (!currency || currency === getBaseCurrency(trip)) return 1;
+  if (fixedRate) return fixedRate;
+  const rates = trip.exchange_rates || {};
+  return rates[currency] || null;
+}
+
+/**
+ * Convert an amount recorded on an expense or transfer into the trip's
+ * base currency using the entry's currency and optional fixed rate.  Both
+ * the input and the result are integer minor units; the result is
+ * rounded to the nearest minor unit of the base currency.
+ */
+function toBaseAmount(trip, entry, amount) {
+  const base = getBaseCurrency(trip);
+  const currency = entry.currency || base;
+  const scale = 10 ** (getMinorDigits(base) - getMinorDigits(currency));
+  return Math.round(amount * getExchangeRate(trip, currency, entry.exchange_rate) * scale);
+}
+
+/**
+ * Return an expense's shares converted into the trip's base currency.
+ * The converted total is re‑allocated in proportion to the original
+ * shares so that the base shares still add up to the base amount exactly.
+ */
+function getBaseShares(trip, exp) {
+  const shares = exp.shares || [];
+  const parts = allocateMinorUnits(toBaseAmount(trip, exp, exp.amount), shares.map(share => share.amount));
+  return shares.map((share, idx) => ({ participant_id: share.participant_id, amount: parts[idx] }));
+}
+
+/**
+ * Validate the currency and optional fixed exchange rate supplied in a
+ * request body for a new expense or transfer.  Returns an object with
+ * either an `error` message or the resolved `currency` and
+ * `exchangeRate` (null when the trip's rate table should be used).
+ */
+function resolveEntryCurrency(trip, body) {
+  const base = getBaseCurrency(trip);
+  const currency = body.currency ? normalizeCurrency(body.currency) : base;
+  if (!currency) {
+    return { error: 'Invalid currency' };
+  }
+  let exchangeRate = null;
+  if (currency !== base && body.exchange_rate !== undefined && body.exchange_rate !== null && body.exchange_rate !== '') {
+    exchangeRate = parseFloat(body.exchange_rate);
+    if (isNaN(exchangeRate) || exchangeRate <= 0) {
+      return { error: 'Invalid exchange_rate' };
+    }
+  }
+  if (getExchangeRate(trip, currency, exchangeRate) === null) {
+    return { error: `No exchange rate for ${currency}` };
+  }
+  return { currency, exchangeRate };
 }
 
 /**
@@ -78,7 +159,9 @@ function deriveTripDates(trip) {
  * array.  Transfers subtract from the sender and add to the recipient.  The
  * result is an object keyed by participant id whose value is the net
  * balance.  Positive values indicate money owed to the participant, while
- * negative values indicate money that participant owes.
+ * negative values indicate money that participant owes.  Entries recorded
+ * in another currency are converted, so the balances are always expressed
+ * in integer minor units of the trip's base currency and sum to zero.
  */
 function computeNetBalances(trip) {
   const net = {};
@@ -90,16 +173,14 @@ function computeNetBalances(trip) {
     trip.expenses.forEach(exp => {
       // Add amount to payer
       if (net.hasOwnProperty(exp.payer_id)) {
-        net[exp.payer_id] += exp.amount;
+        net[exp.payer_id] += toBaseAmount(trip, exp, exp.amount);
       }
       // Subtract share from each participant
-      if (Array.isArray(exp.shares)) {
-        exp.shares.forEach(share => {
-          if (net.hasOwnProperty(share.participant_id)) {
-            net[share.participant_id] -= share.amount;
-          }
-        });
-      }
+      getBaseShares(trip, exp).forEach(share => {
+        if (net.hasOwnProperty(share.participant_id)) {
+          net[share.participant_id] -= share.amount;
+        }
+      });
     });
   }
   // Handle transfers
@@ -109,31 +190,55 @@ function computeNetBalances(trip) {
   if (Array.isArray(trip.transfers)) {
     trip.transfers.forEach(tr => {
       if (net.hasOwnProperty(tr.from_id)) {
-        net[tr.from_id] += tr.amount;
+        net[tr.from_id] += toBaseAmount(trip, tr, tr.amount);
       }
       if (net.hasOwnProperty(tr.to_id)) {
-        net[tr.to_id] -= tr.amount;
+        net[tr.to_id] -= toBaseAmount(trip, tr, tr.amount);
       }
     });
   }
   return net;
 }
 
+/**
+ * Find the household a participant belongs to, or null.
+ */
+function findHousehold(trip, participantId) {
+  return (trip.households || []).find(h => h.participant_ids.includes(participantId)) || null;
+}
+
+/**
+ * Add up net balances per settlement party: each household counts as one
+ * party keyed by its id, everyone outside a household stays on their
+ * own.  Transfers inside a household cancel out here.
+ */
+function computeHouseholdBalances(trip, net) {
+  const balances = {};
+  Object.keys(net).forEach(pid => {
+    const household = findHousehold(trip, pid);
+    const key = household ? household.id : pid;
+    balances[key] = (balances[key] || 0) + net[pid];
+  });
+  return balances;
+}
+
 /**
  * Compute a pairwise debt matrix from net balances.  The goal is to
  * produce a mapping from debtor -> creditor -> amount.  Only positive
  * entries indicate money owed.  This algorithm greedily matches debtors
  * to creditors to settle balances.  The matrix is keyed first by the
  * debtor participant id and then by creditor id with the amount owed.
+ * When a `matches` array is given, every match is appended to it in
+ * order together with what the two sides still had left afterwards.
  */
-function computeDebtMatrix(net) {
+function computeGreedyDebtMatrix(net, matches = null) {
   const debtors = [];
   const creditors = [];
   Object.keys(net).forEach(pid => {
     const balance = net[pid];
-    if (balance < -1e-6) {
+    if (balance < 0) {
       debtors.push({ id: pid, amount: -balance });
-    } else if (balance > 1e-6) {
+    } else if (balance > 0) {
       creditors.push({ id: pid, amount: balance });
     }
   });
@@ -153,323 +258,3652 @@ function computeDebtMatrix(net) {
     matrix[debtor.id][creditor.id] = (matrix[debtor.id][creditor.id] || 0) + transferAmount;
     debtor.amount -= transferAmount;
     creditor.amount -= transferAmount;
-    if (debtor.amount < 1e-6) i++;
-    if (creditor.amount < 1e-6) j++;
+    if (matches) {
+      matches.push({
+        debtor: debtor.id,
+        creditor: creditor.id,
+        amount: transferAmount,
+        debtor_left: debtor.amount,
+        creditor_left: creditor.amount
+      });
+    }
+    if (debtor.amount === 0) i++;
+    if (creditor.amount === 0) j++;
   }
   return matrix;
 }
 
+// Largest number of non‑settled participants the exact solver accepts.
+// Its running time grows as n * 2^n, so bigger groups fall back to greedy.
+const MAX_OPTIMAL_PARTICIPANTS = 16;
+
+// Settlement strategies accepted by GET /api/trips/:id?settlement=...
+const SETTLEMENT_STRATEGIES = ['optimal', 'greedy'];
+
+// Who settles up, accepted by GET /api/trips/:id?settle_by=...: every
+// participant separately, or each household as one party
+const SETTLEMENT_UNITS = ['individual', 'household'];
+
 /**
- * Parse the body of an incoming request and return a promise that
- * resolves with the parsed JSON object.  If the body is empty or
- * contains invalid JSON the promise will reject.
+ * Compute a debt matrix with the smallest possible number of transfers.
+ * A group of k participants whose balances sum to zero can always be
+ * settled with k - 1 transfers, so the minimum number of transfers is
+ * n minus the largest number of disjoint zero‑sum subgroups.  That number
+ * is found with a dynamic programme over subsets, after which each
+ * subgroup is settled on its own with the greedy algorithm.  Returns null
+ * when there are too many participants for the exact search.  A `trace`
+ * object ({ groups: [], matches: [] }) collects the subgroups as lists of
+ * ids and the greedy matches inside them.
  */
-function parseJsonBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-      // Limit body size to 1MB to avoid abuse
-      if (body.length > 1e6) {
-        req.connection.destroy();
-        reject(new Error('Body too large'));
-      }
-    });
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (err) {
-        reject(err);
+function computeOptimalDebtMatrix(net, trace = null) {
+  const ids = Object.keys(net).filter(pid => net[pid] !== 0);
+  const n = ids.length;
+  if (n > MAX_OPTIMAL_PARTICIPANTS) return null;
+  const size = 1 << n;
+  // Sum of balances for every subset, built from the subset without its lowest bit
+  const sums = new Float64Array(size);
+  for (let mask = 1; mask < size; mask++) {
+    const lowBit = mask & -mask;
+    sums[mask] = sums[mask ^ lowBit] + net[ids[31 - Math.clz32(lowBit)]];
+  }
+  const isZero = mask => sums[mask] === 0;
+  // best[mask] is the largest number of zero‑sum groups the subset splits into
+  const best = new Int8Array(size);
+  for (let mask = 1; mask < size; mask++) {
+    let max = 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i) && best[mask ^ (1 << i)] > max) max = best[mask ^ (1 << i)];
+    }
+    best[mask] = max + (isZero(mask) ? 1 : 0);
+  }
+  // Walk back from the full set removing one participant at a time.  Every
+  // zero‑sum subset met on the way closes a group.
+  const groups = [];
+  let mask = size - 1;
+  let groupMask = mask;
+  while (mask) {
+    const gain = isZero(mask) ? 1 : 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i) && best[mask ^ (1 << i)] + gain === best[mask]) {
+        mask ^= 1 << i;
+        break;
       }
+    }
+    if (mask === 0 || isZero(mask)) {
+      groups.push(groupMask ^ mask);
+      groupMask = mask;
+    }
+  }
+  const matrix = {};
+  groups.forEach(group => {
+    const groupNet = {};
+    ids.forEach((pid, i) => {
+      if (group & (1 << i)) groupNet[pid] = net[pid];
     });
+    if (trace) trace.groups.push(Object.keys(groupNet));
+    Object.assign(matrix, computeGreedyDebtMatrix(groupNet, trace && trace.matches));
   });
+  return matrix;
 }
 
 /**
- * Send a JSON response with the given status code and object.
+ * Compute the debt matrix using the requested settlement strategy.  The
+ * optimal strategy falls back to the greedy one for very large groups.
  */
-function sendJson(res, status, obj) {
-  const data = JSON.stringify(obj);
-  res.writeHead(status, {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-  });
-  res.end(data);
+function computeDebtMatrix(net, strategy = 'optimal') {
+  if (strategy === 'optimal') {
+    const matrix = computeOptimalDebtMatrix(net);
+    if (matrix) return matrix;
+  }
+  return computeGreedyDebtMatrix(net);
 }
 
 /**
- * Serve static files from the public directory.  If the file does not
- * exist, returns false to allow further handling.
+ * Count the settlement transfers described by a debt matrix.
  */
-function serveStatic(req, res) {
-  let urlPath = req.url;
-  if (urlPath === '/') {
-    urlPath = '/public/index.html';
-  } else if (urlPath.startsWith('/trip')) {
-    // Serve the same HTML for trip detail pages so the frontend can
-    // hydrate based on the URL parameter
-    urlPath = '/public/index.html';
-  } else if (!urlPath.startsWith('/public/')) {
-    return false;
+function countTransfers(matrix) {
+  return Object.values(matrix).reduce((count, row) => count + Object.keys(row).length, 0);
+}
+
+/**
+ * Explain one cell of the debt matrix: why the party `fromId` owes
+ * `toId` what it does.  Parties are participants, or households when
+ * settling by household.  The explanation has three parts:
+ *
+ * - `expenses`: every expense one side paid and the other shared in,
+ *   with the shares owed (`owed_by` is 'from' or 'to'), and `transfers`
+ *   made between the two sides;
+ * - `direct_balance`: what `fromId` would owe `toId` if only the two of
+ *   them had shared the trip, and `via_others`: the rest of each side's
+ *   net balance, which comes from everyone else;
+ * - `settlement`: how the net balances were matched, i.e. every greedy
+ *   match in order (and the zero‑sum groups for the optimal strategy),
+ *   ending in `amount`, the figure shown in the matrix.
+ *
+ * All amounts are in the base currency.  Returns an object with either
+ * an `error` message or the `explanation`.
+ */
+function explainDebt(trip, fromId, toId, requested = 'optimal', unit = 'individual') {
+  const net = computeNetBalances(trip);
+  const settled = unit === 'household' ? computeHouseholdBalances(trip, net) : net;
+  if (!settled.hasOwnProperty(fromId) || !settled.hasOwnProperty(toId)) {
+    return { error: 'Unknown debtor or creditor' };
   }
-  const filePath = path.join(__dirname, urlPath);
-  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
-    return false;
+  if (fromId === toId) {
+    return { error: 'Debtor and creditor must differ' };
   }
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon'
+  const membersOf = partyId => {
+    const household = unit === 'household' ? (trip.households || []).find(h => h.id === partyId) : null;
+    return household ? household.participant_ids : [partyId];
   };
-  const contentType = mimeTypes[ext] || 'application/octet-stream';
-  try {
-    const data = fs.readFileSync(filePath);
-    res.writeHead(200, { 'Content-Type': contentType });
-    res.end(data);
-    return true;
-  } catch (err) {
-    return false;
+  const sides = { from: membersOf(fromId), to: membersOf(toId) };
+  const sideOf = pid => (sides.from.includes(pid) ? 'from' : sides.to.includes(pid) ? 'to' : null);
+  const byDate = (a, b) => (a.date || '').localeCompare(b.date || '');
+  const gross = { from_owes: 0, to_owes: 0, from_paid: 0, to_paid: 0 };
+  const expenses = [];
+  trip.expenses.slice().sort(byDate).forEach(exp => {
+    const payerSide = sideOf(exp.payer_id);
+    if (!payerSide) return;
+    const debtorSide = payerSide === 'from' ? 'to' : 'from';
+    const shares = getBaseShares(trip, exp).filter(share => sides[debtorSide].includes(share.participant_id));
+    const amount = shares.reduce((sum, share) => sum + share.amount, 0);
+    if (!amount) return;
+    gross[`${debtorSide}_owes`] += amount;
+    expenses.push({
+      expense_id: exp.id,
+      date: exp.date || null,
+      description: exp.description,
+      payer_id: exp.payer_id,
+      participant_ids: shares.map(share => share.participant_id),
+      owed_by: debtorSide,
+      amount
+    });
+  });
+  const transfers = [];
+  trip.transfers.slice().sort(byDate).forEach(tr => {
+    const senderSide = sideOf(tr.from_id);
+    const receiverSide = sideOf(tr.to_id);
+    if (!senderSide || !receiverSide || senderSide === receiverSide) return;
+    const amount = toBaseAmount(trip, tr, tr.amount);
+    gross[`${senderSide}_paid`] += amount;
+    transfers.push({
+      transfer_id: tr.id,
+      date: tr.date || null,
+      from_id: tr.from_id,
+      to_id: tr.to_id,
+      paid_by: senderSide,
+      amount
+    });
+  });
+  const directBalance = gross.from_owes - gross.to_owes - gross.from_paid + gross.to_paid;
+  const trace = { groups: [], matches: [] };
+  let matrix = requested === 'optimal' ? computeOptimalDebtMatrix(settled, trace) : null;
+  const strategy = matrix ? 'optimal' : 'greedy';
+  // Too large a group for the exact search: nothing was traced yet
+  if (!matrix) matrix = computeGreedyDebtMatrix(settled, trace.matches);
+  return {
+    explanation: {
+      from: fromId,
+      to: toId,
+      currency: getBaseCurrency(trip),
+      members: sides,
+      expenses,
+      transfers,
+      gross,
+      direct_balance: directBalance,
+      net_balances: { from: settled[fromId], to: settled[toId] },
+      via_others: { from: settled[fromId] + directBalance, to: settled[toId] - directBalance },
+      settlement: {
+        requested,
+        strategy,
+        unit,
+        groups: strategy === 'optimal' ? trace.groups : null,
+        matches: trace.matches,
+        amount: (matrix[fromId] && matrix[fromId][toId]) || 0
+      }
+    }
+  };
+}
+
+/**
+ * Fill in a trip's start and end dates from its dated entries when they
+ * were not set explicitly.
+ */
+function refreshTripDates(trip) {
+  const { startDate, endDate } = deriveTripDates(trip);
+  if (!trip.start_date) trip.start_date = startDate;
+  if (!trip.end_date) trip.end_date = endDate;
+}
+
+// Ways an expense can be divided.  'units' behaves like 'weights' and only
+// differs in how the client labels it (nights, portions and so on);
+// 'items' is an itemized receipt, see resolveReceipt().
+const SPLIT_MODES = ['equal', 'percent', 'weights', 'units', 'exact', 'items'];
+
+// Receipt charges spread over participants in proportion to their subtotal
+const RECEIPT_EXTRAS = ['tax', 'tip', 'service_charge'];
+
+/**
+ * Resolve an itemized receipt into shares.  The definition looks like
+ *
+ *   { mode: 'items',
+ *     items: [{ description, amount, participant_ids: [...] }, ...],
+ *     tax, tip, service_charge }
+ *
+ * with all amounts in minor units.  Each item is split equally between
+ * its participants, giving every participant a subtotal; tax, tip and
+ * service charge are then allocated in proportion to those subtotals.
+ * The expense amount is the receipt total, which is returned as `amount`
+ * together with the normalised `split` and the `shares`.
+ */
+function resolveReceipt(trip, split) {
+  if (!Array.isArray(split.items) || !split.items.length) {
+    return { error: 'Receipt must have at least one item' };
+  }
+  const subtotals = {};
+  trip.participants.forEach(p => {
+    subtotals[p.id] = 0;
+  });
+  const items = [];
+  for (const item of split.items) {
+    const amount = parseMinorUnits(item && item.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return { error: 'Invalid receipt item amount' };
+    }
+    const ids = Array.isArray(item.participant_ids) ? item.participant_ids : [];
+    if (!ids.length || !ids.every(id => subtotals.hasOwnProperty(id))) {
+      return { error: 'Each receipt item needs valid participants' };
+    }
+    const ordered = trip.participants.filter(p => ids.includes(p.id)).map(p => p.id);
+    allocateMinorUnits(amount, ordered.map(() => 1)).forEach((part, idx) => {
+      subtotals[ordered[idx]] += part;
+    });
+    items.push({
+      description: item.description ? item.description.toString().trim() : '',
+      amount: amount,
+      participant_ids: ordered
+    });
   }
+  const normalized = { mode: 'items', items: items };
+  let extrasTotal = 0;
+  for (const field of RECEIPT_EXTRAS) {
+    const value = split[field] === undefined || split[field] === null || split[field] === '' ? 0 : parseMinorUnits(split[field]);
+    if (isNaN(value) || value < 0) {
+      return { error: `Invalid ${field}` };
+    }
+    normalized[field] = value;
+    extrasTotal += value;
+  }
+  const ids = trip.participants.map(p => p.id).filter(id => subtotals[id] > 0);
+  const extras = allocateMinorUnits(extrasTotal, ids.map(id => subtotals[id]));
+  const shares = ids.map((id, idx) => ({ participant_id: id, amount: subtotals[id] + extras[idx] }));
+  return {
+    amount: shares.reduce((sum, share) => sum + share.amount, 0),
+    split: normalized,
+    shares: shares
+  };
 }
 
-// Create HTTP server
-const server = http.createServer(async (req, res) => {
-  try {
-    // CORS preflight support
-    if (req.method === 'OPTIONS') {
-      res.writeHead(204, {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
+/**
+ * Check whether a participant is with the group on a date.  Arrival and
+ * departure dates are optional and inclusive; without a date everyone
+ * counts as present.
+ */
+function isPresentOn(participant, date) {
+  if (!date) return true;
+  if (participant.arrival_date && date < participant.arrival_date) return false;
+  if (participant.departure_date && date > participant.departure_date) return false;
+  return true;
+}
+
+/**
+ * List the participants sharing in an expense although they are not
+ * present on its date.  Such a split is allowed (someone may pay for a
+ * booking made before they arrive), so this only produces warnings of
+ * the form { participant_id, message }.
+ */
+function findPresenceWarnings(trip, expense) {
+  const warnings = [];
+  (expense.shares || []).forEach(share => {
+    const participant = trip.participants.find(p => p.id === share.participant_id);
+    if (participant && !isPresentOn(participant, expense.date)) {
+      warnings.push({
+        participant_id: participant.id,
+        message: `${participant.name} shares in "${expense.description}" but is not present on ${expense.date}`
       });
-      res.end();
-      return;
     }
-    // Attempt to serve static assets first
-    if (serveStatic(req, res)) {
-      return;
+  });
+  return warnings;
+}
+
+/**
+ * Return a copy of a saved expense for a response, with its presence
+ * warnings under `warnings` and the budget thresholds the change crossed
+ * under `budget_warnings`, when there are any.  `budgetBefore` is the
+ * budget status from before the change.
+ */
+function withExpenseWarnings(trip, expense, budgetBefore) {
+  const response = Object.assign({}, expense);
+  const warnings = findPresenceWarnings(trip, expense);
+  if (warnings.length) response.warnings = warnings;
+  const crossings = findBudgetCrossings(budgetBefore, computeBudgetStatus(trip));
+  if (crossings.length) response.budget_warnings = crossings;
+  return response;
+}
+
+/**
+ * Resolve a split definition into final shares of an expense amount.
+ * Supported definitions:
+ *
+ *   { mode: 'equal', participant_ids: [...] }  (if omitted, everyone
+ *                                               present on `date`; the
+ *                                               list then stays omitted,
+ *                                               so a new date re‑applies
+ *                                               the presence windows)
+ *   { mode: 'percent', values: { pid: percent } }  (must add up to 100)
+ *   { mode: 'weights' | 'units', values: { pid: weight } }
+ *   { mode: 'exact', values: { pid: minor units } }  (must add up to amount)
+ *   { mode: 'items', ... }  (itemized receipt, see resolveReceipt())
+ *
+ * Shares are listed in trip participant order and allocated with
+ * allocateMinorUnits(), so leftover minor units always go to the same
+ * people.  Returns an object with either an `error` message or the
+ * normalised `split` and the resulting `shares`.
+ */
+function resolveSplit(trip, split, amount, date = null) {
+  if (!split || typeof split !== 'object' || !SPLIT_MODES.includes(split.mode)) {
+    return { error: 'Invalid split mode' };
+  }
+  if (split.mode === 'items') {
+    return resolveReceipt(trip, split);
+  }
+  const isParticipant = id => trip.participants.some(p => p.id === id);
+  if (split.mode === 'equal') {
+    const explicit = Array.isArray(split.participant_ids);
+    const ids = explicit
+      ? split.participant_ids
+      : trip.participants.filter(p => isPresentOn(p, date)).map(p => p.id);
+    if (!ids.every(isParticipant)) {
+      return { error: 'Invalid participant in split' };
     }
-    // API routing
-    const urlParts = req.url.split('?')[0].split('/').filter(Boolean);
-    if (urlParts[0] === 'api' && urlParts[1] === 'trips') {
-      const data = readData();
-      // GET /api/trips
-      if (req.method === 'GET' && urlParts.length === 2) {
-        // Return summary list of trips with computed dates
-        const tripsSummary = data.trips.map(trip => {
-          const { startDate, endDate } = deriveTripDates(trip);
-          return {
-            id: trip.id,
-            name: trip.name,
-            location: trip.location,
-            start_date: startDate,
-            end_date: endDate
-          };
-        });
-        sendJson(res, 200, { trips: tripsSummary });
-        return;
+    const ordered = trip.participants.filter(p => ids.includes(p.id)).map(p => p.id);
+    if (!ordered.length) {
+      const nobodyPresent = date && !explicit && trip.participants.length;
+      return { error: nobodyPresent ? `Nobody is present on ${date}` : 'Split must include at least one participant' };
+    }
+    const parts = allocateMinorUnits(amount, ordered.map(() => 1));
+    return {
+      split: explicit ? { mode: 'equal', participant_ids: ordered } : { mode: 'equal' },
+      shares: ordered.map((id, idx) => ({ participant_id: id, amount: parts[idx] }))
+    };
+  }
+  if (!split.values || typeof split.values !== 'object') {
+    return { error: 'Split values are required' };
+  }
+  if (!Object.keys(split.values).every(isParticipant)) {
+    return { error: 'Invalid participant in split' };
+  }
+  const values = {};
+  for (const p of trip.participants) {
+    const raw = split.values[p.id];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = split.mode === 'exact' ? parseMinorUnits(raw) : parseFloat(raw);
+    if (isNaN(value) || value < 0) {
+      return { error: 'Invalid split value' };
+    }
+    if (value > 0) values[p.id] = value;
+  }
+  const ids = Object.keys(values);
+  const total = ids.reduce((sum, id) => sum + values[id], 0);
+  if (!ids.length) {
+    return { error: 'Split must include at least one participant' };
+  }
+  if (split.mode === 'percent' && Math.abs(total - 100) > 0.01) {
+    return { error: 'Percentages must add up to 100' };
+  }
+  if (split.mode === 'exact' && total !== amount) {
+    return { error: 'Sum of shares must equal total amount' };
+  }
+  const parts = split.mode === 'exact'
+    ? ids.map(id => values[id])
+    : allocateMinorUnits(amount, ids.map(id => values[id]));
+  return {
+    split: { mode: split.mode, values: values },
+    shares: ids.map((id, idx) => ({ participant_id: id, amount: parts[idx] }))
+  };
+}
+
+// Built‑in expense categories.  Trips can add their own, which are kept
+// in trip.custom_categories.
+const DEFAULT_CATEGORIES = ['food', 'lodging', 'transport', 'activities', 'shopping', 'other'];
+
+// Category of expenses recorded before categories existed
+const FALLBACK_CATEGORY = 'other';
+
+/**
+ * Return every category that expenses of a trip may use.
+ */
+function getTripCategories(trip) {
+  return DEFAULT_CATEGORIES.concat(trip.custom_categories || []);
+}
+
+/**
+ * Summarise a trip's spending in its base currency: the total, totals per
+ * category, the amount each participant consumed (their shares) and the
+ * same consumption broken down by category.
+ */
+function computeTripStats(trip) {
+  const byCategory = {};
+  const byParticipant = {};
+  const byCategoryParticipant = {};
+  getTripCategories(trip).forEach(category => {
+    byCategory[category] = 0;
+    byCategoryParticipant[category] = {};
+  });
+  trip.participants.forEach(p => {
+    byParticipant[p.id] = 0;
+  });
+  let total = 0;
+  trip.expenses.forEach(exp => {
+    const category = exp.category || FALLBACK_CATEGORY;
+    if (!byCategory.hasOwnProperty(category)) {
+      byCategory[category] = 0;
+      byCategoryParticipant[category] = {};
+    }
+    const amount = toBaseAmount(trip, exp, exp.amount);
+    total += amount;
+    byCategory[category] += amount;
+    getBaseShares(trip, exp).forEach(share => {
+      if (!byParticipant.hasOwnProperty(share.participant_id)) return;
+      byParticipant[share.participant_id] += share.amount;
+      const row = byCategoryParticipant[category];
+      row[share.participant_id] = (row[share.participant_id] || 0) + share.amount;
+    });
+  });
+  return {
+    currency: getBaseCurrency(trip),
+    total: total,
+    by_category: byCategory,
+    by_participant: byParticipant,
+    by_category_participant: byCategoryParticipant
+  };
+}
+
+// Shares of a budget at which spending alerts go off: nearly spent and
+// spent
+const BUDGET_THRESHOLDS = [0.8, 1];
+
+// Budget line states for each number of thresholds reached
+const BUDGET_LEVELS = ['ok', 'warning', 'over'];
+
+/**
+ * Validate a budget request body against a trip and build the stored
+ * budget: an optional total for the whole trip and optional amounts per
+ * category and per participant, all in minor units of the base currency.
+ * Empty values are dropped, and a budget with nothing left is null.
+ * Returns an object with either an `error` message or the `budget`.
+ */
+function buildBudget(trip, body) {
+  const parseAmount = value => (value === undefined || value === null || value === '' ? null : parseMinorUnits(value));
+  const total = parseAmount(body.total);
+  if (total !== null && (isNaN(total) || total <= 0)) {
+    return { error: 'Invalid total budget' };
+  }
+  const budget = { total: total, by_category: {}, by_participant: {} };
+  const groups = [
+    ['by_category', getTripCategories(trip), 'category'],
+    ['by_participant', trip.participants.map(p => p.id), 'participant']
+  ];
+  for (const [field, known, label] of groups) {
+    const values = body[field] && typeof body[field] === 'object' ? body[field] : {};
+    for (const key of Object.keys(values)) {
+      if (!known.includes(key)) {
+        return { error: `Unknown ${label} in ${field}: ${key}` };
       }
-      // GET /api/trips/:id
-      if (req.method === 'GET' && urlParts.length === 3) {
-        const tripId = urlParts[2];
-        const trip = data.trips.find(t => t.id === tripId);
-        if (!trip) {
-          sendJson(res, 404, { error: 'Trip not found' });
-          return;
-        }
-        // Compute derived dates and net balances
-        const { startDate, endDate } = deriveTripDates(trip);
-        const net = computeNetBalances(trip);
-        const matrix = computeDebtMatrix(net);
-        // Build response
-        const detailedTrip = JSON.parse(JSON.stringify(trip));
-        detailedTrip.start_date = startDate;
-        detailedTrip.end_date = endDate;
-        detailedTrip.net_balances = net;
-        detailedTrip.debt_matrix = matrix;
-        sendJson(res, 200, detailedTrip);
-        return;
+      const amount = parseAmount(values[key]);
+      if (amount === null) continue;
+      if (isNaN(amount) || amount <= 0) {
+        return { error: `Invalid budget for ${label} ${key}` };
       }
-      // POST /api/trips
-      if (req.method === 'POST' && urlParts.length === 2) {
-        const body = await parseJsonBody(req);
-        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
-          sendJson(res, 400, { error: 'Trip name is required' });
-          return;
-        }
-        const newTrip = {
-          id: generateId('trip'),
-          name: body.name.trim(),
-          location: body.location ? body.location.trim() : '',
-          start_date: body.start_date || null,
-          end_date: body.end_date || null,
+      budget[field][key] = amount;
+    }
+  }
+  const empty = total === null && !Object.keys(budget.by_category).length && !Object.keys(budget.by_participant).length;
+  return { budget: empty ? null : budget };
+}
+
+/**
+ * Count the days of a trip from deriveTripDates() and how many of them
+ * have begun by `today` (YYYY-MM-DD).  Returns nulls for a trip without
+ * both dates.
+ */
+function countTripDays(trip, today) {
+  const { startDate, endDate } = deriveTripDates(trip);
+  if (!startDate || !endDate || endDate < startDate) return { days: null, elapsed: null };
+  const dayNumber = date => Math.round(new Date(`${date}T00:00:00Z`).getTime() / 86400000);
+  const days = dayNumber(endDate) - dayNumber(startDate) + 1;
+  const elapsed = Math.min(days, Math.max(0, dayNumber(today) - dayNumber(startDate) + 1));
+  return { days, elapsed };
+}
+
+/**
+ * Describe one budget line: how much of `budget` was spent, what is left
+ * and which alert level was reached.  With trip dates it also gives the
+ * daily allowance and a projection of the spending rate so far over the
+ * whole trip.  Before the trip starts the projection is what was
+ * already spent.
+ */
+function describeBudgetLine(budget, spent, days, elapsed) {
+  const level = BUDGET_THRESHOLDS.filter(threshold => spent >= budget * threshold).length;
+  const line = {
+    budget: budget,
+    spent: spent,
+    remaining: budget - spent,
+    percent: Math.round(spent / budget * 100),
+    status: BUDGET_LEVELS[level]
+  };
+  if (days) {
+    line.daily_allowance = Math.floor(budget / days);
+    line.projected = elapsed ? Math.round(spent / elapsed * days) : spent;
+    line.projected_overrun = Math.max(0, line.projected - budget);
+  }
+  return line;
+}
+
+/**
+ * Compare a trip's spending with its budget, returned by GET
+ * /api/trips/:id as budget_status.  Category lines count the expenses of
+ * the category, participant lines the participant's shares, all in the
+ * base currency.  Returns null for a trip without a budget.
+ */
+function computeBudgetStatus(trip, today = new Date().toISOString().slice(0, 10)) {
+  if (!trip.budget) return null;
+  const stats = computeTripStats(trip);
+  const { days, elapsed } = countTripDays(trip, today);
+  const describeGroup = (budgets, spending) => {
+    const lines = {};
+    Object.keys(budgets).forEach(key => {
+      lines[key] = describeBudgetLine(budgets[key], spending[key] || 0, days, elapsed);
+    });
+    return lines;
+  };
+  return {
+    currency: stats.currency,
+    days: days,
+    days_elapsed: elapsed,
+    total: trip.budget.total ? describeBudgetLine(trip.budget.total, stats.total, days, elapsed) : null,
+    by_category: describeGroup(trip.budget.by_category, stats.by_category),
+    by_participant: describeGroup(trip.budget.by_participant, stats.by_participant)
+  };
+}
+
+/**
+ * List the budget lines that reached a new alert threshold between two
+ * budget states, as { scope, key, threshold, spent, budget } where scope
+ * is 'total', 'category' or 'participant'.
+ */
+function findBudgetCrossings(before, after) {
+  if (!after) return [];
+  const crossings = [];
+  const check = (scope, key, previous, line) => {
+    const reached = BUDGET_LEVELS.indexOf(line.status);
+    if (reached > (previous ? BUDGET_LEVELS.indexOf(previous.status) : 0)) {
+      crossings.push({ scope, key, threshold: BUDGET_THRESHOLDS[reached - 1], spent: line.spent, budget: line.budget });
+    }
+  };
+  if (after.total) check('total', null, before && before.total, after.total);
+  Object.keys(after.by_category).forEach(key => {
+    check('category', key, before && before.by_category[key], after.by_category[key]);
+  });
+  Object.keys(after.by_participant).forEach(key => {
+    check('participant', key, before && before.by_participant[key], after.by_participant[key]);
+  });
+  return crossings;
+}
+
+/**
+ * Convert integer minor units into a plain number of major units for
+ * spreadsheets, e.g. 12345 kopecks become 123.45.
+ */
+function toMajorUnits(amount, currency) {
+  return amount / 10 ** getMinorDigits(currency);
+}
+
+/**
+ * Build the full ledger of a trip as spreadsheet sheets: every expense
+ * with its payer and one share column per participant, every transfer,
+ * and the final balances from computeNetBalances().  Shares and balances
+ * are in the trip's base currency.  Each sheet is { name, rows } with a
+ * header row first.
+ */
+function buildLedgerSheets(trip) {
+  const base = getBaseCurrency(trip);
+  const nameOf = id => {
+    const participant = trip.participants.find(p => p.id === id);
+    return participant ? participant.name : id;
+  };
+  const byDate = (a, b) => (a.date || '').localeCompare(b.date || '');
+  const expenseRows = [[
+    'Date', 'Description', 'Category', 'Payer', 'Amount', 'Currency', `Amount (${base})`
+  ].concat(trip.participants.map(p => `Share: ${p.name} (${base})`))];
+  trip.expenses.slice().sort(byDate).forEach(exp => {
+    const currency = exp.currency || base;
+    const shares = getBaseShares(trip, exp);
+    expenseRows.push([
+      exp.date || '',
+      exp.description,
+      exp.category || FALLBACK_CATEGORY,
+      nameOf(exp.payer_id),
+      toMajorUnits(exp.amount, currency),
+      currency,
+      toMajorUnits(toBaseAmount(trip, exp, exp.amount), base)
+    ].concat(trip.participants.map(p => {
+      const share = shares.filter(sh => sh.participant_id === p.id).reduce((sum, sh) => sum + sh.amount, 0);
+      return toMajorUnits(share, base);
+    })));
+  });
+  const transferRows = [['Date', 'From', 'To', 'Amount', 'Currency', `Amount (${base})`]];
+  trip.transfers.slice().sort(byDate).forEach(tr => {
+    const currency = tr.currency || base;
+    transferRows.push([
+      tr.date || '',
+      nameOf(tr.from_id),
+      nameOf(tr.to_id),
+      toMajorUnits(tr.amount, currency),
+      currency,
+      toMajorUnits(toBaseAmount(trip, tr, tr.amount), base)
+    ]);
+  });
+  const net = computeNetBalances(trip);
+  const balanceRows = [['Participant', `Balance (${base})`]];
+  trip.participants.forEach(p => {
+    balanceRows.push([p.name, toMajorUnits(net[p.id], base)]);
+  });
+  return [
+    { name: 'Expenses', rows: expenseRows },
+    { name: 'Transfers', rows: transferRows },
+    { name: 'Balances', rows: balanceRows }
+  ];
+}
+
+// Columns GET /api/trips/:id/expenses sorts by, and its page sizes
+const EXPENSE_SORT_FIELDS = ['date', 'description', 'payer', 'category', 'amount', 'currency'];
+const DEFAULT_EXPENSE_PAGE_SIZE = 50;
+const MAX_EXPENSE_PAGE_SIZE = 200;
+
+/**
+ * Add the converted amount, the presence warnings and the attachments an
+ * expense is shown with.  `exp` is a copy and is changed in place.
+ */
+function decorateExpense(trip, exp) {
+  exp.base_amount = toBaseAmount(trip, exp, exp.amount);
+  const warnings = findPresenceWarnings(trip, exp);
+  if (warnings.length) exp.warnings = warnings;
+  const attachments = findAttachments(trip, exp.id);
+  if (attachments.length) exp.attachments = attachments;
+  return exp;
+}
+
+/**
+ * List the attachments of an expense, oldest first.  Attachments are
+ * kept on the trip rather than in the expense, so that undoing an edit of
+ * the expense does not bring back a removed file or lose a new one, and
+ * the files of a deleted expense come back when the deletion is undone.
+ */
+function findAttachments(trip, expenseId) {
+  return (trip.attachments || []).filter(attachment => attachment.expense_id === expenseId);
+}
+
+/**
+ * Read the search, filters, sorting and page of GET
+ * /api/trips/:id/expenses from its query string.  Amount bounds are in
+ * minor units of the base currency, dates inclusive.  Returns an object
+ * with either an `error` message or the `filter`.
+ */
+function parseExpenseQuery(trip, query) {
+  const filter = {
+    q: (query.get('q') || '').trim().toLowerCase(),
+    payer_id: query.get('payer_id') || null,
+    participant_id: query.get('participant_id') || null,
+    category: query.get('category') || null,
+    from: query.get('from') || null,
+    to: query.get('to') || null,
+    min_amount: null,
+    max_amount: null,
+    sort: query.get('sort') || 'date',
+    order: query.get('order') || (query.get('sort') ? 'asc' : 'desc'),
+    page: 1,
+    per_page: DEFAULT_EXPENSE_PAGE_SIZE
+  };
+  for (const field of ['payer_id', 'participant_id']) {
+    if (filter[field] && !trip.participants.some(p => p.id === filter[field])) {
+      return { error: `Unknown ${field}` };
+    }
+  }
+  if (filter.category && !getTripCategories(trip).includes(filter.category)) {
+    return { error: 'Unknown category' };
+  }
+  for (const field of ['from', 'to']) {
+    if (filter[field] && !isIsoDate(filter[field])) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  for (const field of ['min_amount', 'max_amount']) {
+    const raw = query.get(field);
+    if (raw === null || raw === '') continue;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${field} must be a non-negative integer in minor units` };
+    }
+    filter[field] = value;
+  }
+  if (!EXPENSE_SORT_FIELDS.includes(filter.sort)) {
+    return { error: `Invalid sort; expected one of ${EXPENSE_SORT_FIELDS.join(', ')}` };
+  }
+  if (filter.order !== 'asc' && filter.order !== 'desc') {
+    return { error: 'Invalid order; expected asc or desc' };
+  }
+  for (const field of ['page', 'per_page']) {
+    const raw = query.get(field);
+    if (raw === null || raw === '') continue;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1 || (field === 'per_page' && value > MAX_EXPENSE_PAGE_SIZE)) {
+      return { error: field === 'page' ? 'page must be a positive integer' : `per_page must be between 1 and ${MAX_EXPENSE_PAGE_SIZE}` };
+    }
+    filter[field] = value;
+  }
+  return { filter };
+}
+
+/**
+ * List the expenses of a trip matching a filter from parseExpenseQuery(),
+ * sorted and cut to one page.  Totals cover every matching expense, not
+ * only the page: their number, their sum in the base currency and, when
+ * filtering by participant, that participant's shares of them.  Undated
+ * expenses never match a date range.
+ */
+function listExpenses(trip, filter) {
+  const nameOf = id => {
+    const participant = trip.participants.find(p => p.id === id);
+    return participant ? participant.name : id;
+  };
+  const participantShare = exp => getBaseShares(trip, exp)
+    .filter(share => share.participant_id === filter.participant_id)
+    .reduce((sum, share) => sum + share.amount, 0);
+  const matches = trip.expenses.filter(exp => {
+    if (filter.q && !(exp.description || '').toLowerCase().includes(filter.q)) return false;
+    if (filter.payer_id && exp.payer_id !== filter.payer_id) return false;
+    if (filter.participant_id && !exp.shares.some(share => share.participant_id === filter.participant_id)) return false;
+    if (filter.category && (exp.category || FALLBACK_CATEGORY) !== filter.category) return false;
+    if ((filter.from || filter.to) && !exp.date) return false;
+    if (filter.from && exp.date < filter.from) return false;
+    if (filter.to && exp.date > filter.to) return false;
+    const amount = toBaseAmount(trip, exp, exp.amount);
+    if (filter.min_amount !== null && amount < filter.min_amount) return false;
+    if (filter.max_amount !== null && amount > filter.max_amount) return false;
+    return true;
+  });
+  const sortKey = {
+    date: exp => exp.date || '',
+    description: exp => (exp.description || '').toLowerCase(),
+    payer: exp => nameOf(exp.payer_id).toLowerCase(),
+    category: exp => exp.category || FALLBACK_CATEGORY,
+    amount: exp => toBaseAmount(trip, exp, exp.amount),
+    currency: exp => exp.currency || getBaseCurrency(trip)
+  }[filter.sort];
+  const direction = filter.order === 'desc' ? -1 : 1;
+  matches.sort((a, b) => {
+    const left = sortKey(a);
+    const right = sortKey(b);
+    const diff = typeof left === 'number' ? left - right : left.localeCompare(right);
+    return diff * direction;
+  });
+  const totals = {
+    count: matches.length,
+    amount: matches.reduce((sum, exp) => sum + toBaseAmount(trip, exp, exp.amount), 0)
+  };
+  if (filter.participant_id) {
+    totals.participant_share = matches.reduce((sum, exp) => sum + participantShare(exp), 0);
+  }
+  const start = (filter.page - 1) * filter.per_page;
+  return {
+    expenses: matches.slice(start, start + filter.per_page)
+      .map(exp => decorateExpense(trip, JSON.parse(JSON.stringify(exp)))),
+    currency: getBaseCurrency(trip),
+    totals,
+    sort: filter.sort,
+    order: filter.order,
+    page: filter.page,
+    per_page: filter.per_page,
+    pages: Math.max(1, Math.ceil(matches.length / filter.per_page))
+  };
+}
+
+/**
+ * Build the statement of one participant: every expense they paid, every
+ * share they consumed and every transfer they sent or received, oldest
+ * first, with a running balance.  Amounts are signed from the
+ * participant's side (paying and sending count up, consuming and
+ * receiving down) in the base currency, so the last balance is the one
+ * computeNetBalances() gives.  An expense the participant both paid and
+ * shared in gives two lines.
+ */
+function buildStatement(trip, participantId) {
+  const nameOf = id => {
+    const participant = trip.participants.find(p => p.id === id);
+    return participant ? participant.name : id;
+  };
+  const lines = [];
+  trip.expenses.forEach(exp => {
+    if (exp.payer_id === participantId) {
+      lines.push({
+        date: exp.date || null,
+        kind: 'paid',
+        source: 'expense',
+        source_id: exp.id,
+        description: exp.description,
+        category: exp.category || FALLBACK_CATEGORY,
+        amount: toBaseAmount(trip, exp, exp.amount)
+      });
+    }
+    const consumed = getBaseShares(trip, exp)
+      .filter(share => share.participant_id === participantId)
+      .reduce((sum, share) => sum + share.amount, 0);
+    if (consumed) {
+      lines.push({
+        date: exp.date || null,
+        kind: 'consumed',
+        source: 'expense',
+        source_id: exp.id,
+        description: exp.description,
+        category: exp.category || FALLBACK_CATEGORY,
+        payer_id: exp.payer_id,
+        amount: -consumed
+      });
+    }
+  });
+  trip.transfers.forEach(tr => {
+    const amount = toBaseAmount(trip, tr, tr.amount);
+    if (tr.from_id === participantId) {
+      lines.push({
+        date: tr.date || null,
+        kind: 'sent',
+        source: 'transfer',
+        source_id: tr.id,
+        description: `Transfer to ${nameOf(tr.to_id)}`,
+        counterparty_id: tr.to_id,
+        amount
+      });
+    }
+    if (tr.to_id === participantId) {
+      lines.push({
+        date: tr.date || null,
+        kind: 'received',
+        source: 'transfer',
+        source_id: tr.id,
+        description: `Transfer from ${nameOf(tr.from_id)}`,
+        counterparty_id: tr.from_id,
+        amount: -amount
+      });
+    }
+  });
+  // Array.prototype.sort is stable, so lines of the same day keep the
+  // order expenses and transfers were added in
+  lines.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  const totals = { paid: 0, consumed: 0, sent: 0, received: 0 };
+  let balance = 0;
+  lines.forEach(line => {
+    balance += line.amount;
+    line.balance = balance;
+    totals[line.kind] += Math.abs(line.amount);
+  });
+  return {
+    participant_id: participantId,
+    currency: getBaseCurrency(trip),
+    lines,
+    totals,
+    balance
+  };
+}
+
+/**
+ * Validate an expense request body against a trip and build the stored
+ * expense fields (everything except the id).  Used by both the create and
+ * the edit routes so that shares are always validated the same way.
+ * Returns an object with either an `error` message or the `expense`.
+ */
+function buildExpense(trip, body) {
+  // The amount of an itemized receipt is always the receipt total
+  const isReceipt = Boolean(body.split && body.split.mode === 'items');
+  const requiredFields = isReceipt ? ['payer_id', 'description'] : ['payer_id', 'amount', 'description'];
+  for (const field of requiredFields) {
+    if (!body[field]) {
+      return { error: `Missing required field: ${field}` };
+    }
+  }
+  const payer = trip.participants.find(p => p.id === body.payer_id);
+  if (!payer) {
+    return { error: 'Invalid payer_id' };
+  }
+  // Amounts are integer minor units of the expense currency
+  let amount = isReceipt ? 0 : parseMinorUnits(body.amount);
+  if (!isReceipt && (isNaN(amount) || amount <= 0)) {
+    return { error: 'Invalid amount' };
+  }
+  const description = body.description.toString().trim();
+  const category = body.category ? body.category.toString().trim() : FALLBACK_CATEGORY;
+  if (!getTripCategories(trip).includes(category)) {
+    return { error: 'Invalid category' };
+  }
+  const date = body.date || null;
+  const money = resolveEntryCurrency(trip, body);
+  if (money.error) {
+    return { error: money.error };
+  }
+  // The split definition is kept on the expense so that shares can be
+  // re‑derived when the expense is edited.  A bare shares array is treated
+  // as an exact split; with neither, the expense is split equally.
+  let split = body.split;
+  if (!split && Array.isArray(body.shares) && body.shares.length > 0) {
+    const values = {};
+    for (const share of body.shares) {
+      const participant = trip.participants.find(p => p.id === share.participant_id);
+      if (!participant) {
+        return { error: 'Invalid participant in shares' };
+      }
+      const shareAmount = parseMinorUnits(share.amount);
+      if (isNaN(shareAmount) || shareAmount < 0) {
+        return { error: 'Invalid share amount' };
+      }
+      values[participant.id] = (values[participant.id] || 0) + shareAmount;
+    }
+    split = { mode: 'exact', values: values };
+  }
+  const resolved = resolveSplit(trip, split || { mode: 'equal' }, amount, date);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  if (isReceipt) {
+    amount = resolved.amount;
+  }
+  return {
+    expense: {
+      payer_id: payer.id,
+      amount: amount,
+      currency: money.currency,
+      exchange_rate: money.exchangeRate,
+      description: description,
+      date: date,
+      category: category,
+      split: resolved.split,
+      shares: resolved.shares
+    }
+  };
+}
+
+/**
+ * Validate a transfer request body against a trip and build the stored
+ * transfer fields (everything except the id).  Returns an object with
+ * either an `error` message or the `transfer`.
+ */
+function buildTransfer(trip, body) {
+  const requiredFields = ['from_id', 'to_id', 'amount'];
+  for (const field of requiredFields) {
+    if (!body[field]) {
+      return { error: `Missing required field: ${field}` };
+    }
+  }
+  const from = trip.participants.find(p => p.id === body.from_id);
+  const to = trip.participants.find(p => p.id === body.to_id);
+  if (!from || !to) {
+    return { error: 'Invalid from_id or to_id' };
+  }
+  const amount = parseMinorUnits(body.amount);
+  if (isNaN(amount) || amount <= 0) {
+    return { error: 'Invalid amount' };
+  }
+  const date = body.date || null;
+  const money = resolveEntryCurrency(trip, body);
+  if (money.error) {
+    return { error: money.error };
+  }
+  return {
+    transfer: {
+      from_id: from.id,
+      to_id: to.id,
+      amount: amount,
+      currency: money.currency,
+      exchange_rate: money.exchangeRate,
+      date: date
+    }
+  };
+}
+
+// How a recurring expense repeats: every day of its range, or every
+// night between check‑in and check‑out (the check‑out day is not paid)
+const SERIES_FREQUENCIES = ['daily', 'nightly'];
+
+// Longest series accepted, so that a typo in a year cannot create
+// thousands of expenses
+const MAX_SERIES_OCCURRENCES = 366;
+
+/**
+ * Check that a value is a real calendar date written as YYYY-MM-DD.
+ */
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * List the dates a series has an occurrence on, in order: every day from
+ * start_date to end_date for a daily series, every night from start_date
+ * up to the day before end_date for a nightly one, minus the dates in
+ * excluded_dates.
+ */
+function seriesDates(series) {
+  const dates = [];
+  const last = new Date(`${series.end_date}T00:00:00Z`);
+  if (series.frequency === 'nightly') last.setUTCDate(last.getUTCDate() - 1);
+  const excluded = series.excluded_dates || [];
+  for (const day = new Date(`${series.start_date}T00:00:00Z`); day <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().slice(0, 10);
+    if (!excluded.includes(date)) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Validate a recurring expense request body against a trip and build the
+ * stored series fields (everything except the id).  The amount and split
+ * are those of a single occurrence and are validated like an expense.
+ * Returns an object with either an `error` message or the `series`.
+ */
+function buildSeries(trip, body) {
+  if (!SERIES_FREQUENCIES.includes(body.frequency)) {
+    return { error: `Invalid frequency; expected one of ${SERIES_FREQUENCIES.join(', ')}` };
+  }
+  if (!isIsoDate(body.start_date) || !isIsoDate(body.end_date)) {
+    return { error: 'start_date and end_date must be dates in YYYY-MM-DD format' };
+  }
+  if (body.end_date < body.start_date || (body.frequency === 'nightly' && body.end_date === body.start_date)) {
+    return { error: 'end_date must be after start_date' };
+  }
+  // Without a split, or with an equal split that lists nobody, the series
+  // is shared by everyone, and each occurrence then by those present on
+  // its date (see expandSeries())
+  const source = Object.assign({}, body, { date: body.start_date });
+  const sharedByEveryone = source.split
+    ? source.split.mode === 'equal' && !Array.isArray(source.split.participant_ids)
+    : !(Array.isArray(source.shares) && source.shares.length);
+  if (sharedByEveryone) {
+    source.split = { mode: 'equal', participant_ids: trip.participants.map(p => p.id) };
+  }
+  const result = buildExpense(trip, source);
+  if (result.error) {
+    return { error: result.error };
+  }
+  const excluded = Array.isArray(body.excluded_dates) ? body.excluded_dates : [];
+  if (excluded.some(date => !isIsoDate(date))) {
+    return { error: 'Invalid excluded_dates' };
+  }
+  const series = Object.assign({}, result.expense, {
+    frequency: body.frequency,
+    start_date: body.start_date,
+    end_date: body.end_date,
+    excluded_dates: excluded.filter(date => date >= body.start_date && date <= body.end_date).sort()
+  });
+  delete series.date;
+  const count = seriesDates(series).length;
+  if (count === 0) {
+    return { error: 'The series has no dates left' };
+  }
+  if (count > MAX_SERIES_OCCURRENCES) {
+    return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences` };
+  }
+  return { series };
+}
+
+/**
+ * Bring the expenses of a series in line with its definition.  Existing
+ * occurrences keep their ids and are updated in place, occurrences on
+ * dates the series no longer covers are removed and missing dates get new
+ * expenses.  An equal split is narrowed on each date to the people
+ * present then, so a hotel night is only shared by those staying: for a
+ * nightly series that means present on the date and on the morning
+ * after.
+ * Returns the changes made, in the form used by activity entries.
+ */
+function expandSeries(trip, series) {
+  const dates = seriesDates(series);
+  const changes = [];
+  const kept = [];
+  trip.expenses = trip.expenses.filter(exp => {
+    if (exp.series_id !== series.id) return true;
+    if (dates.includes(exp.date) && !kept.includes(exp.date)) {
+      kept.push(exp.date);
+      return true;
+    }
+    changes.push({ entity: 'expense', entity_id: exp.id, before: exp, after: null });
+    return false;
+  });
+  const fields = Object.assign({}, series);
+  ['id', 'frequency', 'start_date', 'end_date', 'excluded_dates', 'updated_at'].forEach(key => delete fields[key]);
+  const fieldsOn = date => {
+    const copy = JSON.parse(JSON.stringify(fields));
+    if (series.split.mode !== 'equal') return copy;
+    const morning = new Date(`${date}T00:00:00Z`);
+    morning.setUTCDate(morning.getUTCDate() + 1);
+    const staying = p => isPresentOn(p, date) &&
+      (series.frequency !== 'nightly' || isPresentOn(p, morning.toISOString().slice(0, 10)));
+    const present = trip.participants
+      .filter(p => series.split.participant_ids.includes(p.id) && staying(p))
+      .map(p => p.id);
+    // When nobody is present the whole group keeps paying, with warnings
+    if (!present.length || present.length === series.split.participant_ids.length) return copy;
+    return Object.assign(copy, resolveSplit(trip, { mode: 'equal', participant_ids: present }, series.amount));
+  };
+  dates.forEach(date => {
+    const existing = trip.expenses.find(exp => exp.series_id === series.id && exp.date === date);
+    if (existing) {
+      const before = JSON.parse(JSON.stringify(existing));
+      Object.assign(existing, fieldsOn(date), { date });
+      if (JSON.stringify(before) !== JSON.stringify(existing)) {
+        changes.push({ entity: 'expense', entity_id: existing.id, before, after: existing });
+      }
+      return;
+    }
+    const occurrence = Object.assign({ id: generateId('e') }, fieldsOn(date), { date, series_id: series.id });
+    trip.expenses.push(occurrence);
+    changes.push({ entity: 'expense', entity_id: occurrence.id, before: null, after: occurrence });
+  });
+  return changes;
+}
+
+/**
+ * Return a copy of a saved series for a response, with its current
+ * `occurrences` and the budget thresholds the change crossed under
+ * `budget_warnings`, when there are any.
+ */
+function withSeriesDetails(trip, series, budgetBefore) {
+  const response = Object.assign({}, series, { occurrences: trip.expenses.filter(e => e.series_id === series.id) });
+  const crossings = findBudgetCrossings(budgetBefore, computeBudgetStatus(trip));
+  if (crossings.length) response.budget_warnings = crossings;
+  return response;
+}
+
+/**
+ * Take an expense out of its series before it is edited or deleted on its
+ * own, so that later changes to the series leave it alone.  Its date is
+ * excluded from the series.  Returns the change made to the series, or
+ * null for an expense that is not part of one.
+ */
+function detachFromSeries(trip, expense) {
+  const series = (trip.series || []).find(s => s.id === expense.series_id);
+  delete expense.series_id;
+  if (!series) return null;
+  const before = JSON.parse(JSON.stringify(series));
+  if (expense.date && !series.excluded_dates.includes(expense.date)) {
+    series.excluded_dates = series.excluded_dates.concat(expense.date).sort();
+  }
+  return { entity: 'series', entity_id: series.id, before, after: series };
+}
+
+/**
+ * Check whether a participant is still referenced by any expense (as
+ * payer or in its shares), recurring expense or transfer.
+ */
+function isParticipantReferenced(trip, participantId) {
+  const inExpenses = trip.expenses.concat(trip.series || []).some(exp =>
+    exp.payer_id === participantId ||
+    (exp.shares || []).some(share => share.participant_id === participantId)
+  );
+  const inTransfers = trip.transfers.some(tr => tr.from_id === participantId || tr.to_id === participantId);
+  return inExpenses || inTransfers;
+}
+
+/**
+ * Remove a participant nothing refers to any more (see
+ * isParticipantReferenced): they also leave their household, which goes
+ * when it is left empty, and lose their budget.  Returns the changes to
+ * households and the budget, to be logged as related to the deletion.
+ * Used by the DELETE route and by sync when a deletion is pulled.
+ */
+function removeParticipant(trip, participantId) {
+  const householdsBefore = JSON.parse(JSON.stringify(trip.households || []));
+  const budgetBefore = trip.budget ? JSON.parse(JSON.stringify(trip.budget)) : null;
+  trip.participants = trip.participants.filter(p => p.id !== participantId);
+  if (trip.households) {
+    trip.households.forEach(h => {
+      h.participant_ids = h.participant_ids.filter(id => id !== participantId);
+    });
+    trip.households = trip.households.filter(h => h.participant_ids.length);
+  }
+  const related = diffRecords('household', householdsBefore, trip.households || []);
+  if (trip.budget && trip.budget.by_participant[participantId] !== undefined) {
+    delete trip.budget.by_participant[participantId];
+    related.push({ entity: 'budget', entity_id: null, before: budgetBefore, after: trip.budget });
+  }
+  return related;
+}
+
+/**
+ * Move every reference to one participant over to another, in expenses,
+ * recurring expenses and transfers.  Shares and
+ * split definitions of both participants in the same expense are merged
+ * (percentages and weights add up), and transfers that
+ * would end up going from a participant to themselves are dropped.
+ */
+function reassignParticipant(trip, fromId, toId) {
+  trip.expenses.concat(trip.series || []).forEach(exp => {
+    if (exp.payer_id === fromId) exp.payer_id = toId;
+    const merged = [];
+    (exp.shares || []).forEach(share => {
+      const participantId = share.participant_id === fromId ? toId : share.participant_id;
+      const existing = merged.find(s => s.participant_id === participantId);
+      if (existing) {
+        existing.amount += share.amount;
+      } else {
+        merged.push({ participant_id: participantId, amount: share.amount });
+      }
+    });
+    exp.shares = merged;
+    if (exp.split && Array.isArray(exp.split.participant_ids)) {
+      const ids = exp.split.participant_ids.map(id => (id === fromId ? toId : id));
+      exp.split.participant_ids = trip.participants.filter(p => ids.includes(p.id)).map(p => p.id);
+    } else if (exp.split && Array.isArray(exp.split.items)) {
+      exp.split.items.forEach(item => {
+        const ids = item.participant_ids.map(id => (id === fromId ? toId : id));
+        item.participant_ids = trip.participants.filter(p => ids.includes(p.id)).map(p => p.id);
+      });
+    } else if (exp.split && exp.split.values && exp.split.values[fromId] !== undefined) {
+      exp.split.values[toId] = (exp.split.values[toId] || 0) + exp.split.values[fromId];
+      delete exp.split.values[fromId];
+    }
+  });
+  trip.transfers.forEach(tr => {
+    if (tr.from_id === fromId) tr.from_id = toId;
+    if (tr.to_id === fromId) tr.to_id = toId;
+  });
+  trip.transfers = trip.transfers.filter(tr => tr.from_id !== tr.to_id);
+}
+
+// Kinds of records the activity log tracks
+const ACTIVITY_COLLECTIONS = {
+  participant: 'participants',
+  expense: 'expenses',
+  transfer: 'transfers',
+  series: 'series',
+  household: 'households'
+};
+
+// Entries about the trip as a whole (creation, import), its members, its
+// share links and attached files are informational and cannot be undone
+const LOG_ONLY_ENTITIES = ['trip', 'member', 'share_link', 'attachment'];
+
+// Entries that change fields of the trip itself which sync sends along
+const TRIP_FIELD_ENTITIES = ['trip', 'rates'];
+
+/**
+ * Return the name of the signed in user making a request, or null.
+ */
+function getActor(req) {
+  return req.user ? req.user.name : null;
+}
+
+/**
+ * Append an entry to the trip's activity log.  `change` holds the action
+ * ('create', 'update', 'delete', 'import' or 'undo'), the entity kind and
+ * id, and snapshots of the entity before and after the change (null when
+ * it did not exist).  Changes an action made to other records, such as
+ * the expenses moved over when a participant is deleted, go into
+ * `change.related` as a list of the same shape.  The log is append‑only:
+ * an undo is recorded as a new entry pointing at the one it reverts.
+ */
+function recordActivity(trip, req, change) {
+  const snapshot = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+  const entry = {
+    id: generateId('a'),
+    at: new Date().toISOString(),
+    actor: getActor(req),
+    actor_id: req.user ? req.user.id : null,
+    action: change.action,
+    entity: change.entity,
+    entity_id: change.entity_id === undefined ? null : change.entity_id,
+    before: snapshot(change.before),
+    after: snapshot(change.after)
+  };
+  if (change.related && change.related.length) {
+    entry.related = change.related.map(item => ({
+      entity: item.entity,
+      entity_id: item.entity_id,
+      before: snapshot(item.before),
+      after: snapshot(item.after)
+    }));
+  }
+  if (change.undo_of) entry.undo_of = change.undo_of;
+  // Changes made without an account are traced to the share link used
+  if (req.shareLink) entry.share_link_id = req.shareLink.id;
+  trip.activity = (trip.activity || []).concat(entry);
+  stampChangedRecords(trip, entry);
+  return entry;
+}
+
+/**
+ * Stamp the records an activity entry touched with the time of the
+ * change, so that sync can tell what changed since it last ran.  A
+ * record that no longer exists leaves a tombstone in
+ * trip.deleted_records, which it loses again when an undo brings it back.
+ */
+function stampChangedRecords(trip, entry) {
+  if (TRIP_FIELD_ENTITIES.includes(entry.entity)) trip.updated_at = entry.at;
+  [entry].concat(entry.related || []).forEach(item => {
+    const collection = ACTIVITY_COLLECTIONS[item.entity];
+    if (!collection) return;
+    const record = (trip[collection] || []).find(r => r.id === item.entity_id);
+    trip.deleted_records = (trip.deleted_records || [])
+      .filter(tombstone => tombstone.entity !== item.entity || tombstone.id !== item.entity_id);
+    if (record) {
+      record.updated_at = entry.at;
+    } else {
+      trip.deleted_records.push({ entity: item.entity, id: item.entity_id, deleted_at: entry.at });
+    }
+  });
+}
+
+/**
+ * Compare two versions of a list of records with ids and return a change
+ * (as used in activity entries) for every record that was modified or
+ * removed.
+ */
+function diffRecords(entity, beforeList, afterList) {
+  const changes = [];
+  beforeList.forEach(before => {
+    const after = afterList.find(record => record.id === before.id) || null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ entity, entity_id: before.id, before, after });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Return the keys of every record an activity entry touched, used to
+ * find entries that depend on each other.
+ */
+function activityKeys(entry) {
+  return [entry].concat(entry.related || []).map(item => `${item.entity}:${item.entity_id}`);
+}
+
+/**
+ * Put a record of a trip into the state captured by an activity snapshot,
+ * removing it when the snapshot is null.
+ */
+function applySnapshot(trip, entity, entityId, snapshot) {
+  if (ACTIVITY_COLLECTIONS[entity]) {
+    if (!trip[ACTIVITY_COLLECTIONS[entity]]) trip[ACTIVITY_COLLECTIONS[entity]] = [];
+    const list = trip[ACTIVITY_COLLECTIONS[entity]];
+    const index = list.findIndex(record => record.id === entityId);
+    if (!snapshot) {
+      if (index !== -1) list.splice(index, 1);
+    } else if (index !== -1) {
+      list[index] = JSON.parse(JSON.stringify(snapshot));
+    } else {
+      list.push(JSON.parse(JSON.stringify(snapshot)));
+    }
+  } else if (entity === 'category') {
+    const custom = (trip.custom_categories || []).filter(name => name !== entityId);
+    trip.custom_categories = snapshot ? custom.concat(entityId) : custom;
+  } else if (entity === 'rates') {
+    trip.base_currency = snapshot.base_currency;
+    trip.exchange_rates = Object.assign({}, snapshot.exchange_rates);
+  } else if (entity === 'budget') {
+    trip.budget = snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+  }
+}
+
+/**
+ * Check that every expense, recurring expense and transfer of a trip
+ * refers to existing participants, a known category and a currency with
+ * an exchange rate.
+ * Returns a description of the first problem found, or null.
+ */
+function findIntegrityProblem(trip) {
+  const ids = trip.participants.map(p => p.id);
+  const categories = getTripCategories(trip);
+  for (const exp of trip.expenses) {
+    const used = [exp.payer_id].concat((exp.shares || []).map(share => share.participant_id));
+    if (used.some(id => !ids.includes(id))) {
+      return `Expense "${exp.description}" refers to a participant that would not exist`;
+    }
+    if (exp.category && !categories.includes(exp.category)) {
+      return `Expense "${exp.description}" uses category "${exp.category}" that would not exist`;
+    }
+  }
+  for (const series of trip.series || []) {
+    const used = [series.payer_id].concat((series.shares || []).map(share => share.participant_id));
+    if (used.some(id => !ids.includes(id))) {
+      return `Recurring expense "${series.description}" refers to a participant that would not exist`;
+    }
+    if (series.category && !categories.includes(series.category)) {
+      return `Recurring expense "${series.description}" uses category "${series.category}" that would not exist`;
+    }
+  }
+  for (const tr of trip.transfers) {
+    if (!ids.includes(tr.from_id) || !ids.includes(tr.to_id)) {
+      return 'A transfer refers to a participant that would not exist';
+    }
+  }
+  const grouped = [];
+  for (const household of trip.households || []) {
+    if (household.participant_ids.some(id => !ids.includes(id) || grouped.includes(id))) {
+      return `Household "${household.name}" refers to a participant that would not exist or is in another household`;
+    }
+    grouped.push(...household.participant_ids);
+  }
+  if (trip.budget) {
+    if (Object.keys(trip.budget.by_participant).some(id => !ids.includes(id))) {
+      return 'The budget refers to a participant that would not exist';
+    }
+    const missing = Object.keys(trip.budget.by_category).find(category => !categories.includes(category));
+    if (missing) {
+      return `The budget uses category "${missing}" that would not exist`;
+    }
+  }
+  for (const entry of trip.expenses.concat(trip.transfers)) {
+    const currency = entry.currency || getBaseCurrency(trip);
+    if (getExchangeRate(trip, currency, entry.exchange_rate) === null) {
+      return `No exchange rate for ${currency}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map the ids of undone activity entries to the ids of the entries that
+ * undid them.
+ */
+function findUndoneEntries(trip) {
+  const undoneBy = {};
+  (trip.activity || []).forEach(entry => {
+    if (entry.undo_of) undoneBy[entry.undo_of] = entry.id;
+  });
+  return undoneBy;
+}
+
+/**
+ * Describe the activity log of a trip for clients, newest entry first.
+ * Each entry is marked as undone (with the id of the undoing entry) and
+ * says whether it can be undone now.
+ */
+function describeActivity(trip) {
+  const undoneBy = findUndoneEntries(trip);
+  return (trip.activity || []).map(entry => Object.assign({}, entry, {
+    before: entry.before || null,
+    after: entry.after || null,
+    undone_by: undoneBy[entry.id] || null,
+    can_undo: !prepareUndo(trip, entry, undoneBy).error
+  })).reverse();
+}
+
+/**
+ * Work out the state of a trip with one activity entry reverted.
+ * Entries about the whole trip, undo entries and entries that were
+ * already undone cannot be undone.  An entry is also blocked by any later
+ * entry that touched one of the same records and is still in effect,
+ * because reverting it would throw that later change away, and by
+ * anything else that still relies on it, such as an expense of a
+ * participant whose creation is being undone.  `undoneBy` maps undone
+ * entry ids to the ids of the entries that undid them.  Returns an object
+ * with either an `error` message or the reverted copy of the `trip`.
+ */
+function prepareUndo(trip, entry, undoneBy) {
+  if (LOG_ONLY_ENTITIES.includes(entry.entity) || entry.action === 'undo') {
+    return { error: 'This entry cannot be undone' };
+  }
+  if (undoneBy[entry.id]) {
+    return { error: 'This entry has already been undone' };
+  }
+  const log = trip.activity || [];
+  const keys = activityKeys(entry);
+  const later = log.slice(log.indexOf(entry) + 1).find(other =>
+    other.action !== 'undo' && !undoneBy[other.id] &&
+    activityKeys(other).some(key => keys.includes(key))
+  );
+  if (later) {
+    return { error: 'A later change to the same records has to be undone first' };
+  }
+  const reverted = JSON.parse(JSON.stringify(trip));
+  [entry].concat(entry.related || []).forEach(item => {
+    applySnapshot(reverted, item.entity, item.entity_id, item.before);
+  });
+  const problem = findIntegrityProblem(reverted);
+  return problem ? { error: problem } : { trip: reverted };
+}
+
+/**
+ * Build the detailed view of a trip returned by GET /api/trips/:id: the
+ * stored trip plus derived dates, converted amounts, presence warnings
+ * of expenses, budget consumption, net balances (per participant and per
+ * household), the debt matrix for the requested settlement strategy and
+ * unit, the members and the access role of the request `req` when given.
+ * When settling by household the matrix is keyed by household ids, and
+ * by participant ids for people outside a household.  Share links are
+ * left out, and holders of a share link do not see the members' email
+ * addresses.
+ */
+function buildTripDetails(trip, requested = 'optimal', req = null, unit = 'individual') {
+  // Compute derived dates and net balances
+  const { startDate, endDate } = deriveTripDates(trip);
+  const net = computeNetBalances(trip);
+  const householdNet = computeHouseholdBalances(trip, net);
+  const settled = unit === 'household' ? householdNet : net;
+  const greedyMatrix = computeGreedyDebtMatrix(settled);
+  const optimalMatrix = computeOptimalDebtMatrix(settled);
+  // Optimal settlement may be unavailable for very large groups
+  const strategy = requested === 'optimal' && optimalMatrix ? 'optimal' : 'greedy';
+  const matrix = strategy === 'optimal' ? optimalMatrix : greedyMatrix;
+  const detailedTrip = JSON.parse(JSON.stringify(trip));
+  // The activity log can grow long and has its own endpoint
+  delete detailedTrip.activity;
+  delete detailedTrip.share_links;
+  // Tombstones of deleted records only matter to sync
+  delete detailedTrip.deleted_records;
+  // Attachments are listed with their expenses
+  delete detailedTrip.attachments;
+  detailedTrip.start_date = startDate;
+  detailedTrip.end_date = endDate;
+  detailedTrip.base_currency = getBaseCurrency(trip);
+  detailedTrip.exchange_rates = trip.exchange_rates || {};
+  detailedTrip.categories = getTripCategories(trip);
+  // Converted amounts let the client show both original and base values
+  detailedTrip.expenses.forEach(exp => decorateExpense(trip, exp));
+  detailedTrip.transfers.forEach(tr => {
+    tr.base_amount = toBaseAmount(trip, tr, tr.amount);
+  });
+  detailedTrip.members = describeMembers(trip);
+  if (req && req.shareLink) {
+    detailedTrip.members.forEach(member => {
+      delete member.email;
+    });
+  }
+  if (req) detailedTrip.my_role = getAccessRole(trip, req);
+  detailedTrip.households = trip.households || [];
+  detailedTrip.budget = trip.budget || null;
+  detailedTrip.budget_status = computeBudgetStatus(trip);
+  detailedTrip.net_balances = net;
+  detailedTrip.household_balances = {};
+  detailedTrip.households.forEach(household => {
+    detailedTrip.household_balances[household.id] = householdNet[household.id] || 0;
+  });
+  detailedTrip.debt_matrix = matrix;
+  detailedTrip.settlement = {
+    requested: requested,
+    strategy: strategy,
+    unit: unit,
+    transfer_counts: {
+      greedy: countTransfers(greedyMatrix),
+      optimal: optimalMatrix ? countTransfers(optimalMatrix) : null
+    }
+  };
+  return detailedTrip;
+}
+
+/**
+ * Return the ETag of a trip, derived from its version number.
+ */
+function tripEtag(trip) {
+  return `"${trip.version || 1}"`;
+}
+
+/**
+ * Check the optional If-Match header of a request that changes `trip`.
+ * When the client saw an older version, a 409 response carrying the
+ * current state of the trip is sent and false is returned; the caller
+ * must then stop.  Requests without the header are not checked.
+ */
+function checkTripVersion(req, res, trip) {
+  const header = req.headers['if-match'];
+  if (!header) return true;
+  const etag = tripEtag(trip);
+  const matches = header.split(',').some(tag => {
+    const value = tag.trim().replace(/^W\//, '');
+    return value === '*' || value === etag;
+  });
+  if (matches) return true;
+  res.setHeader('ETag', etag);
+  sendJson(res, 409, { error: 'Trip was changed by someone else', trip: buildTripDetails(trip, 'optimal', req) });
+  return false;
+}
+
+// Requests that change data run one after another.  Each of them reads a
+// trip, waits for its body and writes the trip back, so without the lock
+// two requests could interleave and one would overwrite the other.
+let writeLock = Promise.resolve();
+
+/**
+ * Wait until all earlier writers are done.  Resolves with a function that
+ * must be called to let the next writer in.
+ */
+function acquireWriteLock() {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  const acquired = writeLock.then(() => release);
+  writeLock = writeLock.then(() => done);
+  return acquired;
+}
+
+// Login sessions last 30 days
+const SESSION_COOKIE = 'sid';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Origin of a site on another domain whose pages may call the API with
+// the user's cookies, e.g. https://trips.example.com.  Without it the API
+// is only available to pages served by this server.
+const CORS_ORIGIN = process.env.CORS_ORIGIN || null;
+
+/**
+ * Options of the session cookie.  Cookies sent along with requests from
+ * another site need SameSite=None, which browsers only accept on secure
+ * cookies; otherwise COOKIE_SECURE marks the cookie secure behind HTTPS.
+ */
+function sessionCookieOptions(maxAge) {
+  if (CORS_ORIGIN) return { maxAge, sameSite: 'None', secure: true };
+  return { maxAge, sameSite: 'Lax', secure: Boolean(process.env.COOKIE_SECURE) };
+}
+
+/**
+ * Return the fields of a user account that are safe to send to clients.
+ */
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name };
+}
+
+/**
+ * Normalize an email address for lookups.  Returns null when it does
+ * not look like an address.
+ */
+function normalizeEmail(value) {
+  const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+/**
+ * Hand the trips that have no members yet, i.e. those created before
+ * accounts existed, to `user` when their email is the one set in
+ * OWNER_EMAIL.  Nobody else can claim them.  Returns how many trips were
+ * claimed.
+ */
+function claimUnownedTrips(user) {
+  const ownerEmail = normalizeEmail(process.env.OWNER_EMAIL);
+  if (!ownerEmail || user.email !== ownerEmail) return 0;
+  let claimed = 0;
+  storage.listTrips().filter(trip => !(trip.members || []).length).forEach(trip => {
+    trip.members = [{ user_id: user.id, role: 'owner' }];
+    storage.saveTrip(trip);
+    claimed++;
+  });
+  return claimed;
+}
+
+/**
+ * Look up the user signed in with the session cookie of a request.
+ * Returns null when there is no valid session.
+ */
+function getSessionUser(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+  const session = storage.getSession(hashToken(token));
+  return session ? storage.getUser(session.user_id) : null;
+}
+
+/**
+ * Start a new session for `user` and set its cookie on the response.
+ * Only the hash of the token is stored.
+ */
+function startSession(res, user) {
+  const token = createToken();
+  const now = Date.now();
+  storage.createSession({
+    id: hashToken(token),
+    user_id: user.id,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + SESSION_MAX_AGE * 1000).toISOString()
+  });
+  res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, token, sessionCookieOptions(SESSION_MAX_AGE)));
+}
+
+/**
+ * Return the role of `user` in `trip`, or null when they are not a
+ * member.
+ */
+function getTripRole(trip, user) {
+  const member = (trip.members || []).find(m => m.user_id === user.id);
+  return member ? member.role : null;
+}
+
+/**
+ * Return the role a request needs in the trip it addresses.  Reading
+ * needs viewer, changes need editor and managing members and share links
+ * needs owner, except that every member may leave a trip.
+ */
+function requiredTripRole(req, urlParts) {
+  if (req.method === 'GET' && urlParts[3] !== 'share-links') return 'viewer';
+  if (urlParts[3] === 'share-links') return 'owner';
+  if (urlParts[3] === 'members') {
+    const leaving = req.method === 'DELETE' && urlParts[4] === req.user.id;
+    return leaving ? 'viewer' : 'owner';
+  }
+  return 'editor';
+}
+
+// Kinds of share links.  Both let the holder see the trip without an
+// account; an invite link also lets them add themselves as a participant
+// and add expenses.
+const SHARE_LINK_ROLES = ['invite', 'readonly'];
+const INVITE_LINK_ROUTES = ['participants', 'expenses'];
+const MAX_SHARE_LINK_DAYS = 365;
+
+/**
+ * Find the share link of `trip` a token belongs to.  Returns an object
+ * with either the `link` or an `error` message when the token is unknown,
+ * revoked or expired.
+ */
+function resolveShareLink(trip, token) {
+  const tokenHash = hashToken(String(token));
+  const link = (trip.share_links || []).find(l => l.token_hash === tokenHash);
+  if (!link) return { error: 'Invalid share link' };
+  if (link.revoked_at) return { error: 'This share link has been revoked' };
+  if (link.expires_at && link.expires_at <= new Date().toISOString()) {
+    return { error: 'This share link has expired' };
+  }
+  return { link };
+}
+
+/**
+ * Check whether the share link of a request lets it through.  Both kinds
+ * can read the trip, but not its members or share links; invite links can
+ * also add participants and expenses.
+ */
+function shareLinkAllows(link, req, urlParts) {
+  if (req.method === 'GET') {
+    return urlParts[3] !== 'members' && urlParts[3] !== 'share-links';
+  }
+  return link.role === 'invite' && req.method === 'POST' &&
+    urlParts.length === 4 && INVITE_LINK_ROUTES.includes(urlParts[3]);
+}
+
+/**
+ * Return how a request may access a trip: the member role of its user,
+ * or the kind of share link it came with.
+ */
+function getAccessRole(trip, req) {
+  const role = req.user ? getTripRole(trip, req.user) : null;
+  if (role) return role;
+  return req.shareLink ? req.shareLink.role : null;
+}
+
+/**
+ * Describe a share link for its owners.  The token itself is only known
+ * when the link is created.
+ */
+function describeShareLink(link) {
+  const result = Object.assign({}, link);
+  delete result.token_hash;
+  result.active = !link.revoked_at && (!link.expires_at || link.expires_at > new Date().toISOString());
+  return result;
+}
+
+/**
+ * Describe the members of a trip with their names and the participant
+ * each of them is linked to.
+ */
+function describeMembers(trip) {
+  return (trip.members || []).map(member => {
+    const user = storage.getUser(member.user_id);
+    const participant = (trip.participants || []).find(p => p.user_id === member.user_id);
+    return {
+      user_id: member.user_id,
+      role: member.role,
+      name: user ? user.name : null,
+      email: user ? user.email : null,
+      participant_id: participant ? participant.id : null
+    };
+  });
+}
+
+/**
+ * Check whether a trip would still have an owner if the member
+ * `userId` were removed or demoted.
+ */
+function hasOtherOwner(trip, userId) {
+  return trip.members.some(m => m.role === 'owner' && m.user_id !== userId);
+}
+
+/**
+ * Validate linking the participant `participantId` (null for a new one)
+ * to the user account `userId`, or unlinking it when `userId` is null.
+ * Returns an error message or null.
+ */
+function checkParticipantLink(trip, participantId, userId) {
+  if (userId === null) return null;
+  if (typeof userId !== 'string' || !getTripRole(trip, { id: userId })) {
+    return 'user_id must be a member of the trip';
+  }
+  const linked = trip.participants.find(p => p.user_id === userId && p.id !== participantId);
+  return linked ? `This user is already linked to ${linked.name}` : null;
+}
+
+// Optional dates a participant joins and leaves the group, inclusive
+const PRESENCE_FIELDS = ['arrival_date', 'departure_date'];
+
+/**
+ * Validate the arrival and departure dates of a participant request
+ * body.  Dates that are not sent keep their value in `current` (the
+ * participant being edited, or an empty object); null or an empty string
+ * clears a date.  Returns an object with either an `error` message or the
+ * resulting `presence` with both fields, null when unset.
+ */
+function buildPresence(body, current) {
+  const presence = {};
+  for (const field of PRESENCE_FIELDS) {
+    const value = body[field] === undefined ? current[field] : body[field];
+    if (value === undefined || value === null || value === '') {
+      presence[field] = null;
+    } else if (isIsoDate(value)) {
+      presence[field] = value;
+    } else {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (presence.arrival_date && presence.departure_date && presence.departure_date < presence.arrival_date) {
+    return { error: 'departure_date must not be before arrival_date' };
+  }
+  return { presence };
+}
+
+/**
+ * Store validated presence dates on a participant, leaving unset dates
+ * out of the record.
+ */
+function applyPresence(participant, presence) {
+  PRESENCE_FIELDS.forEach(field => {
+    if (presence[field]) {
+      participant[field] = presence[field];
+    } else {
+      delete participant[field];
+    }
+  });
+}
+
+/**
+ * Validate a household request body against a trip and build the stored
+ * household fields (everything except the id).  A participant can be in
+ * one household only; `householdId` is the household being edited, or
+ * null for a new one.  Returns an object with either an `error` message
+ * or the `household`.
+ */
+function buildHousehold(trip, body, householdId) {
+  if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+    return { error: 'Household name is required' };
+  }
+  const ids = Array.isArray(body.participant_ids) ? body.participant_ids : [];
+  if (!ids.length) {
+    return { error: 'A household needs at least one participant' };
+  }
+  if (!ids.every(id => trip.participants.some(p => p.id === id))) {
+    return { error: 'Invalid participant in household' };
+  }
+  for (const id of ids) {
+    const other = findHousehold(trip, id);
+    if (other && other.id !== householdId) {
+      const participant = trip.participants.find(p => p.id === id);
+      return { error: `${participant.name} is already in household ${other.name}` };
+    }
+  }
+  return {
+    household: {
+      name: body.name.trim(),
+      participant_ids: trip.participants.filter(p => ids.includes(p.id)).map(p => p.id)
+    }
+  };
+}
+
+/**
+ * Allow the pages of CORS_ORIGIN to call the API with credentials.
+ * Requests from any other origin get no CORS headers, so browsers do not
+ * let foreign pages read the responses.
+ */
+function applyCors(req, res) {
+  if (!CORS_ORIGIN) return;
+  res.setHeader('Vary', 'Origin');
+  if (req.headers.origin !== CORS_ORIGIN) return;
+  res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, X-Share-Token');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+}
+
+/**
+ * Validate a table of exchange rates supplied by a client, keyed by
+ * currency code.  Rates are the amount of base currency per unit; a rate
+ * for the base currency itself is dropped.  Returns an object with either
+ * an `error` message or the normalised `rates`.
+ */
+function parseRateTable(rawRates, baseCurrency) {
+  const rates = {};
+  const table = rawRates && typeof rawRates === 'object' ? rawRates : {};
+  for (const code of Object.keys(table)) {
+    const currency = normalizeCurrency(code);
+    const rate = parseFloat(table[code]);
+    if (!currency || isNaN(rate) || rate <= 0) {
+      return { error: `Invalid rate for ${code}` };
+    }
+    if (currency !== baseCurrency) rates[currency] = rate;
+  }
+  return { rates };
+}
+
+/**
+ * Build a new trip from a parsed Splitwise or Tricount export (see
+ * importers.js).  People are mapped onto participants through
+ * `body.name_map` (export name -> participant name); mapping two names to
+ * the same participant merges them.  Every entry goes through
+ * buildExpense/buildTransfer, so rows that would be rejected by the
+ * regular routes are reported as skipped instead.  Returns an object with
+ * either an `error` message or the `trip` and a `preview` describing the
+ * result: the name mapping, counts, skipped rows and the net balances.
+ */
+function buildImportedTrip(parsed, body) {
+  const currencyCounts = {};
+  parsed.entries.forEach(entry => {
+    const code = normalizeCurrency(entry.currency);
+    if (code) currencyCounts[code] = (currencyCounts[code] || 0) + 1;
+  });
+  // Without an explicit choice the base is the export's own default
+  // currency, or else the one used by most rows
+  const guessedBase = normalizeCurrency(parsed.default_currency || '') ||
+    Object.keys(currencyCounts).sort((a, b) => currencyCounts[b] - currencyCounts[a])[0] ||
+    DEFAULT_CURRENCY;
+  const baseCurrency = body.base_currency ? normalizeCurrency(body.base_currency) : guessedBase;
+  if (!baseCurrency) {
+    return { error: 'Invalid base_currency' };
+  }
+  const rateTable = parseRateTable(body.rates, baseCurrency);
+  if (rateTable.error) {
+    return { error: rateTable.error };
+  }
+  const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : 'Imported trip';
+  const trip = {
+    id: generateId('trip'),
+    name: name,
+    location: body.location ? body.location.toString().trim() : '',
+    start_date: null,
+    end_date: null,
+    base_currency: baseCurrency,
+    exchange_rates: rateTable.rates,
+    custom_categories: [],
+    participants: [],
+    expenses: [],
+    transfers: []
+  };
+  const nameMap = body.name_map && typeof body.name_map === 'object' ? body.name_map : {};
+  const idByPerson = {};
+  const mapping = parsed.people.map(person => {
+    const mapped = typeof nameMap[person] === 'string' && nameMap[person].trim() ? nameMap[person].trim() : person;
+    let participant = trip.participants.find(p => p.name === mapped);
+    if (!participant) {
+      participant = { id: generateId('p'), name: mapped };
+      trip.participants.push(participant);
+    }
+    idByPerson[person] = participant.id;
+    return { source: person, name: mapped };
+  });
+  // Tricount rates are relative to its default currency, which only
+  // carries over when that is also the base currency of the new trip
+  const keepRates = normalizeCurrency(parsed.default_currency || '') === baseCurrency;
+  const skipped = parsed.skipped.slice();
+  parsed.entries.forEach(entry => {
+    const currency = normalizeCurrency(entry.currency) || baseCurrency;
+    const amount = toMinorUnits(entry.amount, currency);
+    const exchangeRate = keepRates && entry.exchange_rate ? entry.exchange_rate : null;
+    if (entry.kind === 'transfer') {
+      const fromId = idByPerson[entry.from];
+      const toId = idByPerson[entry.to];
+      if (fromId === toId) {
+        skipped.push({ line: entry.line, reason: 'Transfer between merged participants' });
+        return;
+      }
+      const result = buildTransfer(trip, {
+        from_id: fromId,
+        to_id: toId,
+        amount: amount,
+        currency: currency,
+        exchange_rate: exchangeRate,
+        date: entry.date
+      });
+      if (result.error) {
+        skipped.push({ line: entry.line, reason: result.error });
+        return;
+      }
+      trip.transfers.push(Object.assign({ id: generateId('t') }, result.transfer));
+      return;
+    }
+    // Shares are re‑allocated from the rounded amount so that they add up
+    const people = Object.keys(entry.shares);
+    const parts = allocateMinorUnits(amount, people.map(person => entry.shares[person]));
+    const values = {};
+    people.forEach((person, idx) => {
+      const participantId = idByPerson[person];
+      values[participantId] = (values[participantId] || 0) + parts[idx];
+    });
+    const result = buildExpense(trip, {
+      payer_id: idByPerson[entry.payer],
+      amount: amount,
+      currency: currency,
+      exchange_rate: exchangeRate,
+      description: entry.description || 'Imported expense',
+      date: entry.date,
+      category: entry.category,
+      split: { mode: 'exact', values: values }
+    });
+    if (result.error) {
+      skipped.push({ line: entry.line, reason: result.error });
+      return;
+    }
+    trip.expenses.push(Object.assign({ id: generateId('e') }, result.expense));
+  });
+  skipped.sort((a, b) => a.line - b.line);
+  refreshTripDates(trip);
+  const net = computeNetBalances(trip);
+  const preview = {
+    format: parsed.format,
+    base_currency: baseCurrency,
+    participants: mapping,
+    expense_count: trip.expenses.length,
+    transfer_count: trip.transfers.length,
+    total_spent: trip.expenses.reduce((sum, exp) => sum + toBaseAmount(trip, exp, exp.amount), 0),
+    skipped: skipped,
+    balances: trip.participants.map(p => ({ participant_id: p.id, name: p.name, amount: net[p.id] }))
+  };
+  // Balances the export reports itself, in minor units, for comparison
+  if (parsed.reported_balances) {
+    const currency = normalizeCurrency(parsed.reported_balances.currency) || baseCurrency;
+    preview.reported_balances = {
+      currency: currency,
+      balances: parsed.reported_balances.balances.map(item => ({
+        source: item.name,
+        amount: toMinorUnits(item.amount, currency)
+      }))
+    };
+  }
+  return { trip, preview };
+}
+
+/**
+ * Parse the body of an incoming request and return a promise that
+ * resolves with the parsed JSON object.  If the body is empty or
+ * contains invalid JSON the promise will reject.
+ */
+function parseJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+      // Limit body size to 1MB to avoid abuse
+      if (body.length > 1e6) {
+        req.connection.destroy();
+        reject(new Error('Body too large'));
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Read a request body into a buffer.  Rejects with an error whose
+ * `status` is 413 once the body grows past `maxBytes`.
+ */
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const error = new Error('Body too large');
+        error.status = 413;
+        req.connection.destroy();
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response with the given status code and object.
+ */
+function sendJson(res, status, obj) {
+  const data = JSON.stringify(obj);
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(data);
+}
+
+/**
+ * Send a file download built in memory.  The file name may contain any
+ * characters; it is passed in the RFC 5987 encoded form as well as an
+ * ASCII fallback.
+ */
+function sendDownload(res, contentType, fileName, data) {
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Disposition': contentDisposition('attachment', fileName)
+  });
+  res.end(data);
+}
+
+/**
+ * Build a Content-Disposition header with an ASCII fallback for file
+ * names in other scripts.
+ */
+function contentDisposition(type, fileName) {
+  const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Send a minimal HTML page with an error message, for pages opened in the
+ * browser rather than API calls.
+ */
+function sendErrorPage(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html><html lang="ru"><head><meta charset="UTF-8"><title>${message}</title>` +
+    `<link rel="stylesheet" href="/public/style.css"></head>` +
+    `<body><main class="app-container"><div class="card"><h2>${message}</h2>` +
+    `<p><a href="/">На главную</a></p></div></main></body></html>`);
+}
+
+/**
+ * Serve static files from the public directory.  If the file does not
+ * exist, returns false to allow further handling.
+ */
+function serveStatic(req, res) {
+  let urlPath = req.url;
+  if (urlPath === '/') {
+    urlPath = '/public/index.html';
+  } else if (urlPath === '/sw.js' || urlPath === '/manifest.webmanifest') {
+    // The service worker controls only pages below its own path, so it
+    // is served from the root along with the manifest
+    urlPath = `/public${urlPath}`;
+  } else if (urlPath.startsWith('/trip')) {
+    // Serve the same HTML for trip detail pages so the frontend can
+    // hydrate based on the URL parameter
+    urlPath = '/public/index.html';
+  } else if (!urlPath.startsWith('/public/')) {
+    return false;
+  }
+  const filePath = path.join(__dirname, urlPath);
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    return false;
+  }
+  const ext = path.extname(filePath).toLowerCase();
+  const mimeTypes = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+  };
+  const contentType = mimeTypes[ext] || 'application/octet-stream';
+  try {
+    const data = fs.readFileSync(filePath);
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(data);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Two‑way sync with a Supabase project (see sync.js), enabled by
+// SUPABASE_URL and SUPABASE_KEY.  It runs every SYNC_INTERVAL seconds when
+// that is set, and on demand through /api/sync when the account with the
+// email SYNC_OWNER_EMAIL asks for it; nobody else may start a sync.  That
+// account also owns the new trips a sync pulls in.  SYNC_POLICY settles
+// conflicts.
+const SUPABASE_URL = process.env.SUPABASE_URL || null;
+const SUPABASE_KEY = process.env.SUPABASE_KEY || null;
+const SYNC_INTERVAL = Number(process.env.SYNC_INTERVAL) || 0;
+
+// Pulled changes appear in the activity log under this name
+const SYNC_REQUEST = { headers: {}, user: { id: null, name: 'Supabase' } };
+
+/**
+ * Validate a record pulled from Supabase like the API validates the same
+ * request body.  Returns { error } or { record } with the stored fields.
+ */
+function buildSyncedRecord(table, trip, body) {
+  if (table === 'trips') {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Trip name is required' };
+    }
+    const baseCurrency = body.base_currency ? normalizeCurrency(body.base_currency) : DEFAULT_CURRENCY;
+    if (!baseCurrency) {
+      return { error: 'Invalid base_currency' };
+    }
+    return { record: { name: body.name.trim(), location: body.location ? body.location.trim() : '', base_currency: baseCurrency } };
+  }
+  if (table === 'participants') {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Participant name is required' };
+    }
+    return { record: { name: body.name.trim() } };
+  }
+  const result = table === 'expenses' ? buildExpense(trip, body) : buildTransfer(trip, body);
+  return result.error ? { error: result.error } : { record: result.expense || result.transfer };
+}
+
+const syncEngine = SUPABASE_URL && SUPABASE_KEY
+  ? createSyncEngine({
+    storage: storage,
+    client: createPostgrestClient(SUPABASE_URL, SUPABASE_KEY),
+    stateFile: path.resolve(process.env.SYNC_STATE_FILE || path.join(__dirname, 'sync-state.json')),
+    policy: process.env.SYNC_POLICY || 'newest',
+    getBaseCurrency: getBaseCurrency,
+    getTripDates(trip) {
+      const { startDate, endDate } = deriveTripDates(trip);
+      return { start_date: startDate || null, end_date: endDate || null };
+    },
+    buildRecord: buildSyncedRecord,
+    recordChange(trip, change) {
+      refreshTripDates(trip);
+      recordActivity(trip, SYNC_REQUEST, change);
+    },
+    isParticipantReferenced: isParticipantReferenced,
+    removeParticipant: removeParticipant
+  })
+  : null;
+
+// Outcome of the last sync: { at, report } or { at, error }
+let lastSync = null;
+let syncRunning = false;
+
+/**
+ * Return the account configured by SYNC_OWNER_EMAIL, or null.
+ */
+function getSyncOwner() {
+  const email = normalizeEmail(process.env.SYNC_OWNER_EMAIL);
+  return email ? storage.findUserByEmail(email) : null;
+}
+
+/**
+ * Run one sync.  It holds the write lock throughout, so no request can
+ * change a trip between the moment it is read and the moment pulled
+ * changes are written back.  Resolves with the report.
+ */
+async function runSync(options) {
+  syncRunning = true;
+  const release = await acquireWriteLock();
+  try {
+    const report = await syncEngine.syncAll(options);
+    lastSync = { at: report.finished_at, report };
+    return report;
+  } catch (err) {
+    lastSync = { at: new Date().toISOString(), error: err.message };
+    throw err;
+  } finally {
+    release();
+    syncRunning = false;
+  }
+}
+
+if (syncEngine && SYNC_INTERVAL > 0) {
+  setInterval(async () => {
+    if (syncRunning) return;
+    const owner = getSyncOwner();
+    try {
+      const report = await runSync({ ownerId: owner ? owner.id : null });
+      const total = counts => Object.values(counts).reduce((sum, n) => sum + n, 0);
+      const deleted = total(report.deleted_remote) + total(report.deleted_local);
+      console.log(`Sync: pushed ${total(report.pushed)}, pulled ${total(report.pulled)}, deleted ${deleted}, ` +
+        `${report.conflicts.length} conflicts, ${report.skipped.length} skipped`);
+    } catch (err) {
+      console.error('Sync failed:', err.message);
+    }
+  }, SYNC_INTERVAL * 1000).unref();
+}
+
+// Create HTTP server
+const server = http.createServer(async (req, res) => {
+  let releaseWriteLock = null;
+  try {
+    // CORS preflight support
+    applyCors(req, res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const urlParts = req.url.split('?')[0].split('/').filter(Boolean);
+    const query = new URLSearchParams(req.url.split('?')[1] || '');
+    // Share token of the request, if it came with one
+    const shareToken = query.get('token') || req.headers['x-share-token'] || null;
+    // A trip page opened from a share link that no longer works shows
+    // why right away instead of an empty app
+    if (req.method === 'GET' && urlParts[0] === 'trip' && urlParts[1] && shareToken) {
+      const trip = storage.getTrip(urlParts[1]);
+      const result = trip ? resolveShareLink(trip, shareToken) : { error: 'Trip not found' };
+      if (result.error) {
+        const messages = {
+          'Trip not found': 'Поездка не найдена',
+          'This share link has been revoked': 'Эта ссылка отозвана',
+          'This share link has expired': 'Срок действия ссылки истёк'
+        };
+        sendErrorPage(res, trip ? 403 : 404, messages[result.error] || 'Ссылка недействительна');
+        return;
+      }
+    }
+    // Attempt to serve static assets first
+    if (serveStatic(req, res)) {
+      return;
+    }
+    // API routing
+    req.user = getSessionUser(req);
+    if (urlParts[0] === 'api' && urlParts[1] === 'auth') {
+      if (req.method !== 'GET') {
+        releaseWriteLock = await acquireWriteLock();
+      }
+      // POST /api/auth/register
+      if (req.method === 'POST' && urlParts.length === 3 && urlParts[2] === 'register') {
+        const body = await parseJsonBody(req);
+        const email = normalizeEmail(body.email);
+        if (!email) {
+          sendJson(res, 400, { error: 'A valid email is required' });
+          return;
+        }
+        if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+          sendJson(res, 400, { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+          return;
+        }
+        if (storage.findUserByEmail(email)) {
+          sendJson(res, 409, { error: 'An account with this email already exists' });
+          return;
+        }
+        const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 60) : email.split('@')[0];
+        const user = {
+          id: generateId('u'),
+          email: email,
+          name: name,
+          password_hash: await hashPassword(body.password),
+          created_at: new Date().toISOString()
+        };
+        storage.createUser(user);
+        const claimedTrips = claimUnownedTrips(user);
+        startSession(res, user);
+        sendJson(res, 201, { user: publicUser(user), claimed_trips: claimedTrips });
+        return;
+      }
+      // POST /api/auth/login
+      if (req.method === 'POST' && urlParts.length === 3 && urlParts[2] === 'login') {
+        const body = await parseJsonBody(req);
+        const email = normalizeEmail(body.email);
+        const user = email ? storage.findUserByEmail(email) : null;
+        if (!user || !(await verifyPassword(String(body.password || ''), user.password_hash))) {
+          sendJson(res, 401, { error: 'Invalid email or password' });
+          return;
+        }
+        const claimedTrips = claimUnownedTrips(user);
+        startSession(res, user);
+        sendJson(res, 200, { user: publicUser(user), claimed_trips: claimedTrips });
+        return;
+      }
+      // POST /api/auth/logout
+      if (req.method === 'POST' && urlParts.length === 3 && urlParts[2] === 'logout') {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) storage.deleteSession(hashToken(token));
+        res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, '', sessionCookieOptions(0)));
+        sendJson(res, 200, { logged_out: true });
+        return;
+      }
+      // GET /api/auth/me
+      if (req.method === 'GET' && urlParts.length === 3 && urlParts[2] === 'me') {
+        if (!req.user) {
+          sendJson(res, 401, { error: 'Not logged in' });
+          return;
+        }
+        sendJson(res, 200, { user: publicUser(req.user) });
+        return;
+      }
+    }
+    if (urlParts[0] === 'api' && urlParts[1] === 'sync' && urlParts.length === 2) {
+      if (!req.user) {
+        sendJson(res, 401, { error: 'Not logged in' });
+        return;
+      }
+      // GET /api/sync
+      if (req.method === 'GET') {
+        sendJson(res, 200, {
+          enabled: Boolean(syncEngine),
+          policy: process.env.SYNC_POLICY || 'newest',
+          interval: syncEngine ? SYNC_INTERVAL : 0,
+          running: syncRunning,
+          last_sync: lastSync
+        });
+        return;
+      }
+      // POST /api/sync
+      if (req.method === 'POST') {
+        const owner = getSyncOwner();
+        if (!owner || owner.id !== req.user.id) {
+          sendJson(res, 403, { error: 'Only the account set in SYNC_OWNER_EMAIL can start a sync' });
+          return;
+        }
+        if (!syncEngine) {
+          sendJson(res, 503, { error: 'Sync is not configured; set SUPABASE_URL and SUPABASE_KEY' });
+          return;
+        }
+        if (syncRunning) {
+          sendJson(res, 409, { error: 'A sync is already running' });
+          return;
+        }
+        try {
+          const report = await runSync({ ownerId: owner.id });
+          sendJson(res, 200, report);
+        } catch (err) {
+          sendJson(res, 502, { error: `Sync failed: ${err.message}` });
+        }
+        return;
+      }
+    }
+    if (urlParts[0] === 'api' && urlParts[1] === 'trips') {
+      const isTripRoute = urlParts.length >= 3 && urlParts[2] !== 'import';
+      // Share links only open the routes of their own trip
+      if (!req.user && !(isTripRoute && shareToken)) {
+        sendJson(res, 401, { error: 'Not logged in' });
+        return;
+      }
+      if (req.method !== 'GET') {
+        releaseWriteLock = await acquireWriteLock();
+      }
+      // Every route of a single trip checks the caller's role first.
+      // Users who are not members get the same 404 as for a missing trip,
+      // so that trip ids cannot be probed.  Members use their role even
+      // when they also hold a share link.
+      if (isTripRoute) {
+        const trip = storage.getTrip(urlParts[2]);
+        const role = trip && req.user ? getTripRole(trip, req.user) : null;
+        if (trip && !role && shareToken) {
+          const result = resolveShareLink(trip, shareToken);
+          if (result.error) {
+            sendJson(res, 403, { error: result.error });
+            return;
+          }
+          req.shareLink = result.link;
+        }
+        if (!role && !req.shareLink) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (role) {
+          const required = requiredTripRole(req, urlParts);
+          if (!hasTripRole(role, required)) {
+            sendJson(res, 403, { error: `This needs the ${required} role in the trip` });
+            return;
+          }
+        } else if (!shareLinkAllows(req.shareLink, req, urlParts)) {
+          sendJson(res, 403, { error: 'This share link does not allow this action' });
+          return;
+        }
+      }
+      // GET /api/trips
+      if (req.method === 'GET' && urlParts.length === 2) {
+        // Return summary list of the user's trips with computed dates
+        const tripsSummary = [];
+        storage.listTrips().forEach(trip => {
+          const role = getTripRole(trip, req.user);
+          if (!role) return;
+          const { startDate, endDate } = deriveTripDates(trip);
+          tripsSummary.push({
+            id: trip.id,
+            name: trip.name,
+            location: trip.location,
+            start_date: startDate,
+            end_date: endDate,
+            base_currency: getBaseCurrency(trip),
+            role: role
+          });
+        });
+        sendJson(res, 200, { trips: tripsSummary });
+        return;
+      }
+      // GET /api/trips/:id
+      if (req.method === 'GET' && urlParts.length === 3) {
+        const tripId = urlParts[2];
+        const trip = storage.getTrip(tripId);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        const requested = query.get('settlement') || 'optimal';
+        if (!SETTLEMENT_STRATEGIES.includes(requested)) {
+          sendJson(res, 400, { error: 'Invalid settlement strategy' });
+          return;
+        }
+        const unit = query.get('settle_by') || 'individual';
+        if (!SETTLEMENT_UNITS.includes(unit)) {
+          sendJson(res, 400, { error: 'Invalid settle_by; expected individual or household' });
+          return;
+        }
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, buildTripDetails(trip, requested, req, unit));
+        return;
+      }
+      // POST /api/trips
+      if (req.method === 'POST' && urlParts.length === 2) {
+        const body = await parseJsonBody(req);
+        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+          sendJson(res, 400, { error: 'Trip name is required' });
+          return;
+        }
+        const baseCurrency = body.base_currency ? normalizeCurrency(body.base_currency) : DEFAULT_CURRENCY;
+        if (!baseCurrency) {
+          sendJson(res, 400, { error: 'Invalid base_currency' });
+          return;
+        }
+        const newTrip = {
+          id: generateId('trip'),
+          name: body.name.trim(),
+          location: body.location ? body.location.trim() : '',
+          start_date: body.start_date || null,
+          end_date: body.end_date || null,
+          base_currency: baseCurrency,
+          exchange_rates: {},
+          custom_categories: [],
           participants: [],
           expenses: [],
-          transfers: []
+          transfers: [],
+          members: [{ user_id: req.user.id, role: 'owner' }]
         };
-        data.trips.push(newTrip);
-        writeData(data);
+        recordActivity(newTrip, req, {
+          action: 'create',
+          entity: 'trip',
+          entity_id: newTrip.id,
+          before: null,
+          after: { name: newTrip.name, location: newTrip.location, base_currency: baseCurrency }
+        });
+        storage.createTrip(newTrip);
+        res.setHeader('ETag', tripEtag(newTrip));
         sendJson(res, 201, newTrip);
         return;
       }
-      // POST /api/trips/:id/participants
-      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'participants') {
+      // POST /api/trips/import
+      if (req.method === 'POST' && urlParts.length === 3 && urlParts[2] === 'import') {
+        const body = await parseJsonBody(req);
+        if (!body.csv || typeof body.csv !== 'string') {
+          sendJson(res, 400, { error: 'CSV text is required' });
+          return;
+        }
+        const parsed = parseImport(body.csv, body.format);
+        if (parsed.error) {
+          sendJson(res, 400, { error: parsed.error });
+          return;
+        }
+        const result = buildImportedTrip(parsed, body);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        // A dry run only reports what the import would produce
+        if (body.dry_run) {
+          sendJson(res, 200, { dry_run: true, preview: result.preview });
+          return;
+        }
+        result.trip.members = [{ user_id: req.user.id, role: 'owner' }];
+        recordActivity(result.trip, req, {
+          action: 'import',
+          entity: 'trip',
+          entity_id: result.trip.id,
+          before: null,
+          after: {
+            format: result.preview.format,
+            expense_count: result.preview.expense_count,
+            transfer_count: result.preview.transfer_count,
+            skipped_count: result.preview.skipped.length
+          }
+        });
+        storage.createTrip(result.trip);
+        sendJson(res, 201, { dry_run: false, trip_id: result.trip.id, preview: result.preview });
+        return;
+      }
+      // POST /api/trips/:id/participants
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'participants') {
+        const tripId = urlParts[2];
+        const trip = storage.getTrip(tripId);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const body = await parseJsonBody(req);
+        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+          sendJson(res, 400, { error: 'Participant name is required' });
+          return;
+        }
+        const presence = buildPresence(body, {});
+        if (presence.error) {
+          sendJson(res, 400, { error: presence.error });
+          return;
+        }
+        const newParticipant = {
+          id: generateId('p'),
+          name: body.name.trim()
+        };
+        applyPresence(newParticipant, presence.presence);
+        // Only members can link participants to user accounts
+        if (body.user_id !== undefined && body.user_id !== null && !req.shareLink) {
+          const linkError = checkParticipantLink(trip, null, body.user_id);
+          if (linkError) {
+            sendJson(res, 400, { error: linkError });
+            return;
+          }
+          newParticipant.user_id = body.user_id;
+        }
+        trip.participants.push(newParticipant);
+        recordActivity(trip, req, { action: 'create', entity: 'participant', entity_id: newParticipant.id, before: null, after: newParticipant });
+        storage.addParticipant(trip, newParticipant);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, newParticipant);
+        return;
+      }
+      // GET /api/trips/:id/expenses?q=...&payer_id=...&sort=...&page=...
+      if (req.method === 'GET' && urlParts.length === 4 && urlParts[3] === 'expenses') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        const { error, filter } = parseExpenseQuery(trip, query);
+        if (error) {
+          sendJson(res, 400, { error });
+          return;
+        }
+        sendJson(res, 200, listExpenses(trip, filter));
+        return;
+      }
+      // POST /api/trips/:id/expenses
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'expenses') {
+        const tripId = urlParts[2];
+        const trip = storage.getTrip(tripId);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const body = await parseJsonBody(req);
+        const result = buildExpense(trip, body);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const budgetBefore = computeBudgetStatus(trip);
+        const newExpense = Object.assign({ id: generateId('e') }, result.expense);
+        trip.expenses.push(newExpense);
+        refreshTripDates(trip);
+        recordActivity(trip, req, { action: 'create', entity: 'expense', entity_id: newExpense.id, before: null, after: newExpense });
+        storage.addExpense(trip, newExpense);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, withExpenseWarnings(trip, newExpense, budgetBefore));
+        return;
+      }
+      // POST /api/trips/:id/transfers
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'transfers') {
+        const tripId = urlParts[2];
+        const trip = storage.getTrip(tripId);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const body = await parseJsonBody(req);
+        const result = buildTransfer(trip, body);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const newTransfer = Object.assign({ id: generateId('t') }, result.transfer);
+        trip.transfers.push(newTransfer);
+        refreshTripDates(trip);
+        recordActivity(trip, req, { action: 'create', entity: 'transfer', entity_id: newTransfer.id, before: null, after: newTransfer });
+        storage.addTransfer(trip, newTransfer);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, newTransfer);
+        return;
+      }
+      // GET /api/trips/:id/export.csv and /api/trips/:id/export.xlsx
+      if (req.method === 'GET' && urlParts.length === 4 && (urlParts[3] === 'export.csv' || urlParts[3] === 'export.xlsx')) {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        const sheets = buildLedgerSheets(trip);
+        if (urlParts[3] === 'export.xlsx') {
+          sendDownload(res, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', `${trip.name}.xlsx`, buildXlsx(sheets));
+        } else {
+          // CSV has no sheets, so they follow each other separated by a
+          // blank line and a title row
+          const rows = [];
+          sheets.forEach((sheet, idx) => {
+            if (idx > 0) rows.push([]);
+            rows.push([sheet.name]);
+            rows.push(...sheet.rows);
+          });
+          sendDownload(res, 'text/csv; charset=utf-8', `${trip.name}.csv`, toCsv(rows));
+        }
+        return;
+      }
+      // GET /api/trips/:id/stats
+      if (req.method === 'GET' && urlParts.length === 4 && urlParts[3] === 'stats') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        sendJson(res, 200, computeTripStats(trip));
+        return;
+      }
+      // GET /api/trips/:id/debts/:from/:to?settlement=...&settle_by=...
+      if (req.method === 'GET' && urlParts.length === 6 && urlParts[3] === 'debts') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        const requested = query.get('settlement') || 'optimal';
+        if (!SETTLEMENT_STRATEGIES.includes(requested)) {
+          sendJson(res, 400, { error: 'Invalid settlement strategy' });
+          return;
+        }
+        const unit = query.get('settle_by') || 'individual';
+        if (!SETTLEMENT_UNITS.includes(unit)) {
+          sendJson(res, 400, { error: 'Invalid settle_by; expected individual or household' });
+          return;
+        }
+        const { error, explanation } = explainDebt(trip, urlParts[4], urlParts[5], requested, unit);
+        if (error) {
+          sendJson(res, 400, { error });
+          return;
+        }
+        sendJson(res, 200, explanation);
+        return;
+      }
+      // GET /api/trips/:id/participants/:pid/statement
+      if (req.method === 'GET' && urlParts.length === 6 && urlParts[3] === 'participants' && urlParts[5] === 'statement') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!trip.participants.some(p => p.id === urlParts[4])) {
+          sendJson(res, 404, { error: 'Participant not found' });
+          return;
+        }
+        sendJson(res, 200, buildStatement(trip, urlParts[4]));
+        return;
+      }
+      // POST /api/trips/:id/categories
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'categories') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const body = await parseJsonBody(req);
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > 40) {
+          sendJson(res, 400, { error: 'Category name is required and must be at most 40 characters' });
+          return;
+        }
+        if (getTripCategories(trip).includes(name)) {
+          sendJson(res, 409, { error: 'Category already exists' });
+          return;
+        }
+        trip.custom_categories = (trip.custom_categories || []).concat(name);
+        recordActivity(trip, req, { action: 'create', entity: 'category', entity_id: name, before: null, after: { name } });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, { categories: getTripCategories(trip) });
+        return;
+      }
+      // DELETE /api/trips/:id/categories/:name
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'categories') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const name = decodeURIComponent(urlParts[4]);
+        if (!(trip.custom_categories || []).includes(name)) {
+          sendJson(res, 404, { error: 'Custom category not found' });
+          return;
+        }
+        if (trip.expenses.concat(trip.series || []).some(exp => exp.category === name)) {
+          sendJson(res, 409, { error: 'Category is used by expenses' });
+          return;
+        }
+        if (trip.budget && trip.budget.by_category[name] !== undefined) {
+          sendJson(res, 409, { error: 'Category has a budget' });
+          return;
+        }
+        trip.custom_categories = trip.custom_categories.filter(c => c !== name);
+        recordActivity(trip, req, { action: 'delete', entity: 'category', entity_id: name, before: { name }, after: null });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { categories: getTripCategories(trip) });
+        return;
+      }
+      // PUT /api/trips/:id/rates
+      if (req.method === 'PUT' && urlParts.length === 4 && urlParts[3] === 'rates') {
         const tripId = urlParts[2];
-        const trip = data.trips.find(t => t.id === tripId);
+        const trip = storage.getTrip(tripId);
         if (!trip) {
           sendJson(res, 404, { error: 'Trip not found' });
           return;
         }
+        if (!checkTripVersion(req, res, trip)) return;
         const body = await parseJsonBody(req);
-        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
-          sendJson(res, 400, { error: 'Participant name is required' });
+        const baseCurrency = body.base_currency ? normalizeCurrency(body.base_currency) : getBaseCurrency(trip);
+        if (!baseCurrency) {
+          sendJson(res, 400, { error: 'Invalid base_currency' });
           return;
         }
-        const newParticipant = {
-          id: generateId('p'),
-          name: body.name.trim()
-        };
-        trip.participants.push(newParticipant);
-        writeData(data);
-        sendJson(res, 201, newParticipant);
+        const rateTable = parseRateTable(body.rates, baseCurrency);
+        if (rateTable.error) {
+          sendJson(res, 400, { error: rateTable.error });
+          return;
+        }
+        const rates = rateTable.rates;
+        const entries = trip.expenses.concat(trip.transfers, trip.series || []);
+        // Fixed rates are relative to the old base currency and would
+        // silently change meaning if the base currency changed
+        if (baseCurrency !== getBaseCurrency(trip) && entries.some(e => e.exchange_rate)) {
+          sendJson(res, 400, { error: 'Cannot change base currency while entries have fixed exchange rates' });
+          return;
+        }
+        // So would the budget, which is kept in the base currency
+        if (baseCurrency !== getBaseCurrency(trip) && trip.budget) {
+          sendJson(res, 400, { error: 'Cannot change base currency while the trip has a budget' });
+          return;
+        }
+        const updated = { base_currency: baseCurrency, exchange_rates: rates };
+        for (const entry of entries) {
+          const currency = entry.currency || getBaseCurrency(trip);
+          if (getExchangeRate(updated, currency, entry.exchange_rate) === null) {
+            sendJson(res, 400, { error: `No exchange rate for ${currency}, which is used by existing entries` });
+            return;
+          }
+        }
+        // Entries without an explicit currency were recorded in the old base
+        entries.forEach(entry => {
+          if (!entry.currency) entry.currency = getBaseCurrency(trip);
+        });
+        const previousRates = { base_currency: getBaseCurrency(trip), exchange_rates: trip.exchange_rates || {} };
+        trip.base_currency = baseCurrency;
+        trip.exchange_rates = rates;
+        recordActivity(trip, req, { action: 'update', entity: 'rates', entity_id: null, before: previousRates, after: updated });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { base_currency: baseCurrency, exchange_rates: rates });
         return;
       }
-      // POST /api/trips/:id/expenses
-      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'expenses') {
-        const tripId = urlParts[2];
-        const trip = data.trips.find(t => t.id === tripId);
+      // PUT /api/trips/:id/budget
+      if (req.method === 'PUT' && urlParts.length === 4 && urlParts[3] === 'budget') {
+        const trip = storage.getTrip(urlParts[2]);
         if (!trip) {
           sendJson(res, 404, { error: 'Trip not found' });
           return;
         }
+        if (!checkTripVersion(req, res, trip)) return;
         const body = await parseJsonBody(req);
-        const requiredFields = ['payer_id', 'amount', 'description'];
-        for (const field of requiredFields) {
-          if (!body[field]) {
-            sendJson(res, 400, { error: `Missing required field: ${field}` });
-            return;
-          }
+        const result = buildBudget(trip, body);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
         }
-        const payer = trip.participants.find(p => p.id === body.payer_id);
-        if (!payer) {
-          sendJson(res, 400, { error: 'Invalid payer_id' });
-          return;
-        }
-        const amount = parseFloat(body.amount);
-        if (isNaN(amount) || amount <= 0) {
-          sendJson(res, 400, { error: 'Invalid amount' });
-          return;
-        }
-        const description = body.description.toString().trim();
-        const date = body.date || null;
-        // Shares: optional array of {participant_id, amount}.  If not provided
-        // then split equally among participants
-        let shares = [];
-        if (Array.isArray(body.shares) && body.shares.length > 0) {
-          let totalShare = 0;
-          for (const share of body.shares) {
-            const participant = trip.participants.find(p => p.id === share.participant_id);
-            if (!participant) {
-              sendJson(res, 400, { error: 'Invalid participant in shares' });
-              return;
-            }
-            const shareAmount = parseFloat(share.amount);
-            if (isNaN(shareAmount) || shareAmount < 0) {
-              sendJson(res, 400, { error: 'Invalid share amount' });
-              return;
-            }
-            totalShare += shareAmount;
-            shares.push({ participant_id: share.participant_id, amount: shareAmount });
-          }
-          // Ensure total share equals expense amount within a tiny epsilon
-          if (Math.abs(totalShare - amount) > 0.01) {
-            sendJson(res, 400, { error: 'Sum of shares must equal total amount' });
+        const before = trip.budget || null;
+        trip.budget = result.budget;
+        recordActivity(trip, req, { action: result.budget ? 'update' : 'delete', entity: 'budget', entity_id: null, before, after: result.budget });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { budget: trip.budget, budget_status: computeBudgetStatus(trip) });
+        return;
+      }
+      // PATCH/PUT /api/trips/:id/participants/:pid
+      if ((req.method === 'PATCH' || req.method === 'PUT') && urlParts.length === 5 && urlParts[3] === 'participants') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const participant = trip.participants.find(p => p.id === urlParts[4]);
+        if (!participant) {
+          sendJson(res, 404, { error: 'Participant not found' });
+          return;
+        }
+        const body = await parseJsonBody(req);
+        // A participant can be renamed, linked to a user account, given
+        // arrival and departure dates, or any of these at once
+        const linking = body.user_id !== undefined;
+        const datesChanged = PRESENCE_FIELDS.some(field => body[field] !== undefined);
+        if ((body.name !== undefined || (!linking && !datesChanged)) &&
+            (!body.name || typeof body.name !== 'string' || !body.name.trim())) {
+          sendJson(res, 400, { error: 'Participant name is required' });
+          return;
+        }
+        const presence = buildPresence(body, participant);
+        if (presence.error) {
+          sendJson(res, 400, { error: presence.error });
+          return;
+        }
+        const linkError = linking ? checkParticipantLink(trip, participant.id, body.user_id) : null;
+        if (linkError) {
+          sendJson(res, 400, { error: linkError });
+          return;
+        }
+        const before = Object.assign({}, participant);
+        if (body.name !== undefined) participant.name = body.name.trim();
+        if (linking && body.user_id === null) {
+          delete participant.user_id;
+        } else if (linking) {
+          participant.user_id = body.user_id;
+        }
+        applyPresence(participant, presence.presence);
+        // Recurring expenses split equally follow who is present each day
+        const related = datesChanged
+          ? (trip.series || []).reduce((changes, series) => changes.concat(expandSeries(trip, series)), [])
+          : [];
+        recordActivity(trip, req, { action: 'update', entity: 'participant', entity_id: participant.id, before, after: participant, related });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        const warnings = trip.expenses.reduce((all, exp) => all.concat(findPresenceWarnings(trip, exp)), [])
+          .filter(warning => warning.participant_id === participant.id);
+        sendJson(res, 200, warnings.length ? Object.assign({}, participant, { warnings }) : participant);
+        return;
+      }
+      // DELETE /api/trips/:id/participants/:pid[?reassign_to=:pid]
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'participants') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const participant = trip.participants.find(p => p.id === urlParts[4]);
+        if (!participant) {
+          sendJson(res, 404, { error: 'Participant not found' });
+          return;
+        }
+        const reassignTo = query.get('reassign_to');
+        const expensesBefore = JSON.parse(JSON.stringify(trip.expenses));
+        const transfersBefore = JSON.parse(JSON.stringify(trip.transfers));
+        const seriesBefore = JSON.parse(JSON.stringify(trip.series || []));
+        if (reassignTo) {
+          const target = trip.participants.find(p => p.id === reassignTo);
+          if (!target || target.id === participant.id) {
+            sendJson(res, 400, { error: 'Invalid reassign_to' });
             return;
           }
-        } else {
-          // Even split
-          const participantCount = trip.participants.length;
-          const equalShare = parseFloat((amount / participantCount).toFixed(2));
-          let remainder = amount - equalShare * participantCount;
-          trip.participants.forEach((p, idx) => {
-            let shareAmount = equalShare;
-            // adjust the remainder to ensure total adds up exactly
-            if (remainder > 0.001) {
-              shareAmount += 0.01;
-              remainder -= 0.01;
-            }
-            shares.push({ participant_id: p.id, amount: shareAmount });
-          });
+          reassignParticipant(trip, participant.id, target.id);
+        } else if (isParticipantReferenced(trip, participant.id)) {
+          // Removing the participant would silently change everyone's balance
+          sendJson(res, 409, { error: 'Participant is used in expenses or transfers; pass reassign_to to move them to another participant' });
+          return;
+        }
+        const removalChanges = removeParticipant(trip, participant.id);
+        recordActivity(trip, req, {
+          action: 'delete',
+          entity: 'participant',
+          entity_id: participant.id,
+          before: participant,
+          after: null,
+          related: diffRecords('expense', expensesBefore, trip.expenses)
+            .concat(diffRecords('transfer', transfersBefore, trip.transfers))
+            .concat(diffRecords('series', seriesBefore, trip.series || []))
+            .concat(removalChanges)
+        });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { id: participant.id, deleted: true });
+        return;
+      }
+      // PATCH/PUT /api/trips/:id/expenses/:eid
+      if ((req.method === 'PATCH' || req.method === 'PUT') && urlParts.length === 5 && urlParts[3] === 'expenses') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const expense = trip.expenses.find(e => e.id === urlParts[4]);
+        if (!expense) {
+          sendJson(res, 404, { error: 'Expense not found' });
+          return;
+        }
+        const body = await parseJsonBody(req);
+        // PATCH keeps fields that are not sent, so changing the amount
+        // re‑derives the shares from the stored split; PUT replaces the
+        // expense.  Sending a bare shares array replaces the stored split.
+        const source = req.method === 'PATCH' ? Object.assign({}, expense, body) : body;
+        if (body.shares !== undefined && body.split === undefined) delete source.split;
+        const result = buildExpense(trip, source);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const before = JSON.parse(JSON.stringify(expense));
+        const budgetBefore = computeBudgetStatus(trip);
+        // An occurrence edited on its own no longer follows its series
+        const seriesChange = detachFromSeries(trip, expense);
+        Object.assign(expense, result.expense);
+        refreshTripDates(trip);
+        recordActivity(trip, req, {
+          action: 'update',
+          entity: 'expense',
+          entity_id: expense.id,
+          before,
+          after: expense,
+          related: seriesChange ? [seriesChange] : []
+        });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, withExpenseWarnings(trip, expense, budgetBefore));
+        return;
+      }
+      // DELETE /api/trips/:id/expenses/:eid
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'expenses') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const expense = trip.expenses.find(e => e.id === urlParts[4]);
+        if (!expense) {
+          sendJson(res, 404, { error: 'Expense not found' });
+          return;
+        }
+        const before = JSON.parse(JSON.stringify(expense));
+        const seriesChange = detachFromSeries(trip, expense);
+        trip.expenses = trip.expenses.filter(e => e.id !== expense.id);
+        recordActivity(trip, req, {
+          action: 'delete',
+          entity: 'expense',
+          entity_id: expense.id,
+          before,
+          after: null,
+          related: seriesChange ? [seriesChange] : []
+        });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { id: expense.id, deleted: true });
+        return;
+      }
+      // POST /api/trips/:id/expenses/:eid/attachments (multipart, field "file")
+      if (req.method === 'POST' && urlParts.length === 6 && urlParts[3] === 'expenses' && urlParts[5] === 'attachments') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const expense = trip.expenses.find(e => e.id === urlParts[4]);
+        if (!expense) {
+          sendJson(res, 404, { error: 'Expense not found' });
+          return;
+        }
+        if (findAttachments(trip, expense.id).length >= MAX_ATTACHMENTS_PER_EXPENSE) {
+          sendJson(res, 409, { error: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments` });
+          return;
+        }
+        const tooLarge = `Attachments must be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+        // Leave room for the multipart headers around the file
+        const maxBody = MAX_ATTACHMENT_BYTES + 64 * 1024;
+        if (Number(req.headers['content-length']) > maxBody) {
+          sendJson(res, 413, { error: tooLarge });
+          return;
         }
-        const newExpense = {
-          id: generateId('e'),
-          payer_id: payer.id,
-          amount: amount,
-          description: description,
-          date: date,
-          shares: shares
+        let upload;
+        try {
+          const body = await readRawBody(req, maxBody);
+          upload = parseMultipart(body, req.headers['content-type']).files.find(file => file.field === 'file');
+        } catch (err) {
+          sendJson(res, err.status === 413 ? 413 : 400, { error: err.status === 413 ? tooLarge : err.message });
+          return;
+        }
+        if (!upload || !upload.data.length) {
+          sendJson(res, 400, { error: 'Attach a file in the "file" field' });
+          return;
+        }
+        if (upload.data.length > MAX_ATTACHMENT_BYTES) {
+          sendJson(res, 413, { error: tooLarge });
+          return;
+        }
+        const type = detectAttachmentType(upload.data);
+        if (!type) {
+          sendJson(res, 415, { error: 'Only JPEG, PNG and WebP images and PDF files can be attached' });
+          return;
+        }
+        const thumbnail = type.image ? await createThumbnail(upload.data) : null;
+        const attachment = {
+          id: generateId('f'),
+          expense_id: expense.id,
+          name: upload.filename.split(/[\\/]/).pop().slice(0, 200) || 'receipt',
+          content_type: type.content_type,
+          size: upload.data.length,
+          thumbnail: Boolean(thumbnail),
+          uploaded_at: new Date().toISOString(),
+          uploaded_by: getActor(req)
         };
-        trip.expenses.push(newExpense);
-        // Update derived dates if not explicitly set
-        const { startDate, endDate } = deriveTripDates(trip);
-        if (!trip.start_date) trip.start_date = startDate;
-        if (!trip.end_date) trip.end_date = endDate;
-        writeData(data);
-        sendJson(res, 201, newExpense);
+        trip.attachments = (trip.attachments || []).concat(attachment);
+        recordActivity(trip, req, { action: 'create', entity: 'attachment', entity_id: attachment.id, before: null, after: attachment });
+        // Files nothing points to are removed again when the trip cannot be saved
+        try {
+          attachmentStore.save(trip.id, attachment.id, upload.data, thumbnail);
+          storage.saveTrip(trip);
+        } catch (err) {
+          attachmentStore.remove(trip.id, attachment.id);
+          throw err;
+        }
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, attachment);
         return;
       }
-      // POST /api/trips/:id/transfers
-      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'transfers') {
-        const tripId = urlParts[2];
-        const trip = data.trips.find(t => t.id === tripId);
+      // GET /api/trips/:id/expenses/:eid/attachments/:aid and .../:aid/thumbnail
+      if (req.method === 'GET' && urlParts[3] === 'expenses' && urlParts[5] === 'attachments' &&
+          (urlParts.length === 7 || (urlParts.length === 8 && urlParts[7] === 'thumbnail'))) {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        const attachment = findAttachments(trip, urlParts[4]).find(a => a.id === urlParts[6]);
+        if (!attachment) {
+          sendJson(res, 404, { error: 'Attachment not found' });
+          return;
+        }
+        const thumbnail = urlParts.length === 8;
+        const data = thumbnail && !attachment.thumbnail ? null : attachmentStore.read(trip.id, attachment.id, thumbnail);
+        if (!data) {
+          sendJson(res, 404, { error: thumbnail ? 'Attachment has no thumbnail' : 'Attachment file is missing' });
+          return;
+        }
+        // Files are shown in the browser but never run as part of the
+        // app: the sandbox keeps scripts in a PDF away from the session
+        res.writeHead(200, {
+          'Content-Type': thumbnail ? 'image/jpeg' : attachment.content_type,
+          'Content-Length': data.length,
+          'Content-Disposition': contentDisposition('inline', attachment.name),
+          'Content-Security-Policy': 'sandbox',
+          'X-Content-Type-Options': 'nosniff',
+          'Cache-Control': 'private, max-age=86400'
+        });
+        res.end(data);
+        return;
+      }
+      // DELETE /api/trips/:id/expenses/:eid/attachments/:aid
+      if (req.method === 'DELETE' && urlParts.length === 7 && urlParts[3] === 'expenses' && urlParts[5] === 'attachments') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const attachment = findAttachments(trip, urlParts[4]).find(a => a.id === urlParts[6]);
+        if (!attachment) {
+          sendJson(res, 404, { error: 'Attachment not found' });
+          return;
+        }
+        trip.attachments = trip.attachments.filter(a => a.id !== attachment.id);
+        recordActivity(trip, req, { action: 'delete', entity: 'attachment', entity_id: attachment.id, before: attachment, after: null });
+        storage.saveTrip(trip);
+        // The file goes only once the trip no longer refers to it
+        attachmentStore.remove(trip.id, attachment.id);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { id: attachment.id, deleted: true });
+        return;
+      }
+      // PATCH/PUT /api/trips/:id/transfers/:tid
+      if ((req.method === 'PATCH' || req.method === 'PUT') && urlParts.length === 5 && urlParts[3] === 'transfers') {
+        const trip = storage.getTrip(urlParts[2]);
         if (!trip) {
           sendJson(res, 404, { error: 'Trip not found' });
           return;
         }
+        if (!checkTripVersion(req, res, trip)) return;
+        const transfer = trip.transfers.find(t => t.id === urlParts[4]);
+        if (!transfer) {
+          sendJson(res, 404, { error: 'Transfer not found' });
+          return;
+        }
+        const body = await parseJsonBody(req);
+        const source = req.method === 'PATCH' ? Object.assign({}, transfer, body) : body;
+        const result = buildTransfer(trip, source);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const before = Object.assign({}, transfer);
+        Object.assign(transfer, result.transfer);
+        refreshTripDates(trip);
+        recordActivity(trip, req, { action: 'update', entity: 'transfer', entity_id: transfer.id, before, after: transfer });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, transfer);
+        return;
+      }
+      // DELETE /api/trips/:id/transfers/:tid
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'transfers') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const transfer = trip.transfers.find(t => t.id === urlParts[4]);
+        if (!transfer) {
+          sendJson(res, 404, { error: 'Transfer not found' });
+          return;
+        }
+        trip.transfers = trip.transfers.filter(t => t.id !== transfer.id);
+        recordActivity(trip, req, { action: 'delete', entity: 'transfer', entity_id: transfer.id, before: transfer, after: null });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { id: transfer.id, deleted: true });
+        return;
+      }
+      // POST /api/trips/:id/series
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'series') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const body = await parseJsonBody(req);
+        const result = buildSeries(trip, body);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const budgetBefore = computeBudgetStatus(trip);
+        const newSeries = Object.assign({ id: generateId('r') }, result.series);
+        if (!trip.series) trip.series = [];
+        trip.series.push(newSeries);
+        const occurrences = expandSeries(trip, newSeries);
+        refreshTripDates(trip);
+        recordActivity(trip, req, { action: 'create', entity: 'series', entity_id: newSeries.id, before: null, after: newSeries, related: occurrences });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, withSeriesDetails(trip, newSeries, budgetBefore));
+        return;
+      }
+      // PATCH/PUT /api/trips/:id/series/:sid
+      if ((req.method === 'PATCH' || req.method === 'PUT') && urlParts.length === 5 && urlParts[3] === 'series') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const series = (trip.series || []).find(s => s.id === urlParts[4]);
+        if (!series) {
+          sendJson(res, 404, { error: 'Recurring expense not found' });
+          return;
+        }
+        const body = await parseJsonBody(req);
+        // Same merge rules as for expenses; every occurrence that still
+        // follows the series is rewritten from the result
+        const source = req.method === 'PATCH' ? Object.assign({}, series, body) : body;
+        if (body.shares !== undefined && body.split === undefined) delete source.split;
+        const result = buildSeries(trip, source);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const before = JSON.parse(JSON.stringify(series));
+        const budgetBefore = computeBudgetStatus(trip);
+        Object.assign(series, result.series);
+        const occurrences = expandSeries(trip, series);
+        refreshTripDates(trip);
+        recordActivity(trip, req, { action: 'update', entity: 'series', entity_id: series.id, before, after: series, related: occurrences });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, withSeriesDetails(trip, series, budgetBefore));
+        return;
+      }
+      // DELETE /api/trips/:id/series/:sid
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'series') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const series = (trip.series || []).find(s => s.id === urlParts[4]);
+        if (!series) {
+          sendJson(res, 404, { error: 'Recurring expense not found' });
+          return;
+        }
+        // Occurrences edited on their own were detached and stay
+        const occurrences = trip.expenses
+          .filter(e => e.series_id === series.id)
+          .map(e => ({ entity: 'expense', entity_id: e.id, before: e, after: null }));
+        trip.expenses = trip.expenses.filter(e => e.series_id !== series.id);
+        trip.series = trip.series.filter(s => s.id !== series.id);
+        refreshTripDates(trip);
+        recordActivity(trip, req, { action: 'delete', entity: 'series', entity_id: series.id, before: series, after: null, related: occurrences });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { id: series.id, deleted: true, occurrences_deleted: occurrences.length });
+        return;
+      }
+      // POST /api/trips/:id/households
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'households') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const body = await parseJsonBody(req);
+        const result = buildHousehold(trip, body, null);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const household = Object.assign({ id: generateId('h') }, result.household);
+        if (!trip.households) trip.households = [];
+        trip.households.push(household);
+        recordActivity(trip, req, { action: 'create', entity: 'household', entity_id: household.id, before: null, after: household });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, household);
+        return;
+      }
+      // PATCH/PUT /api/trips/:id/households/:hid
+      if ((req.method === 'PATCH' || req.method === 'PUT') && urlParts.length === 5 && urlParts[3] === 'households') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const household = (trip.households || []).find(h => h.id === urlParts[4]);
+        if (!household) {
+          sendJson(res, 404, { error: 'Household not found' });
+          return;
+        }
+        const body = await parseJsonBody(req);
+        const source = req.method === 'PATCH' ? Object.assign({}, household, body) : body;
+        const result = buildHousehold(trip, source, household.id);
+        if (result.error) {
+          sendJson(res, 400, { error: result.error });
+          return;
+        }
+        const before = JSON.parse(JSON.stringify(household));
+        Object.assign(household, result.household);
+        recordActivity(trip, req, { action: 'update', entity: 'household', entity_id: household.id, before, after: household });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, household);
+        return;
+      }
+      // DELETE /api/trips/:id/households/:hid
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'households') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const household = (trip.households || []).find(h => h.id === urlParts[4]);
+        if (!household) {
+          sendJson(res, 404, { error: 'Household not found' });
+          return;
+        }
+        trip.households = trip.households.filter(h => h.id !== household.id);
+        recordActivity(trip, req, { action: 'delete', entity: 'household', entity_id: household.id, before: household, after: null });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { id: household.id, deleted: true });
+        return;
+      }
+      // GET /api/trips/:id/members
+      if (req.method === 'GET' && urlParts.length === 4 && urlParts[3] === 'members') {
+        const trip = storage.getTrip(urlParts[2]);
+        sendJson(res, 200, { members: describeMembers(trip) });
+        return;
+      }
+      // POST /api/trips/:id/members
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'members') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!checkTripVersion(req, res, trip)) return;
+        const body = await parseJsonBody(req);
+        const role = body.role || 'editor';
+        if (!TRIP_ROLES.includes(role)) {
+          sendJson(res, 400, { error: 'Invalid role' });
+          return;
+        }
+        const email = normalizeEmail(body.email);
+        const user = email ? storage.findUserByEmail(email) : null;
+        if (!user) {
+          sendJson(res, 404, { error: 'No user with this email' });
+          return;
+        }
+        if (getTripRole(trip, user)) {
+          sendJson(res, 409, { error: 'This user is already a member' });
+          return;
+        }
+        const member = { user_id: user.id, role: role };
+        trip.members.push(member);
+        recordActivity(trip, req, { action: 'create', entity: 'member', entity_id: user.id, before: null, after: member });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, describeMembers(trip).find(m => m.user_id === user.id));
+        return;
+      }
+      // PATCH/PUT /api/trips/:id/members/:uid
+      if ((req.method === 'PATCH' || req.method === 'PUT') && urlParts.length === 5 && urlParts[3] === 'members') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!checkTripVersion(req, res, trip)) return;
+        const member = trip.members.find(m => m.user_id === urlParts[4]);
+        if (!member) {
+          sendJson(res, 404, { error: 'Member not found' });
+          return;
+        }
+        const body = await parseJsonBody(req);
+        if (!TRIP_ROLES.includes(body.role)) {
+          sendJson(res, 400, { error: 'Invalid role' });
+          return;
+        }
+        if (body.role !== 'owner' && !hasOtherOwner(trip, member.user_id)) {
+          sendJson(res, 409, { error: 'A trip must keep at least one owner' });
+          return;
+        }
+        const before = Object.assign({}, member);
+        member.role = body.role;
+        recordActivity(trip, req, { action: 'update', entity: 'member', entity_id: member.user_id, before, after: member });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, describeMembers(trip).find(m => m.user_id === member.user_id));
+        return;
+      }
+      // DELETE /api/trips/:id/members/:uid
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'members') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!checkTripVersion(req, res, trip)) return;
+        const member = trip.members.find(m => m.user_id === urlParts[4]);
+        if (!member) {
+          sendJson(res, 404, { error: 'Member not found' });
+          return;
+        }
+        if (!hasOtherOwner(trip, member.user_id)) {
+          sendJson(res, 409, { error: 'A trip must keep at least one owner' });
+          return;
+        }
+        // The participant linked to the member stays but is unlinked
+        const participantsBefore = JSON.parse(JSON.stringify(trip.participants));
+        trip.members = trip.members.filter(m => m !== member);
+        trip.participants.forEach(p => {
+          if (p.user_id === member.user_id) delete p.user_id;
+        });
+        recordActivity(trip, req, {
+          action: 'delete',
+          entity: 'member',
+          entity_id: member.user_id,
+          before: member,
+          after: null,
+          related: diffRecords('participant', participantsBefore, trip.participants)
+        });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, { user_id: member.user_id, deleted: true });
+        return;
+      }
+      // GET /api/trips/:id/share-links
+      if (req.method === 'GET' && urlParts.length === 4 && urlParts[3] === 'share-links') {
+        const trip = storage.getTrip(urlParts[2]);
+        sendJson(res, 200, { share_links: (trip.share_links || []).map(describeShareLink) });
+        return;
+      }
+      // POST /api/trips/:id/share-links
+      if (req.method === 'POST' && urlParts.length === 4 && urlParts[3] === 'share-links') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!checkTripVersion(req, res, trip)) return;
         const body = await parseJsonBody(req);
-        const requiredFields = ['from_id', 'to_id', 'amount'];
-        for (const field of requiredFields) {
-          if (!body[field]) {
-            sendJson(res, 400, { error: `Missing required field: ${field}` });
+        if (!SHARE_LINK_ROLES.includes(body.role)) {
+          sendJson(res, 400, { error: `role must be one of: ${SHARE_LINK_ROLES.join(', ')}` });
+          return;
+        }
+        let expiresAt = null;
+        if (body.expires_in_days !== undefined && body.expires_in_days !== null) {
+          const days = Number(body.expires_in_days);
+          if (!(days > 0 && days <= MAX_SHARE_LINK_DAYS)) {
+            sendJson(res, 400, { error: `expires_in_days must be more than 0 and at most ${MAX_SHARE_LINK_DAYS}` });
             return;
           }
+          expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
         }
-        const from = trip.participants.find(p => p.id === body.from_id);
-        const to = trip.participants.find(p => p.id === body.to_id);
-        if (!from || !to) {
-          sendJson(res, 400, { error: 'Invalid from_id or to_id' });
+        const token = createToken();
+        const link = {
+          id: generateId('l'),
+          role: body.role,
+          token_hash: hashToken(token),
+          created_at: new Date().toISOString(),
+          created_by: req.user.id,
+          expires_at: expiresAt,
+          revoked_at: null
+        };
+        trip.share_links = (trip.share_links || []).concat(link);
+        recordActivity(trip, req, { action: 'create', entity: 'share_link', entity_id: link.id, before: null, after: describeShareLink(link) });
+        storage.saveTrip(trip);
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 201, Object.assign(describeShareLink(link), {
+          token: token,
+          url: `/trip/${trip.id}?token=${encodeURIComponent(token)}`
+        }));
+        return;
+      }
+      // DELETE /api/trips/:id/share-links/:lid
+      if (req.method === 'DELETE' && urlParts.length === 5 && urlParts[3] === 'share-links') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!checkTripVersion(req, res, trip)) return;
+        const link = (trip.share_links || []).find(l => l.id === urlParts[4]);
+        if (!link) {
+          sendJson(res, 404, { error: 'Share link not found' });
           return;
         }
-        const amount = parseFloat(body.amount);
-        if (isNaN(amount) || amount <= 0) {
-          sendJson(res, 400, { error: 'Invalid amount' });
+        // Revoked links are kept so that the log can still refer to them
+        if (!link.revoked_at) {
+          const before = describeShareLink(link);
+          link.revoked_at = new Date().toISOString();
+          recordActivity(trip, req, { action: 'delete', entity: 'share_link', entity_id: link.id, before, after: describeShareLink(link) });
+          storage.saveTrip(trip);
+        }
+        res.setHeader('ETag', tripEtag(trip));
+        sendJson(res, 200, describeShareLink(link));
+        return;
+      }
+      // GET /api/trips/:id/activity
+      if (req.method === 'GET' && urlParts.length === 4 && urlParts[3] === 'activity') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
           return;
         }
-        const date = body.date || null;
-        const newTransfer = {
-          id: generateId('t'),
-          from_id: from.id,
-          to_id: to.id,
-          amount: amount,
-          date: date
-        };
-        trip.transfers.push(newTransfer);
-        // Update derived dates if not explicitly set
-        const { startDate, endDate } = deriveTripDates(trip);
-        if (!trip.start_date) trip.start_date = startDate;
-        if (!trip.end_date) trip.end_date = endDate;
-        writeData(data);
-        sendJson(res, 201, newTransfer);
+        sendJson(res, 200, { activity: describeActivity(trip) });
+        return;
+      }
+      // POST /api/trips/:id/activity/:aid/undo
+      if (req.method === 'POST' && urlParts.length === 6 && urlParts[3] === 'activity' && urlParts[5] === 'undo') {
+        const trip = storage.getTrip(urlParts[2]);
+        if (!trip) {
+          sendJson(res, 404, { error: 'Trip not found' });
+          return;
+        }
+        if (!checkTripVersion(req, res, trip)) return;
+        const entry = (trip.activity || []).find(a => a.id === urlParts[4]);
+        if (!entry) {
+          sendJson(res, 404, { error: 'Activity entry not found' });
+          return;
+        }
+        const result = prepareUndo(trip, entry, findUndoneEntries(trip));
+        if (result.error) {
+          sendJson(res, 409, { error: result.error });
+          return;
+        }
+        const reverted = result.trip;
+        const undoEntry = recordActivity(reverted, req, {
+          action: 'undo',
+          entity: entry.entity,
+          entity_id: entry.entity_id,
+          before: entry.after,
+          after: entry.before,
+          related: (entry.related || []).map(item => ({
+            entity: item.entity,
+            entity_id: item.entity_id,
+            before: item.after,
+            after: item.before
+          })),
+          undo_of: entry.id
+        });
+        storage.saveTrip(reverted);
+        res.setHeader('ETag', tripEtag(reverted));
+        sendJson(res, 200, undoEntry);
         return;
       }
     }
@@ -478,11 +3912,27 @@ const server = http.createServer(async (req, res) => {
   } catch (err) {
     console.error('Server error:', err);
     sendJson(res, 500, { error: 'Internal server error' });
+  } finally {
+    if (releaseWriteLock) releaseWriteLock();
   }
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Start server when run directly; the tests load it and listen themselves
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`Server listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  server,
+  computeNetBalances,
+  computeGreedyDebtMatrix,
+  computeOptimalDebtMatrix,
+  countTransfers,
+  resolveSplit,
+  resolveReceipt,
+  buildExpense,
+  buildImportedTrip
+};
@@ -0,0 +1,87 @@
+// Storage layer.  The server talks to trips only through the interface
+// below, so the backend can be switched by configuration:
+//
+//   STORAGE=json (default)  trips in a JSON file, DATA_FILE (data.json)
+//   STORAGE=sqlite          trips in an SQLite database, SQLITE_FILE
+//                           (data.sqlite); needs better-sqlite3
+//
+// Files attached to expenses are not kept by the backend but in the
+// directory ATTACHMENTS_DIR, by default `attachments` next to the data
+// file (see attachments.js).
+//
+// Every backend returns an object with these synchronous methods:
+//
+//   listTrips()                    all trips, oldest first
+//   getTrip(tripId)                one trip, or null when it is unknown
+//   createTrip(trip)               store a new trip with its records
+//   saveTrip(trip)                 store every change made to a trip
+//   deleteTrip(tripId)             remove a trip and its records
+//   addParticipant(trip, participant)
+//   addExpense(trip, expense)
+//   addTransfer(trip, transfer)    store a record the caller has just
+//                                  appended to the trip, together with
+//                                  the trip's own fields
+//   getUser(userId)                one user account, or null
+//   findUserByEmail(email)         the account with a normalized email
+//   countUsers()                   number of registered accounts
+//   createUser(user)               store a new account
+//   getSession(sessionId)          a login session that has not expired
+//   createSession(session)         store a new login session
+//   deleteSession(sessionId)       end a login session
+//   close()                        release files and connections
+//
+// Trips, users and sessions are plain objects shaped like the entries of
+// data.json.  Objects returned by a backend are copies: changes to a trip
+// are only kept once it is passed back to saveTrip() or one of the add
+// methods.  Those methods
+// increase trip.version by one (createTrip starts it at 1), which is how
+// the server detects concurrent edits.  Backends do not lock anything
+// themselves; the server serializes writes.
+
+const path = require('path');
+const { createJsonStorage } = require('./json');
+
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Return the backend selected by the environment and the file it keeps
+ * its data in.
+ */
+function resolveDataFile(env) {
+  const appDir = path.join(__dirname, '..');
+  const backend = env.STORAGE || 'json';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE backend "${backend}", expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  const file = backend === 'sqlite'
+    ? env.SQLITE_FILE || path.join(appDir, 'data.sqlite')
+    : env.DATA_FILE || path.join(appDir, 'data.json');
+  return { backend, file: path.resolve(file) };
+}
+
+/**
+ * Create the storage backend selected by the environment (see above).
+ */
+function createStorage(env = process.env) {
+  const { backend, file } = resolveDataFile(env);
+  if (backend === 'sqlite') {
+    // Required lazily so that the JSON backend works without the driver
+    const { createSqliteStorage } = require('./sqlite');
+    return createSqliteStorage(file);
+  }
+  return createJsonStorage(file);
+}
+
+/**
+ * Return the directory attachment files are kept in (see above).
+ */
+function getAttachmentsDir(env = process.env) {
+  if (env.ATTACHMENTS_DIR) return path.resolve(env.ATTACHMENTS_DIR);
+  return path.join(path.dirname(resolveDataFile(env).file), 'attachments');
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage,
+  getAttachmentsDir
+};
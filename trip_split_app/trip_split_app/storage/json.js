@@ -0,0 +1,159 @@
+// JSON file storage backend.  The whole data set lives in a single
+// pretty‑printed JSON file.  It is parsed once and kept in memory; the
+// copy is read again only when the file changes on disk, so the file
+// stays the source of truth and can be inspected or edited by hand
+// between requests.  The file is replaced atomically, so a crash in the
+// middle of a write never leaves it truncated.
+
+const fs = require('fs');
+const { CURRENT_SCHEMA_VERSION, migrateData } = require('../migrations');
+
+/**
+ * Deep copy of a stored object, so callers never change the cached data.
+ */
+function copy(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create a storage backend that keeps all trips in the JSON file `file`.
+ * See storage/index.js for the interface.
+ */
+function createJsonStorage(file) {
+  // Parsed contents of the file and the size and time of the version they
+  // were read from or written as
+  let cache = null;
+  let cacheStamp = null;
+
+  function fileStamp() {
+    try {
+      const stat = fs.statSync(file);
+      return `${stat.size}:${stat.mtimeMs}`;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Return the current data.  If the file does not exist yet, an initial
+   * structure is returned and written to disk.  The file is only parsed
+   * again when it has changed since it was last read or written.  IO is
+   * synchronous to keep the server logic simple; the application serves
+   * a group of friends on a single instance, so that is acceptable.
+   * Files written by older versions are migrated to the current schema.
+   */
+  function readData() {
+    const stamp = fileStamp();
+    if (cache && stamp === cacheStamp) return cache;
+    let data;
+    try {
+      const raw = fs.readFileSync(file, 'utf8');
+      data = JSON.parse(raw);
+    } catch (err) {
+      // Initialise empty structure if file missing or unreadable
+      const initial = { schema_version: CURRENT_SCHEMA_VERSION, users: [], sessions: [], trips: [] };
+      writeData(initial);
+      return initial;
+    }
+    if (migrateData(data)) {
+      writeData(data);
+    } else {
+      cache = data;
+      cacheStamp = stamp;
+    }
+    return data;
+  }
+
+  /**
+   * Write the provided data back to disk.  Uses pretty formatting to
+   * simplify debugging.  The data goes to a temporary file first which
+   * then replaces the real one in a single rename.  The written data
+   * becomes the cached copy; when writing fails, callers may already have
+   * changed the cached copy, so the file is read again next time.
+   */
+  function writeData(data) {
+    const tmpFile = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpFile, file);
+    } catch (err) {
+      cache = null;
+      throw err;
+    }
+    cache = data;
+    cacheStamp = fileStamp();
+  }
+
+  function saveTrip(trip) {
+    const data = readData();
+    const index = data.trips.findIndex(t => t.id === trip.id);
+    if (index === -1) {
+      throw new Error(`Trip ${trip.id} does not exist`);
+    }
+    trip.version = (trip.version || 0) + 1;
+    data.trips[index] = copy(trip);
+    writeData(data);
+  }
+
+  return {
+    listTrips() {
+      return copy(readData().trips);
+    },
+    getTrip(tripId) {
+      return copy(readData().trips.find(t => t.id === tripId));
+    },
+    createTrip(trip) {
+      const data = readData();
+      if (!trip.version) trip.version = 1;
+      data.trips.push(copy(trip));
+      writeData(data);
+    },
+    saveTrip,
+    deleteTrip(tripId) {
+      const data = readData();
+      data.trips = data.trips.filter(t => t.id !== tripId);
+      writeData(data);
+    },
+    // The whole file is rewritten anyway, so adding a single record is
+    // the same as saving the trip
+    addParticipant: saveTrip,
+    addExpense: saveTrip,
+    addTransfer: saveTrip,
+    getUser(userId) {
+      return copy(readData().users.find(u => u.id === userId));
+    },
+    findUserByEmail(email) {
+      return copy(readData().users.find(u => u.email === email));
+    },
+    countUsers() {
+      return readData().users.length;
+    },
+    createUser(user) {
+      const data = readData();
+      data.users.push(copy(user));
+      writeData(data);
+    },
+    getSession(sessionId) {
+      const session = readData().sessions.find(s => s.id === sessionId);
+      return session && session.expires_at > new Date().toISOString() ? copy(session) : null;
+    },
+    createSession(session) {
+      const data = readData();
+      // Expired sessions are dropped whenever a new one is started
+      const now = new Date().toISOString();
+      data.sessions = data.sessions.filter(s => s.expires_at > now);
+      data.sessions.push(copy(session));
+      writeData(data);
+    },
+    deleteSession(sessionId) {
+      const data = readData();
+      data.sessions = data.sessions.filter(s => s.id !== sessionId);
+      writeData(data);
+    },
+    close() {}
+  };
+}
+
+module.exports = {
+  createJsonStorage
+};
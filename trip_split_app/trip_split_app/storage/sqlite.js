@@ -0,0 +1,398 @@
+// SQLite storage backend built on better-sqlite3.  Trips, participants,
+// expenses, their shares, transfers, the activity log, trip members, user
+// accounts and login sessions each get a table
+// with a column for every field the server queries; any other fields
+// (exchange rates, custom categories and whatever later versions add) are
+// kept as JSON in an `extra` column so that nothing is lost on a round
+// trip.
+//
+// Existing JSON data can be copied into a database, keeping every id:
+//
+//   node storage/sqlite.js [path/to/data.json] [path/to/data.sqlite]
+
+const fs = require('fs');
+const path = require('path');
+const { CURRENT_SCHEMA_VERSION, migrateData } = require('../migrations');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS trips (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    location TEXT,
+    start_date TEXT,
+    end_date TEXT,
+    base_currency TEXT,
+    extra TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE TABLE IF NOT EXISTS participants (
+    trip_id TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    extra TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (trip_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS expenses (
+    trip_id TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    payer_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    currency TEXT,
+    exchange_rate REAL,
+    description TEXT,
+    date TEXT,
+    category TEXT,
+    split TEXT,
+    extra TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (trip_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS shares (
+    trip_id TEXT NOT NULL,
+    expense_id TEXT NOT NULL,
+    participant_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    FOREIGN KEY (trip_id, expense_id) REFERENCES expenses(trip_id, id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS shares_expense ON shares (trip_id, expense_id);
+  CREATE TABLE IF NOT EXISTS transfers (
+    trip_id TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    from_id TEXT NOT NULL,
+    to_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    currency TEXT,
+    exchange_rate REAL,
+    date TEXT,
+    extra TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (trip_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS activity (
+    trip_id TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    at TEXT NOT NULL,
+    actor TEXT,
+    action TEXT NOT NULL,
+    entity TEXT NOT NULL,
+    entity_id TEXT,
+    before TEXT,
+    after TEXT,
+    extra TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (trip_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at TEXT,
+    extra TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TEXT,
+    expires_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS members (
+    trip_id TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL,
+    extra TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (trip_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS members_user ON members (user_id);
+`;
+
+// Columns of each table that mirror a field of the stored object.  JSON
+// columns hold nested objects.  Everything else goes into `extra`.
+const COLUMNS = {
+  trips: ['id', 'name', 'location', 'start_date', 'end_date', 'base_currency'],
+  participants: ['id', 'name'],
+  expenses: ['id', 'payer_id', 'amount', 'currency', 'exchange_rate', 'description', 'date', 'category', 'split'],
+  transfers: ['id', 'from_id', 'to_id', 'amount', 'currency', 'exchange_rate', 'date'],
+  activity: ['id', 'at', 'actor', 'action', 'entity', 'entity_id', 'before', 'after'],
+  members: ['user_id', 'role'],
+  users: ['id', 'email', 'name', 'password_hash', 'created_at']
+};
+// Tables whose rows do not belong to a trip
+const TOP_LEVEL_TABLES = ['trips', 'users'];
+const JSON_COLUMNS = ['split', 'before', 'after'];
+
+// Fields stored in child tables rather than in `extra`
+const CHILD_FIELDS = {
+  trips: ['participants', 'expenses', 'transfers', 'activity', 'members'],
+  expenses: ['shares']
+};
+
+/**
+ * Turn an object into the parameters of an insert into `table`.
+ */
+function toRow(table, obj) {
+  const row = {};
+  const extra = {};
+  Object.keys(obj).forEach(key => {
+    if (COLUMNS[table].includes(key) || (CHILD_FIELDS[table] || []).includes(key)) return;
+    extra[key] = obj[key];
+  });
+  COLUMNS[table].forEach(column => {
+    const value = obj[column] === undefined ? null : obj[column];
+    row[column] = JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value;
+  });
+  row.extra = JSON.stringify(extra);
+  return row;
+}
+
+/**
+ * Turn a row of `table` back into the object it was stored from.  NULL
+ * columns are left out: records written by older versions lack those
+ * fields altogether, and the server treats a missing field like null.
+ */
+function fromRow(table, row) {
+  const obj = {};
+  COLUMNS[table].forEach(column => {
+    const value = row[column];
+    if (value === null) return;
+    obj[column] = JSON_COLUMNS.includes(column) ? JSON.parse(value) : value;
+  });
+  return Object.assign(obj, JSON.parse(row.extra));
+}
+
+/**
+ * Create a storage backend that keeps all trips in the SQLite database
+ * `file`, creating its tables when needed.  See storage/index.js for the
+ * interface.  better-sqlite3 is an optional dependency and is only loaded
+ * when this backend is used.
+ */
+function createSqliteStorage(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('The SQLite storage backend needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const insert = {};
+  Object.keys(COLUMNS).forEach(table => {
+    const columns = (TOP_LEVEL_TABLES.includes(table) ? [] : ['trip_id']).concat(COLUMNS[table], ['extra']);
+    insert[table] = db.prepare(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`
+    );
+  });
+  const insertShare = db.prepare(
+    'INSERT INTO shares (trip_id, expense_id, participant_id, amount) VALUES (?, ?, ?, ?)'
+  );
+  const updateTrip = db.prepare(
+    `UPDATE trips SET ${COLUMNS.trips.filter(c => c !== 'id').map(c => `${c} = @${c}`).join(', ')}, extra = @extra WHERE id = @id`
+  );
+  const selectTrip = db.prepare('SELECT * FROM trips WHERE id = ?');
+  const selectTrips = db.prepare('SELECT * FROM trips ORDER BY rowid');
+  const selectChildren = {};
+  ['participants', 'expenses', 'transfers', 'activity', 'members'].forEach(table => {
+    selectChildren[table] = db.prepare(`SELECT * FROM ${table} WHERE trip_id = ? ORDER BY rowid`);
+  });
+  const selectShares = db.prepare('SELECT expense_id, participant_id, amount FROM shares WHERE trip_id = ? ORDER BY rowid');
+  const countActivity = db.prepare('SELECT COUNT(*) FROM activity WHERE trip_id = ?').pluck();
+  const deleteChildren = ['members', 'activity', 'shares', 'transfers', 'expenses', 'participants']
+    .map(table => db.prepare(`DELETE FROM ${table} WHERE trip_id = ?`));
+  const deleteTripRow = db.prepare('DELETE FROM trips WHERE id = ?');
+  const selectUser = db.prepare('SELECT * FROM users WHERE id = ?');
+  const selectUserByEmail = db.prepare('SELECT * FROM users WHERE email = ?');
+  const countUserRows = db.prepare('SELECT COUNT(*) FROM users').pluck();
+  const selectSession = db.prepare('SELECT * FROM sessions WHERE id = ? AND expires_at > ?');
+  const insertSession = db.prepare(
+    'INSERT INTO sessions (id, user_id, created_at, expires_at) VALUES (@id, @user_id, @created_at, @expires_at)'
+  );
+  const deleteSessionRow = db.prepare('DELETE FROM sessions WHERE id = ?');
+  const deleteExpiredSessions = db.prepare('DELETE FROM sessions WHERE expires_at <= ?');
+
+  /**
+   * Assemble a full trip object from its row and its child tables.
+   */
+  function loadTrip(row) {
+    const trip = fromRow('trips', row);
+    trip.participants = selectChildren.participants.all(row.id).map(r => fromRow('participants', r));
+    const sharesByExpense = {};
+    selectShares.all(row.id).forEach(share => {
+      (sharesByExpense[share.expense_id] = sharesByExpense[share.expense_id] || []).push({
+        participant_id: share.participant_id,
+        amount: share.amount
+      });
+    });
+    trip.expenses = selectChildren.expenses.all(row.id).map(r => {
+      const expense = fromRow('expenses', r);
+      expense.shares = sharesByExpense[expense.id] || [];
+      return expense;
+    });
+    trip.transfers = selectChildren.transfers.all(row.id).map(r => fromRow('transfers', r));
+    const activity = selectChildren.activity.all(row.id).map(r => fromRow('activity', r));
+    if (activity.length) trip.activity = activity;
+    trip.members = selectChildren.members.all(row.id).map(r => fromRow('members', r));
+    return trip;
+  }
+
+  function insertParticipant(tripId, participant) {
+    insert.participants.run(Object.assign({ trip_id: tripId }, toRow('participants', participant)));
+  }
+
+  function insertExpense(tripId, expense) {
+    insert.expenses.run(Object.assign({ trip_id: tripId }, toRow('expenses', expense)));
+    (expense.shares || []).forEach(share => {
+      insertShare.run(tripId, expense.id, share.participant_id, share.amount);
+    });
+  }
+
+  function insertTransfer(tripId, transfer) {
+    insert.transfers.run(Object.assign({ trip_id: tripId }, toRow('transfers', transfer)));
+  }
+
+  // The activity log only ever grows, so entries beyond those already
+  // stored are the new ones
+  function insertNewActivity(trip) {
+    const log = trip.activity || [];
+    log.slice(countActivity.get(trip.id)).forEach(entry => {
+      insert.activity.run(Object.assign({ trip_id: trip.id }, toRow('activity', entry)));
+    });
+  }
+
+  function insertChildren(trip) {
+    (trip.participants || []).forEach(p => insertParticipant(trip.id, p));
+    (trip.expenses || []).forEach(exp => insertExpense(trip.id, exp));
+    (trip.transfers || []).forEach(tr => insertTransfer(trip.id, tr));
+    insertNewActivity(trip);
+    (trip.members || []).forEach(member => {
+      insert.members.run(Object.assign({ trip_id: trip.id }, toRow('members', member)));
+    });
+  }
+
+  const createTrip = db.transaction(trip => {
+    if (!trip.version) trip.version = 1;
+    insert.trips.run(toRow('trips', trip));
+    insertChildren(trip);
+  });
+
+  // Edits may touch any record of the trip, so its child rows are simply
+  // replaced
+  const saveTrip = db.transaction(trip => {
+    trip.version = (trip.version || 0) + 1;
+    if (updateTrip.run(toRow('trips', trip)).changes === 0) {
+      throw new Error(`Trip ${trip.id} does not exist`);
+    }
+    deleteChildren.forEach(stmt => stmt.run(trip.id));
+    insertChildren(trip);
+  });
+
+  // Adding a record also stores the trip row, whose dates may have moved
+  // and whose version goes up
+  function touchTrip(trip) {
+    trip.version = (trip.version || 0) + 1;
+    updateTrip.run(toRow('trips', trip));
+    insertNewActivity(trip);
+  }
+  const addParticipant = db.transaction((trip, participant) => {
+    touchTrip(trip);
+    insertParticipant(trip.id, participant);
+  });
+  const addExpense = db.transaction((trip, expense) => {
+    touchTrip(trip);
+    insertExpense(trip.id, expense);
+  });
+  const addTransfer = db.transaction((trip, transfer) => {
+    touchTrip(trip);
+    insertTransfer(trip.id, transfer);
+  });
+
+  function listTrips() {
+    return selectTrips.all().map(loadTrip);
+  }
+
+  // Databases created by an older version are brought up to date with
+  // the same migrations as the JSON file
+  const version = db.pragma('user_version', { simple: true });
+  if (version === 0) {
+    db.pragma(`user_version = ${CURRENT_SCHEMA_VERSION}`);
+  } else if (version < CURRENT_SCHEMA_VERSION) {
+    db.transaction(() => {
+      const data = { schema_version: version, trips: listTrips() };
+      migrateData(data);
+      data.trips.forEach(saveTrip);
+      db.pragma(`user_version = ${data.schema_version}`);
+    })();
+  }
+
+  return {
+    listTrips,
+    getTrip(tripId) {
+      const row = selectTrip.get(tripId);
+      return row ? loadTrip(row) : null;
+    },
+    createTrip,
+    saveTrip,
+    deleteTrip(tripId) {
+      deleteTripRow.run(tripId);
+    },
+    addParticipant,
+    addExpense,
+    addTransfer,
+    getUser(userId) {
+      const row = selectUser.get(userId);
+      return row ? fromRow('users', row) : null;
+    },
+    findUserByEmail(email) {
+      const row = selectUserByEmail.get(email);
+      return row ? fromRow('users', row) : null;
+    },
+    countUsers() {
+      return countUserRows.get();
+    },
+    createUser(user) {
+      insert.users.run(toRow('users', user));
+    },
+    getSession(sessionId) {
+      return selectSession.get(sessionId, new Date().toISOString()) || null;
+    },
+    createSession: db.transaction(session => {
+      // Expired sessions are dropped whenever a new one is started
+      deleteExpiredSessions.run(new Date().toISOString());
+      insertSession.run(session);
+    }),
+    deleteSession(sessionId) {
+      deleteSessionRow.run(sessionId);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+if (require.main === module) {
+  const appDir = path.join(__dirname, '..');
+  const source = path.resolve(process.argv[2] || path.join(appDir, 'data.json'));
+  const target = path.resolve(process.argv[3] || path.join(appDir, 'data.sqlite'));
+  // The JSON file is migrated in memory only and left untouched
+  const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+  migrateData(data);
+  const storage = createSqliteStorage(target);
+  try {
+    const existing = data.trips.filter(trip => storage.getTrip(trip.id));
+    const users = data.users || [];
+    const existingUsers = users.filter(user => storage.findUserByEmail(user.email));
+    if (existing.length || existingUsers.length) {
+      console.error(`${target} already contains ${existing.length} of these trips and ${existingUsers.length} of these users; nothing was copied`);
+      process.exitCode = 1;
+    } else {
+      users.forEach(user => storage.createUser(user));
+      (data.sessions || []).forEach(session => storage.createSession(session));
+      data.trips.forEach(trip => storage.createTrip(trip));
+      console.log(`Copied ${data.trips.length} trips and ${users.length} users from ${source} to ${target}`);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+module.exports = {
+  createSqliteStorage
+};
@@ -0,0 +1,70 @@
+-- Tables of the Supabase project the server syncs with (see sync.js).
+-- The Supabase pages read trips and expenses; participants and transfers
+-- are there so that a trip comes back whole.  Amounts are in major units
+-- of their currency, shares of an expense in the trip's base currency.
+--
+-- updated_at must change on every write, whoever makes it: the trigger
+-- at the end takes care of that, and it is how the sync notices changes
+-- made on the Supabase side.  Projects that already have trips and
+-- expenses tables need the missing columns and the trigger added.
+
+create table if not exists trips (
+  id text primary key,
+  title text not null,
+  location text,
+  start_date date,
+  end_date date,
+  base_currency text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists participants (
+  id text primary key,
+  trip_id text not null references trips (id) on delete cascade,
+  name text not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists expenses (
+  id text primary key,
+  trip_id text not null references trips (id) on delete cascade,
+  payer_id text,
+  amount numeric not null,
+  currency text,
+  exchange_rate numeric,
+  description text,
+  date date,
+  category text,
+  split jsonb,
+  shares jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists transfers (
+  id text primary key,
+  trip_id text not null references trips (id) on delete cascade,
+  from_id text not null,
+  to_id text not null,
+  amount numeric not null,
+  currency text,
+  exchange_rate numeric,
+  date date,
+  updated_at timestamptz not null default now()
+);
+
+create or replace function set_updated_at() returns trigger
+language plpgsql as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+create trigger trips_updated_at before insert or update on trips
+  for each row execute function set_updated_at();
+create trigger participants_updated_at before insert or update on participants
+  for each row execute function set_updated_at();
+create trigger expenses_updated_at before insert or update on expenses
+  for each row execute function set_updated_at();
+create trigger transfers_updated_at before insert or update on transfers
+  for each row execute function set_updated_at();
@@ -0,0 +1,562 @@
+// Two‑way sync between the local store and a Supabase project.  Trips,
+// participants, expenses and transfers are pushed to the tables of the
+// same name through Supabase's REST interface (PostgREST), and changes
+// made there are pulled back.  supabase-schema.sql creates the tables.
+//
+// The server stamps every local record a change touches with
+// `updated_at`, and a deleted record leaves a tombstone in
+// `trip.deleted_records`.  Remote rows get `updated_at` from a trigger.
+// The sync state file remembers both timestamps of every record as of
+// the last sync, so the changes each side made since then are known.  A
+// record changed on both sides is a conflict, settled by the policy:
+//
+//   newest (default)  the side with the later timestamp wins
+//   local             the local copy wins
+//   remote            the remote copy wins
+//
+// Remote amounts are in major units, as the Supabase pages show them, and
+// the trip name is kept in the `title` column.  The split definition of
+// an expense is copied as is, so its exact values stay in minor units.
+
+const fs = require('fs');
+const { getMinorDigits, toMinorUnits } = require('./money');
+
+const SYNC_POLICIES = ['newest', 'local', 'remote'];
+
+// Remote tables in the order rows are written; deletions go backwards
+const SYNC_TABLES = ['trips', 'participants', 'expenses', 'transfers'];
+
+// Activity log entity of the records in each table of a trip
+const CHILD_ENTITIES = {
+  participants: 'participant',
+  expenses: 'expense',
+  transfers: 'transfer'
+};
+
+// Ids the server itself hands out, such as trip_mvfn7btn_gy1fl.  Remote
+// rows with any other id are not pulled: ids end up in URLs and, for
+// trips, in the paths of attachment files.
+const LOCAL_ID_PATTERN = /^[\w-]+$/;
+
+// Requests to Supabase give up after this many milliseconds
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * Create a client for the REST interface of a Supabase project, or of any
+ * server speaking the same PostgREST dialect.  `key` is sent both as the
+ * API key and as the bearer token; use the service role key so that row
+ * level security does not hide rows from the sync.
+ */
+function createPostgrestClient(url, key) {
+  const base = `${url.replace(/\/$/, '')}/rest/v1/`;
+
+  async function request(method, pathAndQuery, body, prefer) {
+    const headers = { apikey: key, Authorization: `Bearer ${key}`, Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (prefer) headers.Prefer = prefer;
+    const res = await fetch(base + pathAndQuery, {
+      method: method,
+      headers: headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      data = null;
+    }
+    if (!res.ok) {
+      const reason = (data && data.message) || `${res.status} ${res.statusText}`;
+      throw new Error(`Supabase ${method} ${pathAndQuery.split('?')[0]} failed: ${reason}`);
+    }
+    return data;
+  }
+
+  const byIds = ids => `id=in.(${ids.map(id => encodeURIComponent(`"${id}"`)).join(',')})`;
+
+  return {
+    async select(table) {
+      return (await request('GET', `${table}?select=*`)) || [];
+    },
+    async upsert(table, rows) {
+      return (await request('POST', `${table}?on_conflict=id`, rows, 'resolution=merge-duplicates,return=representation')) || [];
+    },
+    async update(table, id, values) {
+      return (await request('PATCH', `${table}?id=eq.${encodeURIComponent(id)}`, values, 'return=representation')) || [];
+    },
+    async remove(table, ids) {
+      await request('DELETE', `${table}?${byIds(ids)}`);
+    }
+  };
+}
+
+function toMajorUnits(amount, currency) {
+  return amount / 10 ** getMinorDigits(currency);
+}
+
+// Timestamps from both sides compared as moments, since Postgres and
+// toISOString() write them differently
+function stampTime(stamp) {
+  return Date.parse(stamp) || 0;
+}
+
+/**
+ * Create the sync engine.  `options` holds:
+ *
+ *   storage         the local store (storage/index.js)
+ *   client          a remote client such as createPostgrestClient()
+ *   stateFile       where the state of the last sync is kept
+ *   policy          conflict policy, see above
+ *   getBaseCurrency(trip), getTripDates(trip)
+ *                   the server's view of a trip, pushed with its row
+ *   buildRecord(table, trip, body)
+ *                   validate a pulled record the way the API would;
+ *                   returns { error } or { record } with the stored fields
+ *   recordChange(trip, change)
+ *                   log a pulled change in the trip's activity log
+ *   isParticipantReferenced(trip, participantId)
+ *                   whether expenses, series or transfers still use a
+ *                   participant, who then cannot be deleted
+ *   removeParticipant(trip, participantId)
+ *                   remove a participant with everything that goes with
+ *                   them locally (household membership, budget); returns
+ *                   the related changes to log
+ */
+function createSyncEngine(options) {
+  const { storage, client, stateFile } = options;
+  const policy = options.policy || 'newest';
+  if (!SYNC_POLICIES.includes(policy)) {
+    throw new Error(`Unknown sync policy "${policy}", expected one of: ${SYNC_POLICIES.join(', ')}`);
+  }
+
+  function loadState() {
+    try {
+      return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (err) {
+      return { synced_at: null, records: {} };
+    }
+  }
+
+  function saveState(state) {
+    const tmpFile = `${stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpFile, stateFile);
+  }
+
+  /**
+   * Index the local records of all trips by `table:id`.  Tombstones are
+   * entries without a record.
+   */
+  function collectLocal(trips) {
+    const local = new Map();
+    trips.forEach(trip => {
+      local.set(`trips:${trip.id}`, { table: 'trips', id: trip.id, tripId: trip.id, record: trip, stamp: trip.updated_at || '' });
+      Object.keys(CHILD_ENTITIES).forEach(table => {
+        (trip[table] || []).forEach(record => {
+          local.set(`${table}:${record.id}`, { table, id: record.id, tripId: trip.id, record, stamp: record.updated_at || '' });
+        });
+      });
+      (trip.deleted_records || []).forEach(tombstone => {
+        const table = Object.keys(CHILD_ENTITIES).find(name => CHILD_ENTITIES[name] === tombstone.entity);
+        const key = `${table}:${tombstone.id}`;
+        if (!table || local.has(key)) return;
+        local.set(key, { table, id: tombstone.id, tripId: trip.id, record: null, stamp: tombstone.deleted_at });
+      });
+    });
+    return local;
+  }
+
+  async function collectRemote() {
+    const remote = new Map();
+    for (const table of SYNC_TABLES) {
+      const rows = await client.select(table);
+      rows.forEach(row => {
+        const id = String(row.id);
+        const tripId = table === 'trips' ? id : String(row.trip_id);
+        remote.set(`${table}:${id}`, { table, id, tripId, row, stamp: row.updated_at || '' });
+      });
+    }
+    return remote;
+  }
+
+  /**
+   * Decide what to do with one record.  Returns { action, conflict }
+   * where action is 'push', 'pull', 'delete_remote', 'delete_local',
+   * 'forget' (gone on both sides) or 'none'.  Only records both sides
+   * changed since they were last in sync count as conflicts; on the first
+   * sync of a record present on both sides the policy simply applies.
+   */
+  function decide(local, remote, previous, policy) {
+    const localExists = Boolean(local && local.record);
+    if (!localExists && !remote) return { action: 'forget' };
+    const localChanged = local ? !previous || local.stamp !== previous.local : Boolean(previous);
+    const remoteChanged = remote ? !previous || remote.stamp !== previous.remote : Boolean(previous);
+    const localAction = localExists ? 'push' : 'delete_remote';
+    const remoteAction = remote ? 'pull' : 'delete_local';
+    if (!localChanged && !remoteChanged) return { action: 'none' };
+    if (!remoteChanged) return { action: localAction };
+    if (!localChanged) return { action: remoteAction };
+    let localWins;
+    if (policy === 'local') {
+      localWins = true;
+    } else if (policy === 'remote') {
+      localWins = false;
+    } else {
+      // A deletion on the remote side has no time, so a local edit wins
+      localWins = !remote || (Boolean(local) && stampTime(local.stamp) >= stampTime(remote.stamp));
+    }
+    return { action: localWins ? localAction : remoteAction, conflict: Boolean(previous) };
+  }
+
+  function toRemoteRow(table, record, trip) {
+    const base = options.getBaseCurrency(trip);
+    if (table === 'trips') {
+      const dates = options.getTripDates(trip);
+      return {
+        id: trip.id,
+        title: trip.name,
+        location: trip.location || null,
+        start_date: dates.start_date,
+        end_date: dates.end_date,
+        base_currency: base
+      };
+    }
+    if (table === 'participants') {
+      return { id: record.id, trip_id: trip.id, name: record.name };
+    }
+    const currency = record.currency || base;
+    const row = {
+      id: record.id,
+      trip_id: trip.id,
+      amount: toMajorUnits(record.amount, currency),
+      currency: currency,
+      exchange_rate: record.exchange_rate || null,
+      date: record.date || null
+    };
+    if (table === 'transfers') {
+      return Object.assign(row, { from_id: record.from_id, to_id: record.to_id });
+    }
+    // Shares are in the base currency, like the balances they feed
+    return Object.assign(row, {
+      payer_id: record.payer_id,
+      description: record.description,
+      category: record.category || null,
+      split: record.split || null,
+      shares: (record.shares || []).map(share => ({
+        participant_id: share.participant_id,
+        amount: toMajorUnits(share.amount, base)
+      }))
+    });
+  }
+
+  /**
+   * Turn a remote row into the request body the API would get for the
+   * same record, with amounts back in minor units.
+   */
+  function toRequestBody(table, row, trip) {
+    if (table === 'trips') {
+      return { name: row.title || row.name, location: row.location, base_currency: row.base_currency };
+    }
+    if (table === 'participants') {
+      return { name: row.name };
+    }
+    const currency = row.currency || options.getBaseCurrency(trip);
+    const body = {
+      amount: toMinorUnits(Number(row.amount), currency),
+      currency: currency,
+      exchange_rate: row.exchange_rate,
+      date: row.date || null
+    };
+    if (table === 'transfers') {
+      return Object.assign(body, { from_id: row.from_id, to_id: row.to_id });
+    }
+    Object.assign(body, { payer_id: row.payer_id, description: row.description, category: row.category });
+    if (row.split) {
+      body.split = row.split;
+    } else if (Array.isArray(row.shares) && row.shares.length) {
+      const base = options.getBaseCurrency(trip);
+      body.shares = row.shares.map(share => ({
+        participant_id: share.participant_id,
+        amount: toMinorUnits(Number(share.amount), base)
+      }));
+    }
+    return body;
+  }
+
+  function newReport(policy) {
+    const counts = () => ({ trips: 0, participants: 0, expenses: 0, transfers: 0 });
+    return {
+      policy: policy,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      pushed: counts(),
+      pulled: counts(),
+      deleted_remote: counts(),
+      deleted_local: counts(),
+      conflicts: [],
+      skipped: []
+    };
+  }
+
+  /**
+   * Run one sync of every trip with the configured policy.
+   * `runOptions.ownerId` is the user who becomes the owner of trips that
+   * so far only exist remotely; without it such trips are skipped.
+   * Resolves with a report of what was done.
+   */
+  async function syncAll(runOptions = {}) {
+    const report = newReport(policy);
+    const state = loadState();
+    const trips = storage.listTrips();
+    const local = collectLocal(trips);
+    const remote = await collectRemote();
+
+    const decisions = [];
+    const keys = new Set([...local.keys(), ...remote.keys(), ...Object.keys(state.records)]);
+    keys.forEach(key => {
+      const localEntry = local.get(key);
+      const remoteEntry = remote.get(key);
+      const previous = state.records[key];
+      const [table, ...idParts] = key.split(':');
+      const decision = decide(localEntry, remoteEntry, previous, policy);
+      decision.key = key;
+      decision.table = table;
+      decision.id = idParts.join(':');
+      decision.tripId = (localEntry || remoteEntry || previous).tripId || previous.trip_id;
+      decision.local = localEntry;
+      decision.remote = remoteEntry;
+      decisions.push(decision);
+    });
+
+    // A trip deleted remotely stays when any of its records changed
+    // locally since the last sync; it is then pushed again in full
+    decisions.filter(d => d.table === 'trips' && d.action === 'delete_local').forEach(tripDecision => {
+      const ownDecisions = decisions.filter(d => d.tripId === tripDecision.id);
+      const changedLocally = ownDecisions.some(d => {
+        const previous = state.records[d.key];
+        return d.local && d.local.record && (!previous || d.local.stamp !== previous.local);
+      });
+      if (!changedLocally) return;
+      report.conflicts.push({ table: 'trips', id: tripDecision.id, winner: 'local' });
+      ownDecisions.forEach(d => {
+        if (d.local && d.local.record) d.action = 'push';
+      });
+    });
+    decisions.filter(d => d.conflict).forEach(d => {
+      const winner = ['push', 'delete_remote'].includes(d.action) ? 'local' : 'remote';
+      report.conflicts.push({ table: d.table, id: d.id, winner });
+    });
+
+    const tripsById = new Map(trips.map(trip => [trip.id, trip]));
+    try {
+      await pushChanges(decisions, tripsById, state, report);
+      pullChanges(decisions, tripsById, state, report, runOptions.ownerId || null);
+      decisions.filter(d => d.action === 'forget').forEach(d => {
+        delete state.records[d.key];
+      });
+    } finally {
+      state.synced_at = new Date().toISOString();
+      saveState(state);
+    }
+    report.finished_at = state.synced_at;
+    return report;
+  }
+
+  async function pushChanges(decisions, tripsById, state, report) {
+    for (const table of SYNC_TABLES) {
+      const pushes = decisions.filter(d => d.table === table && d.action === 'push');
+      if (!pushes.length) continue;
+      const rows = pushes.map(d => toRemoteRow(table, d.local.record, tripsById.get(d.tripId)));
+      const written = await client.upsert(table, rows);
+      pushes.forEach(d => {
+        const row = written.find(item => String(item.id) === d.id);
+        state.records[d.key] = { trip_id: d.tripId, local: d.local.stamp, remote: row ? row.updated_at : '' };
+      });
+      report.pushed[table] += pushes.length;
+    }
+    // The dates of a trip follow from its records, so they are refreshed
+    // on the remote side without counting as a change of the trip
+    for (const d of decisions.filter(item => item.table === 'trips' && item.action === 'none' && item.remote)) {
+      const dates = options.getTripDates(d.local.record);
+      const row = d.remote.row;
+      if ((row.start_date || null) === dates.start_date && (row.end_date || null) === dates.end_date) continue;
+      const [updated] = await client.update('trips', d.id, dates);
+      if (updated) state.records[d.key].remote = updated.updated_at;
+    }
+    for (const table of SYNC_TABLES.slice().reverse()) {
+      const deletions = decisions.filter(d => d.table === table && d.action === 'delete_remote');
+      if (!deletions.length) continue;
+      await client.remove(table, deletions.map(d => d.id));
+      deletions.forEach(d => {
+        delete state.records[d.key];
+      });
+      report.deleted_remote[table] += deletions.length;
+    }
+  }
+
+  function pullChanges(decisions, tripsById, state, report, ownerId) {
+    const pulledTripIds = new Set(decisions
+      .filter(d => d.action === 'pull' || d.action === 'delete_local')
+      .map(d => d.tripId));
+    pulledTripIds.forEach(tripId => {
+      const own = decisions.filter(d => d.tripId === tripId);
+      if (!LOCAL_ID_PATTERN.test(tripId)) {
+        own.forEach(d => report.skipped.push({ table: d.table, id: d.id, reason: 'The trip id is not a valid local id' }));
+        return;
+      }
+      const tripDecision = own.find(d => d.table === 'trips');
+      if (tripDecision && tripDecision.action === 'delete_local') {
+        if (tripsById.has(tripId)) storage.deleteTrip(tripId);
+        own.forEach(d => {
+          delete state.records[d.key];
+        });
+        report.deleted_local.trips++;
+        return;
+      }
+      let trip = tripsById.get(tripId);
+      const isNew = !trip;
+      if (isNew) {
+        if (!tripDecision || tripDecision.action !== 'pull') {
+          own.forEach(d => report.skipped.push({ table: d.table, id: d.id, reason: 'The trip is not on either side' }));
+          return;
+        }
+        if (!ownerId) {
+          report.skipped.push({ table: 'trips', id: tripId, reason: 'No owner for a new trip' });
+          return;
+        }
+        trip = {
+          id: tripId,
+          name: '',
+          location: '',
+          start_date: null,
+          end_date: null,
+          base_currency: tripDecision.remote.row.base_currency || null,
+          exchange_rates: {},
+          custom_categories: [],
+          participants: [],
+          expenses: [],
+          transfers: [],
+          members: [{ user_id: ownerId, role: 'owner' }]
+        };
+      }
+      let changed = false;
+      if (tripDecision && tripDecision.action === 'pull') {
+        changed = pullTrip(trip, tripDecision, isNew, state, report) || changed;
+        if (isNew && !changed) return;
+      }
+      ['participants', 'expenses', 'transfers'].forEach(table => {
+        own.filter(d => d.table === table && d.action === 'pull').forEach(d => {
+          changed = pullRecord(trip, d, state, report) || changed;
+        });
+      });
+      ['transfers', 'expenses', 'participants'].forEach(table => {
+        own.filter(d => d.table === table && d.action === 'delete_local').forEach(d => {
+          changed = deleteRecord(trip, d, state, report) || changed;
+        });
+      });
+      if (isNew) {
+        storage.createTrip(trip);
+      } else if (changed) {
+        storage.saveTrip(trip);
+      }
+    });
+  }
+
+  function pullTrip(trip, d, isNew, state, report) {
+    const result = options.buildRecord('trips', trip, toRequestBody('trips', d.remote.row, trip));
+    if (result.error) {
+      report.skipped.push({ table: 'trips', id: d.id, reason: result.error });
+      return false;
+    }
+    const before = isNew ? null : { name: trip.name, location: trip.location };
+    trip.name = result.record.name;
+    trip.location = result.record.location;
+    // Changing the base currency of an existing trip would need its
+    // exchange rates changed too, so it only comes along with a new trip
+    if (isNew) trip.base_currency = result.record.base_currency;
+    options.recordChange(trip, {
+      action: isNew ? 'create' : 'update',
+      entity: 'trip',
+      entity_id: trip.id,
+      before: before,
+      after: { name: trip.name, location: trip.location }
+    });
+    trip.updated_at = d.remote.stamp;
+    state.records[d.key] = { trip_id: trip.id, local: d.remote.stamp, remote: d.remote.stamp };
+    report.pulled.trips++;
+    return true;
+  }
+
+  function pullRecord(trip, d, state, report) {
+    if (!LOCAL_ID_PATTERN.test(d.id)) {
+      report.skipped.push({ table: d.table, id: d.id, reason: 'The id is not a valid local id' });
+      return false;
+    }
+    const result = options.buildRecord(d.table, trip, toRequestBody(d.table, d.remote.row, trip));
+    if (result.error) {
+      report.skipped.push({ table: d.table, id: d.id, reason: result.error });
+      return false;
+    }
+    const list = trip[d.table];
+    const index = list.findIndex(record => record.id === d.id);
+    const before = index === -1 ? null : list[index];
+    // Local fields the remote side does not know about stay as they are
+    const record = Object.assign({}, before, { id: d.id }, result.record);
+    if (index === -1) list.push(record);
+    else list[index] = record;
+    options.recordChange(trip, {
+      action: before ? 'update' : 'create',
+      entity: CHILD_ENTITIES[d.table],
+      entity_id: d.id,
+      before: before,
+      after: record
+    });
+    record.updated_at = d.remote.stamp;
+    trip.deleted_records = (trip.deleted_records || []).filter(tombstone => tombstone.id !== d.id);
+    state.records[d.key] = { trip_id: trip.id, local: d.remote.stamp, remote: d.remote.stamp };
+    report.pulled[d.table]++;
+    return true;
+  }
+
+  function deleteRecord(trip, d, state, report) {
+    const list = trip[d.table];
+    const record = list.find(item => item.id === d.id);
+    if (!record) {
+      delete state.records[d.key];
+      return false;
+    }
+    if (d.table === 'participants' && options.isParticipantReferenced(trip, d.id)) {
+      report.skipped.push({ table: d.table, id: d.id, reason: 'Participant is used in expenses or transfers' });
+      return false;
+    }
+    let related = [];
+    if (d.table === 'participants') {
+      related = options.removeParticipant(trip, d.id);
+    } else {
+      trip[d.table] = list.filter(item => item.id !== d.id);
+    }
+    options.recordChange(trip, {
+      action: 'delete',
+      entity: CHILD_ENTITIES[d.table],
+      entity_id: d.id,
+      before: record,
+      after: null,
+      related
+    });
+    delete state.records[d.key];
+    report.deleted_local[d.table]++;
+    return true;
+  }
+
+  return {
+    syncAll
+  };
+}
+
+module.exports = {
+  SYNC_POLICIES,
+  createPostgrestClient,
+  createSyncEngine
+};
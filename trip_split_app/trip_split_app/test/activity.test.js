@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+/**
+ * Return the activity log of a trip, newest entry first.
+ */
+async function getActivity(tripId) {
+  return (await client.get(`/api/trips/${tripId}/activity`)).body.activity;
+}
+
+test('changes are logged with their author and snapshots', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Omsk' }, ['Anna', 'Boris']);
+  const created = await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 1000, description: 'Dinner' });
+  await client.patch(`/api/trips/${trip.id}/expenses/${created.body.id}`, { amount: 1200 });
+  const [update, create] = await getActivity(trip.id);
+  assert.equal(update.action, 'update');
+  assert.equal(update.entity, 'expense');
+  assert.equal(update.actor, 'Anna');
+  assert.equal(update.before.amount, 1000);
+  assert.equal(update.after.amount, 1200);
+  assert.equal(update.can_undo, true);
+  // The creation has to wait until the later edit is undone
+  assert.equal(create.action, 'create');
+  assert.equal(create.can_undo, false);
+});
+
+test('undoing an edit and then a creation restores the trip', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Tomsk' }, ['Anna', 'Boris']);
+  const created = await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 1000, description: 'Dinner' });
+  await client.patch(`/api/trips/${trip.id}/expenses/${created.body.id}`, { amount: 1200, description: 'Late dinner' });
+  const [update, create] = await getActivity(trip.id);
+
+  assert.equal((await client.post(`/api/trips/${trip.id}/activity/${create.id}/undo`)).status, 409);
+  const undone = await client.post(`/api/trips/${trip.id}/activity/${update.id}/undo`);
+  assert.equal(undone.status, 200);
+  assert.equal(undone.body.action, 'undo');
+  assert.equal(undone.body.undo_of, update.id);
+  let details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.equal(details.expenses[0].amount, 1000);
+  assert.equal(details.expenses[0].description, 'Dinner');
+  assert.deepEqual(details.net_balances, { [ids.Anna]: 500, [ids.Boris]: -500 });
+
+  const again = await client.post(`/api/trips/${trip.id}/activity/${update.id}/undo`);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'This entry has already been undone');
+  assert.equal((await client.post(`/api/trips/${trip.id}/activity/${undone.body.id}/undo`)).status, 409);
+
+  assert.equal((await client.post(`/api/trips/${trip.id}/activity/${create.id}/undo`)).status, 200);
+  details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.expenses, []);
+  const log = await getActivity(trip.id);
+  assert.equal(log.find(entry => entry.id === update.id).undone_by, undone.body.id);
+});
+
+test('undoing a deletion brings back the records it moved', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Perm' }, ['Anna', 'Boris', 'Vera']);
+  const expense = await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Vera, amount: 900, description: 'Museum' });
+  const deleted = await client.delete(`/api/trips/${trip.id}/participants/${ids.Vera}?reassign_to=${ids.Boris}`);
+  assert.equal(deleted.status, 200);
+  let details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.equal(details.expenses[0].payer_id, ids.Boris);
+
+  const [removal] = await getActivity(trip.id);
+  assert.equal(removal.action, 'delete');
+  assert.equal(removal.entity, 'participant');
+  assert.deepEqual(removal.related.map(item => item.entity_id), [expense.body.id]);
+  assert.equal((await client.post(`/api/trips/${trip.id}/activity/${removal.id}/undo`)).status, 200);
+  details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.participants.map(p => p.name), ['Anna', 'Boris', 'Vera']);
+  assert.equal(details.expenses[0].payer_id, ids.Vera);
+});
+
+test('undo refuses to leave records pointing at nobody', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Ufa' }, ['Anna']);
+  const added = await client.post(`/api/trips/${trip.id}/participants`, { name: 'Boris' });
+  await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 1000, description: 'Dinner' });
+  const entry = (await getActivity(trip.id)).find(a => a.entity === 'participant' && a.entity_id === added.body.id);
+  assert.equal(entry.can_undo, false);
+  const res = await client.post(`/api/trips/${trip.id}/activity/${entry.id}/undo`);
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /refers to a participant that would not exist/);
+  const tripEntry = (await getActivity(trip.id)).find(a => a.entity === 'trip');
+  assert.equal((await client.post(`/api/trips/${trip.id}/activity/${tripEntry.id}/undo`)).body.error, 'This entry cannot be undone');
+  assert.equal((await client.post(`/api/trips/${trip.id}/activity/a_missing/undo`)).status, 404);
+});
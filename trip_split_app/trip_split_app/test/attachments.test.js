@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+function upload(route, data, name) {
+  const form = new FormData();
+  form.append('file', new Blob([data]), name);
+  return client.post(route, form);
+}
+
+async function createExpense() {
+  const { trip, ids } = await createTrip(client, { name: 'Receipts' }, ['Anna']);
+  const expense = (await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 1000, description: 'Dinner' })).body;
+  return { trip, route: `/api/trips/${trip.id}/expenses/${expense.id}/attachments` };
+}
+
+test('images are stored with a thumbnail and listed with their expense', async () => {
+  const { trip, route } = await createExpense();
+  const image = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#1e88e5' } }).png().toBuffer();
+  const created = await upload(route, image, 'photos/чек.png');
+  assert.equal(created.status, 201);
+  assert.equal(created.body.name, 'чек.png');
+  assert.equal(created.body.content_type, 'image/png');
+  assert.equal(created.body.size, image.length);
+  assert.equal(created.body.thumbnail, true);
+
+  const file = await client.get(`${route}/${created.body.id}`);
+  assert.ok(file.body.equals(image));
+  assert.equal(file.headers.get('content-security-policy'), 'sandbox');
+  assert.match(file.headers.get('content-disposition'), /^inline; filename="___.png"; filename\*=UTF-8''%D1%87%D0%B5%D0%BA\.png$/);
+  const thumbnail = await client.get(`${route}/${created.body.id}/thumbnail`);
+  assert.equal(thumbnail.headers.get('content-type'), 'image/jpeg');
+  const { width, height } = await sharp(thumbnail.body).metadata();
+  assert.deepEqual([width, height], [240, 180]);
+
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.expenses[0].attachments.map(a => a.id), [created.body.id]);
+  assert.equal(details.attachments, undefined);
+
+  assert.equal((await client.delete(`${route}/${created.body.id}`)).status, 200);
+  assert.equal((await client.get(`${route}/${created.body.id}`)).status, 404);
+  assert.deepEqual(fs.readdirSync(path.join(app.dir, 'attachments', trip.id)), []);
+});
+
+test('only known file types are accepted', async () => {
+  const { route } = await createExpense();
+  const pdf = await upload(route, Buffer.from('%PDF-1.4\n'), 'bill.exe');
+  assert.equal(pdf.status, 201);
+  assert.equal(pdf.body.content_type, 'application/pdf');
+  assert.equal(pdf.body.thumbnail, false);
+  assert.equal((await client.get(`${route}/${pdf.body.id}/thumbnail`)).status, 404);
+  // The type comes from the bytes, not from the name
+  assert.equal((await upload(route, Buffer.from('<script>alert(1)</script>'), 'receipt.png')).status, 415);
+  assert.equal((await client.post(route, { file: 'receipt' })).status, 400);
+});
+
+test('no file is left behind when the trip cannot be saved', async () => {
+  const { trip, route } = await createExpense();
+  // A directory in the way of the temporary data file makes saving fail
+  const blocker = `${process.env.DATA_FILE}.tmp`;
+  fs.mkdirSync(blocker);
+  try {
+    const failed = await upload(route, Buffer.from('%PDF-1.4\n'), 'bill.pdf');
+    assert.equal(failed.status, 500);
+  } finally {
+    fs.rmdirSync(blocker);
+  }
+  assert.deepEqual(fs.readdirSync(path.join(app.dir, 'attachments', trip.id)), []);
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.equal(details.expenses[0].attachments, undefined);
+});
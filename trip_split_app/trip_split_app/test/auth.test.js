@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+
+test.before(async () => {
+  app = await startServer({ OWNER_EMAIL: 'Owner@Example.com' });
+});
+
+test.after(() => app.close());
+
+test('accounts can register, log in and log out', async () => {
+  const client = app.client();
+  assert.equal((await client.get('/api/trips')).status, 401);
+  assert.equal((await client.post('/api/auth/register', { email: 'anna@example.com', password: 'short' })).status, 400);
+  const registered = await signUp(client, 'Anna@Example.com', 'Anna');
+  assert.deepEqual(Object.keys(registered.user), ['id', 'email', 'name']);
+  assert.equal(registered.user.email, 'anna@example.com');
+  assert.equal((await client.get('/api/auth/me')).body.user.id, registered.user.id);
+  assert.equal((await client.post('/api/auth/register', { email: 'anna@example.com', password: 'secret-password' })).status, 409);
+
+  assert.equal((await client.post('/api/auth/logout')).status, 200);
+  assert.equal((await client.get('/api/auth/me')).status, 401);
+  assert.equal((await client.post('/api/auth/login', { email: 'anna@example.com', password: 'wrong-password' })).status, 401);
+  const login = await client.post('/api/auth/login', { email: 'ANNA@example.com', password: 'secret-password' });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.user.id, registered.user.id);
+  assert.equal((await client.get('/api/trips')).status, 200);
+});
+
+test('only OWNER_EMAIL claims trips that have no members', async () => {
+  // A trip stored before accounts existed
+  const data = JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+  data.trips.push({ id: 't_legacy', name: 'Legacy', participants: [], expenses: [], transfers: [], members: [], version: 1 });
+  fs.writeFileSync(process.env.DATA_FILE, JSON.stringify(data, null, 2));
+
+  const other = app.client();
+  assert.equal((await signUp(other, 'first@example.com', 'First')).claimed_trips, 0);
+  assert.equal((await other.get('/api/trips/t_legacy')).status, 404);
+
+  const owner = app.client();
+  assert.equal((await signUp(owner, 'owner@example.com', 'Owner')).claimed_trips, 1);
+  const trips = (await owner.get('/api/trips')).body.trips;
+  assert.deepEqual(trips.map(trip => [trip.id, trip.role]), [['t_legacy', 'owner']]);
+  const login = await owner.post('/api/auth/login', { email: 'owner@example.com', password: 'secret-password' });
+  assert.equal(login.body.claimed_trips, 0);
+});
+
+test('members can do what their role allows', async () => {
+  const owner = app.client();
+  const viewer = app.client();
+  const stranger = app.client();
+  await signUp(owner, 'olga@example.com', 'Olga');
+  const boris = await signUp(viewer, 'boris@example.com', 'Boris');
+  await signUp(stranger, 'vera@example.com', 'Vera');
+  const { trip, ids } = await createTrip(owner, { name: 'Roles' }, ['Olga']);
+  const expense = { payer_id: ids.Olga, amount: 100, description: 'Tea' };
+
+  assert.equal((await owner.post(`/api/trips/${trip.id}/members`, { email: 'nobody@example.com' })).status, 404);
+  const added = await owner.post(`/api/trips/${trip.id}/members`, { email: 'boris@example.com', role: 'viewer' });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.role, 'viewer');
+  assert.equal((await viewer.get(`/api/trips/${trip.id}`)).body.my_role, 'viewer');
+  assert.equal((await viewer.post(`/api/trips/${trip.id}/expenses`, expense)).status, 403);
+  assert.equal((await stranger.get(`/api/trips/${trip.id}`)).status, 404);
+  assert.deepEqual((await stranger.get('/api/trips')).body.trips, []);
+
+  assert.equal((await owner.patch(`/api/trips/${trip.id}/members/${boris.user.id}`, { role: 'editor' })).status, 200);
+  assert.equal((await viewer.post(`/api/trips/${trip.id}/expenses`, expense)).status, 201);
+  const invite = await viewer.post(`/api/trips/${trip.id}/members`, { email: 'vera@example.com' });
+  assert.equal(invite.status, 403);
+  assert.equal(invite.body.error, 'This needs the owner role in the trip');
+
+  const ownerId = (await owner.get('/api/auth/me')).body.user.id;
+  assert.equal((await owner.patch(`/api/trips/${trip.id}/members/${ownerId}`, { role: 'editor' })).status, 409);
+  assert.equal((await owner.delete(`/api/trips/${trip.id}/members/${ownerId}`)).status, 409);
+  // Every member may leave
+  assert.equal((await viewer.delete(`/api/trips/${trip.id}/members/${boris.user.id}`)).status, 200);
+  assert.equal((await viewer.get(`/api/trips/${trip.id}`)).status, 404);
+});
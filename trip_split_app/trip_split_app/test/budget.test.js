@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('budgets are validated', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Tver' }, ['Anna']);
+  const route = `/api/trips/${trip.id}/budget`;
+  assert.equal((await client.put(route, { total: -1 })).status, 400);
+  assert.equal((await client.put(route, { total: 10.5 })).status, 400);
+  assert.equal((await client.put(route, { by_category: { spa: 1000 } })).body.error, 'Unknown category in by_category: spa');
+  assert.equal((await client.put(route, { by_participant: { p_nobody: 1000 } })).status, 400);
+  const saved = await client.put(route, { total: '10000', by_category: { food: '', lodging: null }, by_participant: { [ids.Anna]: 500 } });
+  assert.deepEqual(saved.body.budget, { total: 10000, by_category: {}, by_participant: { [ids.Anna]: 500 } });
+  const removed = await client.put(route, { total: '' });
+  assert.deepEqual(removed.body, { budget: null, budget_status: null });
+});
+
+test('spending reports each threshold once as it is crossed', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Suzdal', start_date: '2024-05-01', end_date: '2024-05-02' }, ['Anna', 'Boris']);
+  await client.put(`/api/trips/${trip.id}/budget`, { total: 10000, by_category: { food: 5000 }, by_participant: { [ids.Boris]: 3000 } });
+  const add = (amount, date) => client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount, description: 'Meal', category: 'food', date
+  });
+
+  const first = await add(4000, '2024-05-01');
+  assert.deepEqual(first.body.budget_warnings, [{ scope: 'category', key: 'food', threshold: 0.8, spent: 4000, budget: 5000 }]);
+  const second = await add(2000, '2024-05-02');
+  assert.deepEqual(second.body.budget_warnings, [
+    { scope: 'category', key: 'food', threshold: 1, spent: 6000, budget: 5000 },
+    { scope: 'participant', key: ids.Boris, threshold: 1, spent: 3000, budget: 3000 }
+  ]);
+  assert.equal((await add(100, '2024-05-02')).body.budget_warnings, undefined);
+
+  const status = (await client.get(`/api/trips/${trip.id}`)).body.budget_status;
+  assert.equal(status.days, 2);
+  assert.equal(status.days_elapsed, 2);
+  assert.deepEqual(status.total, {
+    budget: 10000, spent: 6100, remaining: 3900, percent: 61, status: 'ok', daily_allowance: 5000, projected: 6100, projected_overrun: 0
+  });
+  assert.equal(status.by_category.food.status, 'over');
+  assert.equal(status.by_participant[ids.Boris].spent, 3050);
+});
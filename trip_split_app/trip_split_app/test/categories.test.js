@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('spending is broken down by category and participant', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Bergen', base_currency: 'NOK' }, ['Anna', 'Boris']);
+  await client.put(`/api/trips/${trip.id}/rates`, { rates: { EUR: 11.5 } });
+  const expenses = [
+    { amount: 1000, category: 'food' },
+    { amount: 200, currency: 'EUR', category: 'transport' },
+    { amount: 301 }
+  ];
+  for (const [idx, body] of expenses.entries()) {
+    const res = await client.post(`/api/trips/${trip.id}/expenses`, Object.assign({
+      payer_id: ids.Anna, description: `Expense ${idx}`
+    }, body));
+    assert.equal(res.status, 201);
+  }
+  const stats = (await client.get(`/api/trips/${trip.id}/stats`)).body;
+  assert.equal(stats.currency, 'NOK');
+  assert.equal(stats.total, 1000 + 2300 + 301);
+  assert.equal(stats.by_category.food, 1000);
+  assert.equal(stats.by_category.transport, 2300);
+  assert.equal(stats.by_category.other, 301);
+  assert.equal(stats.by_category.lodging, 0);
+  assert.deepEqual(stats.by_participant, { [ids.Anna]: 500 + 1150 + 151, [ids.Boris]: 500 + 1150 + 150 });
+  assert.deepEqual(stats.by_category_participant.other, { [ids.Anna]: 151, [ids.Boris]: 150 });
+});
+
+test('custom categories can be added and removed while unused', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Turku' }, ['Anna']);
+  const route = `/api/trips/${trip.id}/categories`;
+  assert.equal((await client.post(route, { name: 'x'.repeat(41) })).status, 400);
+  assert.equal((await client.post(route, { name: 'food' })).status, 409);
+  const added = await client.post(route, { name: ' Sauna ' });
+  assert.equal(added.status, 201);
+  assert.ok(added.body.categories.includes('Sauna'));
+  const unknown = await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 100, description: 'Spa', category: 'Spa'
+  });
+  assert.deepEqual(unknown.body, { error: 'Invalid category' });
+  await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 100, description: 'Sauna', category: 'Sauna'
+  });
+  assert.equal((await client.delete(`${route}/Sauna`)).status, 409);
+  assert.equal((await client.delete(`${route}/food`)).status, 404);
+  const expense = (await client.get(`/api/trips/${trip.id}`)).body.expenses[0];
+  await client.delete(`/api/trips/${trip.id}/expenses/${expense.id}`);
+  const removed = await client.delete(`${route}/Sauna`);
+  assert.equal(removed.status, 200);
+  assert.ok(!removed.body.categories.includes('Sauna'));
+});
+
+test('category names with spaces and quotes survive the URL', async () => {
+  const { trip } = await createTrip(client, { name: 'Malmö' });
+  const name = 'Boat "trips" & more';
+  await client.post(`/api/trips/${trip.id}/categories`, { name });
+  const removed = await client.delete(`/api/trips/${trip.id}/categories/${encodeURIComponent(name)}`);
+  assert.equal(removed.status, 200);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('a stale If-Match gets a 409 with the current trip', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Kazan' }, ['Anna', 'Boris']);
+  const loaded = await client.get(`/api/trips/${trip.id}`);
+  const etag = loaded.headers.get('etag');
+  assert.equal(etag, `"${loaded.body.version}"`);
+
+  const first = await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 1000, description: 'Dinner'
+  }, { 'If-Match': etag });
+  assert.equal(first.status, 201);
+  const current = first.headers.get('etag');
+  assert.notEqual(current, etag);
+
+  // A second client still holding the old version
+  const stale = await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Boris, amount: 500, description: 'Taxi'
+  }, { 'If-Match': etag });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.headers.get('etag'), current);
+  assert.deepEqual(stale.body.trip.expenses.map(exp => exp.description), ['Dinner']);
+  assert.equal((await client.delete(`/api/trips/${trip.id}/expenses/${first.body.id}`, { 'If-Match': etag })).status, 409);
+
+  // Weak tags, lists and the wildcard match as well
+  const retried = await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Boris, amount: 500, description: 'Taxi'
+  }, { 'If-Match': `"0", W/${current}` });
+  assert.equal(retried.status, 201);
+  assert.equal((await client.patch(`/api/trips/${trip.id}/expenses/${retried.body.id}`, { amount: 600 }, { 'If-Match': '*' })).status, 200);
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.expenses.map(exp => exp.amount), [1000, 600]);
+});
+
+test('requests without If-Match are applied one after another', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Samara' }, ['Anna', 'Boris']);
+  const responses = await Promise.all([1, 2, 3, 4, 5].map(n => client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: n * 100, description: `Expense ${n}`
+  })));
+  assert.deepEqual(responses.map(res => res.status), [201, 201, 201, 201, 201]);
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.equal(details.expenses.length, 5);
+  assert.equal(details.net_balances[ids.Anna], 750);
+});
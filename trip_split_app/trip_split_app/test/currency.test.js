@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('entries in other currencies count in the base currency', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Lisbon', base_currency: 'eur' }, ['Anna', 'Boris']);
+  assert.equal(trip.base_currency, 'EUR');
+  const rates = await client.put(`/api/trips/${trip.id}/rates`, { rates: { USD: 0.9, JPY: '0.0061' } });
+  assert.equal(rates.status, 200);
+  assert.deepEqual(rates.body.exchange_rates, { USD: 0.9, JPY: 0.0061 });
+  // 10.00 USD from the table, 1000 JPY (no minor units), and 5.00 GBP at a fixed rate
+  const entries = [
+    { amount: 1000, currency: 'USD' },
+    { amount: 1000, currency: 'JPY' },
+    { amount: 500, currency: 'GBP', exchange_rate: 1.2 }
+  ];
+  for (const entry of entries) {
+    const res = await client.post(`/api/trips/${trip.id}/expenses`, Object.assign({
+      payer_id: ids.Anna,
+      description: `Paid in ${entry.currency}`
+    }, entry));
+    assert.equal(res.status, 201);
+    assert.equal(res.body.currency, entry.currency);
+  }
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.expenses.map(exp => exp.base_amount), [900, 610, 600]);
+  assert.deepEqual(details.net_balances, { [ids.Anna]: 1055, [ids.Boris]: -1055 });
+  assert.deepEqual(details.debt_matrix, { [ids.Boris]: { [ids.Anna]: 1055 } });
+});
+
+test('entries need a known currency and rate', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Tokyo', base_currency: 'RUB' }, ['Anna']);
+  const expense = body => client.post(`/api/trips/${trip.id}/expenses`, Object.assign({
+    payer_id: ids.Anna,
+    amount: 100,
+    description: 'Taxi'
+  }, body));
+  assert.deepEqual((await expense({ currency: 'GBP' })).body, { error: 'No exchange rate for GBP' });
+  assert.deepEqual((await expense({ currency: 'pounds' })).body, { error: 'Invalid currency' });
+  assert.deepEqual((await expense({ currency: 'GBP', exchange_rate: -1 })).body, { error: 'Invalid exchange_rate' });
+  const invalid = await client.post('/api/trips', { name: 'Nowhere', base_currency: 'euro' });
+  assert.equal(invalid.status, 400);
+});
+
+test('the base currency only changes when existing entries stay valid', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Oslo', base_currency: 'NOK' }, ['Anna']);
+  await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 1000, currency: 'EUR', exchange_rate: 11.5, description: 'Ferry'
+  });
+  const fixed = await client.put(`/api/trips/${trip.id}/rates`, { base_currency: 'EUR', rates: {} });
+  assert.equal(fixed.status, 400);
+  const missing = await client.put(`/api/trips/${trip.id}/rates`, { rates: { SEK: 'abc' } });
+  assert.deepEqual(missing.body, { error: 'Invalid rate for SEK' });
+});
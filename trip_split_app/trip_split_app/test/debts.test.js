@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('a debt is explained by shared expenses and the matching', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Rostov' }, ['Anna', 'Boris', 'Vera']);
+  const cabin = (await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 3000, description: 'Cabin', date: '2024-09-01' })).body;
+  const boat = (await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Boris, amount: 900, description: 'Boat', date: '2024-09-02' })).body;
+  const transfer = (await client.post(`/api/trips/${trip.id}/transfers`, { from_id: ids.Boris, to_id: ids.Anna, amount: 200, date: '2024-09-03' })).body;
+  const matrix = (await client.get(`/api/trips/${trip.id}`)).body.debt_matrix;
+  assert.deepEqual(matrix, { [ids.Boris]: { [ids.Anna]: 200 }, [ids.Vera]: { [ids.Anna]: 1300 } });
+
+  const res = await client.get(`/api/trips/${trip.id}/debts/${ids.Boris}/${ids.Anna}`);
+  assert.equal(res.status, 200);
+  const explanation = res.body;
+  assert.deepEqual(explanation.expenses.map(exp => [exp.expense_id, exp.owed_by, exp.amount]), [
+    [cabin.id, 'from', 1000],
+    [boat.id, 'to', 300]
+  ]);
+  assert.deepEqual(explanation.transfers.map(tr => [tr.transfer_id, tr.paid_by, tr.amount]), [[transfer.id, 'from', 200]]);
+  assert.equal(explanation.direct_balance, 500);
+  assert.deepEqual(explanation.net_balances, { from: -200, to: 1500 });
+  assert.deepEqual(explanation.via_others, { from: 300, to: 1000 });
+  assert.equal(explanation.settlement.strategy, 'optimal');
+  assert.equal(explanation.settlement.amount, 200);
+  assert.ok(explanation.settlement.matches.some(match => match.debtor === ids.Boris && match.creditor === ids.Anna && match.amount === 200));
+
+  // A pair the settlement does not match still gets its explanation
+  const unmatched = (await client.get(`/api/trips/${trip.id}/debts/${ids.Vera}/${ids.Boris}?settlement=greedy`)).body;
+  assert.equal(unmatched.settlement.strategy, 'greedy');
+  assert.equal(unmatched.settlement.groups, null);
+  assert.equal(unmatched.settlement.amount, 0);
+  assert.equal(unmatched.direct_balance, 300);
+
+  assert.equal((await client.get(`/api/trips/${trip.id}/debts/${ids.Anna}/${ids.Anna}`)).body.error, 'Debtor and creditor must differ');
+  assert.equal((await client.get(`/api/trips/${trip.id}/debts/p_nobody/${ids.Anna}`)).status, 400);
+});
+
+test('households are explained as one side', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Azov' }, ['Anna', 'Boris', 'Vera']);
+  const household = (await client.post(`/api/trips/${trip.id}/households`, { name: 'Family', participant_ids: [ids.Anna, ids.Boris] })).body;
+  await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Boris, amount: 3000, description: 'Fuel' });
+  const route = `/api/trips/${trip.id}/debts/${ids.Vera}/${household.id}?settle_by=household`;
+  const explanation = (await client.get(route)).body;
+  assert.deepEqual(explanation.members, { from: [ids.Vera], to: [ids.Anna, ids.Boris] });
+  assert.equal(explanation.settlement.unit, 'household');
+  assert.equal(explanation.settlement.amount, 1000);
+  assert.equal((await client.get(`/api/trips/${trip.id}/debts/${ids.Vera}/${household.id}`)).status, 400);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('editing an expense re-derives its shares', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Riga' }, ['Anna', 'Boris']);
+  const created = await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 1000, description: 'Dinner'
+  });
+  const route = `/api/trips/${trip.id}/expenses/${created.body.id}`;
+  const patched = await client.patch(route, { amount: 1001 });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.description, 'Dinner');
+  assert.deepEqual(patched.body.shares.map(share => share.amount), [501, 500]);
+  // PUT replaces the expense, so required fields must be sent again
+  assert.equal((await client.put(route, { amount: 300 })).status, 400);
+  const replaced = await client.put(route, { payer_id: ids.Boris, amount: 300, description: 'Coffee' });
+  assert.equal(replaced.body.payer_id, ids.Boris);
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.net_balances, { [ids.Anna]: -150, [ids.Boris]: 150 });
+  assert.equal((await client.delete(route)).status, 200);
+  assert.equal((await client.delete(route)).status, 404);
+  assert.deepEqual((await client.get(`/api/trips/${trip.id}`)).body.net_balances, { [ids.Anna]: 0, [ids.Boris]: 0 });
+});
+
+test('transfers can be edited and deleted', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Tallinn' }, ['Anna', 'Boris']);
+  const created = await client.post(`/api/trips/${trip.id}/transfers`, { from_id: ids.Boris, to_id: ids.Anna, amount: 500 });
+  assert.equal(created.status, 201);
+  const route = `/api/trips/${trip.id}/transfers/${created.body.id}`;
+  assert.equal((await client.patch(route, { to_id: 'p_nobody' })).status, 400);
+  const patched = await client.patch(route, { amount: 700 });
+  assert.equal(patched.body.amount, 700);
+  assert.deepEqual((await client.get(`/api/trips/${trip.id}`)).body.net_balances, { [ids.Anna]: -700, [ids.Boris]: 700 });
+  assert.equal((await client.delete(route)).status, 200);
+  assert.equal((await client.patch(route, { amount: 1 })).status, 404);
+});
+
+test('participants in use are only deleted with a reassignment', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Vilnius' }, ['Anna', 'Boris', 'Vera']);
+  await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Boris, amount: 900, description: 'Museum'
+  });
+  const renamed = await client.patch(`/api/trips/${trip.id}/participants/${ids.Boris}`, { name: ' Bob ' });
+  assert.equal(renamed.body.name, 'Bob');
+  assert.equal((await client.patch(`/api/trips/${trip.id}/participants/${ids.Boris}`, { name: '' })).status, 400);
+  const route = `/api/trips/${trip.id}/participants/${ids.Boris}`;
+  assert.equal((await client.delete(route)).status, 409);
+  assert.equal((await client.delete(`${route}?reassign_to=${ids.Boris}`)).status, 400);
+  assert.equal((await client.delete(`${route}?reassign_to=${ids.Vera}`)).status, 200);
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.participants.map(p => p.name), ['Anna', 'Vera']);
+  assert.equal(details.expenses[0].payer_id, ids.Vera);
+  // Vera now paid and shares twice, which adds up to one share each of 450
+  assert.deepEqual(details.net_balances, { [ids.Anna]: -300, [ids.Vera]: 300 });
+  assert.equal((await client.delete(`/api/trips/${trip.id}/participants/${ids.Anna}`)).status, 409);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startServer, signUp, createTrip } = require('./helpers');
+const { toCsv, parseCsv } = require('../csv');
+
+/**
+ * Read the files of a ZIP archive into an object of name -> text.
+ */
+function unzip(buf) {
+  const files = {};
+  let offset = 0;
+  while (buf.readUInt32LE(offset) === 0x04034b50) {
+    const method = buf.readUInt16LE(offset + 8);
+    const size = buf.readUInt32LE(offset + 18);
+    const nameLength = buf.readUInt16LE(offset + 26);
+    const extraLength = buf.readUInt16LE(offset + 28);
+    const name = buf.slice(offset + 30, offset + 30 + nameLength).toString();
+    const start = offset + 30 + nameLength + extraLength;
+    const data = buf.slice(start, start + size);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+test('CSV fields are quoted and formulas neutralised', () => {
+  const csv = toCsv([
+    ['Dinner, "late"', '=HYPERLINK("http://example.com")', '+1', '@SUM(A1)', '-x', 'plain'],
+    [-12.5, 0, null, undefined, '2024-05-01', 'Line\nbreak']
+  ]);
+  assert.ok(csv.startsWith('﻿'));
+  assert.equal(csv.split('\r\n')[1], '-12.5,0,,,2024-05-01,"Line\nbreak"');
+  assert.deepEqual(parseCsv(csv), [
+    ['Dinner, "late"', '\'=HYPERLINK("http://example.com")', '\'+1', '\'@SUM(A1)', '\'-x', 'plain'],
+    ['-12.5', '0', '', '', '2024-05-01', 'Line\nbreak']
+  ]);
+});
+
+test('the ledger exports as CSV and XLSX', async t => {
+  const app = await startServer();
+  t.after(() => app.close());
+  const client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+  const { trip, ids } = await createTrip(client, { name: 'Поездка' }, ['Anna', '=Boris']);
+  await client.put(`/api/trips/${trip.id}/rates`, { rates: { EUR: 100 } });
+  await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 1050, currency: 'EUR', description: '-Hotel', date: '2024-05-02', category: 'lodging'
+  });
+  await client.post(`/api/trips/${trip.id}/transfers`, { from_id: ids['=Boris'], to_id: ids.Anna, amount: 10000, date: '2024-05-03' });
+
+  const csv = await client.get(`/api/trips/${trip.id}/export.csv`);
+  assert.equal(csv.status, 200);
+  assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.match(csv.headers.get('content-disposition'), /filename\*=UTF-8''%D0%9F/);
+  const rows = parseCsv(csv.body.toString('utf8'));
+  assert.deepEqual(rows[0], ['Expenses']);
+  assert.deepEqual(rows[1], ['Date', 'Description', 'Category', 'Payer', 'Amount', 'Currency', 'Amount (RUB)',
+    'Share: Anna (RUB)', 'Share: =Boris (RUB)']);
+  assert.deepEqual(rows[2], ['2024-05-02', '\'-Hotel', 'lodging', 'Anna', '10.5', 'EUR', '1050', '525', '525']);
+  assert.deepEqual(rows[4], ['Transfers']);
+  assert.deepEqual(rows[6], ['2024-05-03', '\'=Boris', 'Anna', '100', 'RUB', '100']);
+  assert.deepEqual(rows.slice(-2), [['Anna', '425'], ['\'=Boris', '-425']]);
+
+  const xlsx = await client.get(`/api/trips/${trip.id}/export.xlsx`);
+  assert.equal(xlsx.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const files = unzip(xlsx.body);
+  assert.match(files['xl/workbook.xml'], /name="Expenses".*name="Transfers".*name="Balances"/s);
+  const balances = files['xl/worksheets/sheet3.xml'];
+  assert.match(balances, /<t xml:space="preserve">=Boris<\/t>/);
+  assert.match(balances, /<v>-425<\/v>/);
+});
@@ -0,0 +1,125 @@
+// Shared setup of the route tests.  Loading this file points the data
+// file and attachments of server.js at a fresh temporary directory, so it
+// must be required before server.js.  startServer() then listens on a free
+// port.  Every test file runs in a process of its own, so each file starts
+// the server once, with the environment it needs.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings read from the environment that must not leak in from the
+// shell running the tests
+const SERVER_SETTINGS = [
+  'STORAGE', 'SQLITE_FILE', 'CORS_ORIGIN', 'COOKIE_SECURE', 'OWNER_EMAIL',
+  'SUPABASE_URL', 'SUPABASE_KEY', 'SYNC_INTERVAL', 'SYNC_POLICY', 'SYNC_OWNER_EMAIL'
+];
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trip-split-test-'));
+SERVER_SETTINGS.forEach(name => delete process.env[name]);
+Object.assign(process.env, {
+  DATA_FILE: path.join(dir, 'data.json'),
+  ATTACHMENTS_DIR: path.join(dir, 'attachments'),
+  SYNC_STATE_FILE: path.join(dir, 'sync-state.json')
+});
+
+/**
+ * Start the server.  `env` adds settings that server.js reads when it is
+ * loaded, so it only works when nothing has loaded server.js yet.
+ * Resolves with { url, dir, client(), close() }, where `dir` holds the
+ * data file and attachments.
+ */
+function startServer(env = {}) {
+  if (Object.keys(env).length && require.cache[require.resolve('../server')]) {
+    throw new Error('server.js is already loaded; pass settings to the first startServer() call');
+  }
+  Object.assign(process.env, env);
+  const { server } = require('../server');
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        dir,
+        client: () => createClient(url),
+        close() {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done))
+            .then(() => fs.rmSync(dir, { recursive: true, force: true }));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Create an HTTP client for the server at `url` that keeps its session
+ * cookie like a browser.  Every method resolves with { status, headers,
+ * body }; JSON bodies are parsed, anything else is a Buffer.  Objects
+ * are sent as JSON, strings, Buffers and FormData as they are.
+ */
+function createClient(url) {
+  let cookie = null;
+
+  async function request(method, route, body, headers = {}) {
+    const options = { method, headers: Object.assign({}, headers) };
+    if (cookie) options.headers.Cookie = cookie;
+    if (body !== undefined) {
+      if (typeof body === 'string' || Buffer.isBuffer(body) || body instanceof FormData) {
+        options.body = body;
+      } else {
+        options.body = JSON.stringify(body);
+        options.headers['Content-Type'] = 'application/json';
+      }
+    }
+    const res = await fetch(url + route, options);
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    const isJson = (res.headers.get('content-type') || '').startsWith('application/json');
+    const data = isJson ? await res.json() : Buffer.from(await res.arrayBuffer());
+    return { status: res.status, headers: res.headers, body: data };
+  }
+
+  return {
+    request,
+    get: (route, headers) => request('GET', route, undefined, headers),
+    post: (route, body, headers) => request('POST', route, body, headers),
+    put: (route, body, headers) => request('PUT', route, body, headers),
+    patch: (route, body, headers) => request('PATCH', route, body, headers),
+    delete: (route, headers) => request('DELETE', route, undefined, headers)
+  };
+}
+
+/**
+ * Register an account with `client` and stay logged in.  Resolves with
+ * the response body.
+ */
+async function signUp(client, email, name) {
+  const res = await client.post('/api/auth/register', { email, password: 'secret-password', name });
+  if (res.status !== 201) throw new Error(`Registration failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+/**
+ * Create a trip with the given participants.  Resolves with the trip and
+ * its participant ids by name.
+ */
+async function createTrip(client, body, names = []) {
+  const res = await client.post('/api/trips', body);
+  if (res.status !== 201) throw new Error(`Trip creation failed: ${JSON.stringify(res.body)}`);
+  const trip = res.body;
+  const ids = {};
+  for (const name of names) {
+    const added = await client.post(`/api/trips/${trip.id}/participants`, { name });
+    if (added.status !== 201) throw new Error(`Adding ${name} failed: ${JSON.stringify(added.body)}`);
+    ids[name] = added.body.id;
+  }
+  return { trip, ids };
+}
+
+module.exports = {
+  startServer,
+  createClient,
+  signUp,
+  createTrip
+};
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('a household settles as one party', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Karelia' }, ['Anna', 'Boris', 'Vera', 'Gleb']);
+  const route = `/api/trips/${trip.id}/households`;
+  assert.equal((await client.post(route, { name: 'Nobody', participant_ids: [] })).status, 400);
+  const household = (await client.post(route, { name: 'Anna & Boris', participant_ids: [ids.Boris, ids.Anna] })).body;
+  assert.deepEqual(household.participant_ids, [ids.Anna, ids.Boris]);
+  const taken = await client.post(route, { name: 'Boris & Vera', participant_ids: [ids.Boris, ids.Vera] });
+  assert.equal(taken.status, 400);
+  assert.equal(taken.body.error, 'Boris is already in household Anna & Boris');
+
+  await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 4000, description: 'Cabin' });
+  // Money moving inside the household does not change what it is owed
+  await client.post(`/api/trips/${trip.id}/transfers`, { from_id: ids.Boris, to_id: ids.Anna, amount: 1000 });
+
+  const individual = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.equal(individual.settlement.unit, 'individual');
+  assert.deepEqual(individual.household_balances, { [household.id]: 2000 });
+  assert.deepEqual(individual.debt_matrix, { [ids.Vera]: { [ids.Anna]: 1000 }, [ids.Gleb]: { [ids.Anna]: 1000 } });
+
+  const grouped = (await client.get(`/api/trips/${trip.id}?settle_by=household`)).body;
+  assert.equal(grouped.settlement.unit, 'household');
+  assert.deepEqual(grouped.debt_matrix, { [ids.Vera]: { [household.id]: 1000 }, [ids.Gleb]: { [household.id]: 1000 } });
+  assert.equal((await client.get(`/api/trips/${trip.id}?settle_by=family`)).status, 400);
+});
+
+test('households follow their participants', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Ladoga' }, ['Anna', 'Boris', 'Vera']);
+  const route = `/api/trips/${trip.id}/households`;
+  const household = (await client.post(route, { name: 'Family', participant_ids: [ids.Anna, ids.Boris] })).body;
+  const renamed = await client.patch(`${route}/${household.id}`, { name: 'The Ivanovs' });
+  assert.deepEqual(renamed.body.participant_ids, [ids.Anna, ids.Boris]);
+
+  assert.equal((await client.delete(`/api/trips/${trip.id}/participants/${ids.Boris}`)).status, 200);
+  let details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.households.map(h => h.participant_ids), [[ids.Anna]]);
+  // A household left without members goes away with its last member
+  assert.equal((await client.delete(`/api/trips/${trip.id}/participants/${ids.Anna}`)).status, 200);
+  details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.households, []);
+  assert.equal((await client.delete(`${route}/${household.id}`)).status, 404);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImport } = require('../importers');
+const { buildImportedTrip } = require('../server');
+
+const SPLITWISE = [
+  'Date,Description,Category,Cost,Currency,Anna,Boris',
+  '2024-05-01,Hotel,Hotel,"1,234",EUR,617,-617',
+  '2024-05-02,Coffee,Coffee,"12,34",EUR,"-6,17","6,17"',
+  '2024-05-03,Tickets,Entertainment,"2,468,000.50",EUR,1234000.25,-1234000.25'
+].join('\n');
+
+test('a comma before exactly three digits is a thousands separator', () => {
+  const parsed = parseImport(SPLITWISE, '');
+  assert.equal(parsed.format, 'splitwise');
+  assert.deepEqual(parsed.skipped, []);
+  assert.deepEqual(parsed.entries.map(entry => entry.amount), [1234, 12.34, 2468000.5]);
+});
+
+test('a dry run previews the amounts in minor units', () => {
+  const result = buildImportedTrip(parseImport(SPLITWISE, ''), { dry_run: true });
+  const { preview } = result;
+  assert.equal(preview.base_currency, 'EUR');
+  assert.equal(preview.expense_count, 3);
+  assert.equal(preview.total_spent, 123400 + 1234 + 246800050);
+  assert.deepEqual(preview.balances.map(item => [item.name, item.amount]), [
+    ['Anna', 61700 - 617 + 123400025],
+    ['Boris', -61700 + 617 - 123400025]
+  ]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+let trip;
+let ids;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+  ({ trip, ids } = await createTrip(client, { name: 'Ledger' }, ['Anna', 'Boris', 'Vera']));
+  await client.put(`/api/trips/${trip.id}/rates`, { rates: { EUR: 100 } });
+  const expenses = [
+    { payer_id: ids.Anna, amount: 3000, description: 'Hotel Breakfast', category: 'food', date: '2024-05-03' },
+    { payer_id: ids.Boris, amount: 20, currency: 'EUR', description: 'Museum', category: 'activities', date: '2024-05-01' },
+    { payer_id: ids.Anna, amount: 900, description: 'Taxi', category: 'transport', date: '2024-05-02', split: { mode: 'equal', participant_ids: [ids.Anna, ids.Vera] } },
+    { payer_id: ids.Vera, amount: 600, description: 'Souvenirs', category: 'shopping' }
+  ];
+  for (const expense of expenses) {
+    await client.post(`/api/trips/${trip.id}/expenses`, expense);
+  }
+});
+
+test.after(() => app.close());
+
+async function list(query) {
+  const res = await client.get(`/api/trips/${trip.id}/expenses?${query}`);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+const descriptions = page => page.expenses.map(exp => exp.description);
+
+test('the ledger is newest first by default and sorts by any column', async () => {
+  const all = await list('');
+  assert.deepEqual(descriptions(all), ['Hotel Breakfast', 'Taxi', 'Museum', 'Souvenirs']);
+  assert.deepEqual(all.totals, { count: 4, amount: 6500 });
+  assert.equal(all.expenses[2].base_amount, 2000);
+  assert.deepEqual(descriptions(await list('sort=amount')), ['Souvenirs', 'Taxi', 'Museum', 'Hotel Breakfast']);
+  assert.deepEqual(descriptions(await list('sort=payer&order=desc')), ['Souvenirs', 'Museum', 'Hotel Breakfast', 'Taxi']);
+});
+
+test('filters combine and totals cover every match', async () => {
+  assert.deepEqual(descriptions(await list('q=BREAK')), ['Hotel Breakfast']);
+  assert.deepEqual(descriptions(await list(`payer_id=${ids.Anna}&from=2024-05-03`)), ['Hotel Breakfast']);
+  // Undated expenses never fall into a date range
+  assert.deepEqual(descriptions(await list('to=2024-12-31')), ['Hotel Breakfast', 'Taxi', 'Museum']);
+  assert.deepEqual(descriptions(await list('min_amount=900&max_amount=2000&sort=date')), ['Museum', 'Taxi']);
+  assert.deepEqual(descriptions(await list('category=shopping')), ['Souvenirs']);
+
+  const vera = await list(`participant_id=${ids.Vera}`);
+  assert.deepEqual(vera.totals, { count: 4, amount: 6500, participant_share: 1000 + 600 + 450 + 200 });
+  const boris = await list(`participant_id=${ids.Boris}`);
+  assert.deepEqual(descriptions(boris), ['Hotel Breakfast', 'Museum', 'Souvenirs']);
+});
+
+test('pages are cut after filtering and sorting', async () => {
+  const second = await list('sort=description&per_page=3&page=2');
+  assert.deepEqual(descriptions(second), ['Taxi']);
+  assert.equal(second.pages, 2);
+  assert.equal(second.totals.count, 4);
+  assert.deepEqual(descriptions(await list('per_page=3&page=3')), []);
+});
+
+test('invalid queries are rejected', async () => {
+  for (const query of ['sort=size', 'order=up', 'page=0', 'per_page=201', 'min_amount=-1', 'min_amount=1.5',
+    'from=2024-5-1', 'category=spa', 'payer_id=p_nobody']) {
+    assert.equal((await client.get(`/api/trips/${trip.id}/expenses?${query}`)).status, 400, query);
+  }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toMinorUnits, parseMinorUnits, allocateMinorUnits } = require('../money');
+const { computeNetBalances, buildExpense } = require('../server');
+
+// Small deterministic generator, so a failure can be reproduced
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+test('an equal split gives the extra minor units to the first parts', () => {
+  assert.deepEqual(allocateMinorUnits(10000, [1, 1, 1]), [3334, 3333, 3333]);
+  assert.deepEqual(allocateMinorUnits(2, [1, 1, 1]), [1, 1, 0]);
+});
+
+test('allocated parts always add up to the total', () => {
+  const cases = [
+    [1001, [1, 2, 3]],
+    [99999, [0.3, 0.3, 0.4]],
+    [7, [5, 5, 5, 5, 5, 5, 5, 5]],
+    [123456, [33.3, 33.3, 33.4]]
+  ];
+  cases.forEach(([total, weights]) => {
+    const parts = allocateMinorUnits(total, weights);
+    assert.equal(parts.reduce((sum, part) => sum + part, 0), total);
+    parts.forEach(part => assert.ok(Number.isInteger(part)));
+  });
+  assert.deepEqual(allocateMinorUnits(500, [0, 0]), [0, 0]);
+});
+
+test('major units convert by the digits of the currency', () => {
+  assert.equal(toMinorUnits(12.34, 'USD'), 1234);
+  assert.equal(toMinorUnits(0.1 + 0.2, 'RUB'), 30);
+  assert.equal(toMinorUnits(1500, 'JPY'), 1500);
+});
+
+test('only integer minor units are accepted', () => {
+  assert.equal(parseMinorUnits(150), 150);
+  assert.equal(parseMinorUnits('150'), 150);
+  assert.ok(Number.isNaN(parseMinorUnits(1.5)));
+  assert.ok(Number.isNaN(parseMinorUnits('1.5')));
+  assert.ok(Number.isNaN(parseMinorUnits('')));
+  assert.ok(Number.isNaN(parseMinorUnits(null)));
+});
+
+test('net balances are whole minor units that sum to zero', () => {
+  const random = createRandom(1);
+  const trip = {
+    id: 'trip_test',
+    name: 'Test',
+    base_currency: 'RUB',
+    exchange_rates: { EUR: 97.31, JPY: 0.61 },
+    custom_categories: [],
+    participants: ['anna', 'boris', 'vera', 'gleb'].map(name => ({ id: name, name })),
+    expenses: [],
+    transfers: []
+  };
+  const currencies = ['RUB', 'EUR', 'JPY'];
+  for (let k = 0; k < 40; k++) {
+    const result = buildExpense(trip, {
+      payer_id: trip.participants[Math.floor(random() * 4)].id,
+      amount: 1 + Math.floor(random() * 100000),
+      currency: currencies[Math.floor(random() * 3)],
+      description: `Expense ${k}`
+    });
+    assert.equal(result.error, undefined);
+    trip.expenses.push(Object.assign({ id: `e${k}` }, result.expense));
+  }
+  trip.transfers.push({ id: 't1', from_id: 'gleb', to_id: 'anna', amount: 12345, currency: 'EUR' });
+  const net = computeNetBalances(trip);
+  Object.values(net).forEach(amount => assert.ok(Number.isInteger(amount)));
+  assert.equal(Object.values(net).reduce((sum, amount) => sum + amount, 0), 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBoundary, parseMultipart } = require('../multipart');
+
+const BOUNDARY = '----form7MA4YWxk';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+function buildBody(parts) {
+  const chunks = [];
+  parts.forEach(part => {
+    chunks.push(Buffer.from(`--${BOUNDARY}\r\n${part.headers.join('\r\n')}\r\n\r\n`));
+    chunks.push(Buffer.isBuffer(part.data) ? part.data : Buffer.from(part.data));
+    chunks.push(Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${BOUNDARY}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+test('the boundary is read from the content type', () => {
+  assert.equal(getBoundary(CONTENT_TYPE), BOUNDARY);
+  assert.equal(getBoundary('multipart/form-data; charset=utf-8; boundary="a b"'), 'a b');
+  assert.equal(getBoundary('application/json'), null);
+  assert.equal(getBoundary(undefined), null);
+});
+
+test('fields and files are separated, file bytes kept as they are', () => {
+  const bytes = Buffer.from([0xff, 0xd8, 0xff, 0x0d, 0x0a, 0x2d, 0x2d, 0x00]);
+  const body = buildBody([
+    { headers: ['Content-Disposition: form-data; name="note"'], data: 'Ужин\r\nв кафе' },
+    {
+      headers: [
+        'Content-Disposition: form-data; name="file"; filename="receipt.jpg"; filename*=UTF-8\'\'%D1%87%D0%B5%D0%BA.jpg',
+        'Content-Type: image/jpeg'
+      ],
+      data: bytes
+    },
+    { headers: ['Content-Disposition: form-data; name="file"; filename="a \\"b\\".pdf"'], data: '%PDF-1.4' }
+  ]);
+  const { fields, files } = parseMultipart(body, CONTENT_TYPE);
+  assert.deepEqual(fields, { note: 'Ужин\r\nв кафе' });
+  assert.equal(files.length, 2);
+  assert.equal(files[0].field, 'file');
+  assert.equal(files[0].filename, 'чек.jpg');
+  assert.equal(files[0].content_type, 'image/jpeg');
+  assert.ok(files[0].data.equals(bytes));
+  assert.equal(files[1].filename, 'a "b".pdf');
+  assert.equal(files[1].content_type, 'application/octet-stream');
+});
+
+test('malformed bodies are rejected', () => {
+  const body = buildBody([{ headers: ['Content-Disposition: form-data; name="a"'], data: '1' }]);
+  assert.throws(() => parseMultipart(body, 'text/plain'), /multipart\/form-data/);
+  assert.throws(() => parseMultipart(Buffer.from('no parts here'), CONTENT_TYPE), /no parts/);
+  assert.throws(() => parseMultipart(body.slice(0, body.length - BOUNDARY.length - 8), CONTENT_TYPE), /closing boundary/);
+});
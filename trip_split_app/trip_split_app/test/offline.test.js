@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+let app;
+
+test.before(async () => {
+  app = await startServer();
+});
+
+test.after(() => app.close());
+
+test('the service worker and the manifest are served from the root', async () => {
+  const client = app.client();
+  const worker = await client.get('/sw.js');
+  assert.equal(worker.status, 200);
+  assert.equal(worker.headers.get('content-type'), 'application/javascript');
+  const manifest = await client.get('/manifest.webmanifest');
+  assert.equal(manifest.headers.get('content-type'), 'application/manifest+json');
+  const { icons, scope } = JSON.parse(manifest.body.toString('utf8'));
+  assert.equal(scope, '/');
+  for (const icon of icons) {
+    assert.equal((await client.get(icon.src)).status, 200);
+  }
+});
+
+test('every file of the cached shell exists', async () => {
+  // The service worker fails to install when any of them is missing
+  const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'sw.js'), 'utf8');
+  const files = JSON.parse(source.match(/const SHELL_FILES = (\[[^\]]*\])/)[1].replace(/'/g, '"'));
+  assert.ok(files.includes('/public/outbox.js'));
+  const client = app.client();
+  for (const file of files) {
+    assert.equal((await client.get(file)).status, 200, file);
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+const sharesOf = exp => exp.shares.map(share => [share.participant_id, share.amount]);
+
+test('arrival and departure dates are validated', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Yalta' }, ['Anna']);
+  const route = `/api/trips/${trip.id}/participants/${ids.Anna}`;
+  assert.equal((await client.patch(route, { arrival_date: '2024-13-01' })).status, 400);
+  assert.equal((await client.patch(route, { arrival_date: '2024-06-05', departure_date: '2024-06-04' })).status, 400);
+  const patched = await client.patch(route, { arrival_date: '2024-06-01', departure_date: '2024-06-05' });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.name, 'Anna');
+  const cleared = await client.patch(route, { departure_date: null });
+  assert.equal(cleared.body.arrival_date, '2024-06-01');
+  assert.equal(cleared.body.departure_date, undefined);
+});
+
+test('an equal split without a list follows who is present on the date', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Sudak' }, ['Anna', 'Boris', 'Vera']);
+  await client.patch(`/api/trips/${trip.id}/participants/${ids.Boris}`, { departure_date: '2024-06-02' });
+  await client.patch(`/api/trips/${trip.id}/participants/${ids.Vera}`, { arrival_date: '2024-06-02' });
+
+  const created = await client.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 900, description: 'Lunch', date: '2024-06-01' });
+  assert.deepEqual(created.body.split, { mode: 'equal' });
+  assert.deepEqual(sharesOf(created.body), [[ids.Anna, 450], [ids.Boris, 450]]);
+
+  // A new date applies the presence windows again
+  const route = `/api/trips/${trip.id}/expenses/${created.body.id}`;
+  const moved = await client.patch(route, { date: '2024-06-03' });
+  assert.deepEqual(moved.body.split, { mode: 'equal' });
+  assert.deepEqual(sharesOf(moved.body), [[ids.Anna, 450], [ids.Vera, 450]]);
+  const both = await client.patch(route, { date: '2024-06-02' });
+  assert.deepEqual(sharesOf(both.body), [[ids.Anna, 300], [ids.Boris, 300], [ids.Vera, 300]]);
+
+  // Someone who is away can still be listed, with a warning
+  const explicit = await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 1000, description: 'Tickets', date: '2024-06-01', split: { mode: 'equal', participant_ids: [ids.Anna, ids.Vera] }
+  });
+  assert.equal(explicit.status, 201);
+  assert.deepEqual(explicit.body.warnings.map(w => w.participant_id), [ids.Vera]);
+  const kept = await client.patch(`/api/trips/${trip.id}/expenses/${explicit.body.id}`, { date: '2024-06-03' });
+  assert.deepEqual(kept.body.split.participant_ids, [ids.Anna, ids.Vera]);
+  assert.equal(kept.body.warnings, undefined);
+});
+
+test('nightly series are shared by those staying the night', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Alushta' }, ['Anna', 'Boris']);
+  const created = (await client.post(`/api/trips/${trip.id}/series`, {
+    payer_id: ids.Anna, amount: 6000, description: 'Hotel', frequency: 'nightly', start_date: '2024-06-01', end_date: '2024-06-04'
+  })).body;
+  assert.ok(created.occurrences.every(exp => exp.shares.length === 2));
+
+  // Boris leaves on the morning of the 3rd, so he does not stay that night
+  const left = await client.patch(`/api/trips/${trip.id}/participants/${ids.Boris}`, { departure_date: '2024-06-03' });
+  assert.equal(left.body.warnings, undefined);
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.expenses.map(exp => [exp.date, exp.shares.length]), [['2024-06-01', 2], ['2024-06-02', 2], ['2024-06-03', 1]]);
+  assert.deepEqual(details.net_balances, { [ids.Anna]: 6000, [ids.Boris]: -6000 });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+const { resolveReceipt } = require('../server');
+
+const trip = {
+  participants: [{ id: 'anna', name: 'Anna' }, { id: 'boris', name: 'Boris' }, { id: 'vera', name: 'Vera' }]
+};
+
+test('items are split equally and extras follow the subtotals', () => {
+  const result = resolveReceipt(trip, {
+    mode: 'items',
+    items: [
+      { description: 'Wine', amount: 1000, participant_ids: ['boris', 'anna'] },
+      { description: 'Soup', amount: 500, participant_ids: ['vera'] },
+      { description: 'Bread', amount: 301, participant_ids: ['anna', 'boris', 'vera'] }
+    ],
+    tax: 180,
+    tip: '',
+    service_charge: null
+  });
+  // Subtotals 601, 600 and 600; the tax splits as 60, 60, 60
+  assert.deepEqual(result.shares, [
+    { participant_id: 'anna', amount: 661 },
+    { participant_id: 'boris', amount: 660 },
+    { participant_id: 'vera', amount: 660 }
+  ]);
+  assert.equal(result.amount, 1981);
+  assert.deepEqual(result.split.items[0].participant_ids, ['anna', 'boris']);
+  assert.equal(result.split.tax, 180);
+  assert.equal(result.split.tip, 0);
+});
+
+test('participants without items get no share', () => {
+  const result = resolveReceipt(trip, {
+    mode: 'items',
+    items: [{ amount: 999, participant_ids: ['vera', 'anna'] }],
+    tip: 100
+  });
+  assert.deepEqual(result.shares, [
+    { participant_id: 'anna', amount: 550 },
+    { participant_id: 'vera', amount: 549 }
+  ]);
+  assert.equal(result.amount, 1099);
+});
+
+test('invalid receipts are rejected', () => {
+  assert.ok(resolveReceipt(trip, { mode: 'items', items: [] }).error);
+  assert.ok(resolveReceipt(trip, { mode: 'items', items: [{ amount: 100, participant_ids: ['gleb'] }] }).error);
+  assert.ok(resolveReceipt(trip, { mode: 'items', items: [{ amount: 10.5, participant_ids: ['anna'] }] }).error);
+  assert.ok(resolveReceipt(trip, { mode: 'items', items: [{ amount: 100, participant_ids: ['anna'] }], tax: -1 }).error);
+});
+
+test('a receipt expense costs its total', async t => {
+  const app = await startServer();
+  t.after(() => app.close());
+  const client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+  const { trip: created, ids } = await createTrip(client, { name: 'Bruges' }, ['Anna', 'Boris']);
+  const expense = await client.post(`/api/trips/${created.id}/expenses`, {
+    payer_id: ids.Anna,
+    description: 'Brasserie',
+    split: {
+      mode: 'items',
+      items: [
+        { description: 'Beer', amount: 600, participant_ids: [ids.Boris] },
+        { description: 'Fries', amount: 400, participant_ids: [ids.Anna, ids.Boris] }
+      ],
+      service_charge: 100
+    }
+  });
+  assert.equal(expense.status, 201);
+  // Subtotals 200 and 800 share the service charge as 20 and 80
+  assert.equal(expense.body.amount, 1100);
+  assert.deepEqual(expense.body.shares.map(share => share.amount), [220, 880]);
+  const details = (await client.get(`/api/trips/${created.id}`)).body;
+  assert.deepEqual(details.net_balances, { [ids.Anna]: 880, [ids.Boris]: -880 });
+  // Editing the items changes the amount too
+  const edited = await client.patch(`/api/trips/${created.id}/expenses/${expense.body.id}`, {
+    amount: 5,
+    split: { mode: 'items', items: [{ amount: 300, participant_ids: [ids.Anna] }] }
+  });
+  assert.equal(edited.body.amount, 300);
+  assert.deepEqual(edited.body.shares, [{ participant_id: ids.Anna, amount: 300 }]);
+});
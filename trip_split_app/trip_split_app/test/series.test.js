@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('a nightly series has an expense for every night but the last day', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Baikal' }, ['Anna', 'Boris']);
+  const route = `/api/trips/${trip.id}/series`;
+  const base = { payer_id: ids.Anna, amount: 5000, description: 'Hotel', category: 'lodging' };
+  assert.equal((await client.post(route, Object.assign({}, base, { frequency: 'weekly', start_date: '2024-06-01', end_date: '2024-06-04' }))).status, 400);
+  assert.equal((await client.post(route, Object.assign({}, base, { frequency: 'nightly', start_date: '2024-06-01', end_date: '2024-06-01' }))).status, 400);
+  assert.equal((await client.post(route, Object.assign({}, base, { frequency: 'daily', start_date: '2024-01-01', end_date: '2025-01-01' }))).status, 400);
+  assert.equal((await client.post(route, Object.assign({}, base, { frequency: 'daily', start_date: '2024-02-30', end_date: '2024-03-01' }))).status, 400);
+
+  const created = await client.post(route, Object.assign({}, base, { frequency: 'nightly', start_date: '2024-06-01', end_date: '2024-06-04' }));
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.occurrences.map(exp => exp.date), ['2024-06-01', '2024-06-02', '2024-06-03']);
+  assert.ok(created.body.occurrences.every(exp => exp.series_id === created.body.id && exp.category === 'lodging'));
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.equal(details.start_date, '2024-06-01');
+  assert.equal(details.end_date, '2024-06-03');
+  assert.deepEqual(details.net_balances, { [ids.Anna]: 7500, [ids.Boris]: -7500 });
+});
+
+test('changing a series rewrites its occurrences and keeps their ids', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Valaam' }, ['Anna', 'Boris']);
+  const created = (await client.post(`/api/trips/${trip.id}/series`, {
+    payer_id: ids.Anna, amount: 1000, description: 'Breakfast', frequency: 'daily', start_date: '2024-07-01', end_date: '2024-07-04'
+  })).body;
+  const route = `/api/trips/${trip.id}/series/${created.id}`;
+  const idOn = (series, date) => series.occurrences.find(exp => exp.date === date).id;
+
+  const patched = (await client.patch(route, { amount: 1200, end_date: '2024-07-03', excluded_dates: ['2024-07-02'] })).body;
+  assert.deepEqual(patched.occurrences.map(exp => [exp.date, exp.amount]), [['2024-07-01', 1200], ['2024-07-03', 1200]]);
+  assert.equal(idOn(patched, '2024-07-01'), idOn(created, '2024-07-01'));
+  assert.equal(idOn(patched, '2024-07-03'), idOn(created, '2024-07-03'));
+
+  // An occurrence edited on its own leaves the series
+  const own = idOn(patched, '2024-07-03');
+  assert.equal((await client.patch(`/api/trips/${trip.id}/expenses/${own}`, { amount: 2000 })).status, 200);
+  const after = (await client.patch(route, { amount: 900 })).body;
+  assert.deepEqual(after.excluded_dates, ['2024-07-02', '2024-07-03']);
+  assert.deepEqual(after.occurrences.map(exp => [exp.date, exp.amount]), [['2024-07-01', 900]]);
+
+  const deleted = await client.delete(route);
+  assert.deepEqual(deleted.body, { id: created.id, deleted: true, occurrences_deleted: 1 });
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(details.expenses.map(exp => [exp.id, exp.amount, exp.series_id]), [[own, 2000, undefined]]);
+  assert.deepEqual(details.series, []);
+});
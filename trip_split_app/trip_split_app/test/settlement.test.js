@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+const { computeOptimalDebtMatrix, computeGreedyDebtMatrix, countTransfers } = require('../server');
+
+// Small deterministic generator, so a failure can be reproduced
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Find the smallest number of transfers that settles the balances by
+ * trying every way of passing each debt on to someone with the opposite
+ * sign.
+ */
+function bruteForceTransfers(balances) {
+  const debts = balances.filter(amount => amount !== 0);
+  function search(start) {
+    while (start < debts.length && debts[start] === 0) start++;
+    if (start === debts.length) return 0;
+    let best = Infinity;
+    for (let i = start + 1; i < debts.length; i++) {
+      if (debts[i] * debts[start] < 0) {
+        debts[i] += debts[start];
+        best = Math.min(best, 1 + search(start + 1));
+        debts[i] -= debts[start];
+      }
+    }
+    return best;
+  }
+  return search(0);
+}
+
+/**
+ * Check that making the transfers of a matrix settles every balance.
+ */
+function assertSettles(net, matrix) {
+  const left = Object.assign({}, net);
+  Object.keys(matrix).forEach(from => {
+    Object.keys(matrix[from]).forEach(to => {
+      assert.ok(matrix[from][to] > 0);
+      left[from] += matrix[from][to];
+      left[to] -= matrix[from][to];
+    });
+  });
+  Object.values(left).forEach(amount => assert.equal(amount, 0));
+}
+
+test('the optimal solver uses the fewest transfers', () => {
+  const random = createRandom(42);
+  for (let round = 0; round < 200; round++) {
+    const size = 2 + Math.floor(random() * 6);
+    const net = {};
+    let rest = 0;
+    for (let i = 0; i < size - 1; i++) {
+      // Few distinct values, so zero-sum subgroups come up often
+      net[`p${i}`] = (Math.floor(random() * 7) - 3) * 100;
+      rest -= net[`p${i}`];
+    }
+    net[`p${size - 1}`] = rest;
+    const matrix = computeOptimalDebtMatrix(net);
+    assert.equal(countTransfers(matrix), bruteForceTransfers(Object.values(net)), JSON.stringify(net));
+    assertSettles(net, matrix);
+    assertSettles(net, computeGreedyDebtMatrix(net));
+  }
+});
+
+test('large groups are left to the greedy algorithm', () => {
+  const net = {};
+  for (let i = 0; i < 17; i++) net[`p${i}`] = i < 16 ? 100 : -1600;
+  assert.equal(computeOptimalDebtMatrix(net), null);
+  // Settled participants do not count towards the limit
+  net.p17 = 0;
+  net.p16 = -1500;
+  net.p15 = 0;
+  assertSettles(net, computeOptimalDebtMatrix(net));
+});
+
+test('trip details settle with the requested strategy', async t => {
+  const app = await startServer();
+  t.after(() => app.close());
+  const client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+  const { trip, ids } = await createTrip(client, { name: 'Split' }, ['A', 'B', 'C', 'D', 'E']);
+  // Balances A +700, B +300, C -500, D -300, E -200: greedy needs four
+  // transfers, but B and D can settle on their own, so three will do
+  for (const [from, to, amount] of [['A', 'C', 500], ['A', 'E', 200], ['B', 'D', 300]]) {
+    await client.post(`/api/trips/${trip.id}/transfers`, { from_id: ids[from], to_id: ids[to], amount });
+  }
+  const optimal = (await client.get(`/api/trips/${trip.id}`)).body;
+  assert.deepEqual(optimal.settlement.transfer_counts, { greedy: 4, optimal: 3 });
+  assert.equal(optimal.settlement.strategy, 'optimal');
+  assert.equal(countTransfers(optimal.debt_matrix), 3);
+  assert.deepEqual(optimal.debt_matrix[ids.D], { [ids.B]: 300 });
+  const greedy = (await client.get(`/api/trips/${trip.id}?settlement=greedy`)).body;
+  assert.equal(greedy.settlement.strategy, 'greedy');
+  assert.equal(countTransfers(greedy.debt_matrix), 4);
+  assertSettles(greedy.net_balances, greedy.debt_matrix);
+  assert.equal((await client.get(`/api/trips/${trip.id}?settlement=fastest`)).status, 400);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let owner;
+
+test.before(async () => {
+  app = await startServer();
+  owner = app.client();
+  await signUp(owner, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('a read-only link shows the trip and nothing more', async () => {
+  const { trip, ids } = await createTrip(owner, { name: 'Vyborg' }, ['Anna']);
+  assert.equal((await owner.post(`/api/trips/${trip.id}/share-links`, { role: 'admin' })).status, 400);
+  assert.equal((await owner.post(`/api/trips/${trip.id}/share-links`, { role: 'readonly', expires_in_days: 0 })).status, 400);
+  const link = (await owner.post(`/api/trips/${trip.id}/share-links`, { role: 'readonly', expires_in_days: 7 })).body;
+  assert.equal(link.url, `/trip/${trip.id}?token=${encodeURIComponent(link.token)}`);
+  assert.equal(link.active, true);
+
+  const guest = app.client();
+  const headers = { 'X-Share-Token': link.token };
+  const details = await guest.get(`/api/trips/${trip.id}`, headers);
+  assert.equal(details.status, 200);
+  assert.equal(details.body.my_role, 'readonly');
+  assert.ok(details.body.members.every(member => member.email === undefined));
+  assert.equal(details.body.share_links, undefined);
+  assert.equal((await guest.get(`/api/trips/${trip.id}?token=${link.token}`)).status, 200);
+  assert.equal((await guest.get(`/api/trips/${trip.id}/members`, headers)).status, 403);
+  assert.equal((await guest.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Anna, amount: 100, description: 'Tea' }, headers)).status, 403);
+  assert.equal((await guest.get('/api/trips', headers)).status, 401);
+  assert.equal((await guest.get(`/api/trips/${trip.id}`, { 'X-Share-Token': 'wrong' })).status, 403);
+});
+
+test('an invite link adds participants and expenses until it is revoked', async () => {
+  const { trip, ids } = await createTrip(owner, { name: 'Pskov' }, ['Anna']);
+  const link = (await owner.post(`/api/trips/${trip.id}/share-links`, { role: 'invite' })).body;
+  const guest = app.client();
+  const headers = { 'X-Share-Token': link.token };
+
+  const joined = await guest.post(`/api/trips/${trip.id}/participants`, { name: 'Boris' }, headers);
+  assert.equal(joined.status, 201);
+  const expense = await guest.post(`/api/trips/${trip.id}/expenses`, { payer_id: joined.body.id, amount: 1000, description: 'Boat' }, headers);
+  assert.equal(expense.status, 201);
+  assert.equal((await guest.patch(`/api/trips/${trip.id}/expenses/${expense.body.id}`, { amount: 1 }, headers)).status, 403);
+  assert.equal((await guest.delete(`/api/trips/${trip.id}/participants/${ids.Anna}`, headers)).status, 403);
+  const [entry] = (await owner.get(`/api/trips/${trip.id}/activity`)).body.activity;
+  assert.equal(entry.actor, null);
+  assert.equal(entry.share_link_id, link.id);
+
+  const revoked = await owner.delete(`/api/trips/${trip.id}/share-links/${link.id}`);
+  assert.equal(revoked.body.active, false);
+  const refused = await guest.get(`/api/trips/${trip.id}`, headers);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error, 'This share link has been revoked');
+  const page = await guest.get(`/trip/${trip.id}?token=${link.token}`);
+  assert.equal(page.status, 403);
+  assert.match(page.body.toString('utf8'), /Эта ссылка отозвана/);
+
+  const links = (await owner.get(`/api/trips/${trip.id}/share-links`)).body.share_links;
+  assert.deepEqual(links.map(l => [l.id, l.active]), [[link.id, false]]);
+  assert.equal(links[0].token_hash, undefined);
+  assert.equal(links[0].token, undefined);
+});
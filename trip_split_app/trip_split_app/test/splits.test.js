@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+const { resolveSplit } = require('../server');
+
+const trip = {
+  participants: [{ id: 'anna', name: 'Anna' }, { id: 'boris', name: 'Boris' }, { id: 'vera', name: 'Vera' }]
+};
+const amountsOf = result => result.shares.map(share => [share.participant_id, share.amount]);
+
+test('percentages and weights are allocated in whole minor units', () => {
+  const percent = resolveSplit(trip, { mode: 'percent', values: { anna: 50, boris: '33.3', vera: 16.7 } }, 1001);
+  assert.deepEqual(amountsOf(percent), [['anna', 501], ['boris', 333], ['vera', 167]]);
+  const weights = resolveSplit(trip, { mode: 'weights', values: { anna: 2, vera: 1 } }, 100);
+  assert.deepEqual(amountsOf(weights), [['anna', 67], ['vera', 33]]);
+  assert.deepEqual(weights.split, { mode: 'weights', values: { anna: 2, vera: 1 } });
+  const units = resolveSplit(trip, { mode: 'units', values: { anna: 3, boris: 0, vera: '' } }, 999);
+  assert.deepEqual(amountsOf(units), [['anna', 999]]);
+});
+
+test('exact splits must add up to the amount', () => {
+  const exact = resolveSplit(trip, { mode: 'exact', values: { boris: 700, vera: '300' } }, 1000);
+  assert.deepEqual(amountsOf(exact), [['boris', 700], ['vera', 300]]);
+  assert.deepEqual(resolveSplit(trip, { mode: 'exact', values: { boris: 700 } }, 1000),
+    { error: 'Sum of shares must equal total amount' });
+  assert.deepEqual(resolveSplit(trip, { mode: 'exact', values: { boris: 999.5, vera: 0.5 } }, 1000),
+    { error: 'Invalid split value' });
+});
+
+test('invalid split definitions are rejected', () => {
+  assert.deepEqual(resolveSplit(trip, { mode: 'percent', values: { anna: 50, boris: 40 } }, 100),
+    { error: 'Percentages must add up to 100' });
+  assert.deepEqual(resolveSplit(trip, { mode: 'weights', values: { gleb: 1 } }, 100),
+    { error: 'Invalid participant in split' });
+  assert.deepEqual(resolveSplit(trip, { mode: 'weights', values: { anna: -1 } }, 100), { error: 'Invalid split value' });
+  assert.deepEqual(resolveSplit(trip, { mode: 'weights', values: { anna: 0 } }, 100),
+    { error: 'Split must include at least one participant' });
+  assert.deepEqual(resolveSplit(trip, { mode: 'thirds' }, 100), { error: 'Invalid split mode' });
+  assert.deepEqual(resolveSplit(trip, { mode: 'percent' }, 100), { error: 'Split values are required' });
+});
+
+test('the server keeps the split and re-derives shares on edits', async t => {
+  const app = await startServer();
+  t.after(() => app.close());
+  const client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+  const { trip: created, ids } = await createTrip(client, { name: 'Porto' }, ['Anna', 'Boris']);
+  const expense = await client.post(`/api/trips/${created.id}/expenses`, {
+    payer_id: ids.Anna,
+    amount: 1000,
+    description: 'Boat',
+    split: { mode: 'percent', values: { [ids.Anna]: 25, [ids.Boris]: 75 } }
+  });
+  assert.deepEqual(expense.body.shares.map(share => share.amount), [250, 750]);
+  const edited = await client.patch(`/api/trips/${created.id}/expenses/${expense.body.id}`, { amount: 2000 });
+  assert.deepEqual(edited.body.split, { mode: 'percent', values: { [ids.Anna]: 25, [ids.Boris]: 75 } });
+  assert.deepEqual(edited.body.shares.map(share => share.amount), [500, 1500]);
+  // A bare shares array is stored as an exact split
+  const shares = await client.patch(`/api/trips/${created.id}/expenses/${expense.body.id}`, {
+    shares: [{ participant_id: ids.Boris, amount: 2000 }]
+  });
+  assert.deepEqual(shares.body.split, { mode: 'exact', values: { [ids.Boris]: 2000 } });
+  const wrong = await client.patch(`/api/trips/${created.id}/expenses/${expense.body.id}`, {
+    split: { mode: 'exact', values: { [ids.Boris]: 1999 } }
+  });
+  assert.equal(wrong.status, 400);
+});
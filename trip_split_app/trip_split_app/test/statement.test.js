@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, createTrip } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startServer();
+  client = app.client();
+  await signUp(client, 'anna@example.com', 'Anna');
+});
+
+test.after(() => app.close());
+
+test('a statement lists every movement with a running balance', async () => {
+  const { trip, ids } = await createTrip(client, { name: 'Pereslavl' }, ['Anna', 'Boris']);
+  await client.put(`/api/trips/${trip.id}/rates`, { rates: { EUR: 100 } });
+  const dinner = (await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Anna, amount: 2000, description: 'Dinner', date: '2024-08-02', category: 'food'
+  })).body;
+  const museum = (await client.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Boris, amount: 10, currency: 'EUR', description: 'Museum', date: '2024-08-01', category: 'activities'
+  })).body;
+  const transfer = (await client.post(`/api/trips/${trip.id}/transfers`, {
+    from_id: ids.Boris, to_id: ids.Anna, amount: 500, date: '2024-08-03'
+  })).body;
+
+  const statement = (await client.get(`/api/trips/${trip.id}/participants/${ids.Anna}/statement`)).body;
+  assert.equal(statement.currency, 'RUB');
+  assert.deepEqual(statement.lines.map(line => [line.date, line.kind, line.source_id, line.amount, line.balance]), [
+    ['2024-08-01', 'consumed', museum.id, -500, -500],
+    ['2024-08-02', 'paid', dinner.id, 2000, 1500],
+    ['2024-08-02', 'consumed', dinner.id, -1000, 500],
+    ['2024-08-03', 'received', transfer.id, -500, 0]
+  ]);
+  assert.equal(statement.lines[0].payer_id, ids.Boris);
+  assert.equal(statement.lines[3].description, 'Transfer from Boris');
+  assert.deepEqual(statement.totals, { paid: 2000, consumed: 1500, sent: 0, received: 500 });
+
+  // The last balance is the participant's net balance
+  const details = (await client.get(`/api/trips/${trip.id}`)).body;
+  for (const name of ['Anna', 'Boris']) {
+    const own = (await client.get(`/api/trips/${trip.id}/participants/${ids[name]}/statement`)).body;
+    assert.equal(own.balance, details.net_balances[ids[name]]);
+  }
+  assert.equal((await client.get(`/api/trips/${trip.id}/participants/p_nobody/statement`)).status, 404);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STORAGE_BACKENDS, createStorage } = require('../storage');
+
+function sampleTrip(id) {
+  return {
+    id,
+    name: 'Сочи',
+    location: 'Sochi',
+    start_date: '2024-05-01',
+    end_date: '2024-05-05',
+    base_currency: 'RUB',
+    exchange_rates: { EUR: 100 },
+    participants: [{ id: 'p_a', name: 'Anna' }, { id: 'p_b', name: 'Boris' }],
+    expenses: [{
+      id: 'e_1',
+      payer_id: 'p_a',
+      amount: 1000,
+      currency: 'RUB',
+      description: 'Taxi',
+      date: '2024-05-01',
+      category: 'transport',
+      split: { mode: 'equal' },
+      shares: [{ participant_id: 'p_a', amount: 500 }, { participant_id: 'p_b', amount: 500 }]
+    }],
+    transfers: [],
+    members: []
+  };
+}
+
+/**
+ * Open a backend on a file in a fresh temporary directory.  `reopen`
+ * opens the same file again, as a restarted server would.
+ */
+function openStorage(t, backend) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trip-split-storage-'));
+  const env = { STORAGE: backend, DATA_FILE: path.join(dir, 'data.json'), SQLITE_FILE: path.join(dir, 'data.sqlite') };
+  const opened = [];
+  const open = () => {
+    const storage = createStorage(env);
+    opened.push(storage);
+    return storage;
+  };
+  t.after(() => {
+    opened.forEach(storage => storage.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { storage: open(), reopen: open, env };
+}
+
+STORAGE_BACKENDS.forEach(backend => {
+  test(`${backend}: trips round-trip with every field`, t => {
+    const { storage, reopen } = openStorage(t, backend);
+    const trip = sampleTrip('t_1');
+    storage.createTrip(trip);
+    assert.equal(trip.version, 1);
+    assert.deepEqual(storage.getTrip('t_1'), trip);
+    assert.deepEqual(reopen().getTrip('t_1'), trip);
+    assert.equal(storage.getTrip('t_missing'), null);
+  });
+
+  test(`${backend}: returned trips are copies`, t => {
+    const { storage } = openStorage(t, backend);
+    storage.createTrip(sampleTrip('t_1'));
+    const trip = storage.getTrip('t_1');
+    trip.name = 'Changed';
+    trip.participants.push({ id: 'p_c', name: 'Vera' });
+    trip.expenses[0].shares[0].amount = 1;
+    assert.deepEqual(storage.getTrip('t_1'), Object.assign(sampleTrip('t_1'), { version: 1 }));
+  });
+
+  test(`${backend}: every write increases the version`, t => {
+    const { storage, reopen } = openStorage(t, backend);
+    storage.createTrip(sampleTrip('t_1'));
+    const trip = storage.getTrip('t_1');
+    trip.expenses[0].description = 'Taxi home';
+    trip.activity = [{ id: 'a_1', at: '2024-05-01T10:00:00.000Z', actor: 'Anna', action: 'update', entity: 'expense', entity_id: 'e_1', before: { amount: 900 }, after: { amount: 1000 } }];
+    storage.saveTrip(trip);
+    assert.equal(trip.version, 2);
+
+    const participant = { id: 'p_c', name: 'Vera' };
+    trip.participants.push(participant);
+    storage.addParticipant(trip, participant);
+    const transfer = { id: 'tr_1', from_id: 'p_b', to_id: 'p_a', amount: 500, currency: 'RUB', date: '2024-05-02' };
+    trip.transfers.push(transfer);
+    storage.addTransfer(trip, transfer);
+    assert.equal(trip.version, 4);
+
+    const stored = reopen().getTrip('t_1');
+    assert.deepEqual(stored, trip);
+    assert.throws(() => storage.saveTrip(sampleTrip('t_missing')), /does not exist/);
+  });
+
+  test(`${backend}: trips are listed oldest first and can be deleted`, t => {
+    const { storage } = openStorage(t, backend);
+    ['t_2', 't_1', 't_3'].forEach(id => storage.createTrip(sampleTrip(id)));
+    storage.deleteTrip('t_1');
+    assert.deepEqual(storage.listTrips().map(trip => trip.id), ['t_2', 't_3']);
+    assert.equal(storage.getTrip('t_1'), null);
+  });
+
+  test(`${backend}: users and sessions`, t => {
+    const { storage, reopen } = openStorage(t, backend);
+    const user = { id: 'u_1', email: 'anna@example.com', name: 'Anna', password_hash: 'hash', created_at: '2024-05-01T10:00:00.000Z' };
+    storage.createUser(user);
+    assert.equal(storage.countUsers(), 1);
+    assert.deepEqual(storage.getUser('u_1'), user);
+    assert.deepEqual(reopen().findUserByEmail('anna@example.com'), user);
+    assert.equal(storage.findUserByEmail('boris@example.com'), null);
+
+    const future = new Date(Date.now() + 60000).toISOString();
+    const session = { id: 's_1', user_id: 'u_1', created_at: '2024-05-01T10:00:00.000Z', expires_at: future };
+    storage.createSession(session);
+    storage.createSession({ id: 's_old', user_id: 'u_1', created_at: '2024-05-01T10:00:00.000Z', expires_at: '2024-05-02T10:00:00.000Z' });
+    assert.deepEqual(storage.getSession('s_1'), session);
+    assert.equal(storage.getSession('s_old'), null);
+    storage.deleteSession('s_1');
+    assert.equal(storage.getSession('s_1'), null);
+  });
+});
+
+test('json: changes made to the file by hand are picked up', t => {
+  const { storage, env } = openStorage(t, 'json');
+  storage.createTrip(sampleTrip('t_1'));
+  assert.equal(storage.getTrip('t_1').name, 'Сочи');
+  const data = JSON.parse(fs.readFileSync(env.DATA_FILE, 'utf8'));
+  data.trips[0].name = 'Сочи 2024';
+  fs.writeFileSync(env.DATA_FILE, JSON.stringify(data, null, 2));
+  assert.equal(storage.getTrip('t_1').name, 'Сочи 2024');
+});
+
+test('an unknown backend is rejected', () => {
+  assert.throws(() => createStorage({ STORAGE: 'mongo' }), /Unknown STORAGE backend "mongo"/);
+});
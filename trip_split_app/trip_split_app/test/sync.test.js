@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, signUp, createTrip } = require('./helpers');
+const { createPostgrestStub } = require('../postgrest-stub');
+const { createPostgrestClient } = require('../sync');
+
+const KEY = 'stub-key';
+let stub;
+let remote;
+let app;
+let owner;
+
+// Stamps are compared by time, so the side changed last needs a later one
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test.before(async () => {
+  stub = http.createServer(createPostgrestStub(null, KEY));
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${stub.address().port}`;
+  remote = createPostgrestClient(url, KEY);
+  app = await startServer({ SUPABASE_URL: url, SUPABASE_KEY: KEY, SYNC_OWNER_EMAIL: 'owner@example.com' });
+  owner = app.client();
+  await signUp(owner, 'owner@example.com', 'Olga');
+});
+
+test.after(() => {
+  app.close();
+  stub.close();
+});
+
+async function sync() {
+  const res = await owner.post('/api/sync');
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function remoteRow(table, id) {
+  return (await remote.select(table)).find(row => row.id === id);
+}
+
+test('only the sync owner can start a sync', async () => {
+  const other = app.client();
+  assert.equal((await other.post('/api/sync')).status, 401);
+  await signUp(other, 'boris@example.com', 'Boris');
+  const refused = await other.post('/api/sync', { policy: 'local' });
+  assert.equal(refused.status, 403);
+  const status = (await other.get('/api/sync')).body;
+  assert.equal(status.enabled, true);
+  assert.equal(status.policy, 'newest');
+});
+
+test('local records are pushed in major units', async () => {
+  const { trip, ids } = await createTrip(owner, { name: 'Murmansk', base_currency: 'RUB' }, ['Olga', 'Boris']);
+  const expense = (await owner.post(`/api/trips/${trip.id}/expenses`, {
+    payer_id: ids.Olga, amount: 150050, description: 'Hotel', date: '2024-02-01'
+  })).body;
+  const report = await sync();
+  assert.equal(report.policy, 'newest');
+  assert.ok(report.pushed.expenses >= 1);
+  const tripRow = await remoteRow('trips', trip.id);
+  assert.equal(tripRow.title, 'Murmansk');
+  assert.equal(tripRow.start_date, '2024-02-01');
+  const row = await remoteRow('expenses', expense.id);
+  assert.equal(row.amount, 1500.5);
+  assert.deepEqual(row.shares.map(share => share.amount), [750.25, 750.25]);
+
+  const again = await sync();
+  assert.deepEqual(again.pushed, { trips: 0, participants: 0, expenses: 0, transfers: 0 });
+  assert.deepEqual(again.pulled, { trips: 0, participants: 0, expenses: 0, transfers: 0 });
+});
+
+test('remote edits and deletions are pulled and logged', async () => {
+  const { trip, ids } = await createTrip(owner, { name: 'Kaliningrad' }, ['Olga', 'Boris']);
+  const expense = (await owner.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Olga, amount: 1000, description: 'Amber' })).body;
+  const transfer = (await owner.post(`/api/trips/${trip.id}/transfers`, { from_id: ids.Boris, to_id: ids.Olga, amount: 200 })).body;
+  await sync();
+
+  await remote.update('expenses', expense.id, { amount: 30, description: 'Amber beads' });
+  await remote.remove('transfers', [transfer.id]);
+  const report = await sync();
+  assert.equal(report.pulled.expenses, 1);
+  assert.equal(report.deleted_local.transfers, 1);
+  const details = (await owner.get(`/api/trips/${trip.id}`)).body;
+  assert.equal(details.expenses[0].description, 'Amber beads');
+  assert.deepEqual(details.expenses[0].shares.map(share => share.amount), [1500, 1500]);
+  assert.deepEqual(details.transfers, []);
+  const [first, second] = (await owner.get(`/api/trips/${trip.id}/activity`)).body.activity;
+  assert.deepEqual([first.action, first.entity], ['delete', 'transfer']);
+  assert.deepEqual([second.action, second.entity, second.after.amount], ['update', 'expense', 3000]);
+});
+
+test('conflicting edits go to the side changed last', async () => {
+  const { trip, ids } = await createTrip(owner, { name: 'Vologda' }, ['Olga', 'Boris']);
+  const expense = (await owner.post(`/api/trips/${trip.id}/expenses`, { payer_id: ids.Olga, amount: 1000, description: 'Lace' })).body;
+  await sync();
+  const route = `/api/trips/${trip.id}/expenses/${expense.id}`;
+
+  await remote.update('expenses', expense.id, { description: 'Remote lace' });
+  await tick();
+  await owner.patch(route, { description: 'Local lace' });
+  let report = await sync();
+  assert.deepEqual(report.conflicts, [{ table: 'expenses', id: expense.id, winner: 'local' }]);
+  assert.equal((await remoteRow('expenses', expense.id)).description, 'Local lace');
+
+  await owner.patch(route, { description: 'Local butter' });
+  await tick();
+  await remote.update('expenses', expense.id, { description: 'Remote butter' });
+  report = await sync();
+  assert.deepEqual(report.conflicts, [{ table: 'expenses', id: expense.id, winner: 'remote' }]);
+  assert.equal((await owner.get(`/api/trips/${trip.id}`)).body.expenses[0].description, 'Remote butter');
+});
+
+test('trips created remotely go to the sync owner', async () => {
+  await remote.upsert('trips', [
+    { id: 'trip_remote_1', title: 'Altai', base_currency: 'RUB' },
+    { id: '../escape', title: 'Bad id', base_currency: 'RUB' }
+  ]);
+  await remote.upsert('participants', [
+    { id: 'p_remote_1', trip_id: 'trip_remote_1', name: 'Gleb' },
+    { id: 'p remote 2', trip_id: 'trip_remote_1', name: 'Bad id' }
+  ]);
+  const report = await sync();
+  assert.deepEqual(report.skipped.map(item => item.id).sort(), ['../escape', 'p remote 2']);
+  const pulled = (await owner.get('/api/trips/trip_remote_1')).body;
+  assert.equal(pulled.name, 'Altai');
+  assert.equal(pulled.my_role, 'owner');
+  assert.deepEqual(pulled.participants.map(p => p.name), ['Gleb']);
+  assert.equal((await owner.get('/api/trips/..%2Fescape')).status, 404);
+});